@@ -0,0 +1,121 @@
+/**
+ * Widget de clavardage — à coller sur le site du salon :
+ *
+ *   <script src="https://<serveur>/static/chat-widget.js" async></script>
+ *   (plusieurs salons : https://<serveur>/salon/<id>/static/chat-widget.js)
+ *
+ * Options (attributs du <script>) :
+ *   data-titre    titre de la fenêtre        (défaut "Prendre rendez-vous")
+ *   data-accueil  premier message affiché    (défaut "Bonjour! Comment je peux t'aider?")
+ *   data-couleur  couleur principale          (défaut #6c47ff)
+ *
+ * Les messages partent à POST /chat à côté du script (même salon); l'identifiant de conversation
+ * est gardé dans sessionStorage pour survivre à un changement de page.
+ */
+(function () {
+  const script  = document.currentScript;
+  if (!script || window.__salonChatWidget) return;
+  window.__salonChatWidget = true;
+
+  const api     = new URL("../chat", script.src).href;
+  const titre   = script.dataset.titre   || "Prendre rendez-vous";
+  const accueil = script.dataset.accueil || "Bonjour! Comment je peux t'aider?";
+  const couleur = script.dataset.couleur || "#6c47ff";
+  const CLE_ID  = "salonChatId";
+  const CLE_FIL = "salonChatFil";
+
+  const css = `
+    .scw-btn{position:fixed;right:20px;bottom:20px;width:56px;height:56px;border-radius:50%;border:none;background:${couleur};color:#fff;font-size:26px;cursor:pointer;box-shadow:0 4px 14px rgba(0,0,0,.2);z-index:2147483000}
+    .scw-box{position:fixed;right:20px;bottom:88px;width:340px;max-width:calc(100vw - 40px);height:460px;max-height:calc(100vh - 120px);background:#fff;border-radius:14px;box-shadow:0 8px 30px rgba(0,0,0,.2);display:none;flex-direction:column;overflow:hidden;font-family:system-ui,sans-serif;font-size:14px;z-index:2147483000}
+    .scw-box.open{display:flex}
+    .scw-head{background:${couleur};color:#fff;padding:12px 14px;font-weight:600;display:flex;justify-content:space-between;align-items:center}
+    .scw-head button{background:none;border:none;color:#fff;font-size:18px;cursor:pointer}
+    .scw-fil{flex:1;overflow-y:auto;padding:12px;display:flex;flex-direction:column;gap:8px;background:#f5f6fa}
+    .scw-msg{max-width:80%;padding:8px 11px;border-radius:12px;line-height:1.4;white-space:pre-wrap;word-wrap:break-word}
+    .scw-agent{background:#fff;color:#1a1a2e;align-self:flex-start;border:1px solid #e5e7eb}
+    .scw-client{background:${couleur};color:#fff;align-self:flex-end}
+    .scw-attente{color:#9ca3af;font-style:italic}
+    .scw-form{display:flex;border-top:1px solid #e5e7eb}
+    .scw-form input{flex:1;border:none;padding:12px;font-size:14px;outline:none}
+    .scw-form button{border:none;background:none;color:${couleur};font-weight:600;padding:0 14px;cursor:pointer}
+  `;
+  const style = document.createElement("style");
+  style.textContent = css;
+  document.head.appendChild(style);
+
+  const btn = document.createElement("button");
+  btn.className = "scw-btn";
+  btn.setAttribute("aria-label", titre);
+  btn.textContent = "💬";
+
+  const box = document.createElement("div");
+  box.className = "scw-box";
+  box.innerHTML = `
+    <div class="scw-head"><span></span><button type="button" aria-label="Fermer">✕</button></div>
+    <div class="scw-fil" aria-live="polite"></div>
+    <form class="scw-form"><input type="text" maxlength="500" placeholder="Écris ton message…" autocomplete="off"><button type="submit">Envoyer</button></form>`;
+  box.querySelector(".scw-head span").textContent = titre;
+
+  const fil   = box.querySelector(".scw-fil");
+  const form  = box.querySelector("form");
+  const input = form.querySelector("input");
+  let envoiEnCours = false;
+
+  // Fil gardé pour la session du navigateur (changement de page sur le site)
+  let historique = [];
+  try { historique = JSON.parse(sessionStorage.getItem(CLE_FIL) || "[]"); } catch (e) {}
+
+  function ajouter(qui, texte, garder = true) {
+    const el = document.createElement("div");
+    el.className = "scw-msg scw-" + qui;
+    el.textContent = texte;
+    fil.appendChild(el);
+    fil.scrollTop = fil.scrollHeight;
+    if (garder) {
+      historique.push({ qui, texte });
+      try { sessionStorage.setItem(CLE_FIL, JSON.stringify(historique.slice(-60))); } catch (e) {}
+    }
+    return el;
+  }
+
+  if (historique.length) historique.forEach(m => ajouter(m.qui, m.texte, false));
+  else ajouter("agent", accueil, false);
+
+  async function envoyer(texte) {
+    envoiEnCours = true;
+    ajouter("client", texte);
+    const attente = ajouter("agent scw-attente", "…", false);
+    try {
+      const r = await fetch(api, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ id: sessionStorage.getItem(CLE_ID) || "", message: texte }),
+      });
+      const j = await r.json();
+      attente.remove();
+      if (j.id) sessionStorage.setItem(CLE_ID, j.id);
+      ajouter("agent", j.reply || j.error || "Oups, une erreur est survenue.");
+    } catch (e) {
+      attente.remove();
+      ajouter("agent", "Connexion impossible — réessaie dans un instant.", false);
+    }
+    envoiEnCours = false;
+    input.focus();
+  }
+
+  form.addEventListener("submit", e => {
+    e.preventDefault();
+    const texte = input.value.trim();
+    if (!texte || envoiEnCours) return;
+    input.value = "";
+    envoyer(texte);
+  });
+  btn.addEventListener("click", () => {
+    box.classList.toggle("open");
+    if (box.classList.contains("open")) input.focus();
+  });
+  box.querySelector(".scw-head button").addEventListener("click", () => box.classList.remove("open"));
+
+  document.body.appendChild(box);
+  document.body.appendChild(btn);
+})();
@@ -0,0 +1,326 @@
+/**
+ * Salon Coco — dates dans le fuseau du salon et expressions de date du client
+ *
+ * Aucune dépendance au reste du serveur : importé par server.js et par les tests
+ * (test/dates.test.js, npm test). Fuseau par défaut : CALENDLY_TIMEZONE, comme dans server.js.
+ */
+
+const { CALENDLY_TIMEZONE = "America/Toronto" } = process.env;
+
+// ─── Dates dans le fuseau du salon (heure avancée) ────────────────────────────
+// Toute l'arithmétique des créneaux passe par ici : jamais de round-trip via
+// toLocaleString() → new Date() (dépend du fuseau du serveur) ni de "+ 24h" pour
+// changer de jour (faux les jours de changement d'heure). Les jours civils sont
+// manipulés en "YYYY-MM-DD", les instants en Date UTC.
+const zonedFormatters = new Map(); // tz → Intl.DateTimeFormat
+const ZONED_WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Instant → composantes de l'heure murale locale { ymd, year, month, day, hour, minute, weekday }
+export function zonedParts(date, tz = CALENDLY_TIMEZONE) {
+  if (!zonedFormatters.has(tz)) zonedFormatters.set(tz, new Intl.DateTimeFormat("en-US", {
+    timeZone: tz, hourCycle: "h23", weekday: "short",
+    year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+  }));
+  const p = Object.fromEntries(zonedFormatters.get(tz).formatToParts(new Date(date)).map(x => [x.type, x.value]));
+  return {
+    ymd: `${p.year}-${p.month}-${p.day}`,
+    year: +p.year, month: +p.month, day: +p.day,
+    hour: +p.hour, minute: +p.minute, second: +p.second,
+    weekday: ZONED_WEEKDAYS[p.weekday],
+  };
+}
+
+// Décalage (minutes) du fuseau à un instant donné — ex: -300 en hiver à Toronto
+export function tzOffsetMinutes(date, tz = CALENDLY_TIMEZONE) {
+  const p = zonedParts(date, tz);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000) / 60_000);
+}
+
+// Heure murale (YYYY-MM-DD + HH:MM) → instant UTC.
+// Heure inexistante (saut du printemps) → avancée de la durée du saut (2h30 → 3h30);
+// heure ambiguë (retour à l'heure normale) → première occurrence (heure avancée).
+export function zonedToUtc(ymd, hhmm = "00:00", tz = CALENDLY_TIMEZONE) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  const [h, min]  = hhmm.split(":").map(Number);
+  const wall = Date.UTC(y, m - 1, d, h, min);
+  const offsets = new Set([tzOffsetMinutes(new Date(wall - 86_400_000), tz), tzOffsetMinutes(new Date(wall + 86_400_000), tz)]);
+  const valides = [...offsets]
+    .map(o => wall - o * 60_000)
+    .filter(t => tzOffsetMinutes(new Date(t), tz) * 60_000 === wall - t);
+  if (valides.length) return new Date(Math.min(...valides));
+  return new Date(wall - tzOffsetMinutes(new Date(wall - 86_400_000), tz) * 60_000);
+}
+
+export function localYmd(date, tz = CALENDLY_TIMEZONE) {
+  return zonedParts(date, tz).ymd;
+}
+
+// Jour civil + N jours (sans passer par un instant)
+export function addLocalDays(ymd, days) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+// Même heure murale N jours plus tard — ex: 9h un samedi → 9h le samedi suivant, même si l'heure a changé entre les deux
+export function shiftLocalDays(date, days, tz = CALENDLY_TIMEZONE) {
+  const p = zonedParts(date, tz);
+  const hhmm = `${String(p.hour).padStart(2, "0")}:${String(p.minute).padStart(2, "0")}`;
+  return new Date(zonedToUtc(addLocalDays(p.ymd, days), hhmm, tz).getTime() + p.second * 1000);
+}
+
+// Heure locale décimale (14h30 → 14.5)
+export function localHour(iso, tz = CALENDLY_TIMEZONE) {
+  const p = zonedParts(iso, tz);
+  return p.hour + p.minute / 60;
+}
+
+// "YYYY-MM-DD" → Date à minuit heure locale du salon (et non minuit UTC)
+export function parseLocalDate(ymd) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(ymd || "")) return null;
+  const d = zonedToUtc(ymd, "00:00");
+  return isNaN(d.getTime()) ? null : d;
+}
+
+export function slotToFrench(iso, tz = CALENDLY_TIMEZONE) {
+  try {
+    const d = new Date(iso);
+    const datePart = d.toLocaleString("fr-CA", {
+      weekday: "long", day: "numeric", month: "long",
+      timeZone: tz,
+    });
+    // Ex: "mardi 3 mars" → "mardi le 3 mars"
+    const datePartFull = datePart.replace(/^(\w+) (\d+) (.+)$/, "$1 le $2 $3");
+    // Heure locale
+    const { hour: h, minute: m } = zonedParts(d, tz);
+    // Minutes : 00 = omis, sinon en chiffres groupés (15, 30, 45, etc.)
+    const minStr = m === 0 ? "" : String(m).padStart(2, "0");
+    return `${datePartFull} à ${h}h${minStr}`;
+  } catch { return iso; }
+}
+
+// Même libellé en anglais : "Tuesday, November 3 at 9 AM", "at 9:30 AM"
+export function slotToEnglish(iso, tz = CALENDLY_TIMEZONE) {
+  try {
+    const d = new Date(iso);
+    const datePart = d.toLocaleString("en-CA", { weekday: "long", month: "long", day: "numeric", timeZone: tz });
+    const { hour: h, minute: m } = zonedParts(d, tz);
+    return `${datePart} at ${h % 12 || 12}${m === 0 ? "" : ":" + String(m).padStart(2, "0")} ${h < 12 ? "AM" : "PM"}`;
+  } catch { return iso; }
+}
+
+// Libellé parlé dans la langue du client
+export function slotToSpoken(iso, langue = "fr") {
+  return langue === "en" ? slotToEnglish(iso) : slotToFrench(iso);
+}
+
+// ─── Expressions de date (FR québécois / EN) ──────────────────────────────────
+// Transforme la phrase du client en fenêtre de recherche déterministe, résolue dans
+// CALENDLY_TIMEZONE, au lieu de laisser le modèle calculer date_debut/offset_semaines.
+// Conventions retenues :
+//   "vendredi", "ce vendredi"             → prochain vendredi (aujourd'hui inclus)
+//   "lundi le 26", "friday the 23rd"      → le 26 (le jour du mois l'emporte); conflit s'il n'est pas un lundi
+//   "vendredi prochain", "next friday"    → prochain vendredi après aujourd'hui
+//   "vendredi de la semaine prochaine"    → vendredi de la semaine (lun–dim) suivante
+//   "la semaine prochaine"                → lundi → dimanche suivants
+//   "dans deux semaines"                  → semaine (lun–dim) contenant aujourd'hui + 14 jours
+//   "la fin de semaine", "weekend"        → samedi–dimanche (sens québécois)
+//   "la semaine de Pâques"                → lundi saint → lundi de Pâques
+//   "en mars", "début/mi/fin mars"        → mois entier ou tiers du mois (année suivante si passé)
+//   "matin" 8–12h, "midi"/"dîner" 11–14h, "après-midi" 12–17h, "soir" 17–21h
+//   "après 15h", "avant 11h", "vers 14h", "entre 10h et 13h", "2pm", "vendredi à 3", "at 3 tomorrow"
+const DATE_WEEKDAYS = {
+  dimanche: 0, lundi: 1, mardi: 2, mercredi: 3, jeudi: 4, vendredi: 5, samedi: 6,
+  sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6,
+};
+const DATE_MONTHS = {
+  janvier: 1, fevrier: 2, mars: 3, avril: 4, mai: 5, juin: 6, juillet: 7, aout: 8, septembre: 9, octobre: 10, novembre: 11, decembre: 12,
+  january: 1, february: 2, march: 3, april: 4, june: 6, july: 7, august: 8, september: 9, october: 10, november: 11, december: 12,
+};
+const DATE_NUMBERS = { un: 1, une: 1, deux: 2, trois: 3, quatre: 4, cinq: 5, six: 6, sept: 7, huit: 8, a: 1, one: 1, two: 2, three: 3, four: 4, five: 5, seven: 7, eight: 8 };
+const DATE_PERIODS = [
+  { re: /\b(matin|avant-midi|avant midi|am|morning)\b/,                   min: 8,  max: 12, label: "en matinée" },
+  { re: /\b(apres-midi|apres midi|pm|afternoon)\b/,                      min: 12, max: 17, label: "en après-midi" },
+  { re: /\b(soir|soiree|apres le travail|apres l'ouvrage|evening|after work|tonight)\b/, min: 17, max: 21, label: "en soirée" },
+  { re: /\b(midi|heure du diner|diner|lunch|noon)\b/,                    min: 11, max: 14, label: "vers l'heure du dîner" },
+];
+
+// Dates civiles (sans heure) manipulées comme des Date UTC à minuit
+const civil     = (y, m, d) => new Date(Date.UTC(y, m - 1, d));
+// Date donnée par le client : null si elle n'existe pas (Date.UTC ferait du 31 novembre le 1er décembre)
+const jourExact = (y, m, d) => {
+  const c = civil(y, m, d);
+  return m >= 1 && m <= 12 && c.getUTCMonth() === m - 1 && c.getUTCDate() === d ? c : null;
+};
+const nomMois   = m => civil(2000, m, 1).toLocaleDateString("fr-CA", { month: "long", timeZone: "UTC" });
+const inexistant = (m, d) => ({ inexistante: true, conflit: m >= 1 && m <= 12 ? `le ${d === 1 ? "1er" : d} ${nomMois(m)} n'existe pas` : `le mois ${m} n'existe pas` });
+const civilAdd  = (c, days) => new Date(c.getTime() + days * 24 * 3600 * 1000);
+const civilYmd  = c => c.toISOString().slice(0, 10);
+const civilFr   = c => c.toLocaleDateString("fr-CA", { weekday: "long", day: "numeric", month: "long", timeZone: "UTC" }).replace(/ 1 /, " 1er ");
+const mondayOf  = c => civilAdd(c, -((c.getUTCDay() + 6) % 7));
+const fmtHeure  = h => `${Math.floor(h)}h${h % 1 ? String(Math.round((h % 1) * 60)).padStart(2, "0") : ""}`;
+
+// Dimanche de Pâques (algorithme grégorien anonyme)
+function easterSunday(y) {
+  const a = y % 19, b = Math.floor(y / 100), c = y % 100, d = Math.floor(b / 4), e = b % 4;
+  const f = Math.floor((b + 8) / 25), g = Math.floor((b - f + 1) / 3), h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4), k = c % 4, l = (32 + 2 * e + 2 * i - h - k) % 7, m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31), day = ((h + l - 7 * m + 114) % 31) + 1;
+  return civil(y, month, day);
+}
+
+// "14", "14h30", "14 h", "2pm", "2:30 pm" → heure décimale (null si hors 0–23)
+function parseHourToken(num, min, ampm) {
+  let h = parseInt(num);
+  if (ampm === "pm" && h < 12) h += 12;
+  if (ampm === "am" && h === 12) h = 0;
+  if (!ampm && h >= 1 && h <= 7) h += 12; // "après 3" au salon = 15h
+  if (h > 23) return null;
+  return h + (min ? parseInt(min) / 60 : 0);
+}
+
+/**
+ * Interprète une expression de date/heure.
+ * @returns {{ debut: string, fin: string, heureMin: number|null, heureMax: number|null, interpretation: string } | { conflit: string, inexistante?: true } | null}
+ *          debut/fin en YYYY-MM-DD (inclusifs, heure locale du salon); conflit si le jour de la semaine
+ *          contredit le jour du mois ("lundi le 27" un mardi) ou si la date n'existe pas ("31 novembre");
+ *          null si rien de reconnu
+ */
+export function parseDateExpression(expression, now = new Date()) {
+  if (!expression) return null;
+  let t = ` ${expression.toLowerCase().normalize("NFD").replace(/[̀-ͯ]/g, "").replace(/[’`]/g, "'").replace(/\s+/g, " ").trim()} `;
+  const today = civil(...localYmd(now).split("-").map(Number));
+  const num = w => DATE_NUMBERS[w] ?? (/^\d+$/.test(w) ? parseInt(w) : null);
+  // Nombre suivi d'une unité de durée ou d'un mois ("dans 2 semaines", "14 mars") ≠ heure
+  const NOT_HOUR = String.raw`(?![\d/]|\s*(?:semaines?|jours?|mois|weeks?|days?|months?|${Object.keys(DATE_MONTHS).join("|")})\b)`;
+  const HOUR = String.raw`(\d{1,2})(?:\s*(?:h|:)\s*(\d{2})?)?\s*(am|pm)?${NOT_HOUR}`;
+  // "à 3" / "at 3" : heure seulement en fin de phrase ou devant un mot de date ("à 2 personnes" ≠ 14h)
+  const APRES_A = String.raw`(?=\s*$|\s+(?:${Object.keys(DATE_WEEKDAYS).join("|")}|demain|tomorrow|aujourd'hui|today|le|the|on|this|ce|cette|next)\b)`;
+
+  // 1. Heures explicites (retirées du texte pour ne pas être lues comme des dates)
+  let heureMin = null, heureMax = null, heureLabel = null, m;
+  if ((m = t.match(new RegExp(String.raw`\b(?:entre|between|de)\s+${HOUR}\s+(?:et|and|a|to)\s+${HOUR}`)))) {
+    const [h1, h2] = [parseHourToken(m[1], m[2], m[3] || m[6]), parseHourToken(m[4], m[5], m[6])];
+    if (h1 !== null && h2 !== null && h1 < h2) { heureMin = h1; heureMax = h2; heureLabel = `entre ${fmtHeure(h1)} et ${fmtHeure(h2)}`; }
+  } else if ((m = t.match(new RegExp(String.raw`\b(?:apres|after|a partir de|from)\s+${HOUR}`)))) {
+    heureMin = parseHourToken(m[1], m[2], m[3]);
+    if (heureMin !== null) heureLabel = `après ${fmtHeure(heureMin)}`;
+  } else if ((m = t.match(new RegExp(String.raw`\b(?:avant|before)\s+${HOUR}`)))) {
+    heureMax = parseHourToken(m[1], m[2], m[3]);
+    if (heureMax !== null) heureLabel = `avant ${fmtHeure(heureMax)}`;
+  } else if ((m = t.match(new RegExp(String.raw`\b(?:vers|autour de|around)\s+${HOUR}`))) ||
+             (m = t.match(new RegExp(String.raw`\b(?:at|a)\s+${HOUR}${APRES_A}`))) ||
+             (m = t.match(new RegExp(String.raw`\b(\d{1,2})(?:\s*(?:h|:)\s*(\d{2})?|\s*(am|pm))(?![a-z])${NOT_HOUR}`)))) {
+    const h = parseHourToken(m[1], m[2], m[3]);
+    if (h !== null) { heureMin = h - 1; heureMax = h + 1; heureLabel = `vers ${fmtHeure(h)}`; }
+  }
+  if (heureLabel) t = t.replace(m[0], " ");
+  else heureMin = heureMax = null;
+  if (!heureLabel) {
+    const p = DATE_PERIODS.find(p => p.re.test(t));
+    if (p) { heureMin = p.min; heureMax = p.max; heureLabel = `${p.label} (${p.min}h à ${p.max}h)`; t = t.replace(p.re, " "); }
+  }
+
+  // 2. Date ou période de dates
+  let debut = null, fin = null;
+  const weekdayRe = new RegExp(`\\b(${Object.keys(DATE_WEEKDAYS).join("|")})s?\\b`);
+  const monthRe   = `(${Object.keys(DATE_MONTHS).join("|")})`;
+  const nextWeek  = /\b(semaine prochaine|next week)\b/.test(t);
+  const weeksM    = t.match(/\b(?:dans|in)\s+(\d+|un|une|deux|trois|quatre|cinq|six|sept|huit|a|one|two|three|four|five|six|seven|eight)\s+(semaines?|weeks?)\b/);
+  const weekBase  = weeksM ? mondayOf(civilAdd(today, 7 * num(weeksM[1]))) : nextWeek ? mondayOf(civilAdd(today, 7)) : null;
+  const upcoming  = (dow, strict) => civilAdd(today, ((dow - today.getUTCDay() + 7) % 7) || (strict ? 7 : 0));
+  // Date sans année : cette année, ou la prochaine où elle existe si déjà passée (29 février → année bissextile)
+  const prochaineDate = (m, d) => {
+    for (let y = today.getUTCFullYear(); y <= today.getUTCFullYear() + 8; y++) {
+      const c = jourExact(y, m, d);
+      if (c && c >= today) return c;
+    }
+    return null;
+  };
+  // "le 26" seul : ce mois-ci, sinon le prochain mois qui a ce jour ("le 31" un 20 novembre → 31 décembre)
+  const dayOfMonth = d => {
+    for (let i = 0; i < 12; i++) {
+      const c = jourExact(today.getUTCFullYear() + Math.floor((today.getUTCMonth() + i) / 12), (today.getUTCMonth() + i) % 12 + 1, d);
+      if (c && c >= today) return c;
+    }
+    return null;
+  };
+  const jourM = t.match(/\b(?:le|the|on the)\s+(\d{1,2})(?:er|st|nd|rd|th)?\b/);
+  const jourDuMois = jourM && +jourM[1] >= 1 && +jourM[1] <= 31 ? +jourM[1] : null;
+
+  if ((m = t.match(/\b(\d{4})-(\d{2})-(\d{2})\b/))) {
+    debut = fin = jourExact(+m[1], +m[2], +m[3]);
+    if (!debut) return inexistant(+m[2], +m[3]);
+  } else if ((m = t.match(new RegExp(`\\b(\\d{1,2})(?:er)?\\s+${monthRe}(?:\\s+(\\d{4}))?\\b`))) ||
+             (m = t.match(new RegExp(`\\b${monthRe}\\s+(\\d{1,2})(?!\\d)(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`)))) {
+    const [day, mois] = /^\d/.test(m[1]) ? [m[1], m[2]] : [m[2], m[1]];
+    debut = fin = m[3] ? jourExact(+m[3], DATE_MONTHS[mois], +day) : prochaineDate(DATE_MONTHS[mois], +day);
+    if (!debut) return inexistant(DATE_MONTHS[mois], +day);
+  } else if ((m = t.match(/\b(\d{1,2})\/(\d{1,2})\b/))) {
+    debut = fin = prochaineDate(+m[2], +m[1]); // jour/mois
+    if (!debut) return inexistant(+m[2], +m[1]);
+  } else if (/\bpaques|easter\b/.test(t)) {
+    let e = easterSunday(today.getUTCFullYear());
+    if (civilAdd(e, 1) < today) e = easterSunday(today.getUTCFullYear() + 1);
+    debut = civilAdd(e, -6); fin = civilAdd(e, 1);
+  } else if (/\b(apres-demain|apres demain|day after tomorrow)\b/.test(t)) {
+    debut = fin = civilAdd(today, 2);
+  } else if (/\b(demain|tomorrow)\b/.test(t)) {
+    debut = fin = civilAdd(today, 1);
+  } else if (/\b(aujourd'hui|aujourd hui|ajd|today|tantot|tout de suite)\b/.test(t)) {
+    debut = fin = today;
+  } else if (/\b(fin de semaine|fds|week-end|weekend)\b/.test(t)) {
+    const sat = weekBase ? civilAdd(weekBase, 5)
+      : today.getUTCDay() === 0 ? civilAdd(today, -1)
+      : civilAdd(upcoming(6, false), /\bnext week-?end\b/.test(t) ? 7 : 0);
+    debut = sat < today ? today : sat; fin = civilAdd(sat, 1);
+  } else if (/\b(debut de (la )?semaine|early (in the )?week)\b/.test(t)) {
+    const lun = weekBase || (today.getUTCDay() >= 1 && today.getUTCDay() <= 2 ? mondayOf(today) : mondayOf(civilAdd(today, 7)));
+    debut = lun < today ? today : lun; fin = civilAdd(lun, 2);
+  } else if ((m = t.match(weekdayRe))) {
+    const dow = DATE_WEEKDAYS[m[1]];
+    if (jourDuMois) {
+      // Le jour du mois est le plus précis — le jour de la semaine doit concorder
+      debut = dayOfMonth(jourDuMois);
+      if (!debut) return null;
+      if (debut.getUTCDay() !== dow) {
+        const [jourReel, ...date] = civilFr(debut).split(" ");
+        const jourDemande = Object.keys(DATE_WEEKDAYS).find(k => DATE_WEEKDAYS[k] === dow); // clés françaises d'abord
+        return { conflit: `le ${date.join(" ")} est un ${jourReel}, pas un ${jourDemande}` };
+      }
+    } else if (weekBase) debut = civilAdd(weekBase, (dow + 6) % 7);
+    else debut = upcoming(dow, /\b(prochaine?|next)\b/.test(t));
+    fin = debut;
+  } else if ((m = t.match(/\b(?:dans|in)\s+(\d+|un|une|deux|trois|quatre|cinq|six|sept|huit|a|one|two|three|four|five|six|seven|eight)\s+(jours?|days?)\b/))) {
+    debut = fin = civilAdd(today, num(m[1]));
+  } else if (weekBase) {
+    debut = weekBase; fin = civilAdd(weekBase, 6);
+  } else if (/\b(cette semaine|this week)\b/.test(t)) {
+    debut = today; fin = civilAdd(mondayOf(today), 6);
+  } else if (/\b(mois prochain|next month)\b/.test(t)) {
+    debut = civil(today.getUTCFullYear(), today.getUTCMonth() + 2, 1);
+    fin = civilAdd(civil(today.getUTCFullYear(), today.getUTCMonth() + 3, 1), -1);
+  } else if ((m = t.match(new RegExp(`\\b(?:(debut|mi|fin)[- ](?:de |d')?)?${monthRe}\\b`)))) {
+    let y = today.getUTCFullYear();
+    const mois = DATE_MONTHS[m[2]];
+    if (civil(y, mois + 1, 1) <= today) y++;
+    const dernier = civilAdd(civil(y, mois + 1, 1), -1).getUTCDate();
+    const [d1, d2] = m[1] === "debut" ? [1, 10] : m[1] === "mi" ? [11, 20] : m[1] === "fin" ? [21, dernier] : [1, dernier];
+    debut = civil(y, mois, d1); fin = civil(y, mois, d2);
+    if (debut < today) debut = today;
+  } else if ((m = t.match(/\ble (\d{1,2})(?:er)?\b/)) && +m[1] >= 1 && +m[1] <= 31) {
+    debut = fin = dayOfMonth(+m[1]);
+  }
+
+  if (!debut && heureLabel === null) return null;
+  if (!debut) { debut = today; fin = civilAdd(today, 6); }
+  if (isNaN(debut.getTime()) || isNaN(fin.getTime())) return null;
+
+  const datePart = civilYmd(debut) === civilYmd(fin) ? civilFr(debut) : `du ${civilFr(debut)} au ${civilFr(fin)}`;
+  return {
+    debut: civilYmd(debut),
+    fin:   civilYmd(fin),
+    heureMin, heureMax,
+    interpretation: heureLabel ? `${datePart}, ${heureLabel}` : datePart,
+  };
+}
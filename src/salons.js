@@ -0,0 +1,248 @@
+/**
+ * Salon Coco — point d'entrée et routeur multi-salons
+ *
+ * Sans salons.json : un seul salon, src/server.js tourne dans ce processus comme avant.
+ *
+ * Avec salons.json (dans /data) : chaque salon tourne dans son propre processus
+ * server.js — ses variables (identifiants Twilio, Calendly, Google, SALON_*),
+ * son dossier de données (coiffeuses, services, FAQ, logs, rappels…) et un port
+ * interne. Un salon secondaire ne reçoit du service que les variables de ENV_PARTAGEES :
+ * ses identifiants viennent de son "env", jamais de ceux du salon principal. Sans ses
+ * identifiants Twilio (et Calendly, sauf SCHEDULING_PROVIDER=local), il ne démarre pas.
+ * Ce processus reçoit tout le trafic et le relaie au bon salon :
+ *  1. préfixe /salon/<id>/…   liens, webhooks et pages générés par le salon lui-même
+ *  2. hôte déclaré dans "hotes" (ex. sherbrooke.saloncoco.ca/admin/config)
+ *  3. numéro appelé (To) sur POST /voice et /sms — un seul webhook pour tous les numéros
+ *  4. sinon le salon principal
+ *
+ * Format de salons.json :
+ *   [{ "id": "magog", "nom": "Salon Coco Magog", "principal": true,
+ *      "numeros": ["+18195550100"], "hotes": ["magog.saloncoco.ca"],
+ *      "env": { "SALON_NAME": "Salon Coco", "TWILIO_CALLER_ID": "+18195550100", ... } }, ...]
+ * Le salon principal garde le dossier /data (données existantes); les autres ont /data/salons/<id>.
+ */
+
+import http             from "http";
+import fs               from "fs";
+import path             from "path";
+import readline         from "readline";
+import { fork }          from "child_process";
+import { fileURLToPath } from "url";
+
+const LOGS_DIR        = fs.existsSync("/data") ? "/data" : ".";
+const SALONS_FILE     = path.join(LOGS_DIR, "salons.json");
+const SERVER_JS       = path.join(path.dirname(fileURLToPath(import.meta.url)), "server.js");
+const PORT            = Number(process.env.PORT || 3000);
+const PORT_INTERNE    = Number(process.env.SALONS_PORT_BASE || 4100); // salon n → PORT_INTERNE + n
+const REDEMARRAGE     = 5000;
+const CORPS_TWILIO_MAX = 64 * 1024;
+const ENTREES_TWILIO  = ["/voice", "/sms"]; // webhooks communs à tous les numéros
+// Variables du service transmises à tous les salons — système, URL publique, OpenAI
+const ENV_PARTAGEES   = ["PATH", "HOME", "LANG", "TZ", "NODE_ENV", "NODE_OPTIONS", "PUBLIC_BASE_URL", "CALENDLY_TIMEZONE",
+  "OPENAI_API_KEY", "OPENAI_REALTIME_MODEL", "OPENAI_TTS_VOICE", "OPENAI_TEXT_MODEL", "OPENAI_TRANSCRIBE_MODEL"];
+const ENV_REQUISES    = ["TWILIO_ACCOUNT_SID", "TWILIO_AUTH_TOKEN", "TWILIO_CALLER_ID"];
+
+// Valide salons.json → { salons } | { error }
+function validateSalons(input) {
+  if (!Array.isArray(input)) return { error: "salons.json doit être une liste." };
+  const salons = [];
+  for (const s of input) {
+    const id = String(s?.id || "").trim();
+    if (!/^[a-z0-9-]+$/.test(id)) return { error: `Identifiant invalide : "${id}" (a-z, 0-9, -).` };
+    if (salons.some(x => x.id === id)) return { error: `Salon en double : ${id}.` };
+    const env = s.env || {};
+    if (typeof env !== "object" || Array.isArray(env)) return { error: `${id} : "env" doit être un objet.` };
+    salons.push({
+      id,
+      nom:       String(s.nom || env.SALON_NAME || id),
+      principal: !!s.principal,
+      numeros:   (s.numeros || []).map(String),
+      hotes:     (s.hotes || []).map(h => String(h).toLowerCase()),
+      env:       Object.fromEntries(Object.entries(env).map(([k, v]) => [k, String(v)])),
+    });
+  }
+  if (salons.filter(s => s.principal).length > 1) return { error: "Un seul salon principal." };
+  if (salons.length && !salons.some(s => s.principal)) salons[0].principal = true;
+  return { salons };
+}
+
+// Variables d'un salon : le principal garde celles du service (ce sont les siennes),
+// les autres seulement ENV_PARTAGEES — puis le "env" du salon par-dessus
+function envSalon(salon) {
+  const service = salon.principal ? process.env
+    : Object.fromEntries(ENV_PARTAGEES.filter(k => process.env[k] !== undefined).map(k => [k, process.env[k]]));
+  return { ...service, ...salon.env };
+}
+
+// Identifiants absents → liste des variables (vide : le salon peut démarrer)
+function identifiantsManquants(env) {
+  const requises = [...ENV_REQUISES, ...((env.SCHEDULING_PROVIDER || "calendly") === "calendly" ? ["CALENDLY_API_TOKEN"] : [])];
+  return requises.filter(k => !String(env[k] || "").trim());
+}
+
+function loadSalons() {
+  if (!fs.existsSync(SALONS_FILE)) return [];
+  const { salons, error } = validateSalons(JSON.parse(fs.readFileSync(SALONS_FILE, "utf8")));
+  if (error) throw new Error(error);
+  return salons;
+}
+
+let salons;
+try { salons = loadSalons(); }
+catch(e) {
+  // Ne pas retomber en mode un seul salon : les appels du 2e salon arriveraient au premier
+  console.error(`[SALONS] ❌ ${SALONS_FILE} : ${e.message}`);
+  process.exit(1);
+}
+
+if (salons.length === 0) {
+  await import("./server.js");
+} else {
+  startRouter(salons);
+}
+
+// ─── Processus des salons ─────────────────────────────────────────────────────
+function startRouter(salons) {
+  let arret = false;
+  const index = salons.map((s, i) => ({
+    id: s.id, nom: s.nom, principal: s.principal,
+    dossier: s.principal ? LOGS_DIR : path.join(LOGS_DIR, "salons", s.id),
+    port: PORT_INTERNE + i,
+  }));
+  const principal = salons.find(s => s.principal);
+
+  function demarrer(salon) {
+    const { dossier, port } = index.find(x => x.id === salon.id);
+    const env = envSalon(salon);
+    const manquants = salon.principal ? [] : identifiantsManquants(env); // le principal se configure dans /admin/config
+    if (manquants.length) {
+      console.error(`[SALONS] ❌ ${salon.id} non démarré — identifiants manquants dans salons.json : ${manquants.join(", ")}`);
+      return;
+    }
+    fs.mkdirSync(dossier, { recursive: true });
+    const child = fork(SERVER_JS, [], {
+      env: {
+        ...env,
+        PORT: String(port),
+        SALON_ID: salon.id,
+        SALON_BASE_PATH: `/salon/${salon.id}`,
+        SALON_DATA_DIR: dossier,
+        SALONS_INDEX: JSON.stringify(index.map(({ id, nom, principal, dossier }) => ({ id, nom, principal, dossier }))),
+      },
+      stdio: ["ignore", "pipe", "pipe", "ipc"],
+    });
+    // Logs Railway : chaque ligne préfixée du salon
+    readline.createInterface({ input: child.stdout }).on("line", l => process.stdout.write(`[${salon.id}] ${l}\n`));
+    readline.createInterface({ input: child.stderr }).on("line", l => process.stderr.write(`[${salon.id}] ${l}\n`));
+    child.on("exit", (code, signal) => {
+      if (arret) return;
+      console.error(`[SALONS] ❌ ${salon.id} arrêté (${signal || code}) — redémarrage dans ${REDEMARRAGE / 1000}s`);
+      setTimeout(() => demarrer(salon), REDEMARRAGE);
+    });
+    salon.process = child;
+    salon.port = port;
+  }
+  salons.forEach(demarrer);
+
+  // ─── Choix du salon ───────────────────────────────────────────────────────────
+  const chiffres = n => String(n || "").replace(/\D/g, "").slice(-10);
+
+  // → { salon, url, prefixe, par } ; url = chemin vu par le salon (préfixe /salon/<id> retiré)
+  function choisirSalon(req, numero = null) {
+    const m = req.url.match(/^\/salon\/([a-z0-9-]+)(?=[/?]|$)(.*)$/);
+    if (m) {
+      const salon = salons.find(s => s.id === m[1]);
+      if (salon) return { salon, url: m[2].startsWith("/") ? m[2] : "/" + m[2], prefixe: `/salon/${salon.id}`, par: "chemin" };
+    }
+    const hote = String(req.headers.host || "").toLowerCase().split(":")[0];
+    const parHote = salons.find(s => s.hotes.includes(hote));
+    if (parHote) return { salon: parHote, url: req.url, prefixe: "", par: "hôte" };
+    if (numero) {
+      const parNumero = salons.find(s => s.numeros.some(n => chiffres(n) === chiffres(numero)));
+      if (parNumero) return { salon: parNumero, url: req.url, prefixe: "", par: "numéro" };
+    }
+    return { salon: principal, url: req.url, prefixe: "", par: "défaut" };
+  }
+
+  function entetes(req, prefixe) {
+    const h = { ...req.headers };
+    h["x-forwarded-host"]  = h["x-forwarded-host"]  || req.headers.host || "";
+    h["x-forwarded-proto"] = h["x-forwarded-proto"] || "http";
+    if (prefixe) h["x-forwarded-prefix"] = prefixe;
+    return h;
+  }
+
+  // ─── Relais HTTP et WebSocket ─────────────────────────────────────────────────
+  function relayer(req, res, { salon, url, prefixe }, corps = null) {
+    if (!salon.process) {
+      res.writeHead(503, { "Content-Type": "text/plain; charset=utf-8" });
+      return res.end(`Salon ${salon.nom} non configuré.`);
+    }
+    const preq = http.request({ host: "127.0.0.1", port: salon.port, method: req.method, path: url, headers: entetes(req, prefixe) }, pres => {
+      res.writeHead(pres.statusCode, pres.headers);
+      pres.pipe(res);
+    });
+    preq.on("error", e => {
+      console.error(`[SALONS] ❌ ${salon.id} injoignable: ${e.message}`);
+      if (!res.headersSent) res.writeHead(502, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end(`Salon ${salon.nom} momentanément indisponible.`);
+    });
+    if (corps) preq.end(corps);
+    else req.pipe(preq);
+  }
+
+  const server = http.createServer((req, res) => {
+    const chemin = req.url.split("?")[0];
+    const direct = choisirSalon(req);
+    // Webhook commun Twilio (sans préfixe ni hôte dédié) → lire le numéro appelé
+    if (req.method === "POST" && ENTREES_TWILIO.includes(chemin) && direct.par === "défaut") {
+      const morceaux = [];
+      let taille = 0;
+      req.on("data", c => {
+        taille += c.length;
+        if (taille > CORPS_TWILIO_MAX) { res.writeHead(413).end(); req.destroy(); return; }
+        morceaux.push(c);
+      });
+      req.on("end", () => {
+        if (res.writableEnded) return;
+        const corps = Buffer.concat(morceaux);
+        const numero = new URLSearchParams(corps.toString("utf8")).get("To");
+        relayer(req, res, choisirSalon(req, numero), corps);
+      });
+      return;
+    }
+    relayer(req, res, direct);
+  });
+
+  // Media Streams Twilio (/salon/<id>/media-stream) — le salon est dans le chemin
+  server.on("upgrade", (req, socket, head) => {
+    const { salon, url, prefixe } = choisirSalon(req);
+    if (!salon.process) return socket.destroy();
+    const preq = http.request({ host: "127.0.0.1", port: salon.port, method: req.method, path: url, headers: entetes(req, prefixe) });
+    preq.on("upgrade", (pres, psocket, phead) => {
+      socket.write(`HTTP/1.1 101 Switching Protocols\r\n` +
+        Object.entries(pres.headers).map(([k, v]) => `${k}: ${v}`).join("\r\n") + "\r\n\r\n");
+      if (phead?.length) socket.write(phead);
+      if (head?.length) psocket.write(head);
+      psocket.pipe(socket).pipe(psocket);
+      psocket.on("error", () => socket.destroy());
+      socket.on("error", () => psocket.destroy());
+    });
+    preq.on("response", pres => socket.end(`HTTP/1.1 ${pres.statusCode} ${pres.statusMessage}\r\n\r\n`));
+    preq.on("error", () => socket.destroy());
+    preq.end();
+  });
+
+  server.listen(PORT, () => {
+    console.log(`[SALONS] ✅ Routeur — port ${PORT} — ${salons.map(s => `${s.id}${s.principal ? " (principal)" : ""} → ${s.process ? s.port : "non démarré"}`).join(", ")}`);
+  });
+
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.on(signal, () => {
+      arret = true;
+      for (const s of salons) s.process?.kill(signal);
+      server.close();
+      setTimeout(() => process.exit(0), 2000).unref();
+    });
+  }
+}
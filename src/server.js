@@ -17,13 +17,17 @@ import { WebSocketServer, WebSocket } from "ws";
 import twilio           from "twilio";
 import fs               from "fs";
 import path             from "path";
+import {
+  zonedParts, zonedToUtc, localYmd, addLocalDays, shiftLocalDays, localHour, parseLocalDate,
+  slotToFrench, slotToSpoken, parseDateExpression,
+} from "./dates.js";
 
 const app        = express();
 const httpServer = createServer(app);
 const wss        = new WebSocketServer({ server: httpServer });
 
 app.use(express.urlencoded({ extended: false }));
-app.use(express.json());
+app.use(express.json({ verify: (req, res, buf) => { if (req.url === "/calendly/webhook") req.rawBody = buf; } })); // signature Calendly
 app.use("/static", express.static(path.resolve("src")));
 
 // ─── Environnement ────────────────────────────────────────────────────────────
@@ -34,9 +38,12 @@ const {
   FALLBACK_NUMBER,
   PUBLIC_BASE_URL,
   CALENDLY_API_TOKEN,
+  CALENDLY_WEBHOOK_SIGNING_KEY, // annulations faites dans Calendly (POST /calendly/webhook)
   OPENAI_API_KEY,
   OPENAI_REALTIME_MODEL = "gpt-4o-realtime-preview-2024-12-17",
   OPENAI_TTS_VOICE      = "coral",
+  OPENAI_TEXT_MODEL     = "gpt-4o-mini", // agent texto
+  OPENAI_TRANSCRIBE_MODEL = "gpt-4o-mini-transcribe", // messagerie vocale
   CALENDLY_TIMEZONE     = "America/Toronto",
   CALENDLY_EVENT_TYPE_URI_HOMME,
   CALENDLY_EVENT_TYPE_URI_FEMME,
@@ -49,6 +56,7 @@ const {
   GOOGLE_CLIENT_ID,
   GOOGLE_CLIENT_SECRET,
   RAILWAY_API_TOKEN,
+  SCHEDULING_PROVIDER = "calendly", // "calendly" | "local" (calendrier JSON dans /data)
 } = process.env;
 
 // Variables auto-injectées par Railway
@@ -56,37 +64,91 @@ const RAILWAY_SERVICE_ID     = process.env.RAILWAY_SERVICE_ID;
 const RAILWAY_PROJECT_ID     = process.env.RAILWAY_PROJECT_ID;
 const RAILWAY_ENVIRONMENT_ID = process.env.RAILWAY_ENVIRONMENT_ID; // ex: c86295eb-3b4d-4d99-a4f8-4ee25b68d080
 
+// AGENT_NAME et SALON_* : valeurs de départ, remplacées par /data/settings.json (voir « Réglages du salon »)
 function envStr(key, fallback = "") {
   const v = process.env[key];
   if (!v || !v.trim()) return fallback;
   return v.trim().replace(/^["']|["']$/g, "");
 }
 
-const AGENT_NAME        = envStr("AGENT_NAME",        "Hélène");
-const SALON_NAME        = envStr("SALON_NAME",        "Salon Coco");
-const SALON_CITY        = envStr("SALON_CITY",        "Magog Beach");
-const SALON_ADDRESS     = envStr("SALON_ADDRESS",     "Adresse non configurée");
-const SALON_HOURS       = envStr("SALON_HOURS",       "Heures non configurées");
-const SALON_PRICE_LIST  = envStr("SALON_PRICE_LIST",  "Prix non configurés");
-const SALON_LOGO_URL    = envStr("SALON_LOGO_URL",    "");
-const SALON_PAYMENT     = envStr("SALON_PAYMENT",     "Nous acceptons comptant, débit et carte de crédit.");
-const SALON_PARKING     = envStr("SALON_PARKING",     "Stationnement disponible directement sur place.");
-const SALON_ACCESS      = envStr("SALON_ACCESS",      "Le salon est accessible aux personnes à mobilité réduite.");
+let   AGENT_NAME        = envStr("AGENT_NAME",        "Hélène");
+let   SALON_NAME        = envStr("SALON_NAME",        "Salon Coco");
+let   SALON_CITY        = envStr("SALON_CITY",        "Magog Beach");
+let   SALON_ADDRESS     = envStr("SALON_ADDRESS",     "Adresse non configurée");
+let   SALON_HOURS       = envStr("SALON_HOURS",       "Heures non configurées"); // ancien texte libre — tant que l'horaire (hours.json) n'est pas configuré
+let   SALON_PRICE_LIST  = envStr("SALON_PRICE_LIST",  "Prix non configurés");
+let   SALON_LOGO_URL    = envStr("SALON_LOGO_URL",    "");
+let   SALON_PAYMENT     = envStr("SALON_PAYMENT",     "Nous acceptons comptant, débit et carte de crédit.");
+let   SALON_PARKING     = envStr("SALON_PARKING",     "Stationnement disponible directement sur place.");
+let   SALON_ACCESS      = envStr("SALON_ACCESS",      "Le salon est accessible aux personnes à mobilité réduite.");
 
 const twilioClient = TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN
   ? twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN) : null;
 
-function base() { return (PUBLIC_BASE_URL || "").replace(/\/$/, ""); }
+// ─── Multi-salons ─────────────────────────────────────────────────────────────
+// Lancé par src/salons.js quand /data/salons.json existe : un processus par salon,
+// ses données dans SALON_DATA_DIR et ses URL publiques sous /salon/<id> (webhooks
+// Twilio, liens texto, pages admin). Sans routeur : un seul salon, rien ne change.
+const SALON_ID  = process.env.SALON_ID || null;
+const BASE_PATH = (process.env.SALON_BASE_PATH || "").replace(/\/$/, "");
+const SALONS    = (() => { try { return JSON.parse(process.env.SALONS_INDEX || "[]"); } catch { return []; } })(); // [{ id, nom, principal, dossier }]
+
+function base() { return (PUBLIC_BASE_URL || "").replace(/\/$/, "") + BASE_PATH; }
 function wsBase() { return base().replace(/^https/, "wss").replace(/^http/, "ws"); }
 
 // ─── Stores ───────────────────────────────────────────────────────────────────
 const sessions = new Map(); // twilioCallSid → session
 const pending  = new Map(); // token → { expiresAt, payload }
+
+// ─── Réservations temporaires (holds) ─────────────────────────────────────────
+// Pendant les 20 min où un nouveau client confirme son courriel, le créneau reste
+// ouvert dans Calendly. On le retient côté serveur pour que les autres appelants
+// ne se le fassent pas proposer. Même chose pendant l'heure d'une offre de la liste
+// d'attente. Clé = token du lien /confirm-email.
+const holds = new Map(); // token → { iso, uri, coiffeuse, expiresAt }
+
+function sameInstant(a, b) {
+  return new Date(a).getTime() === new Date(b).getTime();
+}
+
+function placeHold(token, { iso, uri, coiffeuse = null, expiresAt }) {
+  holds.set(token, { iso, uri, coiffeuse, expiresAt });
+  console.log(`[HOLD] 🔒 ${iso}${coiffeuse ? " (" + coiffeuse + ")" : ""} retenu jusqu'à ${new Date(expiresAt).toISOString()}`);
+}
+
+// Libère le hold du token, ainsi que ceux d'une réservation de groupe ("token#0", "token#1", ...)
+function releaseHold(token, reason = "") {
+  for (const key of [...holds.keys()]) {
+    if (key !== token && !key.startsWith(token + "#")) continue;
+    const h = holds.get(key);
+    holds.delete(key);
+    console.log(`[HOLD] 🔓 ${h.iso} libéré${reason ? " — " + reason : ""}`);
+  }
+}
+
+// Un créneau est retenu si même heure ET même coiffeuse (ou même event type si coiffeuse inconnue)
+function findHold(iso, coiffeuse = null, uri = null, exceptToken = null) {
+  const now = Date.now();
+  for (const [token, h] of holds) {
+    if (token === exceptToken || h.expiresAt < now) continue;
+    if (!sameInstant(h.iso, iso)) continue;
+    if (h.coiffeuse && coiffeuse ? h.coiffeuse === coiffeuse : h.uri === uri) return { token, ...h };
+  }
+  return null;
+}
+
+function sweepHolds() {
+  const now = Date.now();
+  for (const [token, h] of holds) {
+    if (h.expiresAt < now) releaseHold(token, "expiré");
+  }
+}
+setInterval(sweepHolds, 60_000).unref();
 // ─── Persistance logs JSON ────────────────────────────────────────────────────
 // Railway Volume monté sur /data — persiste entre redémarrages
 // Sur Railway : Settings → Add Volume → Mount Path: /data
 // En local : fichier dans le répertoire courant
-const LOGS_DIR  = fs.existsSync("/data") ? "/data" : ".";
+const LOGS_DIR  = process.env.SALON_DATA_DIR || (fs.existsSync("/data") ? "/data" : ".");
 const LOGS_FILE = path.join(LOGS_DIR, "call_logs.json");
 const FAQ_FILE  = path.join(LOGS_DIR, "faq.json");
 
@@ -105,54 +167,623 @@ function saveFaq() {
   catch(e) { console.error("[FAQ] ❌ Erreur sauvegarde:", e.message); }
 }
 loadFaq();
-const MAX_LOGS  = 500;
 
-const callLogs = new Map(); // twilioCallSid → callLog
+// ─── Réglages du salon ────────────────────────────────────────────────────────
+// AGENT_NAME et SALON_* : les variables Railway donnent les valeurs de départ,
+// /data/settings.json les remplace. Modifiés depuis /admin/config?tab=salon et appliqués
+// au prochain appel (systemPrompt relit ces variables) — sans redéploiement ni appel coupé.
+// Chaque sauvegarde ajoute à l'historique qui a changé quoi (avant → après).
+const SETTINGS_FILE           = path.join(LOGS_DIR, "settings.json");
+const SETTINGS_HISTORIQUE_MAX = 200;
+const SALON_SETTINGS = [
+  { key: "AGENT_NAME",       label: "Nom de l'agent vocal", requis: true, max: 40   },
+  { key: "SALON_NAME",       label: "Nom du salon",         requis: true, max: 80   },
+  { key: "SALON_CITY",       label: "Ville",                requis: true, max: 80   },
+  { key: "SALON_ADDRESS",    label: "Adresse",              requis: true, max: 200  },
+  { key: "SALON_HOURS",      label: "Heures (texte libre, tant que l'horaire n'est pas configuré)", multi: true, max: 2000 },
+  { key: "SALON_PRICE_LIST", label: "Liste de prix",        multi: true,  max: 4000 },
+  { key: "SALON_PAYMENT",    label: "Modes de paiement",    multi: true,  max: 1000 },
+  { key: "SALON_PARKING",    label: "Stationnement",        multi: true,  max: 1000 },
+  { key: "SALON_ACCESS",     label: "Accessibilité",        multi: true,  max: 1000 },
+  { key: "SALON_LOGO_URL",   label: "URL du logo",          url: true,    max: 500  },
+];
+const RAILWAY_EXPORT = !!(RAILWAY_API_TOKEN && RAILWAY_PROJECT_ID && RAILWAY_ENVIRONMENT_ID && RAILWAY_SERVICE_ID);
 
-// Charger les logs existants au démarrage
-function loadLogsFromDisk() {
+function salonSettingValues() {
+  return { AGENT_NAME, SALON_NAME, SALON_CITY, SALON_ADDRESS, SALON_HOURS, SALON_PRICE_LIST, SALON_PAYMENT, SALON_PARKING, SALON_ACCESS, SALON_LOGO_URL };
+}
+const SALON_ENV = salonSettingValues(); // valeurs Railway (ou défaut) au démarrage
+
+let salonSettings = { valeurs: {}, historique: [] }; // historique : [{ at, user, changements: { KEY: { avant, apres } } }]
+
+function applySalonSettings() {
+  ({ AGENT_NAME, SALON_NAME, SALON_CITY, SALON_ADDRESS, SALON_HOURS, SALON_PRICE_LIST,
+     SALON_PAYMENT, SALON_PARKING, SALON_ACCESS, SALON_LOGO_URL } = { ...SALON_ENV, ...salonSettings.valeurs });
+}
+function loadSalonSettings() {
   try {
-    if (fs.existsSync(LOGS_FILE)) {
-      const data = JSON.parse(fs.readFileSync(LOGS_FILE, "utf8"));
-      let fixed = 0, dropped = 0;
-      for (const log of data) {
-        if (log.result === "en cours") {
-          // Un échange réel = au moins 1 message client OU plus de 1 event
-          const hasRealExchange = (log.resumeClient?.length > 0) || (log.events?.length > 1);
-          if (hasRealExchange) {
-            // Garder mais fermer proprement
-            log.result  = "fin normale";
-            log.endedAt = log.endedAt || log.startedAt || new Date().toISOString();
-            fixed++;
-            callLogs.set(log.sid, log);
-          } else {
-            // Appel fantôme sans échange → supprimer
-            dropped++;
-          }
+    if (fs.existsSync(SETTINGS_FILE)) {
+      salonSettings = { ...salonSettings, ...JSON.parse(fs.readFileSync(SETTINGS_FILE, "utf8")) };
+      console.log(`[SETTINGS] ✅ ${Object.keys(salonSettings.valeurs).length} réglage(s) chargé(s)`);
+    }
+  } catch(e) { console.warn("[SETTINGS] ⚠️ Erreur chargement:", e.message); }
+  applySalonSettings();
+}
+function saveSalonSettings() {
+  try { fs.writeFileSync(SETTINGS_FILE, JSON.stringify(salonSettings, null, 2), "utf8"); }
+  catch(e) { console.error("[SETTINGS] ❌ Erreur sauvegarde:", e.message); }
+}
+loadSalonSettings();
+
+// Valide les valeurs reçues de /admin/config → { valeurs } | { error }
+function validateSalonSettings(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) return { error: "Réglages manquants." };
+  const valeurs = {};
+  for (const [key, brut] of Object.entries(input)) {
+    const def = SALON_SETTINGS.find(s => s.key === key);
+    if (!def) return { error: `Réglage inconnu : ${key}.` };
+    // Texte brut : sans caractères de contrôle, retours de ligne seulement en multiligne
+    const v = String(brut ?? "").replace(/\r\n?/g, "\n").replace(/[\u0000-\u0009\u000b-\u001f\u007f]/g, "").trim();
+    if (def.requis && !v) return { error: `${def.label} : requis.` };
+    if (!def.multi && v.includes("\n")) return { error: `${def.label} : une seule ligne.` };
+    if (v.length > def.max) return { error: `${def.label} : ${def.max} caractères maximum.` };
+    if (def.url && v && !/^https?:\/\/\S+$/.test(v)) return { error: `${def.label} : adresse http(s) invalide.` };
+    valeurs[key] = v;
+  }
+  return { valeurs };
+}
+
+// Enregistre les valeurs modifiées → { KEY: { avant, apres } } (vide si rien n'a changé)
+function updateSalonSettings(valeurs, user) {
+  const actuelles = salonSettingValues();
+  const changements = {};
+  for (const [key, v] of Object.entries(valeurs)) {
+    if (v !== actuelles[key]) changements[key] = { avant: actuelles[key], apres: v };
+  }
+  if (!Object.keys(changements).length) return changements;
+  for (const [key, { apres }] of Object.entries(changements)) salonSettings.valeurs[key] = apres;
+  salonSettings.historique.push({ at: new Date().toISOString(), user: user ? (user.email || user.nom) : null, changements });
+  salonSettings.historique = salonSettings.historique.slice(-SETTINGS_HISTORIQUE_MAX);
+  saveSalonSettings();
+  applySalonSettings();
+  console.log(`[SETTINGS] ✅ Modifié : ${Object.keys(changements).join(", ")} — appliqué au prochain appel`);
+  return changements;
+}
+
+function salonSettingsState() {
+  return {
+    ok: true,
+    valeurs: salonSettingValues(),
+    sources: Object.fromEntries(SALON_SETTINGS.map(s => [s.key, s.key in salonSettings.valeurs ? "settings.json" : "railway"])),
+    historique: salonSettings.historique.slice(-50).reverse(),
+    railwayExport: RAILWAY_EXPORT,
+  };
+}
+
+// Export optionnel vers les variables Railway, sans redéploiement (settings.json fait foi)
+async function exportSettingsToRailway(valeurs) {
+  const r = await fetch("https://backboard.railway.app/graphql/v2", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${RAILWAY_API_TOKEN}` },
+    body: JSON.stringify({
+      query: "mutation($input: VariableCollectionUpsertInput!) { variableCollectionUpsert(input: $input) }",
+      variables: { input: { projectId: RAILWAY_PROJECT_ID, environmentId: RAILWAY_ENVIRONMENT_ID, serviceId: RAILWAY_SERVICE_ID, variables: valeurs, skipDeploys: true } },
+    }),
+  });
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok || j.errors?.length) throw new Error(j.errors?.[0]?.message || `Railway HTTP ${r.status}`);
+}
+
+// ─── Catalogue des services ───────────────────────────────────────────────────
+// Source unique des services : enums des outils, section SERVICES du prompt,
+// correspondance des event types Calendly (mots-clés) et durées du calendrier local.
+// Éditable depuis /admin/config?tab=services — persisté dans /data/services.json.
+//   key         identifiant passé aux outils (a-z, 0-9, _)
+//   label       libellé dit au client / texto
+//   prompt      précision pour l'agent dans la liste SERVICES (optionnel)
+//   keywords    mots cherchés dans le nom des event types Calendly
+//   duration    minutes (si l'event type n'en fournit pas)
+//   price       prix annoncé (optionnel)
+//   eventTypeUri event type par défaut (Round Robin / repli)
+//   staff       { "Prénom": uri } — force l'event type d'une coiffeuse
+const SERVICES_FILE = path.join(LOGS_DIR, "services.json");
+const SERVICES_DEFAULT = [
+  { key: "homme",            label: "coupe homme",                              prompt: "",                                          keywords: ["homme"],                                              duration: 30,  price: "", eventTypeUri: CALENDLY_EVENT_TYPE_URI_HOMME || "",            staff: {} },
+  { key: "femme",            label: "coupe femme",                              prompt: "",                                          keywords: ["femme"],                                              duration: 45,  price: "", eventTypeUri: CALENDLY_EVENT_TYPE_URI_FEMME || "",            staff: {} },
+  { key: "femme_coloration", label: "coupe femme + coloration",                 prompt: "",                                          keywords: ["coloration"],                                         duration: 120, price: "", eventTypeUri: CALENDLY_EVENT_TYPE_URI_FEMME_COLOR || "",      staff: {} },
+  { key: "femme_plis",       label: "coupe femme + mise en plis",               prompt: "",                                          keywords: ["mise en plis", "plis"],                               duration: 75,  price: "", eventTypeUri: CALENDLY_EVENT_TYPE_URI_FEMME_PLIS || "",       staff: {} },
+  { key: "femme_color_plis", label: "coupe femme + coloration & mise en plis",  prompt: "",                                          keywords: ["coloration & mise", "color & plis", "coloration et mise"], duration: 150, price: "", eventTypeUri: CALENDLY_EVENT_TYPE_URI_FEMME_COLOR_PLIS || "", staff: {} },
+  { key: "enfant",           label: "coupe enfant",                             prompt: "garçon ou fille",                           keywords: ["enfant"],                                             duration: 30,  price: "", eventTypeUri: CALENDLY_EVENT_TYPE_URI_ENFANT || "",           staff: {} },
+  { key: "autre",            label: "coupe autre",                              prompt: "non binaire, queer, trans, etc.",           keywords: ["autre", "lgbtq", "non binaire", "nonbinaire"],         duration: 60,  price: "le prix varie selon la complexité — évalué avec la coiffeuse lors du RDV", eventTypeUri: CALENDLY_EVENT_TYPE_URI_AUTRE || "", staff: {} },
+];
+
+let serviceCatalog = [];
+// Tableau partagé par tous les enums "service" de TOOLS — mis à jour sur place
+const SERVICE_ENUM = [];
+
+function loadServices() {
+  try {
+    if (fs.existsSync(SERVICES_FILE)) {
+      serviceCatalog = JSON.parse(fs.readFileSync(SERVICES_FILE, "utf8"));
+      console.log(`[SERVICES] ✅ ${serviceCatalog.length} service(s) chargé(s)`);
+    } else {
+      serviceCatalog = structuredClone(SERVICES_DEFAULT);
+    }
+  } catch(e) {
+    console.warn("[SERVICES] ⚠️ Erreur chargement:", e.message);
+    serviceCatalog = structuredClone(SERVICES_DEFAULT);
+  }
+  SERVICE_ENUM.splice(0, SERVICE_ENUM.length, ...serviceCatalog.map(s => s.key));
+}
+function saveServices() {
+  try { fs.writeFileSync(SERVICES_FILE, JSON.stringify(serviceCatalog, null, 2), "utf8"); }
+  catch(e) { console.error("[SERVICES] ❌ Erreur sauvegarde:", e.message); }
+  SERVICE_ENUM.splice(0, SERVICE_ENUM.length, ...serviceCatalog.map(s => s.key));
+}
+loadServices();
+
+function getService(key) { return serviceCatalog.find(s => s.key === key) || null; }
+function serviceDuration(key) { return getService(key)?.duration || 45; } // minutes
+
+// Valide une entrée du catalogue reçue de /admin/config → { service } | { error }
+function validateService(input, exceptKey = null) {
+  const key = String(input.key || "").trim().toLowerCase();
+  if (!/^[a-z0-9_]+$/.test(key)) return { error: "Clé invalide (a-z, 0-9, _ seulement)." };
+  if (key !== exceptKey && getService(key)) return { error: `Le service "${key}" existe déjà.` };
+  const label = String(input.label || "").trim();
+  if (!label) return { error: "Libellé requis." };
+  const keywords = (Array.isArray(input.keywords) ? input.keywords : String(input.keywords || "").split(","))
+    .map(k => String(k).trim().toLowerCase()).filter(Boolean);
+  if (!keywords.length) return { error: "Au moins un mot-clé requis." };
+  const duration = parseInt(input.duration);
+  if (!(duration > 0 && duration <= 600)) return { error: "Durée invalide (1 à 600 minutes)." };
+  const staff = {};
+  for (const [nom, uri] of Object.entries(input.staff || {})) {
+    if (nom.trim() && String(uri).trim()) staff[nom.trim()] = String(uri).trim();
+  }
+  return { service: {
+    key, label, keywords, duration, staff,
+    prompt:       String(input.prompt || "").trim(),
+    price:        String(input.price || "").trim(),
+    eventTypeUri: String(input.eventTypeUri || "").trim(),
+  } };
+}
+
+// ─── Persistance des liens /confirm-email ─────────────────────────────────────
+// Les tokens en attente survivent aux redéploiements Railway (sinon le lien texté
+// au nouveau client devient invalide). Rechargés au démarrage, purgés à expiration.
+const PENDING_FILE = path.join(LOGS_DIR, "pending_tokens.json");
+
+function savePending() {
+  try {
+    const arr = [...pending.entries()].map(([token, entry]) => ({ token, ...entry }));
+    fs.writeFileSync(PENDING_FILE, JSON.stringify(arr, null, 2), "utf8");
+  } catch(e) { console.error("[PENDING] ❌ Erreur sauvegarde:", e.message); }
+}
+
+function loadPending() {
+  try {
+    if (!fs.existsSync(PENDING_FILE)) return;
+    const data = JSON.parse(fs.readFileSync(PENDING_FILE, "utf8"));
+    let restored = 0;
+    for (const { token, expiresAt, payload } of data) {
+      if (!token || !payload) continue;
+      pending.set(token, { expiresAt, payload });
+      if (expiresAt > Date.now()) {
+        if (payload.group) {
+          payload.group.forEach((g, i) => placeHold(`${token}#${i}`, { iso: g.startTimeIso, uri: g.eventTypeUri, coiffeuse: g.coiffeuse || null, expiresAt }));
         } else {
-          callLogs.set(log.sid, log);
+          placeHold(token, { iso: payload.startTimeIso, uri: payload.eventTypeUri, coiffeuse: payload.coiffeuse || null, expiresAt });
         }
+        restored++;
+      }
+    }
+    console.log(`[PENDING] ✅ ${restored} lien(s) courriel actif(s) rechargé(s)`);
+    sweepPending(); // les tokens expirés pendant l'arrêt sont comptés tout de suite
+  } catch(e) { console.warn("[PENDING] ⚠️ Erreur chargement:", e.message); }
+}
+
+// Trace l'issue du lien courriel sur le log d'appel d'origine (suivi du décrochage)
+function markEmailStep(callSid, status, msg) {
+  const log = callSid ? callLogs.get(callSid) : null;
+  if (!log) return;
+  log.emailConfirmation = status;
+  log.events.push({ ts: new Date().toISOString(), type: status === "confirmé" ? "booking" : "warn", msg });
+  saveLogsToDisk();
+}
+
+function consumePending(token) {
+  const entry = pending.get(token);
+  if (!entry) return;
+  pending.delete(token);
+  savePending();
+  markEmailStep(entry.payload.callSid, "confirmé", "Courriel confirmé — RDV créé");
+}
+
+function sweepPending() {
+  const now = Date.now();
+  let expired = 0;
+  for (const [token, entry] of pending) {
+    if (entry.expiresAt >= now) continue;
+    pending.delete(token);
+    releaseHold(token, "expiré");
+    markEmailStep(entry.payload.callSid, "expiré", "Lien courriel expiré sans confirmation");
+    expired++;
+  }
+  if (expired > 0) {
+    console.log(`[PENDING] 🗑 ${expired} lien(s) courriel expiré(s)`);
+    savePending();
+  }
+}
+setInterval(sweepPending, 60_000).unref();
+
+// ─── Journal des appels ───────────────────────────────────────────────────────
+// /data/calls/calls-AAAA-MM.jsonl : un segment par mois (début de l'appel), une ligne
+// JSON par version d'un log — on ajoute, on ne réécrit pas. La dernière ligne d'un sid
+// fait foi; { sid, supprime: true } retire un appel. Rétention illimitée.
+// L'index en mémoire (sid → segment, position, résumé) sert les filtres et la pagination
+// sans relire les fichiers : seuls les logs de la page demandée sont lus sur disque.
+// callLogs garde les MAX_LOGS plus récents en mémoire — ceux que les appels en cours, les
+// liens courriel et la messagerie modifient encore. Au démarrage, les segments surtout
+// faits de versions périmées sont compactés, et l'ancien call_logs.json est migré une
+// fois (puis renommé call_logs.json.migre).
+const CALLS_DIR       = path.join(LOGS_DIR, "calls");
+const MAX_LOGS        = 500;     // en mémoire — le journal, lui, garde tout
+const LECTURE_BLOC    = 1 << 20; // lecture des segments par blocs de 1 Mo
+const COMPACTER_MIN   = 256 * 1024;
+const CLIENT_TYPES    = ["existant", "nouveau", "inconnu"];
+
+const callLogs = new Map(); // twilioCallSid → callLog
+const journalAppels = ouvrirJournal(LOGS_DIR);
+const journauxSalons = new Map(); // dossier d'un autre salon → journal (lecture seule, vue combinée)
+const empreintes = new Map(); // sid → empreinte de la dernière version ajoutée au journal
+
+function ouvrirJournal(dossier) {
+  return { dir: path.join(dossier, path.basename(CALLS_DIR)), index: new Map(), tailles: new Map(), lignes: new Map() };
+}
+
+function segmentDe(startedAt) {
+  return `calls-${String(startedAt || new Date().toISOString()).slice(0, 7)}.jsonl`;
+}
+
+const empreinte = json => crypto.createHash("sha1").update(json).digest("base64");
+
+// Étapes du parcours d'un appel vers la réservation — la dernière atteinte est celle où
+// l'appel s'est arrêté (analytique, entonnoir)
+const ETAPES_APPEL = [
+  { id: "accueil",     label: "Accueil" },
+  { id: "demande",     label: "Besoin exprimé" },
+  { id: "creneaux",    label: "Créneaux proposés" },
+  { id: "coordonnees", label: "Coordonnées données" },
+  { id: "reservation", label: "Réservé" },
+];
+
+function etapeAppel(log) {
+  if (String(log.result).startsWith("réservation")) return "reservation";
+  const events = log.events || [];
+  if (log.slot || events.some(e => e.type === "booking" && /^(Envoi confirmation|Réservation)/.test(e.msg || ""))) return "coordonnees";
+  if (events.some(e => e.type === "tool" && /^(Recherche créneaux|Proposition série)/.test(e.msg || ""))) return "creneaux";
+  if (log.demandes?.length || log.service) return "demande";
+  return "accueil";
+}
+
+// Raison du transfert à l'équipe (null si pas de transfert) — log.transfert, ou l'événement
+// « Transfert … demandé — raison » des logs antérieurs
+function raisonTransfert(log) {
+  if (log.transfert) return log.transfert.raison || "non précisée";
+  const ev = (log.events || []).find(e => /^Transfert (agent )?demandé/.test(e.msg || ""));
+  if (!ev) return null;
+  return ev.msg.match(/ — (\S+)$/)?.[1] || (log.result === "erreur" ? "erreur" : "non précisée");
+}
+
+// Résumé indexé d'un log : ce que les filtres et les statistiques lisent sans ouvrir le fichier
+function resumeLog(log) {
+  return {
+    sid:               log.sid,
+    startedAt:         log.startedAt,
+    endedAt:           log.endedAt || null,
+    result:            log.result,
+    canal:             log.canal || "voix",
+    langue:            log.langue || "fr",
+    service:           log.service || null,
+    coiffeuse:         log.coiffeuse || null,
+    clientType:        log.clientType || null,
+    clientNom:         log.clientNom || null,
+    callerNumber:      log.callerNumber || null,
+    emailConfirmation: log.emailConfirmation || null,
+    transfert:         raisonTransfert(log),
+    etape:             etapeAppel(log),
+  };
+}
+
+function indexerLigne(journal, seg, pos, buf) {
+  if (!buf.length) return;
+  let log;
+  try { log = JSON.parse(buf.toString("utf8")); } catch { return; }
+  if (!log?.sid) return;
+  journal.lignes.set(seg, (journal.lignes.get(seg) || 0) + 1);
+  if (log.supprime) journal.index.delete(log.sid);
+  else journal.index.set(log.sid, { ...resumeLog(log), seg, pos, len: buf.length });
+}
+
+// Indexe les lignes ajoutées au segment depuis la dernière lecture
+function indexerSegment(journal, seg) {
+  const file = path.join(journal.dir, seg);
+  let taille;
+  try { taille = fs.statSync(file).size; } catch { return; }
+  let debut = journal.tailles.get(seg) || 0;
+  if (taille < debut) { // compacté (par son salon) → tout relire
+    for (const [sid, e] of journal.index) if (e.seg === seg) journal.index.delete(sid);
+    journal.lignes.set(seg, 0);
+    debut = 0;
+  }
+  if (taille === debut) return;
+  const fd = fs.openSync(file, "r");
+  try {
+    let reste = Buffer.alloc(0), pos = debut;
+    while (pos < taille) {
+      const buf = Buffer.alloc(Math.min(LECTURE_BLOC, taille - pos));
+      const n = fs.readSync(fd, buf, 0, buf.length, pos);
+      if (!n) break;
+      pos += n;
+      const bloc = Buffer.concat([reste, buf.subarray(0, n)]);
+      let depart = 0, i;
+      while ((i = bloc.indexOf(0x0a, depart)) !== -1) {
+        indexerLigne(journal, seg, debut + depart, bloc.subarray(depart, i));
+        depart = i + 1;
       }
-      console.log(`[LOGS] ✅ ${data.length} appels chargés — ${fixed} fermés, ${dropped} fantômes supprimés`);
-      if (fixed > 0 || dropped > 0) saveLogsToDisk();
+      debut += depart;
+      reste = bloc.subarray(depart);
     }
+    journal.tailles.set(seg, debut); // une ligne incomplète (écriture en cours) sera relue
+  } finally { fs.closeSync(fd); }
+}
+
+function rafraichirJournal(journal) {
+  let segs = [];
+  try { segs = fs.readdirSync(journal.dir).filter(f => /^calls-\d{4}-\d{2}\.jsonl$/.test(f)).sort(); }
+  catch(e) { if (e.code !== "ENOENT") console.warn(`[LOGS] ⚠️ Journal ${journal.dir} illisible: ${e.message}`); }
+  for (const seg of journal.tailles.keys()) {
+    if (segs.includes(seg)) continue;
+    for (const [sid, e] of journal.index) if (e.seg === seg) journal.index.delete(sid);
+    journal.tailles.delete(seg);
+    journal.lignes.delete(seg);
+  }
+  for (const seg of segs) indexerSegment(journal, seg);
+  return journal;
+}
+
+function lireLogJournal(journal, entree) {
+  try {
+    const fd = fs.openSync(path.join(journal.dir, entree.seg), "r");
+    try {
+      const buf = Buffer.alloc(entree.len);
+      fs.readSync(fd, buf, 0, entree.len, entree.pos);
+      return JSON.parse(buf.toString("utf8"));
+    } finally { fs.closeSync(fd); }
   } catch(e) {
-    console.error("[LOGS] ❌ Erreur chargement:", e.message);
+    console.warn(`[LOGS] ⚠️ Log ${entree.sid} illisible: ${e.message}`);
+    return null;
   }
 }
 
-// Sauvegarder sur disque — trié du plus récent au plus ancien
+function ecrireLigne(seg, json) {
+  fs.mkdirSync(CALLS_DIR, { recursive: true });
+  indexerSegment(journalAppels, seg); // position de fin exacte, même avant le chargement
+  const pos = journalAppels.tailles.get(seg) || 0;
+  const buf = Buffer.from(json + "\n", "utf8");
+  fs.appendFileSync(path.join(CALLS_DIR, seg), buf);
+  indexerLigne(journalAppels, seg, pos, buf.subarray(0, buf.length - 1));
+  journalAppels.tailles.set(seg, pos + buf.length);
+}
+
+// Ajoute au journal les logs en mémoire modifiés depuis leur dernière écriture
 function saveLogsToDisk() {
   try {
-    const arr = [...callLogs.values()]
-      .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
-      .slice(0, MAX_LOGS);
-    fs.writeFileSync(LOGS_FILE, JSON.stringify(arr, null, 2), "utf8");
+    for (const log of callLogs.values()) {
+      const json = JSON.stringify(log);
+      const e = empreinte(json);
+      if (empreintes.get(log.sid) === e) continue;
+      ecrireLigne(segmentDe(log.startedAt), json);
+      empreintes.set(log.sid, e);
+    }
   } catch(e) {
     console.error("[LOGS] ❌ Erreur sauvegarde:", e.message);
   }
 }
 
+function retirerDuJournal(sid) {
+  const e = journalAppels.index.get(sid);
+  empreintes.delete(sid);
+  if (!e) return;
+  try { ecrireLigne(e.seg, JSON.stringify({ sid, supprime: true, at: new Date().toISOString() })); }
+  catch(err) { console.error("[LOGS] ❌ Erreur suppression:", err.message); }
+}
+
+// Efface tout le journal (admin)
+function viderJournal() {
+  callLogs.clear();
+  empreintes.clear();
+  fs.rmSync(CALLS_DIR, { recursive: true, force: true });
+  rafraichirJournal(journalAppels);
+}
+
+// Réécrit un segment avec la seule dernière version de chaque appel (fichier temporaire puis rename)
+function compacterSegment(seg) {
+  const entrees = [...journalAppels.index.values()].filter(e => e.seg === seg).sort((a, b) => a.pos - b.pos);
+  const file = path.join(CALLS_DIR, seg), tmp = `${file}.tmp`;
+  const fd = fs.openSync(file, "r"), out = fs.openSync(tmp, "w");
+  try {
+    for (const e of entrees) {
+      const buf = Buffer.alloc(e.len + 1);
+      fs.readSync(fd, buf, 0, e.len, e.pos);
+      buf[e.len] = 0x0a;
+      fs.writeSync(out, buf);
+    }
+  } finally { fs.closeSync(fd); fs.closeSync(out); }
+  const avant = journalAppels.tailles.get(seg) || 0;
+  fs.renameSync(tmp, file);
+  journalAppels.tailles.set(seg, Infinity); // forcer la relecture complète
+  indexerSegment(journalAppels, seg);
+  console.log(`[LOGS] ✅ ${seg} compacté — ${Math.round(avant / 1024)} → ${Math.round((journalAppels.tailles.get(seg) || 0) / 1024)} Ko`);
+}
+
+// Migration unique : ancien call_logs.json (500 derniers appels) → journal
+function migrerAncienFichier() {
+  if (!fs.existsSync(LOGS_FILE)) return;
+  const data = JSON.parse(fs.readFileSync(LOGS_FILE, "utf8"));
+  let n = 0;
+  for (const log of [...data].sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt))) {
+    if (!log?.sid || journalAppels.index.has(log.sid)) continue; // migration interrompue : déjà fait
+    ecrireLigne(segmentDe(log.startedAt), JSON.stringify(log));
+    n++;
+  }
+  fs.renameSync(LOGS_FILE, `${LOGS_FILE}.migre`);
+  console.log(`[LOGS] ✅ Migration — ${n} appel(s) de ${path.basename(LOGS_FILE)} vers le journal (ancien fichier : ${path.basename(LOGS_FILE)}.migre)`);
+}
+
+// Charger le journal au démarrage
+function loadLogsFromDisk() {
+  try {
+    rafraichirJournal(journalAppels);
+    // Ligne incomplète en fin de segment (arrêt pendant une écriture) → retirée avant d'ajouter
+    for (const [seg, taille] of journalAppels.tailles) {
+      const file = path.join(CALLS_DIR, seg);
+      if (fs.statSync(file).size > taille) {
+        fs.truncateSync(file, taille);
+        console.warn(`[LOGS] ⚠️ ${seg} : ligne incomplète retirée`);
+      }
+    }
+    migrerAncienFichier();
+    // Appels restés "en cours" (redémarrage pendant l'appel)
+    let fixed = 0, dropped = 0;
+    for (const e of [...journalAppels.index.values()].filter(x => x.result === "en cours")) {
+      const log = lireLogJournal(journalAppels, e);
+      if (!log) continue;
+      // Un échange réel = au moins 1 message client OU plus de 1 event
+      const hasRealExchange = (log.resumeClient?.length > 0) || (log.events?.length > 1);
+      if (hasRealExchange) {
+        // Garder mais fermer proprement
+        log.result  = "fin normale";
+        log.endedAt = log.endedAt || log.startedAt || new Date().toISOString();
+        ecrireLigne(e.seg, JSON.stringify(log));
+        fixed++;
+      } else {
+        // Appel fantôme sans échange → supprimer
+        retirerDuJournal(e.sid);
+        dropped++;
+      }
+    }
+    for (const [seg, taille] of journalAppels.tailles) {
+      const actifs = [...journalAppels.index.values()].filter(e => e.seg === seg).length;
+      if (taille >= COMPACTER_MIN && (journalAppels.lignes.get(seg) || 0) > 2 * actifs) compacterSegment(seg);
+    }
+    // Les plus récents en mémoire, dans l'ordre d'arrivée
+    const recents = [...journalAppels.index.values()]
+      .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt))).slice(0, MAX_LOGS).reverse();
+    for (const e of recents) {
+      const log = lireLogJournal(journalAppels, e);
+      if (!log) continue;
+      callLogs.set(log.sid, log);
+      empreintes.set(log.sid, empreinte(JSON.stringify(log)));
+    }
+    console.log(`[LOGS] ✅ ${journalAppels.index.size} appels au journal (${callLogs.size} en mémoire) — ${fixed} fermés, ${dropped} fantômes supprimés`);
+  } catch(e) {
+    console.error("[LOGS] ❌ Erreur chargement:", e.message);
+  }
+}
+
+// Filtres de requête (query string ou objet) → { filtres } | { error }
+//   du, au       jour local AAAA-MM-JJ (inclus) ou instant ISO
+//   result       un ou plusieurs résultats séparés par des virgules ("réservation" inclut
+//                "réservation (lien courriel)")
+//   service, coiffeuse, clientType (existant | nouveau | inconnu), canal (voix | sms | web | sortant)
+function validateCallFilters(q = {}) {
+  const filtres = {};
+  const borne = (v, fin) => {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(v)) {
+      const jour = parseLocalDate(v);
+      if (!jour || localYmd(jour) !== v) return NaN; // 2026-13-45 ne doit pas devenir un autre jour
+      return fin ? parseLocalDate(addLocalDays(v, 1)).getTime() : jour.getTime();
+    }
+    return new Date(v).getTime() + (fin ? 1 : 0);
+  };
+  for (const [cle, fin] of [["du", false], ["au", true]]) {
+    if (!q[cle]) continue;
+    const t = borne(String(q[cle]), fin);
+    if (isNaN(t)) return { error: `Date invalide (${cle}) : AAAA-MM-JJ ou ISO.` };
+    filtres[cle] = t;
+  }
+  if (q.result) filtres.result = String(q.result).split(",").map(s => s.trim()).filter(Boolean);
+  if (q.service) filtres.service = String(q.service).trim();
+  if (q.coiffeuse) filtres.coiffeuse = String(q.coiffeuse).trim().toLowerCase();
+  if (q.clientType) {
+    if (!CLIENT_TYPES.includes(q.clientType)) return { error: `clientType : ${CLIENT_TYPES.join(", ")}.` };
+    filtres.clientType = q.clientType;
+  }
+  if (q.canal) filtres.canal = String(q.canal).trim();
+  return { filtres };
+}
+
+function correspond(e, f) {
+  const t = new Date(e.startedAt).getTime();
+  if (f.du !== undefined && !(t >= f.du)) return false;
+  if (f.au !== undefined && !(t < f.au)) return false;
+  if (f.result && !f.result.some(r => e.result === r || String(e.result).startsWith(r + " "))) return false;
+  if (f.service && e.service !== f.service) return false;
+  if (f.coiffeuse && String(e.coiffeuse || "").toLowerCase() !== f.coiffeuse) return false;
+  if (f.clientType && (e.clientType || "inconnu") !== f.clientType) return false;
+  if (f.canal && e.canal !== f.canal) return false;
+  return true;
+}
+
+// Journaux interrogés : ce salon, ou tous les salons (vue combinée — les autres sont lus
+// en lecture seule dans leur dossier, chaque processus reste seul à écrire le sien)
+function journauxInterroges(tous = false) {
+  if (!tous || SALONS.length < 2) return [{ journal: journalAppels, salon: null }];
+  return SALONS.map(s => {
+    if (s.id === SALON_ID) return { journal: journalAppels, salon: s };
+    if (!journauxSalons.has(s.dossier)) journauxSalons.set(s.dossier, ouvrirJournal(s.dossier));
+    return { journal: rafraichirJournal(journauxSalons.get(s.dossier)), salon: s };
+  });
+}
+
+// Résumés indexés correspondant aux filtres, du plus récent au plus ancien (sans lecture disque)
+function queryCallIndex(filtres = {}, { tous = false } = {}) {
+  const resumes = [];
+  for (const { journal, salon } of journauxInterroges(tous)) {
+    for (const e of journal.index.values()) {
+      if (correspond(e, filtres)) resumes.push(salon ? { ...e, salon: { id: salon.id, nom: salon.nom }, journal } : { ...e, journal });
+    }
+  }
+  return resumes.sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+}
+
+// Log complet d'un résumé de queryCallIndex (en mémoire si possible, sinon sur disque)
+function logDuResume(e) {
+  const log = (e.journal === journalAppels && callLogs.get(e.sid)) || lireLogJournal(e.journal, e);
+  return log && e.salon ? { ...log, salon: e.salon } : log;
+}
+
+// Une page de logs complets → { total, page, parPage, pages, items }
+function queryCallLogs(filtres = {}, { page = 1, parPage = 50, tous = false } = {}) {
+  return pageDeResumes(queryCallIndex(filtres, { tous }), { page, parPage });
+}
+
+function pageDeResumes(resumes, { page = 1, parPage = 50 } = {}) {
+  const pages = Math.max(1, Math.ceil(resumes.length / parPage));
+  page = Math.min(Math.max(1, page), pages);
+  const items = resumes.slice((page - 1) * parPage, page * parPage).map(logDuResume).filter(Boolean);
+  return { total: resumes.length, page, parPage, pages, items };
+}
+
+// Un log complet par sid (ce salon)
+function getCallLog(sid) {
+  if (callLogs.has(sid)) return callLogs.get(sid);
+  const e = journalAppels.index.get(sid);
+  return e ? lireLogJournal(journalAppels, e) : null;
+}
+
 function startCallLog(sid, callerNumber) {
   const log = {
     sid,
@@ -174,9 +805,13 @@ function startCallLog(sid, callerNumber) {
     serverLog: [],  // logs Railway bruts liés à cet appel
   };
   callLogs.set(sid, log);
-  // Garder max en mémoire
-  if (callLogs.size > MAX_LOGS) callLogs.delete(callLogs.keys().next().value);
   saveLogsToDisk();
+  // Garder max en mémoire (le plus ancien est déjà au journal)
+  if (callLogs.size > MAX_LOGS) {
+    const ancien = callLogs.keys().next().value;
+    callLogs.delete(ancien);
+    empreintes.delete(ancien);
+  }
   return log;
 }
 
@@ -203,7 +838,7 @@ function closeCallLog(sid, result) {
   const hasRealExchange = (log.resumeClient?.length > 0) || (log.events?.length > 1);
   if (!hasRealExchange && result === "fin normale") {
     callLogs.delete(sid);
-    saveLogsToDisk();
+    retirerDuJournal(sid);
     console.log(`[LOGS] 🗑 Appel fantôme supprimé (${sid})`);
     return;
   }
@@ -238,11 +873,12 @@ function fmtPhone(e164 = "") {
 
 // Épeler un email lettre par lettre pour la lecture vocale
 // ex: "jab@hotmail.com" → "j-a-b arobase h-o-t-m-a-i-l point com"
-function spellEmail(email = "") {
+function spellEmail(email = "", langue = "fr") {
   if (!email) return "";
   const lower = email.toLowerCase();
   const atIdx = lower.indexOf("@");
   if (atIdx === -1) return lower.split("").join("-");
+  const en = langue === "en";
 
   const local  = lower.slice(0, atIdx);
   const domain = lower.slice(atIdx + 1);
@@ -264,55 +900,76 @@ function spellEmail(email = "") {
     "bell.net":      "bell point net",
   };
 
-  const SPECIAL = { ".": "point", "_": "tiret bas", "-": "tiret", "+": "plus" };
+  const SPECIAL = en
+    ? { ".": "dot", "_": "underscore", "-": "dash", "+": "plus" }
+    : { ".": "point", "_": "tiret bas", "-": "tiret", "+": "plus" };
   const spellPart = str => str.split("").map(c => SPECIAL[c] || c).join("-").replace(/--/g, "-");
 
-  const domainSpoken = domainMap[domain] || spellPart(domain);
-  return `${spellPart(local)} arobase ${domainSpoken}`;
-}
-
-function slotToFrench(iso) {
-  try {
-    const d = new Date(iso);
-    const datePart = d.toLocaleString("fr-CA", {
-      weekday: "long", day: "numeric", month: "long",
-      timeZone: CALENDLY_TIMEZONE,
-    });
-    // Ex: "mardi 3 mars" → "mardi le 3 mars"
-    const datePartFull = datePart.replace(/^(\w+) (\d+) (.+)$/, "$1 le $2 $3");
-    // Heure locale
-    const loc = new Date(d.toLocaleString("en-US", { timeZone: CALENDLY_TIMEZONE }));
-    const h = loc.getHours();
-    const m = loc.getMinutes();
-    // Minutes : 00 = omis, sinon en chiffres groupés (15, 30, 45, etc.)
-    const minStr = m === 0 ? "" : String(m).padStart(2, "0");
-    return `${datePartFull} à ${h}h${minStr}`;
-  } catch { return iso; }
+  const domainSpoken = domainMap[domain]
+    ? (en ? domainMap[domain].replace(/ point /g, " dot ").replace("vidéotron", "videotron") : domainMap[domain])
+    : spellPart(domain);
+  return `${spellPart(local)} ${en ? "at" : "arobase"} ${domainSpoken}`;
 }
 
 function serviceUri(s) {
-  const map = {
-    "homme":            CALENDLY_EVENT_TYPE_URI_HOMME,
-    "femme":            CALENDLY_EVENT_TYPE_URI_FEMME,
-    "femme_coloration": CALENDLY_EVENT_TYPE_URI_FEMME_COLOR,
-    "femme_plis":       CALENDLY_EVENT_TYPE_URI_FEMME_PLIS,
-    "femme_color_plis": CALENDLY_EVENT_TYPE_URI_FEMME_COLOR_PLIS,
-    "enfant":           CALENDLY_EVENT_TYPE_URI_ENFANT,
-    "autre":            CALENDLY_EVENT_TYPE_URI_AUTRE,
-  };
-  return map[s] || null;
+  return getService(s)?.eventTypeUri || null;
 }
 
 function serviceLabel(s) {
-  return {
-    homme:            "coupe homme",
-    femme:            "coupe femme",
-    femme_coloration: "coupe femme + coloration",
-    femme_plis:       "coupe femme + mise en plis",
-    femme_color_plis: "coupe femme + coloration & mise en plis",
-    enfant:           "coupe enfant",
-    autre:            "coupe autre",
-  }[s] || s;
+  return getService(s)?.label || s;
+}
+
+// ─── Langue (français / anglais) ──────────────────────────────────────────────
+// Le salon répond en français; un client anglophone est reconnu à sa première phrase
+// ou le demande (outil set_language). La langue suit ensuite la session : prompt,
+// transcription, dates, courriel épelé, textos et pages /confirm-email. Gardée dans
+// Google Contacts (SalonCoco-Langue) pour que le prochain appel parte dans la bonne langue.
+const LANGUES = ["fr", "en"];
+const MOTS_EN = new Set(["hi", "hello", "yes", "yeah", "the", "i", "i'd", "i'm", "i'll", "would", "like", "want", "need", "book", "appointment", "haircut", "please", "can", "could", "you", "my", "for", "is", "it", "speak", "english", "do", "have", "what", "time", "thanks", "thank", "how", "much", "tomorrow", "today", "next", "week", "with", "this", "that", "get", "cut", "hair", "are", "open"]);
+const MOTS_FR = new Set(["bonjour", "allo", "allô", "oui", "ouais", "je", "j'aimerais", "j'voudrais", "voudrais", "veux", "une", "le", "la", "les", "rendez-vous", "pour", "coupe", "est-ce", "merci", "avec", "demain", "semaine", "prochaine", "quoi", "combien", "c'est", "moi", "mon", "ma", "vous", "tu", "français", "parler", "prendre", "du", "des", "et", "pas", "ça", "bien", "heure", "salut"]);
+
+// Langue d'une phrase du client → "fr" | "en" | null (trop court ou ambigu : on attend la suivante)
+function detectLangue(texte = "") {
+  const t = texte.toLowerCase();
+  if (/\b(in english|speak english|english please)\b/.test(t)) return "en";
+  if (/\b(en français|parler français|français svp)\b/.test(t)) return "fr";
+  const mots = t.replace(/[’]/g, "'").split(/[^a-zà-ÿ'-]+/).filter(Boolean);
+  const en = mots.filter(m => MOTS_EN.has(m)).length;
+  const fr = mots.filter(m => MOTS_FR.has(m)).length;
+  if (en >= 2 && en > fr) return "en";
+  if (fr >= 1 && fr > en) return "fr";
+  return null;
+}
+
+// Transcription Realtime — langue inconnue : détection automatique (pas de "language")
+function transcriptionConfig(langue = null) {
+  const fr = "Conversation téléphonique en français québécois avec une réceptionniste de salon de coiffure. Vocabulaire fréquent : coupe homme, coupe femme, coloration, mise en plis, coiffeuse, rendez-vous, Calendly, cellulaire. Prénoms possibles : Ariane, Laurie, Sophie, Alexandre, Marie. Numéros de téléphone 10 chiffres format québécois ex: 514 894 5221. Mots typiques : 'c\'est beau', 'correct', 'ouais', 'tantôt', 'tout suite', 'la semaine passée', 'à matin'. Noms de villes : Magog, Sherbrooke, Québec. Le client peut épeler son numéro chiffre par chiffre.";
+  const en = "Phone conversation in English with a hair salon receptionist in Quebec. Common words: men's cut, women's cut, colour, blow-dry, hairdresser, appointment, cell phone. Phone numbers have 10 digits, e.g. 514 894 5221. Town names: Magog, Sherbrooke. The caller may spell their number digit by digit.";
+  if (langue === "en") return { model: "gpt-4o-mini-transcribe", language: "en", prompt: en };
+  if (langue === "fr") return { model: "gpt-4o-mini-transcribe", language: "fr", prompt: fr };
+  return { model: "gpt-4o-mini-transcribe", prompt: `${fr} Certains clients parlent anglais.` };
+}
+
+// Change la langue d'une session (appel ou conversation texte) — source : "détectée" | "demandée" | "dossier"
+function setSessionLangue(session, langue, source) {
+  if (!session || !LANGUES.includes(langue) || session.langue === langue) return false;
+  session.langue = langue;
+  const cl = callLogs.get(session.twilioCallSid);
+  if (cl) cl.langue = langue;
+  logEvent(session.twilioCallSid, "info", `🌐 Langue : ${langue === "en" ? "anglais" : "français"} (${source})`);
+  console.log(`[LANG] ${langue} (${source})`);
+  // Appel en cours : le prompt et la transcription suivent
+  if (session.openaiWs?.readyState === WebSocket.OPEN && !session.fillCampaignId) {
+    session.openaiWs.send(JSON.stringify({
+      type: "session.update",
+      session: { instructions: systemPrompt(session.callerNumber, "voix", langue), input_audio_transcription: transcriptionConfig(langue) },
+    }));
+  }
+  // Client au dossier → retenir pour la prochaine fois (nouveau client : à la réservation)
+  if (source !== "dossier" && session.prefetchedClient?.found && session.callerNumber) {
+    saveContactLangue(session.callerNumber, langue).catch(e => console.error("[LANG] ❌ Google:", e.message));
+  }
+  return true;
 }
 
 // ─── Calendly ─────────────────────────────────────────────────────────────────
@@ -321,7 +978,7 @@ const cHeaders = () => ({
   "Content-Type": "application/json",
 });
 
-async function getSlots(uri, startDate = null, endDate = null) {
+async function calendlyGetSlots(uri, startDate = null, endDate = null) {
   const start = startDate ? new Date(startDate) : new Date(Date.now() + 1 * 60 * 1000); // +1min seulement
   const end   = endDate   ? new Date(endDate)   : new Date(start.getTime() + 7 * 24 * 3600 * 1000);
 
@@ -357,15 +1014,16 @@ async function getEventLocation(uri) {
 
 // ─── Google OAuth token ───────────────────────────────────────────────────────
 // Recharger le refresh_token depuis Railway au démarrage
-// ─── Cache coiffeuses Calendly ────────────────────────────────────────────────
-// Structure: [{ name, userUri, eventTypes: { homme: uri, femme: uri } }]
+// ─── Cache coiffeuses ─────────────────────────────────────────────────────────
+// Rempli par le fournisseur de planification actif (Calendly ou calendrier local)
+// Structure: [{ name, userUri, eventTypes: { homme: uri, femme: uri }, durations, eventDescriptions }]
 let coiffeuses = [];
 
 // URIs des event types Round Robin (chargés dynamiquement)
-let roundRobinUris = { homme: null, femme: null, femme_coloration: null, femme_plis: null, femme_color_plis: null, enfant: null, autre: null };
+let roundRobinUris = Object.fromEntries(serviceCatalog.map(s => [s.key, null]));
 let serviceDescriptions = {}; // svc → description Calendly (chargée dynamiquement)
 
-async function loadCoiffeuses() {
+async function calendlyLoadStaff() {
   try {
     // 1. Membres de l'org (exclure le compte admin)
     const membersR = await fetch(
@@ -415,20 +1073,18 @@ async function loadCoiffeuses() {
     coiffeuses = staff.map(m => {
       const userUri = m.user?.uri;
       const uname   = m.user?.name;
-      const find = (...kws) => eventTypes.find(e => e.profile?.owner === userUri && svcMatch(e.name, kws));
-      const et = {
-        homme:            find("homme"),
-        femme:            find("femme"),
-        femme_coloration: find("coloration"),
-        femme_plis:       find("mise en plis", "plis"),
-        femme_color_plis: find("coloration & mise", "color & plis", "coloration et mise"),
-        enfant:           find("enfant"),
-        autre:            find("autre", "lgbtq", "non binaire", "nonbinaire"),
+      const find = (svc) => {
+        // Correspondance forcée dans le catalogue, sinon par mots-clés
+        const forced = svc.staff?.[uname];
+        if (forced) return eventTypes.find(e => e.uri === forced) || { uri: forced };
+        return eventTypes.find(e => e.profile?.owner === userUri && svcMatch(e.name, svc.keywords));
       };
+      const et = Object.fromEntries(serviceCatalog.map(svc => [svc.key, find(svc)]));
       return {
         name: uname,
         userUri,
         eventTypes: Object.fromEntries(Object.entries(et).map(([k,v]) => [k, v?.uri || null])),
+        durations:  Object.fromEntries(Object.entries(et).map(([k,v]) => [k, v?.duration || null])), // minutes
         eventDescriptions: Object.fromEntries(
           Object.entries(et)
             .filter(([,v]) => v?.description_plain)
@@ -445,13 +1101,10 @@ async function loadCoiffeuses() {
       }
     }
     // Chercher aussi dans les event types partagés (org-level, sans owner individuel)
-    const SVC_KEYS = { homme:["homme"], femme:["femme"], femme_coloration:["coloration"],
-      femme_plis:["mise en plis","plis"], femme_color_plis:["coloration & mise","color & plis"],
-      enfant:["enfant"], autre:["autre","lgbtq","non binaire"] };
-    for (const [svc, kws] of Object.entries(SVC_KEYS)) {
-      if (!serviceDescriptions[svc]) {
-        const shared = eventTypes.find(e => svcMatch(e.name, kws) && e.description_plain);
-        if (shared) serviceDescriptions[svc] = shared.description_plain.trim();
+    for (const { key, keywords } of serviceCatalog) {
+      if (!serviceDescriptions[key]) {
+        const shared = eventTypes.find(e => svcMatch(e.name, keywords) && e.description_plain);
+        if (shared) serviceDescriptions[key] = shared.description_plain.trim();
       }
     }
     const descCount = Object.keys(serviceDescriptions).length;
@@ -459,15 +1112,9 @@ async function loadCoiffeuses() {
 
     // Charger aussi les Round Robin pour tous les services
     const findRR = (...kws) => eventTypes.find(e => isRR(e) && svcMatch(e.name, kws));
-    roundRobinUris = {
-      homme:            findRR("homme")?.uri || CALENDLY_EVENT_TYPE_URI_HOMME || null,
-      femme:            findRR("femme")?.uri || CALENDLY_EVENT_TYPE_URI_FEMME || null,
-      femme_coloration: findRR("coloration")?.uri || CALENDLY_EVENT_TYPE_URI_FEMME_COLOR || null,
-      femme_plis:       findRR("mise en plis", "plis")?.uri || CALENDLY_EVENT_TYPE_URI_FEMME_PLIS || null,
-      femme_color_plis: findRR("coloration & mise", "color & plis")?.uri || CALENDLY_EVENT_TYPE_URI_FEMME_COLOR_PLIS || null,
-      enfant:           findRR("enfant")?.uri || CALENDLY_EVENT_TYPE_URI_ENFANT || null,
-      autre:            findRR("autre", "lgbtq")?.uri || CALENDLY_EVENT_TYPE_URI_AUTRE || null,
-    };
+    roundRobinUris = Object.fromEntries(serviceCatalog.map(svc =>
+      [svc.key, findRR(...svc.keywords)?.uri || svc.eventTypeUri || null]
+    ));
 
     console.log(`[CALENDLY] ✅ ${coiffeuses.length} coiffeuses: ${coiffeuses.map(c => c.name).join(", ")}`);
     console.log(`[CALENDLY] Round Robin: ${Object.entries(roundRobinUris).filter(([,v])=>v).map(([k])=>k).join(", ")}`);
@@ -533,7 +1180,8 @@ async function lookupClientByPhone(phone) {
     const extractSalonFields = (fields) => {
       const typeCoupe = fields.find(f => f.key === "SalonCoco-TypeCoupe")?.value || null;
       const coiffeuse = fields.find(f => f.key === "SalonCoco-Coiffeuse")?.value || null;
-      return { typeCoupe, coiffeuse };
+      const langue    = fields.find(f => f.key === "SalonCoco-Langue")?.value || null;
+      return { typeCoupe, coiffeuse, langue: LANGUES.includes(langue) ? langue : null };
     };
 
     const match = connections.find(p =>
@@ -543,9 +1191,9 @@ async function lookupClientByPhone(phone) {
     if (match) {
       const name  = match.names?.[0]?.displayName || null;
       const email = match.emailAddresses?.[0]?.value || null;
-      const { typeCoupe, coiffeuse } = extractSalonFields(match.userDefined || []);
-      console.log(`[LOOKUP] ✅ Trouvé: ${name} (${email}) typeCoupe:${typeCoupe} coiffeuse:${coiffeuse}`);
-      return { name, email, found: true, typeCoupe, coiffeuse, resourceName: match.resourceName };
+      const { typeCoupe, coiffeuse, langue } = extractSalonFields(match.userDefined || []);
+      console.log(`[LOOKUP] ✅ Trouvé: ${name} (${email}) typeCoupe:${typeCoupe} coiffeuse:${coiffeuse}${langue ? " langue:" + langue : ""}`);
+      return { name, email, found: true, typeCoupe, coiffeuse, langue, resourceName: match.resourceName };
     }
 
     console.log(`[LOOKUP] Nouveau client: ${phone}`);
@@ -556,7 +1204,7 @@ async function lookupClientByPhone(phone) {
   }
 }
 
-async function saveContactToGoogle({ name, email, phone, typeCoupe = null, coiffeuse = null, ownerName = null }) {
+async function saveContactToGoogle({ name, email, phone, typeCoupe = null, coiffeuse = null, ownerName = null, langue = null }) {
   // ownerName = nom du titulaire du dossier (parent si enfant, conjoint si pour quelqu'un d'autre)
   // name = nom sur l'invitation Calendly (peut être "Emma / Bergeron")
   const contactName = ownerName || name; // utiliser ownerName si fourni
@@ -592,6 +1240,7 @@ async function saveContactToGoogle({ name, email, phone, typeCoupe = null, coiff
         userDefined: [
           { key: "SalonCoco-TypeCoupe", value: typeCoupe || "" },
           { key: "SalonCoco-Coiffeuse", value: coiffeuse || "" },
+          { key: "SalonCoco-Langue",    value: langue || existingUD.find(f => f.key === "SalonCoco-Langue")?.value || "" },
         ],
       };
       // Mettre à jour l'email seulement s'il change ou si on en a un nouveau
@@ -630,6 +1279,7 @@ async function saveContactToGoogle({ name, email, phone, typeCoupe = null, coiff
         userDefined:    [
           { key: "SalonCoco-TypeCoupe", value: typeCoupe || "" },
           { key: "SalonCoco-Coiffeuse", value: coiffeuse || "" },
+          { key: "SalonCoco-Langue",    value: langue || "" },
         ],
       }),
     });
@@ -645,8 +1295,34 @@ async function saveContactToGoogle({ name, email, phone, typeCoupe = null, coiff
   }
 }
 
+// Langue seulement (client au dossier qui change de langue) — les autres champs restent
+async function saveContactLangue(phone, langue) {
+  const token = await getGoogleAccessToken();
+  if (!token) return;
+  const r = await fetch(
+    `https://people.googleapis.com/v1/people/me/connections?personFields=phoneNumbers,userDefined&pageSize=1000`,
+    { headers: { Authorization: `Bearer ${token}` } }
+  );
+  const existing = ((await r.json()).connections || []).find(p =>
+    (p.phoneNumbers || []).some(n => samePhone(n.value || "", phone))
+  );
+  if (!existing) return;
+  const userDefined = (existing.userDefined || []).filter(f => f.key !== "SalonCoco-Langue").map(({ key, value }) => ({ key, value }));
+  userDefined.push({ key: "SalonCoco-Langue", value: langue });
+  const patchR = await fetch(
+    `https://people.googleapis.com/v1/${existing.resourceName}:updateContact?updatePersonFields=userDefined`,
+    {
+      method: "PATCH",
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+      body: JSON.stringify({ etag: existing.etag, userDefined }),
+    }
+  );
+  if (!patchR.ok) console.error(`[GOOGLE] ❌ Langue non sauvegardée: ${patchR.status}`);
+  else console.log(`[GOOGLE] ✅ Langue ${langue} retenue au dossier`);
+}
+
 // Cherche le prochain RDV Calendly pour un email donné
-async function lookupUpcomingAppointment(email) {
+async function calendlyLookupUpcoming(email) {
   try {
     const r = await fetch(
       `https://api.calendly.com/scheduled_events?organization=${encodeURIComponent(CALENDLY_ORG_URI)}&invitee_email=${encodeURIComponent(email)}&status=active&count=5&sort=start_time:asc`,
@@ -664,6 +1340,8 @@ async function lookupUpcomingAppointment(email) {
       cancel_url:    next.cancellation?.cancel_url || null,
       reschedule_url: next.location?.join_url || null, // pas toujours dispo
       event_uri:     next.uri,
+      event_type:    next.event_type || null,
+      coiffeuse:     next.event_memberships?.[0]?.user_name || null,
       status:        next.status,
     };
   } catch(e) {
@@ -672,7 +1350,7 @@ async function lookupUpcomingAppointment(email) {
   }
 }
 
-async function createInvitee({ uri, startTimeIso, name, email }) {
+async function calendlyCreateInvitee({ uri, startTimeIso, name, email }) {
   const loc  = await getEventLocation(uri);
   const body = {
     event_type: uri,
@@ -691,30 +1369,1551 @@ async function createInvitee({ uri, startTimeIso, name, email }) {
   return j;
 }
 
+// Revérifie qu'un créneau est toujours offert par Calendly juste avant de réserver
+async function isSlotStillAvailable(uri, iso) {
+  const checkSlots = await getSlots(uri, new Date(iso), new Date(new Date(iso).getTime() + 60_000));
+  return checkSlots.some(s => s === iso || Math.abs(new Date(s) - new Date(iso)) < 60_000);
+}
+
+// Annule un RDV Calendly (scheduled event) avec une raison visible par la coiffeuse
+async function calendlyCancelEvent(eventUri, reason = "") {
+  const uuid = eventUri.split("/").pop();
+  const r = await fetch(`https://api.calendly.com/scheduled_events/${uuid}/cancellation`, {
+    method: "POST", headers: cHeaders(), body: JSON.stringify({ reason }),
+  });
+  if (!r.ok) throw new Error(`Calendly cancel ${r.status}: ${await r.text()}`);
+  console.log(`[CALENDLY] ✅ RDV annulé: ${uuid}`);
+  return true;
+}
+
+// Statut d'un RDV Calendly : "active" | "canceled" — null si Calendly ne répond pas
+async function calendlyGetEventStatus(eventUri) {
+  try {
+    const uuid = eventUri.split("/").pop();
+    const r = await fetch(`https://api.calendly.com/scheduled_events/${uuid}`, { headers: cHeaders() });
+    if (r.status === 404) return "canceled";
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    return (await r.json()).resource?.status || null;
+  } catch(e) {
+    console.warn("[CALENDLY] Erreur getEventStatus:", e.message);
+    return null;
+  }
+}
+
+// Premier invité d'un RDV — le nom peut différer du dossier Google (enfant, conjoint)
+async function calendlyGetEventInvitee(eventUri) {
+  try {
+    const uuid = eventUri.split("/").pop();
+    const r = await fetch(`https://api.calendly.com/scheduled_events/${uuid}/invitees?count=1`, { headers: cHeaders() });
+    const j = await r.json();
+    const inv = j.collection?.[0];
+    return inv ? { name: inv.name, email: inv.email } : null;
+  } catch(e) {
+    console.warn("[CALENDLY] Erreur getEventInvitee:", e.message);
+    return null;
+  }
+}
+
+// ─── Calendrier local (sans Calendly) ─────────────────────────────────────────
+// Coiffeuses, heures de travail et RDV dans /data/calendar.json. Les services et
+// leurs durées viennent du catalogue (services: { clé: { duration } } pour surcharger).
+// Permet de faire rouler l'agent sans compte Calendly et de tester les
+// réservations hors ligne. URIs : local://staff/<id>/<service>, local://appointments/<id>
+const LOCAL_CALENDAR_FILE = path.join(LOGS_DIR, "calendar.json");
+const JOURS_NOMS = ["dimanche", "lundi", "mardi", "mercredi", "jeudi", "vendredi", "samedi"];
+const LOCAL_CALENDAR_DEFAULT = {
+  slotIntervalMinutes: 30,
+  closures: [], // ["2026-12-25", ...] — journées fermées
+  services: {},
+  staff: [
+    {
+      id: "coiffeuse-1", name: "Coiffeuse", services: ["homme", "femme", "enfant"],
+      hours: { mardi: [["09:00", "17:00"]], mercredi: [["09:00", "17:00"]], jeudi: [["09:00", "20:00"]], vendredi: [["09:00", "20:00"]], samedi: [["09:00", "15:00"]] },
+    },
+  ],
+  appointments: [], // [{ id, staffId, service, start, end, name, email, status: "active"|"canceled", createdAt }]
+};
+
+let localCalendar = null;
+function loadLocalCalendar() {
+  try {
+    if (fs.existsSync(LOCAL_CALENDAR_FILE)) {
+      localCalendar = JSON.parse(fs.readFileSync(LOCAL_CALENDAR_FILE, "utf8"));
+    } else {
+      localCalendar = structuredClone(LOCAL_CALENDAR_DEFAULT);
+      saveLocalCalendar();
+      console.log(`[LOCALCAL] Fichier créé avec un exemple : ${LOCAL_CALENDAR_FILE} — à personnaliser`);
+    }
+    localCalendar.appointments ||= [];
+    localCalendar.closures     ||= [];
+    localCalendar.services     ||= {};
+  } catch(e) {
+    console.error("[LOCALCAL] ❌ Erreur chargement:", e.message);
+    localCalendar = structuredClone(LOCAL_CALENDAR_DEFAULT);
+  }
+  return localCalendar;
+}
+function saveLocalCalendar() {
+  try { fs.writeFileSync(LOCAL_CALENDAR_FILE, JSON.stringify(localCalendar, null, 2), "utf8"); }
+  catch(e) { console.error("[LOCALCAL] ❌ Erreur sauvegarde:", e.message); }
+}
+
+function parseLocalEventTypeUri(uri = "") {
+  const [staffId, service] = uri.replace("local://staff/", "").split("/");
+  return { staffId, service };
+}
+
+function localDuration(service) {
+  return localCalendar?.services?.[service]?.duration || serviceDuration(service);
+}
+
+async function localLoadStaff() {
+  const cal = loadLocalCalendar();
+  const svcKeys = serviceCatalog.map(s => s.key);
+  const desc = k => cal.services[k]?.description || "";
+  coiffeuses = (cal.staff || []).map(m => ({
+    name: m.name,
+    userUri: `local://staff/${m.id}`,
+    eventTypes: Object.fromEntries(svcKeys.map(k => [k, m.services?.includes(k) ? `local://staff/${m.id}/${k}` : null])),
+    durations:  Object.fromEntries(svcKeys.map(k => [k, localDuration(k)])),
+    eventDescriptions: Object.fromEntries(svcKeys.filter(desc).map(k => [k, desc(k)])),
+  })).filter(c => Object.values(c.eventTypes).some(Boolean));
+  serviceDescriptions = Object.fromEntries(svcKeys.filter(desc).map(k => [k, desc(k)]));
+  roundRobinUris = Object.fromEntries(svcKeys.map(k => [k, null]));
+  console.log(`[LOCALCAL] ✅ ${coiffeuses.length} coiffeuses: ${coiffeuses.map(c => c.name).join(", ")}`);
+}
+
+async function localGetSlots(uri, startDate = null, endDate = null) {
+  const cal = localCalendar || loadLocalCalendar();
+  const { staffId, service } = parseLocalEventTypeUri(uri);
+  const member = cal.staff.find(m => m.id === staffId);
+  if (!member || !member.services?.includes(service)) return [];
+  const duration = localDuration(service) * 60_000;
+  const step     = (cal.slotIntervalMinutes || 30) * 60_000;
+  const start = startDate ? new Date(startDate) : new Date(Date.now() + 60 * 1000);
+  const end   = endDate   ? new Date(endDate)   : new Date(start.getTime() + 7 * 24 * 3600 * 1000);
+  const minStart = Math.max(start.getTime(), Date.now());
+  const busy = cal.appointments
+    .filter(a => a.staffId === staffId && a.status === "active")
+    .map(a => [new Date(a.start).getTime(), new Date(a.end).getTime()]);
+
+  const slots = [];
+  for (let ymd = localYmd(start); ymd <= localYmd(end); ymd = addLocalDays(ymd, 1)) {
+    if (cal.closures.includes(ymd)) continue;
+    const jour = JOURS_NOMS[new Date(`${ymd}T12:00:00Z`).getUTCDay()];
+    for (const [open, close] of member.hours?.[jour] || []) {
+      const closeT = zonedToUtc(ymd, close).getTime();
+      for (let t = zonedToUtc(ymd, open).getTime(); t + duration <= closeT; t += step) {
+        if (t < minStart || t > end.getTime()) continue;
+        if (busy.some(([bs, be]) => t < be && t + duration > bs)) continue;
+        slots.push(new Date(t).toISOString().replace(".000Z", "Z"));
+      }
+    }
+  }
+  return slots.sort();
+}
+
+async function localCreateInvitee({ uri, startTimeIso, name, email }) {
+  const cal = localCalendar || loadLocalCalendar();
+  const { staffId, service } = parseLocalEventTypeUri(uri);
+  const t = new Date(startTimeIso).getTime();
+  const libres = await localGetSlots(uri, new Date(t - 60_000), new Date(t + 60_000));
+  if (!libres.some(iso => sameInstant(iso, startTimeIso))) throw new Error("Calendrier local: already_filled");
+  const id = crypto.randomBytes(8).toString("hex");
+  const duration = localDuration(service) * 60_000;
+  cal.appointments.push({
+    id, staffId, service, name, email: (email || "").toLowerCase(),
+    start: new Date(t).toISOString(), end: new Date(t + duration).toISOString(),
+    status: "active", createdAt: new Date().toISOString(),
+  });
+  saveLocalCalendar();
+  console.log(`[LOCALCAL] ✅ RDV créé: ${name} — ${startTimeIso} (${staffId})`);
+  // Même forme que la réponse Calendly POST /invitees
+  return { resource: { uri: `local://invitees/${id}`, event: `local://appointments/${id}`, cancel_url: "", reschedule_url: "" } };
+}
+
+async function localLookupUpcoming(email) {
+  const cal = localCalendar || loadLocalCalendar();
+  const now = Date.now();
+  const next = cal.appointments
+    .filter(a => a.status === "active" && a.email === (email || "").toLowerCase() && new Date(a.start).getTime() > now)
+    .sort((a, b) => new Date(a.start) - new Date(b.start))[0];
+  if (!next) return null;
+  return {
+    start_time:     next.start,
+    cancel_url:     null,
+    reschedule_url: null,
+    event_uri:      `local://appointments/${next.id}`,
+    event_type:     `local://staff/${next.staffId}/${next.service}`,
+    coiffeuse:      cal.staff.find(m => m.id === next.staffId)?.name || null,
+    status:         "active",
+  };
+}
+
+async function localCancelEvent(eventUri, reason = "") {
+  const cal = localCalendar || loadLocalCalendar();
+  const appt = cal.appointments.find(a => a.id === eventUri.split("/").pop());
+  if (!appt || appt.status !== "active") throw new Error(`Calendrier local: RDV introuvable (${eventUri})`);
+  Object.assign(appt, { status: "canceled", cancelReason: reason, canceledAt: new Date().toISOString() });
+  saveLocalCalendar();
+  console.log(`[LOCALCAL] ✅ RDV annulé: ${appt.id}`);
+  return true;
+}
+
+async function localGetEventInvitee(eventUri) {
+  const cal = localCalendar || loadLocalCalendar();
+  const appt = cal.appointments.find(a => a.id === eventUri.split("/").pop());
+  return appt ? { name: appt.name, email: appt.email } : null;
+}
+
+async function localGetEventStatus(eventUri) {
+  const cal = localCalendar || loadLocalCalendar();
+  return cal.appointments.find(a => a.id === eventUri.split("/").pop())?.status || "canceled";
+}
+
+// ─── Fournisseur de planification ─────────────────────────────────────────────
+// Interface commune — chaque adaptateur fournit :
+//   loadStaff()                         → remplit coiffeuses / serviceDescriptions / roundRobinUris
+//   getSlots(uri, start, end)           → [iso] créneaux libres de l'event type
+//   createInvitee({ uri, startTimeIso, name, email }) → { resource: { event, cancel_url, reschedule_url } }
+//   lookupUpcoming(email)               → prochain RDV { start_time, event_uri, event_type, coiffeuse, ... } | null
+//   cancelEvent(eventUri, reason)
+//   getEventInvitee(eventUri)           → { name, email } | null
+//   getEventStatus(eventUri)            → "active" | "canceled" | null (inconnu)
+// Un créneau déjà pris doit lever une erreur contenant "already_filled".
+const schedulingProviders = {
+  calendly: {
+    name: "Calendly",
+    loadStaff: calendlyLoadStaff, getSlots: calendlyGetSlots, createInvitee: calendlyCreateInvitee,
+    lookupUpcoming: calendlyLookupUpcoming, cancelEvent: calendlyCancelEvent, getEventInvitee: calendlyGetEventInvitee,
+    getEventStatus: calendlyGetEventStatus,
+  },
+  local: {
+    name: "Calendrier local",
+    loadStaff: localLoadStaff, getSlots: localGetSlots, createInvitee: localCreateInvitee,
+    lookupUpcoming: localLookupUpcoming, cancelEvent: localCancelEvent, getEventInvitee: localGetEventInvitee,
+    getEventStatus: localGetEventStatus,
+  },
+};
+const scheduler = schedulingProviders[SCHEDULING_PROVIDER] || schedulingProviders.calendly;
+console.log(`[SCHEDULER] ${scheduler.name}`);
+
+async function loadCoiffeuses() {
+  try { await scheduler.loadStaff(); }
+  catch(e) { console.error(`[SCHEDULER] ❌ Erreur chargement coiffeuses (${scheduler.name}):`, e.message); }
+}
+function getSlots(uri, startDate = null, endDate = null) { return scheduler.getSlots(uri, startDate, endDate); }
+// callSid : appel qui réserve — une place libérée prise par un autre est retirée de son offre
+async function createInvitee(args, callSid = null) {
+  const result = await scheduler.createInvitee(args);
+  fillSlotTaken({ iso: args.startTimeIso, uri: args.uri, callSid });
+  return result;
+}
+function lookupUpcomingAppointment(email)     { return scheduler.lookupUpcoming(email); }
+async function cancelScheduledEvent(eventUri, reason = "") {
+  const r = await scheduler.cancelEvent(eventUri, reason);
+  cancelReminders(eventUri);
+  return r;
+}
+function getEventInvitee(eventUri)            { return scheduler.getEventInvitee(eventUri); }
+function getEventStatus(eventUri)             { return scheduler.getEventStatus(eventUri); }
+
 async function sendSms(to, body) {
   if (!twilioClient || !TWILIO_CALLER_ID) return console.warn("[SMS] Config manquante");
   await twilioClient.messages.create({ from: TWILIO_CALLER_ID, to, body });
   console.log(`[SMS] ✅ → ${to}`);
 }
 
-function slotToShort(iso) {
+function slotToShort(iso, langue = "fr") {
+  // Anglais : "Mon Mar 2 9:30AM"
+  if (langue === "en") {
+    const { hour: h, minute: m } = zonedParts(iso);
+    const jour = new Date(iso).toLocaleString("en-CA", { timeZone: CALENDLY_TIMEZONE, weekday: "short", month: "short", day: "numeric" }).replace(/,/g, "");
+    return `${jour} ${h % 12 || 12}${m === 0 ? "" : ":" + String(m).padStart(2, "0")}${h < 12 ? "AM" : "PM"}`;
+  }
   // Format court pour SMS : "Lun 2 mars 9h30"
   const loc = new Date(iso).toLocaleString("fr-CA", { timeZone: CALENDLY_TIMEZONE, weekday:"short", day:"numeric", month:"long", hour:"numeric", minute:"2-digit" });
   // "lun. 2 mars 09 h 30" → "Lun 2 mars 9h30"
   return loc.replace(/\./g,"").replace(/(\w)/g, c=>c.toUpperCase()).replace(/\s0(\d)\sh\s00/,"$1h").replace(/\s(\d+)\sh\s00/," $1h").replace(/\s(\d+)\sh\s(\d+)/," $1h$2");
 }
 
-// ─── System prompt ────────────────────────────────────────────────────────────
-function systemPrompt(callerNumber) {
-  const callerDisplay = callerNumber ? fmtPhone(callerNumber) : null;
-  return `Tu es ${AGENT_NAME}, réceptionniste au ${SALON_NAME} à ${SALON_CITY}.
-Tu parles en français québécois naturel. Ton ton est chaleureux, humain, jamais robotique.
-
+// ─── Textos au client (français / anglais) ────────────────────────────────────
+// Un modèle par message, dans la langue du client (session.langue, dossier Google
+// ou payload du lien). Sans accents : certains cellulaires les affichent mal.
+const SMS_TEXTES = {
+  fr: {
+    confirme:        v => `RDV confirme\n${v.quand}` + (v.modifier ? `\nModifier: ${v.modifier}` : "") + (v.annuler ? `\nAnnuler: ${v.annuler}` : ""),
+    deplace:         v => `RDV deplace\n${v.quand}` + (v.modifier ? `\nModifier: ${v.modifier}` : "") + (v.annuler ? `\nAnnuler: ${v.annuler}` : ""),
+    annule:          v => `RDV annule\n${v.quand}\nAu plaisir de te revoir!`,
+    lienCourriel:    v => `Confirme ton RDV\n${v.quand}\nCourriel requis: ${v.lien}`,
+    lienGroupe:      v => `Confirme tes ${v.n} RDV\n${v.liste}\nCourriel requis: ${v.lien}`,
+    groupeConfirme:  v => `${v.n} RDV confirmes\n${v.liste}` + v.annulations.map(a => `\nAnnuler ${a.prenom}: ${a.url}`).join(""),
+    serieConfirmee:  v => `${v.n} RDV confirmes${v.avec}\n${v.liste}\nPour annuler un RDV ou la serie, appelle-nous.`,
+    serieAnnulee:    v => `${v.n} RDV annules (serie${v.avec})\nAu plaisir de te revoir!`,
+    placeLiberee:    v => `Une place s'est liberee!\n${v.quand}\nPremier arrive, premier servi: ${v.lien}`,
+    merciConfirme:   v => `merci! RDV confirme\n${v.quand}`,
+    aide:            () => "Reponds CONFIRMER, ANNULER ou DEPLACER. Pour autre chose, appelle-nous.",
+    aucuneProposition: () => `aucune proposition en attente. ${SMS_TEXTES.fr.aide()}`,
+    choixInvalide:   v => `reponds 1 a ${v.n}.`,
+    aucunRdv:        () => "aucun RDV a venir trouve pour ce numero. Appelle-nous pour de l'aide.",
+    annulationImpossible: () => "impossible d'annuler par texto. Appelle-nous svp.",
+    aucunePlace:     () => "aucune place libre cette semaine. Appelle-nous pour trouver un moment.",
+    propositions:    v => `RDV actuel ${v.quand}. Reponds avec le chiffre:\n${v.liste}`,
+    creneauPris:     () => "ce creneau vient d'etre pris. Reponds DEPLACER pour d'autres choix.",
+    deplacementImpossible: () => "impossible de deplacer par texto. Appelle-nous svp.",
+    erreur:          () => "oups, erreur de notre cote. Appelle-nous svp.",
+  },
+  en: {
+    confirme:        v => `Appointment confirmed\n${v.quand}` + (v.modifier ? `\nChange: ${v.modifier}` : "") + (v.annuler ? `\nCancel: ${v.annuler}` : ""),
+    deplace:         v => `Appointment moved\n${v.quand}` + (v.modifier ? `\nChange: ${v.modifier}` : "") + (v.annuler ? `\nCancel: ${v.annuler}` : ""),
+    annule:          v => `Appointment cancelled\n${v.quand}\nHope to see you again soon!`,
+    lienCourriel:    v => `Confirm your appointment\n${v.quand}\nEmail required: ${v.lien}`,
+    lienGroupe:      v => `Confirm your ${v.n} appointments\n${v.liste}\nEmail required: ${v.lien}`,
+    groupeConfirme:  v => `${v.n} appointments confirmed\n${v.liste}` + v.annulations.map(a => `\nCancel ${a.prenom}: ${a.url}`).join(""),
+    serieConfirmee:  v => `${v.n} appointments confirmed${v.avec}\n${v.liste}\nTo cancel one or the whole series, give us a call.`,
+    serieAnnulee:    v => `${v.n} appointments cancelled (series${v.avec})\nHope to see you again soon!`,
+    placeLiberee:    v => `A spot just opened up!\n${v.quand}\nFirst come, first served: ${v.lien}`,
+    merciConfirme:   v => `thank you! Appointment confirmed\n${v.quand}`,
+    aide:            () => "Reply YES to confirm, CANCEL or MOVE. For anything else, give us a call.",
+    aucuneProposition: () => `no pending offer. ${SMS_TEXTES.en.aide()}`,
+    choixInvalide:   v => `reply 1 to ${v.n}.`,
+    aucunRdv:        () => "no upcoming appointment found for this number. Give us a call for help.",
+    annulationImpossible: () => "we couldn't cancel by text. Please give us a call.",
+    aucunePlace:     () => "no openings this week. Give us a call to find a time.",
+    propositions:    v => `Current appointment ${v.quand}. Reply with the number:\n${v.liste}`,
+    creneauPris:     () => "that time was just taken. Reply MOVE for other options.",
+    deplacementImpossible: () => "we couldn't move it by text. Please give us a call.",
+    erreur:          () => "oops, something went wrong on our side. Please give us a call.",
+  },
+};
+
+// "Salon: texte" dans la langue du client (français si inconnue)
+function smsTexte(langue, cle, v = {}) {
+  const textes = SMS_TEXTES[langue] || SMS_TEXTES.fr;
+  return `${SALON_NAME}: ${textes[cle](v)}`;
+}
+
+// "Lun 2 mars 9h30 avec Julie" / "Mon Mar 2 9:30AM with Julie"
+function smsQuand(iso, coiffeuse, langue = "fr") {
+  return `${slotToShort(iso, langue)}${coiffeuse ? (langue === "en" ? " with " : " avec ") + coiffeuse : ""}`;
+}
+
+// ─── Rappels texto ────────────────────────────────────────────────────────────
+// Chaque réservation planifie des rappels (par défaut 48h et 2h avant). La file est
+// persistée dans /data pour survivre aux redéploiements; un RDV annulé ou déplacé
+// annule ses rappels. Délais et modèles éditables dans /admin/config?tab=rappels.
+// Un rappel passe à "envoi" avant le texto : un passage qui chevauche le précédent
+// ou un redémarrage en plein envoi ne le renvoie jamais une deuxième fois.
+const REMINDERS_FILE         = path.join(LOGS_DIR, "reminders.json");
+const REMINDER_SETTINGS_FILE = path.join(LOGS_DIR, "reminder_settings.json");
+const REMINDER_INTERVAL      = 60 * 1000; // vérification chaque minute
+const REMINDER_SETTINGS_DEFAULT = {
+  actif: true,
+  rappels: [
+    { heures: 48, modele: "{salon}: rappel - RDV {date}{avec}\n{adresse}\nReponds CONFIRMER, ANNULER ou DEPLACER.",
+                  modeleEn: "{salon}: reminder - appointment {date}{avec}\n{adresse}\nReply YES to confirm, CANCEL or MOVE." },
+    { heures: 2,  modele: "{salon}: a tantot! RDV {date}{avec}\n{adresse}",
+                  modeleEn: "{salon}: see you soon! Appointment {date}{avec}\n{adresse}" },
+  ],
+};
+// Variables disponibles dans les modèles (modeleEn : clients anglophones, modele sinon)
+const REMINDER_VARS = ["salon", "prenom", "date", "coiffeuse", "avec", "service", "adresse"];
+
+let reminderSettings = structuredClone(REMINDER_SETTINGS_DEFAULT);
+let reminders = []; // [{ id, eventUri, phone, name, langue, coiffeuse, service, slotIso, heures, modele, sendAt, status, sentAt, error }]
+let remindersEnCours = false;
+
+function loadReminders() {
+  try {
+    if (fs.existsSync(REMINDER_SETTINGS_FILE)) reminderSettings = JSON.parse(fs.readFileSync(REMINDER_SETTINGS_FILE, "utf8"));
+    if (fs.existsSync(REMINDERS_FILE)) {
+      reminders = JSON.parse(fs.readFileSync(REMINDERS_FILE, "utf8"));
+      console.log(`[REMINDER] ✅ ${reminders.filter(r => r.status === "planifié").length} rappel(s) planifié(s)`);
+    }
+  } catch(e) { console.warn("[REMINDER] ⚠️ Erreur chargement:", e.message); }
+}
+function saveReminders() {
+  try { fs.writeFileSync(REMINDERS_FILE, JSON.stringify(reminders, null, 2), "utf8"); }
+  catch(e) { console.error("[REMINDER] ❌ Erreur sauvegarde:", e.message); }
+}
+function saveReminderSettings() {
+  try { fs.writeFileSync(REMINDER_SETTINGS_FILE, JSON.stringify(reminderSettings, null, 2), "utf8"); }
+  catch(e) { console.error("[REMINDER] ❌ Erreur sauvegarde réglages:", e.message); }
+}
+loadReminders();
+
+function renderReminder(modele, r) {
+  const vars = {
+    salon:     SALON_NAME,
+    prenom:    (r.name || "").split(" ")[0],
+    date:      slotToShort(r.slotIso, r.langue),
+    coiffeuse: r.coiffeuse || "",
+    avec:      r.coiffeuse ? `${r.langue === "en" ? " with" : " avec"} ${r.coiffeuse}` : "",
+    service:   r.service ? serviceLabel(r.service) : "",
+    adresse:   SALON_ADDRESS,
+  };
+  return modele.replace(/\{(\w+)\}/g, (m, k) => k in vars ? vars[k] : m);
+}
+
+// Planifie les rappels d'un RDV qui vient d'être réservé (délais déjà passés ignorés)
+function scheduleReminders({ eventUri, slotIso, phone, name, coiffeuse = null, service = null, langue = "fr" }) {
+  if (!reminderSettings.actif || !phone || !slotIso) return;
+  const slotT = new Date(slotIso).getTime();
+  const now = Date.now();
+  let n = 0;
+  for (const { heures, modele, modeleEn } of reminderSettings.rappels) {
+    const sendAt = slotT - heures * 3600 * 1000;
+    if (sendAt <= now) continue;
+    if (eventUri && reminders.some(r => r.eventUri === eventUri && r.heures === heures && r.status === "planifié")) continue;
+    reminders.push({
+      id: crypto.randomBytes(6).toString("hex"),
+      eventUri: eventUri || null, phone, name, langue: langue || "fr", coiffeuse, service, slotIso,
+      heures, modele: (langue === "en" && modeleEn) || modele, sendAt: new Date(sendAt).toISOString(),
+      status: "planifié", createdAt: new Date().toISOString(),
+    });
+    n++;
+  }
+  if (n) {
+    saveReminders();
+    console.log(`[REMINDER] ➕ ${n} rappel(s) pour ${name || phone} — ${slotToShort(slotIso)}`);
+  }
+}
+
+// RDV annulé ou déplacé → ses rappels ne partent plus
+function cancelReminders(eventUri) {
+  if (!eventUri) return;
+  let n = 0;
+  for (const r of reminders) {
+    if (r.eventUri === eventUri && r.status === "planifié") { r.status = "annulé"; n++; }
+  }
+  if (n) { saveReminders(); console.log(`[REMINDER] 🗑 ${n} rappel(s) annulé(s) — ${eventUri}`); }
+}
+
+async function runReminders() {
+  if (remindersEnCours) return;
+  remindersEnCours = true;
+  try { await envoyerRappelsDus(); }
+  finally { remindersEnCours = false; }
+}
+
+async function envoyerRappelsDus() {
+  const now = Date.now();
+  const dus = reminders.filter(r => r.status === "planifié" && new Date(r.sendAt).getTime() <= now);
+  if (!dus.length) return;
+  for (const r of dus) {
+    // Serveur arrêté pendant la fenêtre : ne pas rappeler un RDV déjà passé
+    if (new Date(r.slotIso).getTime() <= now) { r.status = "expiré"; continue; }
+    // Modèle courant pour ce délai s'il existe encore, sinon celui de la planification
+    const courant = reminderSettings.rappels.find(x => x.heures === r.heures);
+    const modele  = (r.langue === "en" ? courant?.modeleEn : courant?.modele) || r.modele;
+    r.status = "envoi";
+    saveReminders();
+    try {
+      // Annulé directement dans le calendrier depuis la planification → pas de rappel
+      if (r.eventUri && await getEventStatus(r.eventUri) === "canceled") {
+        r.status = "annulé";
+        console.log(`[REMINDER] 🗑 RDV annulé dans ${scheduler.name} — rappel ${r.heures}h non envoyé (${r.phone})`);
+        continue;
+      }
+      if (!twilioClient || !TWILIO_CALLER_ID) throw new Error("Twilio non configuré");
+      await sendSms(r.phone, renderReminder(modele, r));
+      Object.assign(r, { status: "envoyé", sentAt: new Date().toISOString() });
+      console.log(`[REMINDER] ✅ Rappel ${r.heures}h → ${r.phone}`);
+    } catch(e) {
+      Object.assign(r, { status: "échec", error: e.message });
+      console.error(`[REMINDER] ❌ ${r.phone}: ${e.message}`);
+    }
+  }
+  // Garder 30 jours d'historique
+  const limite = now - 30 * 24 * 3600 * 1000;
+  reminders = reminders.filter(r => r.status === "planifié" || new Date(r.slotIso).getTime() > limite);
+  saveReminders();
+}
+setInterval(() => runReminders().catch(e => console.error("[REMINDER] ❌", e.message)), REMINDER_INTERVAL).unref();
+setTimeout(() => runReminders().catch(e => console.error("[REMINDER] ❌", e.message)), 5000).unref(); // rattrapage au démarrage
+
+// Valide les réglages reçus de /admin/config → { settings } | { error }
+function validateReminderSettings(input) {
+  const rappels = [];
+  for (const r of input.rappels || []) {
+    const heures = Number(r.heures);
+    const modele = String(r.modele || "").trim();
+    const modeleEn = String(r.modeleEn || "").trim(); // optionnel — sinon le modèle français part à tous
+    if (!(heures > 0 && heures <= 14 * 24)) return { error: `Délai invalide : ${r.heures} (1 à 336 heures).` };
+    if (!modele) return { error: `Modèle vide pour le rappel de ${heures}h.` };
+    const inconnues = [...`${modele} ${modeleEn}`.matchAll(/\{(\w+)\}/g)].map(m => m[1]).filter(k => !REMINDER_VARS.includes(k));
+    if (inconnues.length) return { error: `Variable inconnue : {${inconnues[0]}}. Disponibles : ${REMINDER_VARS.map(v => `{${v}}`).join(" ")}` };
+    if (rappels.some(x => x.heures === heures)) return { error: `Deux rappels à ${heures}h.` };
+    rappels.push(modeleEn ? { heures, modele, modeleEn } : { heures, modele });
+  }
+  if (rappels.length > 4) return { error: "Maximum 4 rappels." };
+  return { settings: { actif: !!input.actif, rappels: rappels.sort((a, b) => b.heures - a.heures) } };
+}
+
+// ─── Réponses texto (CONFIRMER / ANNULER / DÉPLACER) ──────────────────────────
+// Twilio POST /sms quand un client répond à un rappel. Le client est retrouvé par
+// son numéro (Google Contacts) puis son prochain RDV par courriel; l'action passe
+// par les mêmes fonctions de planification que l'agent téléphonique.
+// DÉPLACER propose 3 créneaux — la réponse "1", "2" ou "3" est attendue 30 min.
+// Tout autre message part à l'agent texto (voir "Agent texte" plus bas).
+// Réponses dans la langue du dossier Google, sinon celle du mot-clé (YES/MOVE → anglais).
+const SMS_RESCHEDULE_TTL = 30 * 60 * 1000;
+const smsReschedules = new Map(); // phone → { appt, uri, service, coiffeuse, name, email, langue, options, expiresAt }
+
+const SMS_KEYWORDS = {
+  confirmer: ["CONFIRMER", "CONFIRME", "CONFIRM", "OUI", "OK", "YES"],
+  annuler:   ["ANNULER", "ANNULE", "CANCEL"],
+  deplacer:  ["DEPLACER", "DEPLACE", "CHANGER", "RESCHEDULE", "MOVE", "CHANGE"],
+};
+const SMS_KEYWORDS_EN = ["CONFIRM", "YES", "CANCEL", "RESCHEDULE", "MOVE", "CHANGE"];
+
+function smsKeyword(body = "") {
+  const mot = body.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toUpperCase().trim().split(/[\s.!,]+/)[0] || "";
+  if (/^[1-9]$/.test(mot)) return { action: "choix", n: parseInt(mot) };
+  const langue = SMS_KEYWORDS_EN.includes(mot) ? "en" : "fr";
+  for (const [action, mots] of Object.entries(SMS_KEYWORDS)) {
+    if (mots.includes(mot)) return { action, langue };
+  }
+  return { action: "inconnu", langue: detectLangue(body) || "fr" };
+}
+
+// Service et coiffeuse d'un event type (pour les rappels du nouveau RDV)
+function describeEventType(uri) {
+  for (const c of coiffeuses) {
+    const key = Object.keys(c.eventTypes || {}).find(k => c.eventTypes[k] === uri);
+    if (key) return { service: key, coiffeuse: c.name };
+  }
+  return { service: serviceCatalog.find(s => s.eventTypeUri === uri)?.key || null, coiffeuse: null };
+}
+
+// Trace l'échange dans callLogs (canal "sms") — visible sur /dashboard avec les appels
+function logSmsExchange({ messageSid, phone, body, reply, result, client = null, appt = null }) {
+  const sid = `SMS-${messageSid || crypto.randomBytes(6).toString("hex")}`;
+  const log = startCallLog(sid, phone);
+  log.canal = "sms";
+  if (client?.name) { log.clientNom = client.name; log.clientType = "existant"; }
+  if (appt?.start_time) log.slot = appt.start_time;
+  if (appt?.coiffeuse) log.coiffeuse = appt.coiffeuse;
+  log.resumeClient.push(body);
+  logEvent(sid, "client", body);
+  logEvent(sid, "helene", reply);
+  closeCallLog(sid, result);
+}
+
+async function handleInboundSms({ phone, body }) {
+  const { action, n, langue: langueMot } = smsKeyword(body);
+
+  // Réponse à une proposition DÉPLACER en attente
+  if (action === "choix") {
+    const attente = smsReschedules.get(phone);
+    if (!attente || attente.expiresAt < Date.now()) {
+      smsReschedules.delete(phone);
+      return { result: "sms", reply: smsTexte(attente?.langue, "aucuneProposition") };
+    }
+    const iso = attente.options[n - 1];
+    if (!iso) return { result: "sms", reply: smsTexte(attente.langue, "choixInvalide", { n: attente.options.length }), appt: attente.appt };
+    return smsReschedule(phone, attente, iso);
+  }
+
+  if (action === "inconnu") return { result: "sms", reply: smsTexte(langueMot, "aide") };
+
+  const client = await lookupClientByPhone(phone);
+  const langue = client?.langue || langueMot;
+  const appt   = client?.email ? await lookupUpcomingAppointment(client.email) : null;
+  if (!appt?.event_uri) {
+    return { result: "sms", client, reply: smsTexte(langue, "aucunRdv") };
+  }
+  const quand = smsQuand(appt.start_time, appt.coiffeuse, langue);
+
+  if (action === "confirmer") {
+    console.log(`[SMS-IN] ✅ RDV confirmé par texto — ${appt.start_time}`);
+    return { result: "confirmation", client, appt, reply: smsTexte(langue, "merciConfirme", { quand }) };
+  }
+
+  if (action === "annuler") {
+    try {
+      await cancelScheduledEvent(appt.event_uri, "Annulé par texto");
+    } catch (e) {
+      console.error(`[SMS-IN] ❌ Annulation: ${e.message}`);
+      return { result: "erreur", client, appt, reply: smsTexte(langue, "annulationImpossible") };
+    }
+    const serie = findSeriesByEventUri(appt.event_uri);
+    const occ = serie?.occurrences.find(o => o.eventUri === appt.event_uri);
+    if (occ) { occ.status = "annulé"; saveSeries(); }
+    smsReschedules.delete(phone);
+    runWaitlistMatcher("annulation texto").catch(() => {});
+    offerFreedSlot({ iso: appt.start_time, uri: appt.event_type, coiffeuse: appt.coiffeuse, exceptPhone: phone, raison: "annulation texto" });
+    console.log(`[SMS-IN] 🚫 RDV annulé par texto — ${appt.start_time}`);
+    return { result: "annulation", client, appt, reply: smsTexte(langue, "annule", { quand }) };
+  }
+
+  // DÉPLACER — 3 prochains créneaux libres, même event type (même coiffeuse/service)
+  if (coiffeuses.length === 0) await loadCoiffeuses();
+  const uri = appt.event_type;
+  const from = new Date(Date.now() + 60 * 60 * 1000);
+  const to   = new Date(from.getTime() + 7 * 24 * 3600 * 1000);
+  let options = [];
+  try {
+    options = (await getSlots(uri, from, to))
+      .filter(iso => !sameInstant(iso, appt.start_time) && !findHold(iso, appt.coiffeuse, uri))
+      .slice(0, 3);
+  } catch (e) { console.error(`[SMS-IN] ❌ Créneaux: ${e.message}`); }
+  if (!options.length) {
+    return { result: "sms", client, appt, reply: smsTexte(langue, "aucunePlace") };
+  }
+  const { service, coiffeuse } = describeEventType(uri);
+  smsReschedules.set(phone, {
+    appt, uri, service, coiffeuse: coiffeuse || appt.coiffeuse || null,
+    name: client.name, email: client.email, langue,
+    options, expiresAt: Date.now() + SMS_RESCHEDULE_TTL,
+  });
+  return {
+    result: "sms", client, appt,
+    reply: smsTexte(langue, "propositions", { quand, liste: options.map((iso, i) => `${i + 1}) ${slotToShort(iso, langue)}`).join("\n") }),
+  };
+}
+
+// Nouveau créneau réservé AVANT d'annuler l'ancien (comme reschedule_appointment)
+async function smsReschedule(phone, attente, iso) {
+  const { appt, uri, service, coiffeuse } = attente;
+  const invitee = await getEventInvitee(appt.event_uri).catch(() => null);
+  const name  = invitee?.name  || attente.name;
+  const email = invitee?.email || attente.email;
+  let result;
+  try {
+    result = await createInvitee({ uri, startTimeIso: iso, name, email });
+  } catch (e) {
+    console.error(`[SMS-IN] ❌ Déplacement: ${e.message}`);
+    if (e.message?.includes("already_filled")) {
+      attente.options = attente.options.filter(o => o !== iso);
+      return { result: "sms", appt, reply: smsTexte(attente.langue, "creneauPris") };
+    }
+    return { result: "erreur", appt, reply: smsTexte(attente.langue, "deplacementImpossible") };
+  }
+  smsReschedules.delete(phone);
+  try {
+    await cancelScheduledEvent(appt.event_uri, `Déplacé au ${slotToShort(iso)} par texto`);
+    runWaitlistMatcher("déplacement texto").catch(() => {});
+    offerFreedSlot({ iso: appt.start_time, uri: appt.event_type, coiffeuse: appt.coiffeuse, exceptPhone: phone, raison: "déplacement texto" });
+  } catch (e) {
+    console.error(`[SMS-IN] ❌ Ancien RDV non annulé (${appt.event_uri}): ${e.message}`);
+  }
+  const serie = findSeriesByEventUri(appt.event_uri);
+  const occ = serie?.occurrences.find(o => o.eventUri === appt.event_uri);
+  if (occ) {
+    Object.assign(occ, { iso, eventUri: result?.resource?.event || null, cancelUrl: result?.resource?.cancel_url || "" });
+    saveSeries();
+  }
+  scheduleReminders({ eventUri: result?.resource?.event, slotIso: iso, phone, name, coiffeuse, service, langue: attente.langue });
+  console.log(`[SMS-IN] 📆 RDV déplacé par texto — ${appt.start_time} → ${iso}`);
+  return {
+    result: "modification",
+    appt: { ...appt, start_time: iso, coiffeuse: coiffeuse || appt.coiffeuse },
+    reply: smsTexte(attente.langue, "deplace", { quand: smsQuand(iso, coiffeuse, attente.langue) }),
+  };
+}
+
+// ─── Liste d'attente ──────────────────────────────────────────────────────────
+// Quand une coiffeuse ou une journée est complète, le client peut s'inscrire.
+// Un matcher en arrière-plan surveille les ouvertures (annulations, etc.) et texte
+// un lien de réservation "premier arrivé, premier servi" basé sur /confirm-email.
+// Le créneau offert est retenu (hold) jusqu'à la réservation ou l'expiration du lien.
+const WAITLIST_FILE        = path.join(LOGS_DIR, "waitlist.json");
+const WAITLIST_OFFER_TTL   = 60 * 60 * 1000;  // lien valide 1h
+const WAITLIST_INTERVAL    = 15 * 60 * 1000;  // scan toutes les 15 min
+const WAITLIST_SMS_HOURS   = [8, 20];         // pas de texto la nuit (heure locale)
+
+let waitlist = []; // [{ id, status, phone, name, email, service, coiffeuse, dateDebut, dateFin, jour, periode, notifiedSlots, callSid, createdAt }]
+
+function loadWaitlist() {
+  try {
+    if (fs.existsSync(WAITLIST_FILE)) {
+      waitlist = JSON.parse(fs.readFileSync(WAITLIST_FILE, "utf8"));
+      console.log(`[WAITLIST] ✅ ${waitlist.filter(w => w.status === "actif").length} inscription(s) active(s)`);
+    }
+  } catch(e) { console.warn("[WAITLIST] ⚠️ Erreur chargement:", e.message); }
+}
+function saveWaitlist() {
+  try { fs.writeFileSync(WAITLIST_FILE, JSON.stringify(waitlist, null, 2), "utf8"); }
+  catch(e) { console.error("[WAITLIST] ❌ Erreur sauvegarde:", e.message); }
+}
+loadWaitlist();
+
+function addToWaitlist({ phone, name, email = null, service, coiffeuse = null, dateDebut, dateFin, jour = null, periode = null, callSid = null, langue = "fr" }) {
+  const entry = {
+    id: crypto.randomBytes(6).toString("hex"),
+    status: "actif",
+    phone, name, email, service, coiffeuse,
+    dateDebut, dateFin, jour, periode,
+    notifiedSlots: [],
+    callSid, langue,
+    createdAt: new Date().toISOString(),
+  };
+  waitlist.push(entry);
+  saveWaitlist();
+  console.log(`[WAITLIST] ➕ ${name} — ${service}${coiffeuse ? " avec " + coiffeuse : ""} du ${dateDebut} au ${dateFin}`);
+  return entry;
+}
+
+function localParts(iso) {
+  const { weekday, hour } = zonedParts(iso);
+  return { day: weekday, hour };
+}
+
+function matchesPeriode(iso, periode) {
+  if (!periode) return true;
+  const { hour } = localParts(iso);
+  if (periode === "matin")      return hour >= 8  && hour < 12;
+  if (periode === "après-midi") return hour >= 12 && hour < 17;
+  if (periode === "soir")       return hour >= 17;
+  return true;
+}
+
+// Premier créneau libre (non retenu) correspondant à une inscription
+async function findWaitlistOpening(entry) {
+  if (coiffeuses.length === 0) await loadCoiffeuses();
+  let cibles = coiffeuses.filter(c => c.eventTypes[entry.service]);
+  if (entry.coiffeuse) cibles = cibles.filter(c => c.name.toLowerCase().includes(entry.coiffeuse.toLowerCase()));
+  const start = new Date(Math.max(parseLocalDate(entry.dateDebut)?.getTime() || 0, Date.now() + 60 * 60 * 1000));
+  const end   = parseLocalDate(addLocalDays(entry.dateFin, 1)) || new Date(0);
+  if (start >= end) return null;
+  const JOURS = { dimanche:0, lundi:1, mardi:2, mercredi:3, jeudi:4, vendredi:5, samedi:6 };
+  const jourNum = entry.jour ? JOURS[entry.jour.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "")] : undefined;
+  for (const c of cibles) {
+    const uri = c.eventTypes[entry.service];
+    const slots = await getSlots(uri, start, end);
+    const iso = slots.find(iso =>
+      !entry.notifiedSlots.includes(iso)
+      && (jourNum === undefined || localParts(iso).day === jourNum)
+      && matchesPeriode(iso, entry.periode)
+      && !findHold(iso, c.name, uri)
+    );
+    if (iso) return { iso, uri, coiffeuse: c.name };
+  }
+  return null;
+}
+
+let waitlistRunning = false;
+async function runWaitlistMatcher(reason = "scan") {
+  if (waitlistRunning) return;
+  const now = Date.now();
+  // Fermer les inscriptions dont la fenêtre est passée
+  let changed = false;
+  for (const w of waitlist) {
+    if (w.status === "actif" && (parseLocalDate(addLocalDays(w.dateFin, 1))?.getTime() || 0) < now) {
+      w.status = "expiré"; changed = true;
+    }
+  }
+  if (changed) saveWaitlist();
+  const actifs = waitlist.filter(w => w.status === "actif");
+  if (!actifs.length) return;
+  const { hour } = localParts(new Date().toISOString());
+  if (hour < WAITLIST_SMS_HOURS[0] || hour >= WAITLIST_SMS_HOURS[1]) return;
+
+  waitlistRunning = true;
+  try {
+    console.log(`[WAITLIST] 🔎 ${reason} — ${actifs.length} inscription(s) active(s)`);
+    for (const w of actifs) {
+      // Un seul lien actif à la fois par inscription
+      const hasOffer = [...pending.values()].some(p => p.payload.waitlistId === w.id && p.expiresAt > now);
+      if (hasOffer) continue;
+      const opening = await findWaitlistOpening(w).catch(e => { console.warn("[WAITLIST] ⚠️", e.message); return null; });
+      if (!opening) continue;
+
+      const token = crypto.randomBytes(16).toString("hex");
+      const expiresAt = Date.now() + WAITLIST_OFFER_TTL;
+      pending.set(token, {
+        expiresAt,
+        payload: { phone: w.phone, name: w.name, email: w.email || null, service: w.service, eventTypeUri: opening.uri,
+          startTimeIso: opening.iso, coiffeuse: opening.coiffeuse, callSid: null, waitlistId: w.id, langue: w.langue || "fr" },
+      });
+      savePending();
+      placeHold(token, { iso: opening.iso, uri: opening.uri, coiffeuse: opening.coiffeuse, expiresAt });
+      w.notifiedSlots.push(opening.iso);
+      w.lastOfferAt = new Date().toISOString();
+      saveWaitlist();
+      const envoye = await sendSms(w.phone, smsTexte(w.langue, "placeLiberee", {
+        quand: smsQuand(opening.iso, opening.coiffeuse, w.langue), lien: `${base()}/confirm-email/${token}`,
+      })).then(() => true, e => { console.error(`[WAITLIST] ❌ SMS: ${e.message}`); return false; });
+      if (!envoye) {
+        // Offre jamais reçue : le créneau redevient disponible pour les autres
+        pending.delete(token);
+        savePending();
+        releaseHold(token, "texto non envoyé");
+        continue;
+      }
+      if (w.callSid && callLogs.has(w.callSid)) {
+        logEvent(w.callSid, "info", `Liste d'attente — place offerte: ${slotToFrench(opening.iso)}`);
+        saveLogsToDisk();
+      }
+    }
+  } finally {
+    waitlistRunning = false;
+  }
+}
+setInterval(() => runWaitlistMatcher(), WAITLIST_INTERVAL).unref();
+
+function markWaitlistBooked(waitlistId, iso) {
+  const w = waitlist.find(x => x.id === waitlistId);
+  if (!w) return;
+  w.status   = "réservé";
+  w.bookedAt = new Date().toISOString();
+  w.bookedSlot = iso;
+  saveWaitlist();
+  console.log(`[WAITLIST] ✅ ${w.name} a réservé ${iso}`);
+  if (w.callSid && callLogs.has(w.callSid)) {
+    logEvent(w.callSid, "booking", `Liste d'attente — RDV réservé: ${slotToFrench(iso)}`);
+    saveLogsToDisk();
+  }
+}
+
+// ─── Places libérées (appels sortants) ────────────────────────────────────────
+// Un RDV annulé à moins de 24h laisse une chaise vide : le serveur appelle, un à la
+// fois, les clients inscrits qui préfèrent cette coiffeuse ou ce service. L'appel
+// passe par le même pont /media-stream avec un prompt d'offre (fillCallPrompt); le
+// client accepte → send_booking_link. La campagne s'arrête dès que la place est
+// prise (par l'appelé ou quelqu'un d'autre), quand la liste est épuisée ou trop
+// près de l'heure du RDV. Aucun appel hors des heures permises. Prise par quelqu'un
+// d'autre pendant un appel : Hélène est prévenue et s'excuse au lieu de l'offrir.
+// Les annulations faites dans Calendly arrivent par POST /calendly/webhook.
+const FILL_FILE          = path.join(LOGS_DIR, "fill_campaigns.json");
+const FILL_SETTINGS_FILE = path.join(LOGS_DIR, "fill_settings.json");
+const FILL_INTERVAL      = 60 * 1000;
+const FILL_CALL_TIMEOUT  = 10 * 60 * 1000; // appel sans retour de Twilio → on passe au suivant
+const FILL_SETTINGS_DEFAULT = {
+  actif:          false,
+  heureDebut:     "09:00", // heures permises pour appeler (fuseau du salon)
+  heureFin:       "20:00",
+  maxAppels:      5,       // par place libérée
+  delaiMinimum:   90,      // minutes avant le RDV sous lesquelles on n'appelle plus
+  clients:        [],      // [{ phone, nom, coiffeuse, services: [key] }]
+};
+
+let fillSettings  = structuredClone(FILL_SETTINGS_DEFAULT);
+let fillCampaigns = []; // [{ id, iso, uri, coiffeuse, service, raison, exceptPhone, status, appels, enCours, prisePar, createdAt, closedAt }]
+let fillRunning   = false;
+
+function loadFill() {
+  try {
+    if (fs.existsSync(FILL_SETTINGS_FILE)) fillSettings = { ...FILL_SETTINGS_DEFAULT, ...JSON.parse(fs.readFileSync(FILL_SETTINGS_FILE, "utf8")) };
+    if (fs.existsSync(FILL_FILE)) {
+      fillCampaigns = JSON.parse(fs.readFileSync(FILL_FILE, "utf8"));
+      console.log(`[FILL] ✅ ${fillCampaigns.filter(c => c.status === "active").length} campagne(s) active(s), ${fillSettings.clients.length} client(s) inscrit(s)`);
+    }
+  } catch(e) { console.warn("[FILL] ⚠️ Erreur chargement:", e.message); }
+}
+function saveFillCampaigns() {
+  try { fs.writeFileSync(FILL_FILE, JSON.stringify(fillCampaigns, null, 2), "utf8"); }
+  catch(e) { console.error("[FILL] ❌ Erreur sauvegarde:", e.message); }
+}
+function saveFillSettings() {
+  try { fs.writeFileSync(FILL_SETTINGS_FILE, JSON.stringify(fillSettings, null, 2), "utf8"); }
+  catch(e) { console.error("[FILL] ❌ Erreur sauvegarde réglages:", e.message); }
+}
+loadFill();
+
+// Place libérée par une annulation ou un déplacement — lance une campagne si le RDV est dans moins de 24h
+function offerFreedSlot({ iso, uri, coiffeuse = null, service = null, exceptPhone = null, raison = "" }) {
+  if (!fillSettings.actif || !iso || !uri) return;
+  const avant = new Date(iso).getTime() - Date.now();
+  if (avant > 24 * 3600 * 1000 || avant < fillSettings.delaiMinimum * 60 * 1000) return;
+  if (!twilioClient || !TWILIO_CALLER_ID || !base()) return console.warn("[FILL] ⚠️ Twilio ou PUBLIC_BASE_URL non configuré — place non offerte");
+  if (fillCampaigns.some(c => c.status === "active" && c.uri === uri && sameInstant(c.iso, iso))) return;
+  const type = describeEventType(uri);
+  const c = {
+    id: crypto.randomBytes(6).toString("hex"),
+    iso, uri,
+    coiffeuse: coiffeuse || type.coiffeuse,
+    service:   service || type.service,
+    raison, exceptPhone,
+    status: "active", appels: [], enCours: null,
+    createdAt: new Date().toISOString(), closedAt: null,
+  };
+  fillCampaigns.push(c);
+  saveFillCampaigns();
+  console.log(`[FILL] ➕ Place libérée ${slotToShort(iso)}${c.coiffeuse ? " avec " + c.coiffeuse : ""} — ${raison}`);
+  runFillCampaigns().catch(e => console.error("[FILL] ❌", e.message));
+}
+
+function closeFillCampaign(c, status) {
+  Object.assign(c, { status, enCours: null, closedAt: new Date().toISOString() });
+  console.log(`[FILL] ■ Campagne ${c.id} (${slotToShort(c.iso)}) : ${status}`);
+}
+
+// Inscrits correspondant à la place, pas encore appelés — coiffeuse ET service d'abord
+function fillCandidates(c) {
+  const occupes = fillCampaigns.filter(x => x.enCours).flatMap(x => x.appels.filter(a => a.callSid === x.enCours).map(a => a.phone));
+  const score = cl => (c.coiffeuse && cl.coiffeuse?.toLowerCase() === c.coiffeuse.toLowerCase() ? 2 : 0)
+                    + (c.service && cl.services?.includes(c.service) ? 1 : 0);
+  return fillSettings.clients
+    .filter(cl => score(cl) > 0
+      && !samePhone(cl.phone, c.exceptPhone || "")
+      && !c.appels.some(a => samePhone(a.phone, cl.phone))
+      && !occupes.some(p => samePhone(p, cl.phone)))
+    .sort((a, b) => score(b) - score(a));
+}
+
+function fillHeuresPermises(now = new Date()) {
+  const { hour, minute } = zonedParts(now);
+  const hm = `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+  return hm >= fillSettings.heureDebut && hm < fillSettings.heureFin;
+}
+
+async function fillSlotOffered(c) {
+  const t = new Date(c.iso).getTime();
+  const slots = await getSlots(c.uri, new Date(t - 60_000), new Date(t + 60_000));
+  return slots.some(iso => sameInstant(iso, c.iso));
+}
+
+async function fillSlotStillFree(c) {
+  return await fillSlotOffered(c) && !findHold(c.iso, c.coiffeuse, c.uri);
+}
+
+// Place réservée ou retenue (callSid = appel qui l'a prise) → campagne comblée; si un
+// autre appel sortant l'offre en ce moment, il est prévenu
+function fillSlotTaken({ iso, uri, coiffeuse = null, callSid = null }) {
+  for (const c of fillCampaigns.filter(x => x.status === "active" && sameInstant(x.iso, iso))) {
+    if (c.uri !== uri && !(coiffeuse && c.coiffeuse?.toLowerCase() === coiffeuse.toLowerCase())) continue;
+    const appelEnCours = c.enCours;
+    c.prisePar = callSid;
+    closeFillCampaign(c, "comblé");
+    saveFillCampaigns();
+    if (appelEnCours && appelEnCours !== callSid) fillCallSlotGone(appelEnCours);
+  }
+}
+
+// Appel sortant en cours dont la place vient d'être prise : prompt à jour, Hélène
+// s'interrompt, s'excuse et raccroche
+function fillCallSlotGone(callSid) {
+  const session = sessions.get(callSid);
+  logEvent(callSid, "warn", "Place prise par un autre client pendant l'appel");
+  console.log(`[FILL] ⚠️ Place prise pendant l'appel ${callSid} — offre retirée`);
+  if (session?.openaiWs?.readyState !== WebSocket.OPEN) return;
+  session.openaiWs.send(JSON.stringify({ type: "session.update", session: { instructions: fillCallPrompt(session) } }));
+  session.openaiWs.send(JSON.stringify({ type: "response.cancel" }));
+  session.openaiWs.send(JSON.stringify({
+    type: "conversation.item.create",
+    item: { type: "message", role: "user", content: [{ type: "input_text", text: "INFO SYSTÈME : la place vient d'être prise par un autre client. Ne l'offre plus. Dis : \"Oups, je suis désolée, la place vient d'être prise! Merci et bonne journée!\" → end_call." }] },
+  }));
+  session.openaiWs.send(JSON.stringify({ type: "response.create" }));
+}
+
+async function runFillCampaigns() {
+  if (fillRunning) return;
+  fillRunning = true;
+  try {
+    const now = Date.now();
+    for (const c of fillCampaigns.filter(x => x.status === "active")) {
+      if (c.enCours) {
+        const appel = c.appels.find(a => a.callSid === c.enCours);
+        if (appel && now - new Date(appel.at).getTime() < FILL_CALL_TIMEOUT) {
+          // Réservée ailleurs (directement dans Calendly) pendant l'appel
+          if (!(await fillSlotOffered(c).catch(() => true))) {
+            const appelEnCours = c.enCours;
+            closeFillCampaign(c, "comblé");
+            fillCallSlotGone(appelEnCours);
+          }
+          continue;
+        }
+        if (appel) appel.statut = "sans suivi";
+        c.enCours = null;
+      }
+      if (new Date(c.iso).getTime() - now < fillSettings.delaiMinimum * 60 * 1000) { closeFillCampaign(c, "expiré"); continue; }
+      if (!fillSettings.actif || !twilioClient || !fillHeuresPermises()) continue; // reprend aux heures permises
+      if (!(await fillSlotStillFree(c).catch(() => true))) { closeFillCampaign(c, "comblé"); continue; }
+      const suivant = fillCandidates(c)[0];
+      if (!suivant || c.appels.length >= fillSettings.maxAppels) { closeFillCampaign(c, "épuisé"); continue; }
+      const appel = { phone: suivant.phone, nom: suivant.nom || null, callSid: null, at: new Date().toISOString(), statut: "en cours" };
+      c.appels.push(appel);
+      try {
+        const call = await twilioClient.calls.create({
+          to: suivant.phone, from: TWILIO_CALLER_ID,
+          url: `${base()}/fill/voice?campagne=${c.id}`,
+          statusCallback: `${base()}/fill/status?campagne=${c.id}`,
+          statusCallbackEvent: ["completed"],
+          machineDetection: "Enable",
+          timeout: 25,
+        });
+        appel.callSid = call.sid;
+        c.enCours = call.sid;
+        console.log(`[FILL] 📞 Appel ${c.appels.length}/${fillSettings.maxAppels} → ${suivant.nom || "######" + suivant.phone.slice(-4)} pour ${slotToShort(c.iso)}`);
+      } catch(e) {
+        appel.statut = "échec";
+        console.error(`[FILL] ❌ Appel ${suivant.phone}: ${e.message}`);
+      }
+    }
+    // Garder 30 jours d'historique
+    const limite = now - 30 * 24 * 3600 * 1000;
+    fillCampaigns = fillCampaigns.filter(c => c.status === "active" || new Date(c.iso).getTime() > limite);
+    saveFillCampaigns();
+  } finally {
+    fillRunning = false;
+  }
+}
+setInterval(() => runFillCampaigns().catch(e => console.error("[FILL] ❌", e.message)), FILL_INTERVAL).unref();
+setTimeout(() => runFillCampaigns().catch(e => console.error("[FILL] ❌", e.message)), 8000).unref();
+
+// Fin d'un appel sortant (statusCallback Twilio) → résultat, puis client suivant
+function fillCallEnded(campagneId, { CallSid, CallStatus, AnsweredBy }) {
+  const c = fillCampaigns.find(x => x.id === campagneId);
+  const appel = c?.appels.find(a => a.callSid === CallSid);
+  if (!appel) return;
+  const result = callLogs.get(CallSid)?.result || "";
+  appel.statut = result.startsWith("réservation") ? "réservé"
+    : /^machine|^fax/.test(AnsweredBy || "") ? "répondeur"
+    : CallStatus === "completed" ? "refusé"
+    : CallStatus; // no-answer, busy, failed, canceled
+  if (c.enCours === CallSid) c.enCours = null;
+  console.log(`[FILL] ${appel.statut === "réservé" ? "✅" : "•"} ${appel.nom || "######" + appel.phone.slice(-4)} : ${appel.statut}`);
+  if (appel.statut === "réservé" && c.status === "active") closeFillCampaign(c, "comblé");
+  saveFillCampaigns();
+  runFillCampaigns().catch(e => console.error("[FILL] ❌", e.message));
+}
+
+// Prompt d'un appel sortant : réceptionniste habituelle + offre de la place libérée
+function fillCallPrompt(session) {
+  const c = fillCampaigns.find(x => x.id === session.fillCampaignId);
+  if (!c) return systemPrompt(session.callerNumber);
+  const prise = c.status === "comblé" && c.prisePar !== session.twilioCallSid;
+  return systemPrompt(session.callerNumber) + `
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+APPEL SORTANT — PLACE LIBÉRÉE (PRIORITAIRE SUR L'ACCUEIL ET LES ÉTATS CI-DESSUS)
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+- C'est TOI qui appelles ce client. Il s'est inscrit pour être appelé quand une place se libère à la dernière minute.
+- Place offerte : ${c.service ? serviceLabel(c.service) : "rendez-vous"} le ${slotToFrench(c.iso)}${c.coiffeuse ? " avec " + c.coiffeuse : ""}.
+- OUI → "Super!" → send_booking_link avec service="${c.service || ""}", slot_iso="${c.iso}", event_type_uri="${c.uri}"${c.coiffeuse ? `, coiffeuse="${c.coiffeuse}"` : ""}. Dossier existant → aucune question. Sinon suis le parcours nouveau client.
+- Créneau plus disponible (erreur de send_booking_link) → "Oups, quelqu'un vient de la prendre! Désolée du dérangement, bonne journée!" → end_call. Ne cherche PAS d'autres créneaux sauf si le client le demande.
+- NON, pas disponible, mauvais moment → "Pas de problème! Merci et bonne journée!" → end_call.
+- Le client ne veut plus être appelé → fill_opt_out → "C'est noté, je te retire de la liste. Bonne journée!" → end_call.
+- Répondeur ou messagerie → end_call sans laisser de message.${prise ? `
+- ⚠️ PLACE PRISE par un autre client pendant l'appel : ne l'offre plus. "Oups, je suis désolée, la place vient d'être prise! Merci et bonne journée!" → end_call.` : ""}`;
+}
+
+// Première phrase de l'appel sortant (remplace l'accueil; pas de followUp ensuite)
+function fillCallIntro(session) {
+  const c = fillCampaigns.find(x => x.id === session.fillCampaignId);
+  const prenom = fillSettings.clients.find(cl => samePhone(cl.phone, session.callerNumber))?.nom?.split(" ")[0] || "";
+  const offre = c ? `${c.service ? serviceLabel(c.service) : "un rendez-vous"} ${slotToFrench(c.iso)}${c.coiffeuse ? " avec " + c.coiffeuse : ""}` : "un rendez-vous";
+  return `PHRASE OBLIGATOIRE — dis mot pour mot : 'Bonjour${prenom ? " " + prenom : ""}! Ici ${AGENT_NAME}, l'assistante virtuelle du ${SALON_NAME}. Une place vient de se libérer : ${offre}. Est-ce que ça t'intéresse?' — puis SILENCE, attends la réponse.`;
+}
+
+// Outil ajouté aux appels sortants seulement
+const FILL_OPT_OUT_TOOL = {
+  type: "function",
+  name: "fill_opt_out",
+  description: "Retire le client de la liste d'appels pour les places libérées (il ne veut plus être appelé).",
+  parameters: { type: "object", properties: {} },
+};
+
+// Valide les réglages reçus de /admin/config → { settings } | { error }
+function validateFillSettings(input) {
+  const hm = /^([01]\d|2[0-3]):[0-5]\d$/;
+  const heureDebut = String(input.heureDebut || "").trim();
+  const heureFin   = String(input.heureFin || "").trim();
+  if (!hm.test(heureDebut) || !hm.test(heureFin)) return { error: "Heures permises au format HH:MM." };
+  if (heureDebut >= heureFin) return { error: "L'heure de début doit précéder l'heure de fin." };
+  const maxAppels = parseInt(input.maxAppels);
+  if (!(maxAppels >= 1 && maxAppels <= 20)) return { error: "Appels par place : 1 à 20." };
+  const delaiMinimum = parseInt(input.delaiMinimum);
+  if (!(delaiMinimum >= 15 && delaiMinimum <= 600)) return { error: "Délai minimum : 15 à 600 minutes." };
+  return { settings: { actif: !!input.actif, heureDebut, heureFin, maxAppels, delaiMinimum } };
+}
+
+function validateFillClient(input) {
+  const phone = normalizePhone(String(input.phone || ""));
+  if (!phone) return { error: "Numéro invalide." };
+  const services = (Array.isArray(input.services) ? input.services : []).filter(k => getService(k));
+  const coiffeuse = String(input.coiffeuse || "").trim();
+  if (!coiffeuse && !services.length) return { error: "Choisis au moins une coiffeuse ou un service." };
+  return { client: { phone, nom: String(input.nom || "").trim(), coiffeuse, services } };
+}
+
+// ─── Messagerie vocale et rappels à faire ─────────────────────────────────────
+// Quand l'agent est désactivé (bouton du dashboard) ou qu'un transfert vers
+// FALLBACK_NUMBER reste sans réponse, l'appelant laisse un message. L'enregistrement
+// est transcrit, joint au log de l'appel et devient un rappel à faire dans le
+// dashboard, avec le nom et le courriel trouvés dans Google Contacts.
+const CALLBACKS_FILE       = path.join(LOGS_DIR, "callbacks.json");
+const AGENT_STATE_FILE     = path.join(LOGS_DIR, "agent_state.json");
+const VOICEMAIL_MAX_LENGTH = 120; // secondes
+const VOICEMAIL_DIAL_TIMEOUT = 20; // secondes de sonnerie avant la messagerie
+const VOICEMAIL_LOOKUP_DELAI = 2000; // langue au dossier : attente max avant le message d'accueil
+const VOICEMAIL_VOICES = { fr: { language: "fr-CA", voice: "Polly.Chantal" }, en: { language: "en-US", voice: "Polly.Joanna" } };
+const VOICEMAIL_INTROS = { // raison → message d'accueil avant le bip, par langue
+  "agent désactivé":        { fr: "Nous ne pouvons pas vous répondre pour le moment.", en: "We can't take your call right now." },
+  "transfert sans réponse": { fr: "L'équipe n'est pas disponible pour le moment.",     en: "Our team isn't available right now." },
+  "salon fermé":            { fr: "Le salon est présentement fermé.",                  en: "The salon is currently closed." },
+};
+const VOICEMAIL_TEXTES = {
+  fr: { bonjour: "Bonjour, vous avez joint le", laissez: "Laissez votre nom et votre message après le bip, et nous vous rappellerons.",
+        vide: "Nous n'avons pas reçu de message. Au revoir!", recu: "Merci, votre message a bien été reçu. Au revoir!" },
+  en: { bonjour: "Hello, you've reached", laissez: "Please leave your name and message after the beep, and we'll call you back.",
+        vide: "We didn't receive a message. Goodbye!", recu: "Thank you, your message has been received. Goodbye!" },
+};
+
+let agentActif = true;
+let callbacks  = []; // [{ id, callSid, phone, nom, email, langue, raison, recordingSid, recordingUrl, duree, transcription, status, appels, createdAt, doneAt }]
+
+function loadCallbacks() {
+  try {
+    if (fs.existsSync(AGENT_STATE_FILE)) agentActif = JSON.parse(fs.readFileSync(AGENT_STATE_FILE, "utf8")).actif !== false;
+    if (fs.existsSync(CALLBACKS_FILE)) {
+      callbacks = JSON.parse(fs.readFileSync(CALLBACKS_FILE, "utf8"));
+      console.log(`[VOICEMAIL] ✅ ${callbacks.filter(c => c.status === "à faire").length} rappel(s) à faire${agentActif ? "" : " — agent désactivé"}`);
+    }
+  } catch(e) { console.warn("[VOICEMAIL] ⚠️ Erreur chargement:", e.message); }
+}
+function saveCallbacks() {
+  try { fs.writeFileSync(CALLBACKS_FILE, JSON.stringify(callbacks, null, 2), "utf8"); }
+  catch(e) { console.error("[VOICEMAIL] ❌ Erreur sauvegarde:", e.message); }
+}
+function saveAgentState() {
+  try { fs.writeFileSync(AGENT_STATE_FILE, JSON.stringify({ actif: agentActif }, null, 2), "utf8"); }
+  catch(e) { console.error("[VOICEMAIL] ❌ Erreur sauvegarde état agent:", e.message); }
+}
+loadCallbacks();
+
+function xmlEscape(s = "") {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// Langue de l'appelant : celle de l'appel en cours, sinon celle du dossier Google
+// (SalonCoco-Langue), sinon le français. Retenue dans le log pour la transcription.
+async function langueAppelant(callSid, phone) {
+  const cl = callLogs.get(callSid);
+  if (cl?.langue) return cl.langue;
+  const client = phone
+    ? await Promise.race([lookupClientByPhone(phone), new Promise(r => setTimeout(r, VOICEMAIL_LOOKUP_DELAI, null))]).catch(() => null)
+    : null;
+  const langue = LANGUES.includes(client?.langue) ? client.langue : "fr";
+  if (cl) cl.langue = langue;
+  return langue;
+}
+
+// Ajoute <Say> + <Record> à une réponse TwiML — raison : une clé de VOICEMAIL_INTROS
+function voicemailTwiml(twiml, raison, langue = "fr") {
+  const voix = VOICEMAIL_VOICES[langue] || VOICEMAIL_VOICES.fr;
+  const t = VOICEMAIL_TEXTES[langue] || VOICEMAIL_TEXTES.fr;
+  twiml.say(voix, `${raison === "transfert sans réponse" ? "" : `${t.bonjour} ${SALON_NAME}. `}${VOICEMAIL_INTROS[raison][langue] || VOICEMAIL_INTROS[raison].fr} ${t.laissez}`);
+  twiml.record({
+    action:                   `${base()}/voicemail/done?raison=${encodeURIComponent(raison)}&langue=${langue}`,
+    recordingStatusCallback:  `${base()}/voicemail/recording`,
+    recordingStatusCallbackEvent: "completed",
+    maxLength:                VOICEMAIL_MAX_LENGTH,
+    finishOnKey:              "#",
+    playBeep:                 true,
+  });
+  twiml.say(voix, t.vide);
+  return twiml;
+}
+
+// Le rappel d'un appel — créé par le premier des deux webhooks Twilio qui arrive
+// (fin du <Record> ou enregistrement prêt), complété par l'autre.
+function upsertCallback(callSid, fields) {
+  let cb = callbacks.find(c => c.callSid === callSid);
+  if (!cb) {
+    cb = {
+      id: crypto.randomBytes(4).toString("hex"), callSid, phone: "", nom: null, email: null, langue: null,
+      raison: null, recordingSid: null, recordingUrl: null, duree: 0, transcription: null,
+      status: "à faire", appels: 0, createdAt: new Date().toISOString(), doneAt: null,
+    };
+    callbacks.push(cb);
+  }
+  Object.assign(cb, fields);
+  saveCallbacks();
+  return cb;
+}
+
+// Joint le message au log de l'appel (s'il est encore en mémoire)
+function attachVoicemailToLog(cb) {
+  const log = callLogs.get(cb.callSid);
+  if (!log) return;
+  log.messagerie = { rappelId: cb.id, raison: cb.raison, duree: cb.duree, transcription: cb.transcription };
+  if (cb.nom && !log.clientNom) log.clientNom = cb.nom;
+  saveLogsToDisk();
+}
+
+// Le mp3 d'un message — l'URL Twilio exige l'authentification du compte
+function fetchRecording(cb) {
+  return fetch(`${cb.recordingUrl}.mp3`, {
+    headers: { Authorization: "Basic " + Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString("base64") },
+  });
+}
+
+// Transcription OpenAI du message (mp3 Twilio, authentifié)
+async function transcribeVoicemail(cb) {
+  if (!OPENAI_API_KEY || !cb.recordingUrl) return;
+  try {
+    const audio = await fetchRecording(cb);
+    if (!audio.ok) throw new Error(`Twilio ${audio.status}`);
+    const form = new FormData();
+    form.append("file", new Blob([await audio.arrayBuffer()], { type: "audio/mpeg" }), "message.mp3");
+    form.append("model", OPENAI_TRANSCRIBE_MODEL);
+    form.append("language", cb.langue || callLogs.get(cb.callSid)?.langue || "fr");
+    const r = await fetch("https://api.openai.com/v1/audio/transcriptions", {
+      method: "POST",
+      headers: { Authorization: `Bearer ${OPENAI_API_KEY}` },
+      body: form,
+    });
+    const j = await r.json();
+    if (!r.ok) throw new Error(j.error?.message || `OpenAI ${r.status}`);
+    cb.transcription = (j.text || "").trim();
+    saveCallbacks();
+    attachVoicemailToLog(cb);
+    logEvent(cb.callSid, "client", `📨 ${cb.transcription || "(message vide)"}`);
+    saveLogsToDisk();
+    console.log(`[VOICEMAIL] ✅ Transcription (${cb.transcription.length} car.)`);
+  } catch(e) {
+    console.error("[VOICEMAIL] ❌ Transcription:", e.message);
+  }
+}
+
+// Rappel direct : Twilio appelle FALLBACK_NUMBER, puis relie l'équipe au client
+async function callbackCall(cb) {
+  if (!twilioClient || !FALLBACK_NUMBER || !TWILIO_CALLER_ID) throw new Error("Twilio ou FALLBACK_NUMBER non configuré.");
+  if (!cb.phone) throw new Error("Numéro du client inconnu.");
+  const qui = cb.nom || "un client";
+  await twilioClient.calls.create({
+    to:    FALLBACK_NUMBER,
+    from:  TWILIO_CALLER_ID,
+    twiml: `<Response><Say language="fr-CA" voice="Polly.Chantal">Rappel de ${xmlEscape(qui)}. Mise en relation.</Say><Dial callerId="${xmlEscape(TWILIO_CALLER_ID)}">${xmlEscape(cb.phone)}</Dial></Response>`,
+  });
+  cb.appels = (cb.appels || 0) + 1;
+  saveCallbacks();
+  console.log(`[VOICEMAIL] 📞 Rappel lancé — ${qui} (######${cb.phone.slice(-4)})`);
+}
+
+// ─── Heures d'ouverture et routage des appels ─────────────────────────────────
+// Horaire structuré (remplace le texte libre SALON_HOURS), congés et bouton
+// « comptoir occupé » du dashboard. Chaque appel entrant est routé :
+//   salon ouvert, comptoir libre  → sonne au comptoir (FALLBACK_NUMBER), sans réponse → agent
+//   salon ouvert, comptoir occupé → agent directement
+//   salon fermé                   → message de fermeture, messagerie ou agent (réglage)
+// Tant que l'horaire n'est pas configuré, tout va à l'agent comme avant.
+const HOURS_FILE = path.join(LOGS_DIR, "hours.json");
+const HOURS_DEFAULT = {
+  configure:      false,
+  heures:         {},          // { mardi: [["09:00", "17:00"]], ... } — même format que calendar.json
+  conges:         [],          // [{ date: "2026-12-25", nom: "Noël" }]
+  comptoirOccupe: false,
+  sonnerie:       20,          // secondes au comptoir avant de passer à l'agent
+  siOuvert:       "comptoir",  // "comptoir" | "agent"
+  siFerme:        "message",   // "message" | "messagerie" | "agent"
+};
+
+let salonHours = structuredClone(HOURS_DEFAULT);
+
+function loadHours() {
+  try {
+    if (fs.existsSync(HOURS_FILE)) {
+      salonHours = { ...HOURS_DEFAULT, ...JSON.parse(fs.readFileSync(HOURS_FILE, "utf8")) };
+      console.log(`[HOURS] ✅ Horaire chargé — ${Object.keys(salonHours.heures).length} jour(s) ouvert(s), ${salonHours.conges.length} congé(s)`);
+    }
+  } catch(e) { console.warn("[HOURS] ⚠️ Erreur chargement:", e.message); }
+}
+function saveHours() {
+  try { fs.writeFileSync(HOURS_FILE, JSON.stringify(salonHours, null, 2), "utf8"); }
+  catch(e) { console.error("[HOURS] ❌ Erreur sauvegarde:", e.message); }
+}
+loadHours();
+
+// "09:00" → "9h", "13:30" → "13h30"
+function hhmmToFrench(hhmm) {
+  const [h, m] = hhmm.split(":");
+  return `${+h}h${m === "00" ? "" : m}`;
+}
+
+// "2026-12-25" → "25 décembre"
+function ymdToFrench(ymd) {
+  return new Date(`${ymd}T12:00:00Z`).toLocaleString("fr-CA", { day: "numeric", month: "long", timeZone: "UTC" });
+}
+
+function congeDu(ymd) {
+  return salonHours.conges.find(c => c.date === ymd) || null;
+}
+
+// Texte des heures pour le prompt et get_salon_info — congés des 60 prochains jours inclus
+function salonHoursText(now = new Date()) {
+  if (!salonHours.configure) return SALON_HOURS;
+  const jours = [...JOURS_NOMS.slice(1), JOURS_NOMS[0]].map(j => {
+    const plages = salonHours.heures[j] || [];
+    const nom = j[0].toUpperCase() + j.slice(1);
+    return `${nom} : ${plages.length ? plages.map(([d, f]) => `${hhmmToFrench(d)} à ${hhmmToFrench(f)}`).join(" et ") : "fermé"}`;
+  });
+  const aujourdhui = localYmd(now);
+  const limite = addLocalDays(aujourdhui, 60);
+  const conges = salonHours.conges.filter(c => c.date >= aujourdhui && c.date <= limite);
+  if (conges.length) jours.push(`Fermé : ${conges.map(c => `${ymdToFrench(c.date)}${c.nom ? ` (${c.nom})` : ""}`).join(", ")}`);
+  return jours.join("\n");
+}
+
+// Le salon est-il ouvert à cet instant? → { ouvert, conge, prochaine: Date | null }
+function salonStatus(now = new Date()) {
+  const { ymd, hour, minute } = zonedParts(now);
+  const hm = `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+  const conge = congeDu(ymd);
+  const plages = jourPlages(ymd);
+  const ouvert = !conge && plages.some(([d, f]) => hm >= d && hm < f);
+  let prochaine = null;
+  for (let i = 0; i < 14 && !ouvert && !prochaine; i++) {
+    const jour = addLocalDays(ymd, i);
+    if (congeDu(jour)) continue;
+    const debut = jourPlages(jour).map(([d]) => zonedToUtc(jour, d)).find(t => t > now);
+    if (debut) prochaine = debut;
+  }
+  return { ouvert, conge, prochaine };
+}
+
+function jourPlages(ymd) {
+  return salonHours.heures[JOURS_NOMS[new Date(`${ymd}T12:00:00Z`).getUTCDay()]] || [];
+}
+
+// Date de réouverture pour la voix : "aujourd'hui à 13h", "demain à 9h", "mardi à 9h"
+function prochaineOuvertureText(date, now = new Date()) {
+  const jour = localYmd(date);
+  const { hour, minute } = zonedParts(date);
+  const heure = hhmmToFrench(`${hour}:${String(minute).padStart(2, "0")}`);
+  if (jour === localYmd(now)) return `aujourd'hui à ${heure}`;
+  if (jour === addLocalDays(localYmd(now), 1)) return `demain à ${heure}`;
+  return `${JOURS_NOMS[new Date(`${jour}T12:00:00Z`).getUTCDay()]} à ${heure}`;
+}
+
+// Décision de routage d'un appel entrant → { route: "comptoir" | "agent" | "messagerie" | "fermé", motif }
+function routeIncomingCall(now = new Date()) {
+  if (!salonHours.configure) return { route: "agent", motif: "horaire non configuré" };
+  const { ouvert, conge } = salonStatus(now);
+  if (!ouvert) {
+    const motif = conge ? `fermé — congé${conge.nom ? " " + conge.nom : ""}` : "fermé — hors des heures";
+    if (salonHours.siFerme === "agent") return { route: "agent", motif };
+    return { route: salonHours.siFerme === "messagerie" ? "messagerie" : "fermé", motif };
+  }
+  if (salonHours.comptoirOccupe) return { route: "agent", motif: "ouvert — comptoir occupé" };
+  if (salonHours.siOuvert !== "comptoir" || !FALLBACK_NUMBER) return { route: "agent", motif: "ouvert" };
+  return { route: "comptoir", motif: "ouvert — sonnerie au comptoir" };
+}
+
+// Message de fermeture : heures de réouverture, puis on raccroche
+function closedTwiml(twiml, now = new Date()) {
+  const { conge, prochaine } = salonStatus(now);
+  const raison = conge ? `Le salon est fermé aujourd'hui${conge.nom ? " pour " + conge.nom : ""}.` : "Le salon est présentement fermé.";
+  const retour = prochaine ? ` Nous serons de retour ${prochaineOuvertureText(prochaine, now)}.` : "";
+  twiml.say(VOICEMAIL_VOICES.fr, `Bonjour, vous avez joint le ${SALON_NAME}. ${raison}${retour} Merci et à bientôt!`);
+  twiml.hangup();
+  return twiml;
+}
+
+// Valide l'horaire reçu de /admin/config → { settings } | { error }
+function validateHours(input) {
+  const hm = /^([01]\d|2[0-3]):[0-5]\d$/;
+  const heures = {};
+  for (const jour of JOURS_NOMS) {
+    const plages = Array.isArray(input.heures?.[jour]) ? input.heures[jour] : [];
+    for (const p of plages) {
+      if (!Array.isArray(p) || !hm.test(p[0]) || !hm.test(p[1]) || p[0] >= p[1]) return { error: `Plage invalide le ${jour} (format HH:MM-HH:MM).` };
+    }
+    const triees = plages.map(([d, f]) => [d, f]).sort((a, b) => a[0].localeCompare(b[0]));
+    if (triees.some((p, i) => i > 0 && p[0] < triees[i - 1][1])) return { error: `Plages qui se chevauchent le ${jour}.` };
+    if (triees.length) heures[jour] = triees;
+  }
+  const conges = [];
+  for (const c of Array.isArray(input.conges) ? input.conges : []) {
+    const date = String(c?.date || "").trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(`${date}T12:00:00Z`))) return { error: `Date de congé invalide : ${date || "(vide)"} (AAAA-MM-JJ).` };
+    conges.push({ date, nom: String(c.nom || "").trim().slice(0, 60) });
+  }
+  conges.sort((a, b) => a.date.localeCompare(b.date));
+  const sonnerie = parseInt(input.sonnerie);
+  if (!(sonnerie >= 5 && sonnerie <= 60)) return { error: "Sonnerie au comptoir : 5 à 60 secondes." };
+  if (!["comptoir", "agent"].includes(input.siOuvert)) return { error: "Routage pendant les heures invalide." };
+  if (!["message", "messagerie", "agent"].includes(input.siFerme)) return { error: "Routage hors des heures invalide." };
+  return { settings: { configure: true, heures, conges, sonnerie, siOuvert: input.siOuvert, siFerme: input.siFerme } };
+}
+
+// ─── RDV de groupe (famille) ──────────────────────────────────────────────────
+// Un parent réserve pour lui et ses enfants dans le même appel : on cherche des
+// créneaux simultanés (coiffeuses différentes, même heure) ou consécutifs
+// (l'un après l'autre), puis on réserve tout ensemble — ou rien.
+const GROUP_GAP_MAX_MIN    = 15; // attente max entre deux RDV consécutifs
+
+async function findGroupOptions(personnes, { start, end, jour = null, periode = null, mode = "peu_importe" }) {
+  if (coiffeuses.length === 0) await loadCoiffeuses();
+  const slotCache = new Map(); // uri → [iso]
+  const candidats = [];
+  for (const p of personnes) {
+    let cibles = coiffeuses.filter(c => c.eventTypes[p.service]);
+    if (p.coiffeuse) cibles = cibles.filter(c => c.name.toLowerCase().includes(p.coiffeuse.toLowerCase()));
+    const opts = [];
+    for (const c of cibles) {
+      const uri = c.eventTypes[p.service];
+      if (!slotCache.has(uri)) slotCache.set(uri, await getSlots(uri, start, end));
+      for (const iso of slotCache.get(uri)) {
+        if (findHold(iso, c.name, uri)) continue;
+        opts.push({ iso, t: new Date(iso).getTime(), coiffeuse: c.name, uri, duree: c.durations?.[p.service] || serviceDuration(p.service) });
+      }
+    }
+    opts.sort((a, b) => a.t - b.t);
+    candidats.push(opts);
+  }
+  if (candidats.some(o => !o.length)) return [];
+
+  const JOURS = { dimanche:0, lundi:1, mardi:2, mercredi:3, jeudi:4, vendredi:5, samedi:6 };
+  const jourNum = jour ? JOURS[jour.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "")] : undefined;
+  const premierOk = o => (jourNum === undefined || localParts(o.iso).day === jourNum) && matchesPeriode(o.iso, periode);
+
+  // Même heure, une coiffeuse différente par personne (backtracking — groupes de 2 à 4)
+  const simultane = (t) => {
+    const used = new Set(), pick = [];
+    const assign = i => {
+      if (i === candidats.length) return true;
+      for (const o of candidats[i]) {
+        if (o.t !== t || used.has(o.coiffeuse)) continue;
+        used.add(o.coiffeuse); pick.push(o);
+        if (assign(i + 1)) return true;
+        used.delete(o.coiffeuse); pick.pop();
+      }
+      return false;
+    };
+    return assign(0) ? pick : null;
+  };
+
+  // L'un après l'autre — de préférence avec la même coiffeuse
+  const consecutif = (first) => {
+    const pick = [first];
+    for (let i = 1; i < candidats.length; i++) {
+      const prev = pick[i - 1];
+      const finPrev = prev.t + prev.duree * 60_000;
+      const ok = candidats[i].filter(o => o.t >= finPrev && o.t <= finPrev + GROUP_GAP_MAX_MIN * 60_000
+        && !pick.some(x => x.coiffeuse === o.coiffeuse && o.t < x.t + x.duree * 60_000));
+      const next = ok.find(o => o.coiffeuse === prev.coiffeuse) || ok[0];
+      if (!next) return null;
+      pick.push(next);
+    }
+    return pick;
+  };
+
+  const options = [];
+  const seenStarts = new Set();
+  for (const first of candidats[0]) {
+    if (options.length >= 3) break;
+    if (seenStarts.has(first.t) || !premierOk(first)) continue;
+    let pick = null, type = null;
+    if (mode !== "consecutif") { pick = simultane(first.t); type = "simultane"; }
+    if (!pick && mode !== "simultane") { pick = consecutif(first); type = "consecutif"; }
+    if (!pick) continue;
+    seenStarts.add(first.t);
+    options.push({
+      mode: type,
+      rendezVous: pick.map((o, i) => ({
+        prenom: personnes[i].prenom, nom: personnes[i].nom || null, service: personnes[i].service,
+        startTimeIso: o.iso, eventTypeUri: o.uri, coiffeuse: o.coiffeuse,
+      })),
+    });
+  }
+  return options;
+}
+
+// Réserve tous les RDV du groupe ; si un seul échoue, annule ceux déjà créés
+async function bookGroup(rendezVous, { email, nomFamille = "", phone = null, langue = "fr" }) {
+  const done = [];
+  try {
+    for (const rv of rendezVous) {
+      const nomComplet = rv.name || [rv.prenom, rv.nom || nomFamille].filter(Boolean).join(" ");
+      const result = await createInvitee({ uri: rv.eventTypeUri, startTimeIso: rv.startTimeIso, name: nomComplet, email });
+      done.push({ ...rv, nomComplet, cancelUrl: result?.resource?.cancel_url || "", eventUri: result?.resource?.event || null });
+    }
+    for (const d of done) scheduleReminders({ eventUri: d.eventUri, slotIso: d.startTimeIso, phone, name: d.nomComplet, coiffeuse: d.coiffeuse, service: d.service, langue });
+    return done;
+  } catch (e) {
+    console.error(`[GROUP] ❌ Échec après ${done.length}/${rendezVous.length} RDV — annulation des RDV créés`);
+    for (const d of done) {
+      if (d.eventUri) await cancelScheduledEvent(d.eventUri, "Réservation de groupe incomplète").catch(err => console.error("[GROUP] ❌", err.message));
+    }
+    throw e;
+  }
+}
+
+function groupSmsBody(booked, langue = "fr") {
+  return smsTexte(langue, "groupeConfirme", {
+    n: booked.length,
+    liste: booked.map(b => `${slotToShort(b.startTimeIso, langue)} - ${b.prenom} (${serviceLabel(b.service)})${b.coiffeuse ? (langue === "en" ? " with " : " avec ") + b.coiffeuse : ""}`).join("\n"),
+    annulations: booked.filter(b => b.cancelUrl).map(b => ({ prenom: b.prenom, url: b.cancelUrl })),
+  });
+}
+
+// ─── Séries de RDV récurrents ─────────────────────────────────────────────────
+// Les habitués reviennent aux 4–6 semaines avec la même coiffeuse : on propose les
+// N prochaines occurrences au même jour et à la même heure locale, on signale celles
+// qui ne sont pas libres avec les créneaux les plus proches, puis on réserve la série.
+// Conservée sur disque pour pouvoir annuler une occurrence ou la série complète.
+const SERIES_FILE = path.join(LOGS_DIR, "series.json");
+let series = []; // [{ id, phone, name, email, service, coiffeuse, intervalWeeks, occurrences: [{ iso, eventUri, cancelUrl, status }], createdAt }]
+
+function loadSeries() {
+  try {
+    if (fs.existsSync(SERIES_FILE)) {
+      series = JSON.parse(fs.readFileSync(SERIES_FILE, "utf8"));
+      console.log(`[SERIES] ✅ ${series.length} série(s) chargée(s)`);
+    }
+  } catch(e) { console.warn("[SERIES] ⚠️ Erreur chargement:", e.message); }
+}
+function saveSeries() {
+  try { fs.writeFileSync(SERIES_FILE, JSON.stringify(series, null, 2), "utf8"); }
+  catch(e) { console.error("[SERIES] ❌ Erreur sauvegarde:", e.message); }
+}
+loadSeries();
+
+function findSeriesByEventUri(eventUri) {
+  if (!eventUri) return null;
+  return series.find(sr => sr.occurrences.some(o => o.eventUri === eventUri)) || null;
+}
+
+// Même heure locale N semaines plus tard (corrige le changement d'heure entre les deux dates)
+function addWeeksLocal(iso, weeks) {
+  return shiftLocalDays(iso, weeks * 7);
+}
+
+async function proposeSeries({ uri, firstIso, intervalWeeks, count }) {
+  const proposal = [];
+  for (let k = 0; k < count; k++) {
+    const target = k === 0 ? new Date(firstIso) : addWeeksLocal(firstIso, k * intervalWeeks);
+    const from = new Date(Math.max(target.getTime() - 3 * 24 * 3600 * 1000, Date.now() + 60_000));
+    const to   = new Date(target.getTime() + 4 * 24 * 3600 * 1000);
+    const slots = (await getSlots(uri, from, to)).filter(iso => !findHold(iso, null, uri));
+    const exact = slots.find(iso => sameInstant(iso, target));
+    if (exact) {
+      proposal.push({ occurrence: k + 1, cible: target.toISOString(), iso: exact, trouve: true, alternatives: [] });
+    } else {
+      const alternatives = [...slots]
+        .sort((a, b) => Math.abs(new Date(a) - target) - Math.abs(new Date(b) - target))
+        .slice(0, 2);
+      proposal.push({ occurrence: k + 1, cible: target.toISOString(), iso: null, trouve: false, alternatives });
+    }
+  }
+  return proposal;
+}
+
+// ─── System prompt ────────────────────────────────────────────────────────────
+// canal "voix" (téléphone) | "sms" | "web" — les canaux texte n'ont pas les règles
+// propres à l'audio (intro, silences, raccrochage) et ajoutent les leurs (TEXT_PROMPT_RULES)
+function systemPrompt(callerNumber, canal = "voix", langue = "fr") {
+  const callerDisplay = callerNumber ? fmtPhone(callerNumber) : null;
+  const voix = canal === "voix";
+  return `Tu es ${AGENT_NAME}, réceptionniste au ${SALON_NAME} à ${SALON_CITY}.
+Tu parles en français québécois naturel. Ton ton est chaleureux, humain, jamais robotique.
+${langue === "en" ? `
+LANGUE : le client parle ANGLAIS. Réponds UNIQUEMENT en anglais, naturel et chaleureux.
+- Les phrases à dire mot pour mot (« Dis : ... », PHRASE OBLIGATOIRE) sont écrites en français ici et dans les résultats d'outils : traduis-les fidèlement en anglais, sans rien ajouter ni retrancher.
+- Les dates et les courriels épelés fournis par les outils sont déjà en anglais — lis-les tels quels.
+- Les arguments des outils gardent leurs valeurs habituelles (clés de service, noms des coiffeuses).
+- Si le client demande à parler français → set_language langue="fr".
+` : `Si le client parle anglais ou demande l'anglais → set_language langue="en", puis continue en anglais.
+`}
 INFORMATIONS SALON :
 - Adresse : ${SALON_ADDRESS}
-- Heures : ${SALON_HOURS}
+- Heures : ${salonHoursText()}
 - Prix : ${SALON_PRICE_LIST}
-- Prix service "autre" (non binaire, queer, trans, LGBTQ+) : le prix varie selon la complexité — évalué avec la coiffeuse lors du RDV.
+${serviceCatalog.filter(s => s.price).map(s => `- Prix ${s.label}${s.prompt ? ` (${s.prompt})` : ""} : ${s.price}`).join("\n")}
 ${Object.keys(serviceDescriptions).length > 0 ? "- Détails par service :\n" + Object.entries(serviceDescriptions).map(([svc,desc]) => `  • ${svc}: ${desc}`).join("\n") : ""}
 - Paiement : ${SALON_PAYMENT}
 - Stationnement : ${SALON_PARKING}
@@ -729,35 +2928,36 @@ STATE = INTRO → SERVICE → COIFFEUSE → SLOTS → CONFIRM_SLOT → NEW_CLIEN
 Règle absolue : ne jamais reculer à un état précédent sauf si le client change explicitement d'idée.
 Le lookup initial n'est PAS un état — il s'exécute en arrière-plan pendant l'intro.
 
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+${canal === "web" ? "" : `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 PATH CLIENT EXISTANT (prefetch ou lookup trouvé)
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 → Après intro : "Salut [prénom]! Super de t'entendre. Comment je peux t'aider aujourd'hui?"
 → Confirmation créneau → "Un instant, je finalise ta réservation." → send_booking_link DIRECTEMENT (ZÉRO question nom/cell/email).
-→ Fin : "Ta confirmation sera envoyée par texto et courriel. Bonne journée!" → end_call.
-
+→ Fin : "Ta confirmation sera envoyée par texto et courriel. Bonne journée!"${voix ? " → end_call." : ""}
+`}
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 PATH NOUVEAU CLIENT (aucun dossier trouvé)
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-→ Après intro : "Comment je peux t'aider?"
+${canal === "web" ? `→ Confirmation créneau → collecter prénom → nom → cellulaire → courriel → send_booking_link avec phone et email.
+→ Fin : "C'est réservé! Ta confirmation arrive par texto et par courriel."` : `→ Après intro : "Comment je peux t'aider?"
 → Confirmation créneau → "Un instant, je finalise ta réservation." → collecter prénom → nom → cellulaire → send_booking_link.
-→ Fin : "Je t'envoie un texto pour confirmer ton courriel. Une fois confirmé, tu recevras ta confirmation. Bonne journée!" → end_call.
+→ Fin : "Je t'envoie un texto pour confirmer ton courriel. Une fois confirmé, tu recevras ta confirmation. Bonne journée!"${voix ? " → end_call." : ""}`}
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 COMPORTEMENT CONVERSATIONNEL
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 RÉPONSE :
-- Tu accuses réception uniquement quand il y a une réponse exploitable.
+${voix ? `- Tu accuses réception uniquement quand il y a une réponse exploitable.
 - Bruits, "euh", interjections isolées, mots sans contexte → ignorer complètement, attendre une vraie réponse.
-- Quand le client donne une réponse exploitable : accuse réception brièvement ("Super!", "Très bien!", "C'est noté!", "D'accord!", "Ça marche!") puis continue IMMÉDIATEMENT vers la prochaine étape logique.
-- RÈGLE ANTI-SILENCE : après toute réponse du client, tu DOIS répondre ou agir dans les 2 secondes. Si tu n'as pas encore l'info complète, dis "Un instant..." pendant que tu traites. Ne reste JAMAIS silencieux après qu'un client a parlé.
+` : ""}- Quand le client donne une réponse exploitable : accuse réception brièvement ("Super!", "Très bien!", "C'est noté!", "D'accord!", "Ça marche!") puis continue IMMÉDIATEMENT vers la prochaine étape logique.
+${voix ? `- RÈGLE ANTI-SILENCE : après toute réponse du client, tu DOIS répondre ou agir dans les 2 secondes. Si tu n'as pas encore l'info complète, dis "Un instant..." pendant que tu traites. Ne reste JAMAIS silencieux après qu'un client a parlé.
 - Si le client dit "Allô?", "t'es là?", "allo il y a quelqu'un?" → c'est qu'il attend ta réponse → réponds IMMÉDIATEMENT : "Oui, je suis là! [répète ou confirme la dernière question]".
-- Maximum 1–2 phrases par tour. Jamais plus.
+` : ""}- Maximum 1–2 phrases par tour. Jamais plus.
 - Une seule question à la fois. Attends la réponse avant de continuer.
-- Après chaque question → STOP. Silence jusqu'à réponse réelle.
+${voix ? `- Après chaque question → STOP. Silence jusqu'à réponse réelle.
 
 MOTS ISOLÉS — deux catégories distinctes :
-1. TRANSFERT (déclenche transfer_to_agent si dit seul, sans phrase) : "équipe", "agent", "humain", "réceptionniste", "transfert"
+1. TRANSFERT (déclenche transfer_to_agent si dit seul, sans phrase) : "équipe", "agent", "humain", "réceptionniste", "transfert", "team"
 2. CONVERSATIONNELS (ne déclenchent rien, ignorer) : "ok", "oui", "non", "bye", "merci", "euh", bruits
 
 ATTENTE OUTIL :
@@ -768,11 +2968,11 @@ ATTENTE OUTIL :
 PENDANT L'INTRO : si le client parle ou fait un bruit → ignorer complètement, terminer l'intro EN ENTIER.
 APRÈS "Comment je peux t'aider?" → STOP COMPLET. Silence total jusqu'à ce que le client parle.
 INTERRUPTION : si le client parle pendant que tu parles → arrête-toi, écoute, reprends selon ce qu'il dit.
-
+` : ""}
 VOCABULAIRE AUTORISÉ : Super, D'accord, C'est noté, Ça marche, Un petit instant, Excellent, Très bien.
 INTERDIT : dire "Parfait" (utilise les alternatives ci-dessus). Jamais "je vérifie ton dossier".
 
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+${voix ? `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 ACCUEIL (STATE = INTRO)
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 - Dis UNIQUEMENT la phrase d'intro fournie par le système.
@@ -780,20 +2980,14 @@ ACCUEIL (STATE = INTRO)
 - NE PAS improviser ni ajouter quoi que ce soit avant ce message système.
 - La personnalisation (si client existant) arrive via le followUp — ne jamais la devancer.
 
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+` : ""}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 PRISE DE RENDEZ-VOUS
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 Règle d'or : si le client donne plusieurs infos en une phrase, traite-les toutes sans reposer de questions auxquelles il a déjà répondu.
 
 1. TYPE DE SERVICE (STATE = SERVICE) :
    SERVICES — valeurs exactes pour get_available_slots :
-   • "homme"            = coupe homme
-   • "femme"            = coupe femme
-   • "femme_coloration" = coupe femme + coloration
-   • "femme_plis"       = coupe femme + mise en plis
-   • "femme_color_plis" = coupe femme + coloration & mise en plis
-   • "enfant"           = coupe enfant (garçon ou fille)
-   • "autre"            = coupe autre (non binaire, queer, trans, etc.)
+${serviceCatalog.map(s => `   • "${s.key}" = ${s.label}${s.prompt ? ` (${s.prompt})` : ""}`).join("\n")}
 
    → Si service + coiffeuse + date déjà connus → passe directement à l'étape 3.
    → ORDRE : 1) service? 2) coiffeuse? 3) get_available_slots.
@@ -810,10 +3004,26 @@ Règle d'or : si le client donne plusieurs infos en une phrase, traite-les toute
    → "mon conjoint / ma conjointe / mon mari / ma femme / mon partenaire / ma mère / mon père" → service selon coupe → "Quel est le prénom de [personne]?"
    → NOM CALENDLY : prénom + nom de la personne qui reçoit le service. Demander nom de famille si inconnu.
    → DOSSIER GOOGLE : créé au prénom + nom du client appelant. Si nouveau, demander séparément prénom puis nom de famille.
+   → send_booking_link : name = personne qui reçoit le service, titulaire = client appelant.
+
+2a. RDV RÉCURRENTS (client existant qui veut revenir régulièrement, ex: "aux 5 semaines", "mes 4 prochains rendez-vous") :
+   → Détermine le premier créneau normalement (get_available_slots) → puis propose_recurring_series avec ce créneau, l'intervalle en semaines et le nombre d'occurrences (4 par défaut, max 6).
+   → Lis les dates trouvées. Pour chaque occurrence non trouvée, propose les alternatives retournées ("Le 14 avril n'est pas libre — j'ai le 15 à 10h ou le 17 à 9h, lequel?").
+   → Confirme la série complète → OUI → book_recurring (avec les alternatives choisies).
+   → NOUVEAU CLIENT : réserve seulement le premier RDV (send_booking_link) — la série se fait une fois le dossier créé.
+
+2b. RDV DE GROUPE / FAMILLE (plusieurs personnes dans le même appel, ex: parent + enfants) :
+   → Pour CHAQUE personne : prénom + service. Coiffeuse seulement si le client en précise une.
+   → Demande UNE fois : "Vous voulez passer en même temps ou l'un après l'autre?" (peu importe = "peu_importe").
+   → find_group_slots avec la liste des personnes → présente les options retournées (max 3).
+   → Client choisit → "[résumé de l'option] — ça te convient?" → OUI → book_group avec le numéro d'option.
+   → Un SEUL texto regroupe tous les RDV. Le dossier Google reste au nom du client appelant.
+   → JAMAIS de nom combiné du genre "Emma / Bergeron" — chaque personne garde son prénom, le titulaire est le client appelant.
 
 3. DISPONIBILITÉS (STATE = SLOTS) :
    → Limite 90 jours → transfer_to_agent si dépassé.
-   → Avant get_available_slots → "Un instant, je regarde ça. Merci de patienter." puis appelle.
+${voix ? `   → Avant get_available_slots → "Un instant, je regarde ça. Merci de patienter." puis appelle.
+` : ""}   → QUAND : ne calcule JAMAIS de date toi-même — passe les mots du client dans "expression" (ex: "jeudi prochain après 15h"). Relis la fenetre_interpretee : "Pour jeudi 29 octobre après 15h, j'ai…". Si le client corrige → rappelle avec sa correction.
    → Créneaux retournés GARANTIS disponibles — ne jamais dire qu'une coiffeuse n'est pas disponible.
    → DATE COMPLÈTE — TOUJOURS "jour le X mois à Hh". JAMAIS "mardi à 13h30".
    → REGROUPEMENT PAR JOURNÉE : même jour → date une fois, puis heures. Ex: "mardi le 3 mars à 9h et à 10h".
@@ -836,7 +3046,13 @@ Règle d'or : si le client donne plusieurs infos en une phrase, traite-les toute
    → INTERDIT ABSOLU après OUI : "je finalise", "je prépare", "un instant", "parfait", toute autre phrase.
    → Seul "Super!" — puis action immédiate vers étape 5.
 
-5. DOSSIER (après OUI confirmation créneau) :
+${canal === "web" ? `5. COORDONNÉES (clavardage web — aucun dossier consultable) :
+   → Après OUI : "Super! Quel est ton prénom?" → "Et ton nom de famille?" → "Ton numéro de cellulaire?" → "Et ton courriel?"
+   → Une question à la fois. N'invente jamais une info manquante.
+   → Relis numéro et courriel en un seul message : "Je confirme : 514 555-1234 et marie@exemple.com — c'est bien ça?" → OUI → send_booking_link avec name, phone et email.
+   → Le serveur texte alors un code au cellulaire : demande-le au visiteur → verify_phone_code → la réservation se fait à ce moment-là.
+
+` : `5. DOSSIER (après OUI confirmation créneau) :
    → Si prefetch fourni → email et nom connus → SAUTE à l'étape 8.
    → Sinon → appelle lookup_existing_client silencieusement (sans le mentionner).
    → Client trouvé → SAUTE à l'étape 8. ZÉRO question.
@@ -858,30 +3074,32 @@ Règle d'or : si le client donne plusieurs infos en une phrase, traite-les toute
    → NON → "Peux-tu me le répéter?" → 2e tentative → si NON encore → transfer_to_agent.
    → Si le client dit "Allô?", "t'es là?", "allo" pendant cette étape → répondre IMMÉDIATEMENT : "Oui, je suis là! [répète la question courante]"
 
-7. ÉVÉNEMENT SPÉCIAL :
+`}7. ÉVÉNEMENT SPÉCIAL :
    → Mariage, graduation, bal, événement → "Super! Je vais noter ça." → ajoute note dans description.
 
 8. ENVOI ET FIN (STATE = SEND_LINK → END) :
    → Appelle send_booking_link avec : service, slot_iso, name, phone (si nouveau), email (si existant).
-   → CLIENT EXISTANT : "Ta confirmation sera envoyée par texto et courriel. Bonne journée!" → end_call.
-   → NOUVEAU CLIENT : "Je t'envoie un texto pour que tu confirmes ton courriel. Une fois confirmé, tu recevras ta confirmation. Bonne journée!" → end_call.
+   → CLIENT EXISTANT : "Ta confirmation sera envoyée par texto et courriel. Bonne journée!"${voix ? " → end_call." : ""}
+   → NOUVEAU CLIENT : ${canal === "web" ? `"C'est réservé! Ta confirmation arrive par texto et par courriel. Bonne journée!"` : `"Je t'envoie un texto pour que tu confirmes ton courriel. Une fois confirmé, tu recevras ta confirmation. Bonne journée!"`}${voix ? " → end_call." : ""}
 
-FIN D'APPEL SANS RDV :
-   → "merci", "bonne journée", "c'est tout", "au revoir" sans RDV actif → "Bonne journée!" → end_call.
+FIN ${voix ? "D'APPEL" : "DE CONVERSATION"} SANS RDV :
+   → "merci", "bonne journée", "c'est tout", "au revoir" sans RDV actif → "Bonne journée!"${voix ? " → end_call." : ""}
    → Ne jamais mentionner confirmation ou texto si rien n'a été réservé.
-
+${voix ? `
 RÈGLE ABSOLUE end_call :
    → Après toute salutation finale, sans exception. Jamais "Est-ce que je peux faire autre chose?".
-
+` : ""}
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 GESTION RDV EXISTANTS
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-- ANNULATION : get_existing_appointment → RDV trouvé avec cancel_url → SMS lien → "Lien envoyé! Tu veux prendre un nouveau RDV?" → NON → end_call. Sans cancel_url → transfer_to_agent. Aucun RDV → "Je ne trouve pas de RDV actif. Je te transfère?" → OUI → transfer_to_agent. NON → "Comment je peux t'aider?"
-- MODIFICATION : get_existing_appointment → confirme date → "Pour modifier, utilise le lien dans ton texto, ou je te transfère." → transfer_to_agent si besoin.
+${canal === "web" ? `- ANNULATION, DÉPLACEMENT, CONFIRMATION OU RETARD : impossible par le clavardage (identité non vérifiable) → "Pour ça, réponds au texto de rappel ou appelle-nous au salon."
+` : `- ANNULATION : get_existing_appointment → lis la date → si le RDV fait partie d'une série → "Juste celui-là, ou toute la série?" → sinon "Tu veux bien annuler ton rendez-vous du [date]?" → OUI → cancel_appointment (portee="serie" pour toute la série) → "C'est annulé! Tu vas recevoir un texto de confirmation. Tu veux prendre un nouveau RDV?" → NON → end_call. Aucun RDV → "Je ne trouve pas de RDV actif. Je te transfère?" → OUI → transfer_to_agent. NON → "Comment je peux t'aider?"
+- MODIFICATION / DÉPLACEMENT : get_existing_appointment → confirme la date → "Quel moment te conviendrait mieux?" → get_available_slots avec le service et la coiffeuse du RDV existant (sauf si le client en veut une autre) → client choisit → "[jour complet] à [heure], avec [coiffeuse] — je déplace ton rendez-vous?" → OUI → reschedule_appointment avec slot_iso et event_type_uri du créneau choisi. NE PAS transférer pour une simple modification de date.
+  → L'ancien RDV est annulé automatiquement par reschedule_appointment — ne JAMAIS appeler cancel_appointment pour un déplacement.
 - CONFIRMATION RDV : get_existing_appointment → lis date → "Bonne journée!" → end_call.
 - RETARD : "Je vais avertir l'équipe." → transfer_to_agent.
 - CHANGER NUMÉRO : "Pour modifier ton dossier, je te mets en contact avec l'équipe." → transfer_to_agent.
-
+`}
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 FAQ SALON
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -911,7 +3129,8 @@ INTERPRÉTATION NATURELLE
 RÈGLES ABSOLUES
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 - N'invente jamais un nom. Utilise UNIQUEMENT ce que le client dit ou ce qui est dans le dossier.
-- Ne propose jamais liste d'attente ni rappel.
+- LISTE D'ATTENTE : propose-la SEULEMENT quand get_available_slots retourne disponible:false pour la coiffeuse ou la journée demandée ET que le client refuse les autres options. "Veux-tu que je t'inscrive sur la liste d'attente? Je t'envoie un texto dès qu'une place se libère." → OUI → join_waitlist. Ne promets jamais une place.
+- Ne propose jamais de rappel téléphonique.
 - INTERDIT : "Parfait" (utilise Super, D'accord, Très bien, C'est noté, Ça marche, Excellent).
 - INTERDIT : "je vérifie ton dossier" ou toute mention du lookup.
 - APRÈS CHOIX DE CRÉNEAU : ne jamais redemander service ou coiffeuse déjà connus.
@@ -926,7 +3145,7 @@ PHRASE UNIQUE — deux cas, jamais d'autre formulation :
 → transfer_to_agent immédiatement après. Ne rien dire de plus.
 
 TRANSFERT IMMÉDIAT si demande EXPLICITE d'action :
-• Mot isolé seul (sans phrase) : "équipe", "agent", "humain", "réceptionniste", "transfert"
+• Mot isolé seul (sans phrase) : "équipe", "agent", "humain", "réceptionniste", "transfert", "team"
 • Phrase explicite : "je veux parler à quelqu'un / une personne / l'équipe / le propriétaire", "peux-tu me transférer", "parle-moi à quelqu'un", "talk to someone"
 NE PAS transférer si le mot est dans une question d'info : "c'est quoi l'équipe?", "qui sont vos coiffeuses?" → répondre normalement.
 
@@ -944,15 +3163,16 @@ const TOOLS = [
   {
     type: "function",
     name: "get_available_slots",
-    description: "Récupère les créneaux disponibles. NE PAS appeler si la date est à plus de 90 jours — transférer à l'agent. 'le plus tôt possible', 'dès que possible', 'le plus rapidement possible', 'prochaine disponibilité', 'right now', 'tout de suite', 'tento', 'maintenant', 'live', 'asap' = PAS de date_debut ni offset (cherche AUJOURD'HUI — même journée). Pour dates relatives: 'vendredi prochain' = date ISO du prochain vendredi, 'la semaine prochaine' = date du lundi prochain, 'en mars' = '2026-03-01', 'dans 2 semaines' = offset_semaines:2.",
+    description: "Récupère les créneaux disponibles. NE PAS appeler si la date est à plus de 90 jours — transférer à l'agent. 'le plus tôt possible', 'dès que possible', 'le plus rapidement possible', 'prochaine disponibilité', 'right now', 'tout de suite', 'tento', 'maintenant', 'live', 'asap' = PAS de date_debut ni offset (cherche AUJOURD'HUI — même journée). Dès que le client décrit QUAND (jour, semaine, date, moment de la journée), passe sa phrase telle quelle dans 'expression' — le serveur calcule la fenêtre. Relis ensuite au client la fenetre_interpretee retournée.",
     parameters: {
       type: "object",
       properties: {
-        service:    { type: "string", enum: ["homme", "femme", "femme_coloration", "femme_plis", "femme_color_plis", "enfant", "autre"] },
+        service:    { type: "string", enum: SERVICE_ENUM },
         coiffeuse:  { type: "string", description: "Prénom de la coiffeuse souhaitée. Omets si pas de préférence." },
+        expression: { type: "string", description: "Mots EXACTS du client sur le moment souhaité, ex: 'vendredi prochain en après-midi', 'dans deux semaines', 'la fin de semaine', 'le 14 mars après 15h', 'next Tuesday morning'. Prioritaire sur jour/periode/date_debut." },
         jour:       { type: "string", description: "Jour de la semaine UNIQUEMENT en un mot: 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'. Ne jamais mettre 'prochain' ou autre qualificatif." },
         periode:    { type: "string", enum: ["matin", "après-midi", "soir"], description: "Période souhaitée. Omets si non mentionnée." },
-        date_debut: { type: "string", description: "Date ISO YYYY-MM-DD. Calcule la vraie date: 'vendredi prochain' → calcule et mets la date ISO du prochain vendredi. 'la semaine prochaine' → date du lundi prochain. 'en mars' → '2026-03-01'. Omets pour chercher à partir d'aujourd'hui." },
+        date_debut: { type: "string", description: "Date ISO YYYY-MM-DD — seulement si 'expression' n'a pas été comprise. Omets pour chercher à partir d'aujourd'hui." },
         offset_semaines: { type: "number", description: "Utilise SEULEMENT quand le client veut d'autres options que celles déjà proposées. Ex: 1 = décaler d'une semaine supplémentaire." },
       },
       required: ["service"],
@@ -989,13 +3209,14 @@ const TOOLS = [
     parameters: {
       type: "object",
       properties: {
-        service:        { type: "string", enum: ["homme", "femme", "femme_coloration", "femme_plis", "femme_color_plis", "enfant", "autre"], description: "OBLIGATOIRE — type de service" },
+        service:        { type: "string", enum: SERVICE_ENUM, description: "OBLIGATOIRE — type de service" },
         slot_iso:       { type: "string", description: "OBLIGATOIRE — date ISO du créneau choisi" },
         name:           { type: "string", description: "Nom du client. OPTIONNEL si client existant — le serveur le récupère automatiquement du dossier." },
         phone:          { type: "string", description: "Numéro de téléphone. OPTIONNEL si client existant — le serveur utilise le numéro appelant." },
         email:          { type: "string", description: "Courriel si connu. OPTIONNEL si client existant — le serveur le récupère du dossier." },
         coiffeuse:      { type: "string", description: "Prénom de la coiffeuse choisie, si applicable." },
         event_type_uri: { type: "string", description: "URI exact de l'event type retourné par get_available_slots. Toujours passer si disponible." },
+        titulaire:      { type: "string", description: "Prénom + nom du client appelant, SEULEMENT si le RDV est pour une autre personne (enfant, conjoint). Le dossier Google sera à ce nom." },
       },
       required: ["service", "slot_iso"],
     },
@@ -1026,6 +3247,18 @@ const TOOLS = [
       required: ["name", "phone"],
     },
   },
+  {
+    type: "function",
+    name: "set_language",
+    description: "Change la langue de la conversation (français ou anglais) : dates, textos et courriels suivront. Appelle dès que le client parle anglais ou demande l'autre langue.",
+    parameters: {
+      type: "object",
+      properties: {
+        langue: { type: "string", enum: ["fr", "en"], description: "fr = français, en = anglais" },
+      },
+      required: ["langue"],
+    },
+  },
   {
     type: "function",
     name: "get_coiffeuses",
@@ -1047,9 +3280,141 @@ const TOOLS = [
   {
     type: "function",
     name: "get_existing_appointment",
-    description: "Cherche le prochain rendez-vous Calendly du client appelant, basé sur son email. Appelle si le client parle d'annuler, modifier ou confirmer son RDV existant. Retourne la date/heure et les liens d'annulation/modification.",
+    description: "Cherche le prochain rendez-vous Calendly du client appelant, basé sur son email. Appelle si le client parle d'annuler, modifier ou confirmer son RDV existant. Retourne la date/heure, le service et la coiffeuse du RDV — à utiliser ensuite avec cancel_appointment ou reschedule_appointment.",
     parameters: { type: "object", properties: {}, required: [] },
   },
+  {
+    type: "function",
+    name: "propose_recurring_series",
+    description: "Propose une série de RDV récurrents (même coiffeuse, même jour et heure) à partir du premier créneau choisi via get_available_slots. Retourne chaque occurrence trouvée, et pour celles qui ne sont pas libres, les créneaux les plus proches. Ne réserve RIEN.",
+    parameters: {
+      type: "object",
+      properties: {
+        service:             { type: "string", enum: SERVICE_ENUM },
+        premier_slot_iso:    { type: "string", description: "Date ISO du premier RDV de la série (un créneau retourné par get_available_slots)." },
+        event_type_uri:      { type: "string", description: "URI de l'event type de ce créneau, retourné par get_available_slots." },
+        coiffeuse:           { type: "string", description: "Prénom de la coiffeuse de la série." },
+        intervalle_semaines: { type: "number", description: "Nombre de semaines entre deux RDV (ex: 4, 5, 6)." },
+        occurrences:         { type: "number", description: "Nombre total de RDV dans la série, premier inclus (défaut 4, max 6)." },
+      },
+      required: ["service", "premier_slot_iso", "intervalle_semaines"],
+    },
+  },
+  {
+    type: "function",
+    name: "book_recurring",
+    description: "Réserve la série proposée par propose_recurring_series après le OUI du client, et envoie un seul texto récapitulatif. Les occurrences non trouvées sont omises sauf si le client a choisi une alternative.",
+    parameters: {
+      type: "object",
+      properties: {
+        alternatives_choisies: {
+          type: "array",
+          description: "Pour chaque occurrence non trouvée où le client a choisi une alternative.",
+          items: {
+            type: "object",
+            properties: {
+              occurrence: { type: "number" },
+              slot_iso:   { type: "string" },
+            },
+            required: ["occurrence", "slot_iso"],
+          },
+        },
+      },
+      required: [],
+    },
+  },
+  {
+    type: "function",
+    name: "find_group_slots",
+    description: "Cherche des créneaux pour PLUSIEURS personnes dans le même appel (ex: parent + enfants) — en même temps avec des coiffeuses différentes, ou l'un après l'autre. Retourne jusqu'à 3 options numérotées.",
+    parameters: {
+      type: "object",
+      properties: {
+        personnes: {
+          type: "array",
+          description: "Une entrée par personne qui reçoit un service (2 à 4).",
+          items: {
+            type: "object",
+            properties: {
+              prenom:    { type: "string" },
+              nom:       { type: "string", description: "Nom de famille si différent de celui du client appelant." },
+              service:   { type: "string", enum: SERVICE_ENUM },
+              coiffeuse: { type: "string", description: "Prénom de la coiffeuse voulue pour cette personne. Omets si pas de préférence." },
+            },
+            required: ["prenom", "service"],
+          },
+        },
+        mode:       { type: "string", enum: ["simultane", "consecutif", "peu_importe"], description: "'simultane' = même heure, 'consecutif' = l'un après l'autre." },
+        date_debut: { type: "string", description: "Date ISO YYYY-MM-DD. Omets pour chercher à partir d'aujourd'hui." },
+        jour:       { type: "string", description: "Jour de la semaine en un mot, ex: 'samedi'." },
+        periode:    { type: "string", enum: ["matin", "après-midi", "soir"] },
+      },
+      required: ["personnes"],
+    },
+  },
+  {
+    type: "function",
+    name: "book_group",
+    description: "Réserve ensemble tous les RDV d'une option retournée par find_group_slots et envoie UN seul texto. Appelle après le OUI du client. CLIENT EXISTANT : rien à demander. NOUVEAU CLIENT : prénom + nom du titulaire et cellulaire requis.",
+    parameters: {
+      type: "object",
+      properties: {
+        option:    { type: "number", description: "Numéro de l'option choisie (1, 2 ou 3)." },
+        titulaire: { type: "string", description: "Prénom + nom du client appelant (titulaire du dossier). OPTIONNEL si client existant." },
+        phone:     { type: "string", description: "Cellulaire. OPTIONNEL — numéro appelant par défaut." },
+        email:     { type: "string", description: "Courriel si connu. OPTIONNEL si client existant." },
+      },
+      required: ["option"],
+    },
+  },
+  {
+    type: "function",
+    name: "join_waitlist",
+    description: "Inscrit le client sur la liste d'attente quand get_available_slots a retourné disponible:false pour la coiffeuse ou la journée voulue et que le client refuse les alternatives. Il recevra un texto avec un lien de réservation dès qu'une place se libère. CLIENT EXISTANT : nom et numéro auto-complétés. NOUVEAU CLIENT : demande prénom + nom avant d'appeler.",
+    parameters: {
+      type: "object",
+      properties: {
+        service:    { type: "string", enum: SERVICE_ENUM },
+        coiffeuse:  { type: "string", description: "Prénom de la coiffeuse souhaitée. Omets si n'importe laquelle." },
+        date_debut: { type: "string", description: "Début de la fenêtre acceptable, ISO YYYY-MM-DD." },
+        date_fin:   { type: "string", description: "Fin de la fenêtre acceptable, ISO YYYY-MM-DD (max 60 jours). Même date que date_debut pour une seule journée." },
+        jour:       { type: "string", description: "Jour de la semaine UNIQUEMENT si le client veut seulement ce jour-là, ex: 'samedi'." },
+        periode:    { type: "string", enum: ["matin", "après-midi", "soir"], description: "Période acceptable. Omets si n'importe quand." },
+        name:       { type: "string", description: "Nom du client. OPTIONNEL si client existant." },
+        phone:      { type: "string", description: "Cellulaire pour le texto. OPTIONNEL — numéro appelant par défaut." },
+      },
+      required: ["service", "date_debut", "date_fin"],
+    },
+  },
+  {
+    type: "function",
+    name: "cancel_appointment",
+    description: "Annule le prochain RDV du client (celui retourné par get_existing_appointment) directement dans Calendly et envoie un texto de confirmation. Appelle SEULEMENT après que le client a confirmé OUI à l'annulation. Ne PAS appeler pour un déplacement — utiliser reschedule_appointment.",
+    parameters: {
+      type: "object",
+      properties: {
+        raison: { type: "string", description: "Raison de l'annulation donnée par le client, en quelques mots. Ex: 'malade', 'empêchement au travail'. Omets si non mentionnée." },
+        portee: { type: "string", enum: ["occurrence", "serie"], description: "Pour un RDV qui fait partie d'une série : 'occurrence' = seulement ce RDV (défaut), 'serie' = tous les RDV à venir de la série." },
+      },
+      required: [],
+    },
+  },
+  {
+    type: "function",
+    name: "reschedule_appointment",
+    description: "Déplace le prochain RDV du client : réserve d'abord le nouveau créneau choisi via get_available_slots, puis annule l'ancien dans Calendly et envoie un texto de confirmation. Appelle SEULEMENT après que le client a confirmé OUI au nouveau créneau.",
+    parameters: {
+      type: "object",
+      properties: {
+        slot_iso:       { type: "string", description: "OBLIGATOIRE — date ISO du nouveau créneau choisi" },
+        event_type_uri: { type: "string", description: "URI exact de l'event type retourné par get_available_slots pour ce créneau. Toujours passer si disponible." },
+        service:        { type: "string", enum: SERVICE_ENUM, description: "Service du RDV. Omets pour garder le même service." },
+        coiffeuse:      { type: "string", description: "Prénom de la coiffeuse du nouveau créneau, si applicable." },
+        raison:         { type: "string", description: "Raison du déplacement donnée par le client, si mentionnée." },
+      },
+      required: ["slot_iso"],
+    },
+  },
   {
     type: "function",
     name: "transfer_to_agent",
@@ -1061,6 +3426,20 @@ const TOOLS = [
 ];
 
 // ─── Exécution des outils ─────────────────────────────────────────────────────
+// Raccroche l'appel Twilio après `delai` ms — le temps que l'agent finisse sa dernière phrase
+function scheduleHangup(session, delai, raison) {
+  session.shouldHangup = true;
+  session.hangupTimer = setTimeout(() => {
+    console.log(`[HANGUP] ✅ Raccrochage automatique ${raison}`);
+    if (twilioClient && session.twilioCallSid) {
+      twilioClient.calls(session.twilioCallSid)
+        .update({ status: "completed" })
+        .then(() => console.log("[HANGUP] ✅ Appel terminé"))
+        .catch(e => console.error("[HANGUP] ❌", e.message));
+    }
+  }, delai);
+}
+
 async function runTool(name, args, session) {
   console.log(`[TOOL] ${name}`, JSON.stringify(args));
 
@@ -1073,7 +3452,7 @@ async function runTool(name, args, session) {
       if (args.coiffeuse) cl.coiffeuse = args.coiffeuse;
       // Coiffeuse sera mise à jour dans send_booking_link depuis coiffeuses_dispo si besoin
       if (!cl.demandes.includes("rdv")) cl.demandes.push("rdv");
-      logEvent(sid, "tool", `Recherche créneaux — service:${args.service}${args.coiffeuse ? " coiffeuse:"+args.coiffeuse : ""}${args.date_debut ? " date:"+args.date_debut : ""}`);
+      logEvent(sid, "tool", `Recherche créneaux — service:${args.service}${args.coiffeuse ? " coiffeuse:"+args.coiffeuse : ""}${args.expression ? ` quand:"${args.expression}"` : ""}${args.date_debut ? " date:"+args.date_debut : ""}`);
           } else if (name === "get_salon_info") {
       if (!cl.demandes.includes(args.topic)) cl.demandes.push(args.topic);
       logEvent(sid, "tool", `Info salon demandée : ${args.topic}`);
@@ -1085,10 +3464,33 @@ async function runTool(name, args, session) {
       cl.slot       = args.slot_iso || null;
       cl.clientNom  = args.name || null;
       logEvent(sid, "booking", `Envoi confirmation — ${args.name} | ${args.service} | ${args.slot_iso}`);
+    } else if (name === "propose_recurring_series") {
+      if (args.service) cl.service = args.service;
+      if (args.coiffeuse) cl.coiffeuse = args.coiffeuse;
+      if (!cl.demandes.includes("série")) cl.demandes.push("série");
+      logEvent(sid, "tool", `Proposition série — ${args.occurrences || 4} RDV aux ${args.intervalle_semaines} semaines dès ${args.premier_slot_iso}`);
+    } else if (name === "book_recurring") {
+      logEvent(sid, "booking", "Réservation série demandée");
+    } else if (name === "find_group_slots") {
+      if (!cl.demandes.includes("rdv groupe")) cl.demandes.push("rdv groupe");
+      logEvent(sid, "tool", `Recherche créneaux groupe — ${(args.personnes || []).map(p => `${p.prenom}:${p.service}`).join(", ")}`);
+    } else if (name === "book_group") {
+      logEvent(sid, "booking", `Réservation groupe — option ${args.option}`);
+    } else if (name === "join_waitlist") {
+      if (args.service) cl.service = args.service;
+      if (!cl.demandes.includes("liste d'attente")) cl.demandes.push("liste d'attente");
+      logEvent(sid, "tool", `Inscription liste d'attente — ${args.service}${args.coiffeuse ? " avec " + args.coiffeuse : ""} du ${args.date_debut} au ${args.date_fin}`);
+    } else if (name === "cancel_appointment") {
+      if (!cl.demandes.includes("annulation")) cl.demandes.push("annulation");
+      logEvent(sid, "tool", `Annulation RDV demandée${args.raison ? " — raison: " + args.raison : ""}`);
+    } else if (name === "reschedule_appointment") {
+      if (!cl.demandes.includes("modification")) cl.demandes.push("modification");
+      logEvent(sid, "tool", `Déplacement RDV demandé → ${args.slot_iso}`);
     } else if (name === "end_call") {
       logEvent(sid, "info", "end_call déclenché");
     } else if (name === "transfer_to_agent") {
-      logEvent(sid, "warn", "Transfert agent demandé");
+      cl.transfert = { raison: args.raison || null, at: new Date().toISOString() };
+      logEvent(sid, "warn", `Transfert agent demandé${args.raison ? " — " + args.raison : ""}`);
     }
   }
 
@@ -1101,29 +3503,33 @@ async function runTool(name, args, session) {
 
   if (name === "get_available_slots") {
     try {
-      // Calculer la fenêtre de dates
+      // Calculer la fenêtre de dates — expression du client d'abord, sinon date_debut
       let startDate = null;
-      if (args.date_debut) {
-        // Interpréter YYYY-MM-DD en heure locale (Toronto) et non UTC
-        // "2026-02-28" + "T06:00:00" = minuit heure locale (UTC-5 en hiver)
-        const tzOffset = new Date().toLocaleString("en-US", { timeZone: CALENDLY_TIMEZONE, timeZoneName: "shortOffset" })
-          .match(/GMT([+-]\d+)/)?.[1] || "-5";
-        const offsetHours = -parseInt(tzOffset);
-        const paddedOffset = String(Math.abs(offsetHours)).padStart(2, "0");
-        const sign = offsetHours >= 0 ? "+" : "-";
-        startDate = new Date(`${args.date_debut}T00:00:00${sign}${paddedOffset}:00`);
-        if (isNaN(startDate.getTime())) startDate = new Date(args.date_debut);
-        // Si la date calculée est dans le passé, utiliser maintenant
+      let endDate   = null;
+      const fenetre = parseDateExpression(args.expression);
+      if (args.expression) console.log(`[SLOTS] Expression "${args.expression}" → ${fenetre?.conflit ? `conflit — ${fenetre.conflit}` : fenetre ? `${fenetre.debut} au ${fenetre.fin} (${fenetre.interpretation})` : "non comprise"}`);
+      if (fenetre?.conflit) {
+        if (fenetre.inexistante) return { disponible: false, message: `Date impossible : ${fenetre.conflit}. Dis au client : "Petite vérification : ${fenetre.conflit} — tu voulais quelle date?"` };
+        return { disponible: false, message: `Jour de la semaine et date ne concordent pas : ${fenetre.conflit}. Dis au client : "Petite vérification : ${fenetre.conflit} — tu voulais lequel des deux?"` };
+      } else if (fenetre) {
+        startDate = parseLocalDate(fenetre.debut);
+        endDate   = parseLocalDate(addLocalDays(fenetre.fin, 1));
         if (startDate < new Date()) startDate = new Date(Date.now() + 60 * 1000);
+        if (endDate <= startDate) return { disponible: false, fenetre_interpretee: fenetre.interpretation, message: `Cette période est déjà passée. Dis au client : "${fenetre.interpretation}, c'est déjà passé — tu veux que je regarde les prochaines disponibilités?"` };
+      } else if (args.date_debut) {
+        // Interpréter YYYY-MM-DD à minuit heure locale du salon (et non UTC)
+        startDate = parseLocalDate(args.date_debut) || new Date(args.date_debut);
+        if (isNaN(startDate.getTime())) startDate = null;
+        // Si la date calculée est dans le passé, utiliser maintenant
+        else if (startDate < new Date()) startDate = new Date(Date.now() + 60 * 1000);
       }
       if (args.offset_semaines) {
         const base = startDate || new Date();
-        startDate = new Date(base.getTime() + args.offset_semaines * 7 * 24 * 3600 * 1000);
+        startDate = shiftLocalDays(base, args.offset_semaines * 7);
+        if (endDate) endDate = shiftLocalDays(endDate, args.offset_semaines * 7);
       }
-      const endDate = startDate ? new Date(startDate.getTime() + 7 * 24 * 3600 * 1000) : null;
-      const searchEnd = endDate || (startDate
-        ? new Date(startDate.getTime() + 7 * 24 * 3600 * 1000)
-        : new Date(Date.now() + 14 * 24 * 3600 * 1000));
+      if (!endDate && startDate) endDate = shiftLocalDays(startDate, 7);
+      const searchEnd = endDate || new Date(Date.now() + 14 * 24 * 3600 * 1000);
 
       // Charger coiffeuses si pas encore fait
       if (coiffeuses.length === 0) await loadCoiffeuses();
@@ -1171,6 +3577,8 @@ async function runTool(name, args, session) {
         if (!cUri) continue;
         const cSlots = await getSlots(cUri, startDate, searchEnd);
         for (const iso of cSlots) {
+          // Créneau retenu pour un nouveau client qui confirme son courriel → ne pas le proposer
+          if (findHold(iso, c.name !== "disponible" ? c.name : null, cUri)) continue;
           if (!slotCoiffeuse[iso]) slotCoiffeuse[iso] = [];
           slotCoiffeuse[iso].push(c.name);
           if (!slotUriMap[iso]) slotUriMap[iso] = { uri: cUri, coiffeuse: c.name };
@@ -1180,7 +3588,7 @@ async function runTool(name, args, session) {
 
       // Filtrer STRICTEMENT dans la plage demandée
       if (startDate) {
-        const end = endDate || new Date(startDate.getTime() + 7 * 24 * 3600 * 1000);
+        const end = endDate;
         slots = slots.filter(iso => {
           const d = new Date(iso);
           return d >= startDate && d <= end;
@@ -1190,10 +3598,12 @@ async function runTool(name, args, session) {
           return {
             disponible: false,
             raison: "aucun_creneau_periode",
+            fenetre_interpretee: fenetre?.interpretation || null,
             coiffeuse_demandee: nomCoiffeuse,
+            liste_attente_possible: true,
             message: nomCoiffeuse
-              ? `${nomCoiffeuse} n'a pas de disponibilité pour cette période. Dis EXACTEMENT : "${nomCoiffeuse} n'est pas disponible cette semaine-là. Est-ce que tu veux que je regarde ses prochaines disponibilités, ou tu préfères voir d'autres coiffeuses?" — puis attends la réponse. NE PAS transférer.`
-              : `Aucun créneau pour la période demandée. La fenêtre Calendly ne couvre peut-être pas cette date. Dis au client et propose une date plus proche.`,
+              ? `${nomCoiffeuse} n'a pas de disponibilité pour cette période. Dis EXACTEMENT : "${nomCoiffeuse} n'est pas disponible cette semaine-là. Est-ce que tu veux que je regarde ses prochaines disponibilités, ou tu préfères voir d'autres coiffeuses?" — puis attends la réponse. Si le client refuse les deux → propose la liste d'attente (join_waitlist). NE PAS transférer.`
+              : `Aucun créneau pour la période demandée. La fenêtre Calendly ne couvre peut-être pas cette date. Dis au client et propose une date plus proche. S'il tient à cette période → propose la liste d'attente (join_waitlist).`,
           };
         }
       } else if (!slots.length) {
@@ -1202,8 +3612,9 @@ async function runTool(name, args, session) {
           disponible: false,
           raison: "aucun_creneau_semaine",
           coiffeuse_demandee: nomCoiffeuse,
+          liste_attente_possible: true,
           message: nomCoiffeuse
-            ? `${nomCoiffeuse} n'a pas de disponibilité cette semaine. Dis EXACTEMENT : "${nomCoiffeuse} n'est pas disponible cette semaine. Est-ce que tu veux que je regarde ses prochaines disponibilités, ou tu préfères voir d'autres coiffeuses?" — puis attends la réponse. NE PAS transférer.`
+            ? `${nomCoiffeuse} n'a pas de disponibilité cette semaine. Dis EXACTEMENT : "${nomCoiffeuse} n'est pas disponible cette semaine. Est-ce que tu veux que je regarde ses prochaines disponibilités, ou tu préfères voir d'autres coiffeuses?" — puis attends la réponse. Si le client refuse les deux → propose la liste d'attente (join_waitlist). NE PAS transférer.`
             : "Aucune disponibilité cette semaine. Propose la semaine prochaine.",
         };
       }
@@ -1216,38 +3627,39 @@ async function runTool(name, args, session) {
           k.normalize("NFD").replace(/[̀-ͯ]/g, "") === jourKey
         )?.[1];
         if (jourNum !== undefined) {
-          const filtered = slots.filter(iso => {
-            const d = new Date(new Date(iso).toLocaleString("en-US", { timeZone: CALENDLY_TIMEZONE }));
-            return d.getDay() === jourNum;
-          });
+          const filtered = slots.filter(iso => zonedParts(iso).weekday === jourNum);
           if (filtered.length) slots = filtered;
-          else return { disponible: false, message: `Pas de disponibilité ${args.jour} pour cette période.` };
+          else return { disponible: false, liste_attente_possible: true, message: `Pas de disponibilité ${args.jour} pour cette période. Propose un autre jour; si le client tient au ${args.jour} → propose la liste d'attente (join_waitlist).` };
         }
       }
 
       // Filtre par période
       if (args.periode) {
+        const filtered = slots.filter(iso => matchesPeriode(iso, args.periode));
+        if (filtered.length) slots = filtered;
+      }
+
+      // Filtre par heures de l'expression ("après 15h", "en matinée"…)
+      if (fenetre && (fenetre.heureMin !== null || fenetre.heureMax !== null)) {
         const filtered = slots.filter(iso => {
-          const h = new Date(new Date(iso).toLocaleString("en-US", { timeZone: CALENDLY_TIMEZONE })).getHours();
-          if (args.periode === "matin")      return h >= 8  && h < 12;
-          if (args.periode === "après-midi") return h >= 12 && h < 17;
-          if (args.periode === "soir")       return h >= 17;
-          return true;
+          const h = localHour(iso);
+          return (fenetre.heureMin === null || h >= fenetre.heureMin) && (fenetre.heureMax === null || h < fenetre.heureMax);
         });
         if (filtered.length) slots = filtered;
+        else return { disponible: false, fenetre_interpretee: fenetre.interpretation, liste_attente_possible: true, message: `Aucun créneau ${fenetre.interpretation}. Dis-le au client et propose un autre moment de la journée; s'il y tient → propose la liste d'attente (join_waitlist).` };
       }
 
       // Dédupliquer par label
       const seen = new Set();
       const unique = slots.filter(iso => {
-        const label = slotToFrench(iso);
+        const label = slotToSpoken(iso, session?.langue);
         if (seen.has(label)) return false;
         seen.add(label);
         return true;
       });
 
       // Sélectionner MINIMUM 4 créneaux variés — garantir la diversité AM/PM
-      const getHourLocal = iso => new Date(new Date(iso).toLocaleString("en-US", { timeZone: CALENDLY_TIMEZONE })).getHours();
+      const getHourLocal = iso => zonedParts(iso).hour;
       const amSlots = unique.filter(iso => getHourLocal(iso) < 12);
       const pmSlots = unique.filter(iso => getHourLocal(iso) >= 12);
       // Prendre jusqu'à 2 AM + jusqu'à 2 PM, espacés
@@ -1269,14 +3681,15 @@ async function runTool(name, args, session) {
       return {
         disponible: true,
         periode: startDate ? startDate.toLocaleDateString("fr-CA") : "cette semaine",
+        fenetre_interpretee: fenetre?.interpretation || null,
         slots: selected.map(iso => ({
           iso,
-          label: slotToFrench(iso),
+          label: slotToSpoken(iso, session?.langue),
           coiffeuses_dispo: slotCoiffeuse[iso] || [],
           event_type_uri: slotUriMap[iso]?.uri || null,
         })),
         description_service: svcDesc,
-        note: "Présente les créneaux EN ORDRE CHRONOLOGIQUE avec DATE COMPLÈTE. RÈGLE ABSOLUE : ne propose QUE les créneaux présents dans cette liste. Si une coiffeuse a été demandée, commence par 'Avec [prénom], les disponibilités sont :'. Si aucune coiffeuse demandée mais coiffeuses_dispo non vide, mentionne les noms. REGROUPER par journée. AM avant PM. Si UN SEUL créneau : 'J\'ai seulement le [date] — ça te convient?'. Si PLUSIEURS créneaux : liste-les et dis 'Quel moment serait le mieux pour toi?' — JAMAIS 'ça te convient?' avec plusieurs créneaux. CONFIRMATION après choix : '[Service] le [date] à [heure], avec [coiffeuse] — ça te convient?' puis attends OUI. Retiens le nom de coiffeuse du créneau choisi et passe-le OBLIGATOIREMENT dans send_booking_link.",
+        note: (fenetre ? `Commence par relire la période comprise : "Pour ${fenetre.interpretation}, j'ai…". ` : "") + "Présente les créneaux EN ORDRE CHRONOLOGIQUE avec DATE COMPLÈTE. RÈGLE ABSOLUE : ne propose QUE les créneaux présents dans cette liste. Si une coiffeuse a été demandée, commence par 'Avec [prénom], les disponibilités sont :'. Si aucune coiffeuse demandée mais coiffeuses_dispo non vide, mentionne les noms. REGROUPER par journée. AM avant PM. Si UN SEUL créneau : 'J\'ai seulement le [date] — ça te convient?'. Si PLUSIEURS créneaux : liste-les et dis 'Quel moment serait le mieux pour toi?' — JAMAIS 'ça te convient?' avec plusieurs créneaux. CONFIRMATION après choix : '[Service] le [date] à [heure], avec [coiffeuse] — ça te convient?' puis attends OUI. Retiens le nom de coiffeuse du créneau choisi et passe-le OBLIGATOIREMENT dans send_booking_link.",
       };
     } catch (e) {
       console.error("[SLOTS]", e.message);
@@ -1395,9 +3808,9 @@ async function runTool(name, args, session) {
     // Round Robin désactivé — on passe directement au fallback coiffeuse individuelle
 
     if (!uri) {
-      const fallback = coiffeuses.find(c => args.service === "femme" ? c.eventTypes.femme : c.eventTypes.homme);
+      const fallback = coiffeuses.find(c => c.eventTypes[args.service]);
       if (fallback) {
-        uri = args.service === "femme" ? fallback.eventTypes.femme : fallback.eventTypes.homme;
+        uri = fallback.eventTypes[args.service];
         uriSource = "fallback " + fallback.name;
       }
     }
@@ -1435,27 +3848,30 @@ async function runTool(name, args, session) {
     // Maintenant coiffeuseNom est résolu — mettre à jour le log
     if (cl && coiffeuseNom) cl.coiffeuse = coiffeuseNom;
 
+    // Créneau retenu entre-temps par un autre appelant (confirmation courriel en cours)
+    if (findHold(args.slot_iso, coiffeuseNom, uri, session?.holdToken)) {
+      console.warn(`[BOOKING] ❌ Créneau retenu par un autre client: ${args.slot_iso}`);
+      logEvent(sid, "warn", `Créneau ${args.slot_iso} retenu par un autre client`);
+      return { error: "Créneau plus disponible.", message: "Dis : \"Oups, ce créneau vient tout juste d'être réservé. Je regarde d'autres disponibilités.\" → get_available_slots avec les mêmes critères." };
+    }
+
     // ── Si email déjà connu → créer le RDV Calendly directement ─────────────
     if (args.email?.trim()) {
       const email = args.email.trim().toLowerCase();
       console.log(`[BOOKING] Email connu — création RDV Calendly directement pour ${email}`);
       try {
-        const result = await createInvitee({ uri, startTimeIso: args.slot_iso, name, email });
+        const result = await createInvitee({ uri, startTimeIso: args.slot_iso, name, email }, sid);
         const cancelUrl     = result?.resource?.cancel_url     || "";
         const rescheduleUrl = result?.resource?.reschedule_url || "";
+        scheduleReminders({ eventUri: result?.resource?.event, slotIso: args.slot_iso, phone, name, coiffeuse: coiffeuseNom, service: args.service, langue: session?.langue });
 
         // ownerName = nom du titulaire (pas l'enfant/conjoint)
-        const ownerNameDirect = session?.prefetchedClient?.name || null;
-        await saveContactToGoogle({ name, email, phone, typeCoupe: args.service || null, coiffeuse: coiffeuseNom || null, ownerName: ownerNameDirect });
-
-        const smsBody =
-          `${SALON_NAME}: RDV confirme
-` +
-          `${slotToShort(args.slot_iso)}${coiffeuseNom ? " avec " + coiffeuseNom : ""}
-` +
-          (rescheduleUrl ? `Modifier: ${rescheduleUrl}
-` : "") +
-          (cancelUrl     ? `Annuler: ${cancelUrl}`        : "");
+        const ownerNameDirect = args.titulaire?.trim() || session?.prefetchedClient?.name || null;
+        await saveContactToGoogle({ name, email, phone, typeCoupe: args.service || null, coiffeuse: coiffeuseNom || null, ownerName: ownerNameDirect, langue: session?.langue });
+
+        const smsBody = smsTexte(session?.langue, "confirme", {
+          quand: smsQuand(args.slot_iso, coiffeuseNom, session?.langue), modifier: rescheduleUrl, annuler: cancelUrl,
+        });
 
         await Promise.race([
           sendSms(phone, smsBody),
@@ -1464,16 +3880,7 @@ async function runTool(name, args, session) {
         console.log(`[BOOKING] ✅ RDV créé et SMS envoyé → ${phone}`);
         closeCallLog(session?.twilioCallSid, "réservation");
         // Forcer le raccrochage après que Hélène ait dit au revoir (8s)
-        session.shouldHangup = true;
-        session.hangupTimer = setTimeout(() => {
-          console.log("[HANGUP] ✅ Raccrochage automatique post-booking");
-          if (twilioClient && session.twilioCallSid) {
-            twilioClient.calls(session.twilioCallSid)
-              .update({ status: "completed" })
-              .then(() => console.log("[HANGUP] ✅ Appel terminé"))
-              .catch(e => console.error("[HANGUP] ❌", e.message));
-          }
-        }, 11000);
+        scheduleHangup(session, 11000, "post-booking");
         return { success: true, direct: true, phone_display: fmtPhone(phone), email, coiffeuse: coiffeuseNom,
           message: `RDV confirmé.${coiffeuseNom ? " Coiffeuse assignée : " + coiffeuseNom + "." : ""} Dis EXACTEMENT ces deux phrases dans cet ordre : "Laisse-moi ajouter ça au calendrier de ${coiffeuseNom || "ta coiffeuse"}." [pause 1s] "Ta confirmation sera envoyée par texto et par courriel avec les informations au dossier. Bonne journée!" Puis STOP absolu — zéro mot de plus, l'appel se ferme.` };
       } catch (e) {
@@ -1484,35 +3891,28 @@ async function runTool(name, args, session) {
 
     // ── Sinon → envoyer lien SMS pour saisir le courriel ─────────────────────
     const token = crypto.randomBytes(16).toString("hex");
+    const expiresAt = Date.now() + 20 * 60 * 1000; // 20min — au-delà le créneau peut être pris
     pending.set(token, {
-      expiresAt: Date.now() + 20 * 60 * 1000, // 20min — au-delà le créneau peut être pris
-      payload: { phone, name, service: args.service, eventTypeUri: uri, startTimeIso: args.slot_iso, coiffeuse: coiffeuseNom || null },
+      expiresAt,
+      payload: { phone, name, ownerName: args.titulaire?.trim() || null, service: args.service, eventTypeUri: uri, startTimeIso: args.slot_iso, coiffeuse: coiffeuseNom || null, callSid: sid || null, langue: session?.langue || "fr" },
     });
+    savePending();
+    if (cl) cl.emailConfirmation = "en attente";
+    placeHold(token, { iso: args.slot_iso, uri, coiffeuse: coiffeuseNom || null, expiresAt });
+    fillSlotTaken({ iso: args.slot_iso, uri, coiffeuse: coiffeuseNom, callSid: sid });
+    if (session?.holdToken) releaseHold(session.holdToken, "remplacé"); // nouvel essai dans le même appel
+    if (session) session.holdToken = token;
     console.log(`[BOOKING] Token créé: ${token}`);
+    logEvent(sid, "info", "Créneau retenu 20 min en attente du courriel");
 
     const link = `${base()}/confirm-email/${token}`;
-    const smsPromise = sendSms(phone,
-      `${SALON_NAME}: Confirme ton RDV
-` +
-      `${slotToShort(args.slot_iso)}
-` +
-      `Courriel requis: ${link}`
-    );
+    const smsPromise = sendSms(phone, smsTexte(session?.langue, "lienCourriel", { quand: slotToShort(args.slot_iso, session?.langue), lien: link }));
 
     try {
       await Promise.race([smsPromise, new Promise((_, rej) => setTimeout(() => rej(new Error("SMS timeout 15s")), 15_000))]);
       console.log(`[BOOKING] ✅ SMS lien envoyé → ${phone}`);
       closeCallLog(session?.twilioCallSid, "réservation (lien courriel)");
-      session.shouldHangup = true;
-      session.hangupTimer = setTimeout(() => {
-        console.log("[HANGUP] ✅ Raccrochage automatique post-booking SMS");
-        if (twilioClient && session.twilioCallSid) {
-          twilioClient.calls(session.twilioCallSid)
-            .update({ status: "completed" })
-            .then(() => console.log("[HANGUP] ✅ Appel terminé"))
-            .catch(e => console.error("[HANGUP] ❌", e.message));
-        }
-      }, 14000); // phrase nouveau client plus longue — 14s
+      scheduleHangup(session, 14000, "post-booking SMS"); // phrase nouveau client plus longue — 14s
       return { success: true, phone_display: fmtPhone(phone),
         message: `SMS envoyé.${coiffeuseNom ? " Coiffeuse assignée : " + coiffeuseNom + "." : ""} TU DOIS PARLER MAINTENANT — dis EXACTEMENT et IMMÉDIATEMENT à voix haute ces deux phrases : "C'est réglé! Tu vas recevoir un texto dans quelques secondes pour confirmer ton courriel. Une fois confirmé, ta confirmation de réservation t'est envoyée. Bonne journée!" — puis SILENCE ABSOLU. Ne dis rien d'autre. L'appel se ferme automatiquement.` };
     } catch (e) {
@@ -1522,8 +3922,17 @@ async function runTool(name, args, session) {
     }
   }
 
+  if (name === "set_language") {
+    if (!LANGUES.includes(args.langue)) return { error: "Langue invalide — fr ou en." };
+    setSessionLangue(session, args.langue, "demandée");
+    return args.langue === "en"
+      ? { success: true, langue: "en", message: "Continue la conversation en anglais à partir de maintenant." }
+      : { success: true, langue: "fr", message: "Continue la conversation en français à partir de maintenant." };
+  }
+
   if (name === "get_salon_info") {
-    const info = { adresse: SALON_ADDRESS, heures: SALON_HOURS, prix: SALON_PRICE_LIST };
+    const prixServices = serviceCatalog.filter(s => s.price).map(s => `${s.label} : ${s.price}`);
+    const info = { adresse: SALON_ADDRESS, heures: salonHoursText(), prix: [SALON_PRICE_LIST, ...prixServices].join("\n") };
     return info[args.topic] ? { [args.topic]: info[args.topic] } : { error: "Sujet inconnu." };
   }
 
@@ -1532,22 +3941,15 @@ async function runTool(name, args, session) {
     const name  = args.name?.trim();
     const email = args.email?.trim().toLowerCase() || null;
     if (!name || !phone) return { error: "Nom et téléphone requis." };
-    // Si format "Prénom / NomParent" (enfant/conjoint), extraire le nom du titulaire
-    const ownerNameCB = name.includes(" / ") ? name.split(" / ").slice(1).join(" ").trim() : null;
-    await saveContactToGoogle({ name, email, phone, typeCoupe: entry.payload.service || null, coiffeuse: entry.payload.coiffeuse || null, ownerName: ownerNameCB });
+    // Le contact Google est toujours au nom du client appelant — conserver ses préférences connues
+    await saveContactToGoogle({ name, email, phone, typeCoupe: cl?.service || session?.prefetchedClient?.typeCoupe || null, coiffeuse: cl?.coiffeuse || session?.prefetchedClient?.coiffeuse || null, ownerName: name, langue: session?.langue });
     console.log(`[CONTACT] ✅ Mis à jour: ${name} (${email}) — ${phone}`);
     return { success: true, message: `Contact mis à jour : ${name}${email ? ` (${email})` : ""}.` };
   }
 
   if (name === "get_coiffeuses") {
     if (coiffeuses.length === 0) await loadCoiffeuses();
-    const SVC_LABELS = {
-      homme:"coupe homme", femme:"coupe femme",
-      femme_coloration:"coupe femme + coloration",
-      femme_plis:"coupe femme + mise en plis",
-      femme_color_plis:"coupe femme + coloration & mise en plis",
-      enfant:"coupe enfant", autre:"coupe autre",
-    };
+    const SVC_LABELS = Object.fromEntries(serviceCatalog.map(s => [s.key, s.label]));
     const liste = coiffeuses.map(c => ({
       nom: c.name,
       services: Object.entries(c.eventTypes).filter(([,v])=>v).map(([k])=>SVC_LABELS[k]||k)
@@ -1573,7 +3975,7 @@ async function runTool(name, args, session) {
   if (name === "get_current_time") {
     const now = new Date();
     const localStr = now.toLocaleString("fr-CA", { timeZone: CALENDLY_TIMEZONE, hour: "2-digit", minute: "2-digit", hour12: false });
-    const hour = parseInt(new Date(now.toLocaleString("en-US", { timeZone: CALENDLY_TIMEZONE })).getHours());
+    const hour = zonedParts(now).hour;
     const periode = hour < 12 ? "matin" : hour < 17 ? "après-midi" : "soir";
     const salutation = hour < 12 ? "belle matinée" : hour < 17 ? "bel après-midi" : "belle soirée";
     return { heure_locale: localStr, heure: hour, periode, salutation_correcte: salutation };
@@ -1581,23 +3983,15 @@ async function runTool(name, args, session) {
 
   if (name === "end_call") {
     const elapsed = Date.now() - (session?.callStartTime || Date.now());
-    if (elapsed < 15000) {
+    if (elapsed < 15000 && !session?.fillCampaignId) { // appel sortant : un refus peut être très court
       console.warn(`[HANGUP] ⚠️ Ignoré — trop tôt (${Math.round(elapsed/1000)}s). Continue la conversation.`);
       return { error: "Trop tôt pour raccrocher — continue la conversation normalement." };
     }
     console.log(`[HANGUP] ✅ Raccrochage programmé (durée: ${Math.round(elapsed/1000)}s)`);
-    closeCallLog(session?.twilioCallSid, "fin normale");
-    session.shouldHangup = true;
+    // Un RDV annulé pendant l'appel sans nouvelle réservation → résultat "annulation"
+    closeCallLog(session?.twilioCallSid, cl?.annulation ? "annulation" : "fin normale");
     // Raccrochage forcé après 7s — assez de temps pour que l'audio finisse
-    session.hangupTimer = setTimeout(() => {
-      console.log("[HANGUP] ⏱ Exécution forcée");
-      if (twilioClient && session.twilioCallSid) {
-        twilioClient.calls(session.twilioCallSid)
-          .update({ status: "completed" })
-          .then(() => console.log("[HANGUP] ✅ Appel terminé"))
-          .catch(e => console.error("[HANGUP] ❌ Erreur:", e.message));
-      }
-    }, 7000);
+    scheduleHangup(session, 7000, "après l'au revoir");
     return { hanging_up: true, message: "Au revoir dit — appel se termine dans quelques secondes." };
   }
 
@@ -1613,19 +4007,438 @@ async function runTool(name, args, session) {
     if (!appt) {
       return { found: false, message: `Aucun rendez-vous à venir trouvé pour ${email}. Le client n'a peut-être pas de RDV ou il est passé.` };
     }
-    const dateStr = slotToFrench(appt.start_time);
+    const dateStr = slotToSpoken(appt.start_time, session?.langue);
+    // Retrouver le service depuis l'event type du RDV (pour proposer un déplacement équivalent)
+    if (coiffeuses.length === 0) await loadCoiffeuses();
+    const owner = coiffeuses.find(c => Object.values(c.eventTypes || {}).includes(appt.event_type));
+    const svc   = owner ? Object.keys(owner.eventTypes).find(k => owner.eventTypes[k] === appt.event_type) : null;
+    appt.service   = svc || null;
+    appt.coiffeuse = appt.coiffeuse || owner?.name || null;
+    // Mémoriser pour cancel_appointment / reschedule_appointment
+    if (session) session.upcomingAppointment = appt;
+    const serie = findSeriesByEventUri(appt.event_uri);
+    const restants = serie ? serie.occurrences.filter(o => o.status === "réservé" && new Date(o.iso) > new Date()).length : 0;
     logEvent(session?.twilioCallSid, "tool", `RDV existant trouvé: ${dateStr}`);
     return {
       found: true,
       date_heure: dateStr,
       start_time_iso: appt.start_time,
+      service: appt.service,
+      coiffeuse: appt.coiffeuse,
       cancel_url: appt.cancel_url,
-      message: appt.cancel_url
-        ? `RDV trouvé : ${dateStr}. Dis au client : "Tu as un rendez-vous le ${dateStr}. Pour l'annuler, je t'envoie un lien par texto." Puis si client veut annuler → envoie le lien cancel_url par SMS et dis "Lien envoyé! Une fois annulé, veux-tu prendre un nouveau rendez-vous?" Si client veut modifier → dis "Pour modifier, utilise le lien dans ton texto de confirmation original, ou je te transfère à l'équipe." → transfer_to_agent si pas de lien.`
-        : `RDV trouvé : ${dateStr}. Dis : "Tu as un rendez-vous le ${dateStr}. Pour annuler ou modifier, je vais te transférer à l'équipe." → transfer_to_agent.`,
+      fait_partie_serie: !!serie,
+      rdv_restants_serie: serie ? restants : undefined,
+      message: `${serie ? `Ce RDV fait partie d'une série (${restants} RDV à venir, aux ${serie.intervalWeeks} semaines) — pour une annulation, demande "juste celui-là ou toute la série?". ` : ""}RDV trouvé : ${dateStr}${appt.coiffeuse ? " avec " + appt.coiffeuse : ""}. Dis au client : "Tu as un rendez-vous le ${dateStr}${appt.coiffeuse ? " avec " + appt.coiffeuse : ""}." Puis selon sa demande : ANNULER → demande confirmation puis cancel_appointment. DÉPLACER → demande le moment souhaité puis get_available_slots${appt.service ? ` service="${appt.service}"` : ""}${appt.coiffeuse ? ` coiffeuse="${appt.coiffeuse}"` : ""}, puis reschedule_appointment avec le créneau choisi. CONFIRMER → "Bonne journée!" → end_call.`,
+    };
+  }
+
+  if (name === "propose_recurring_series") {
+    const interval = Math.round(Number(args.intervalle_semaines) || 0);
+    const count    = Math.min(Math.max(Math.round(Number(args.occurrences) || 4), 2), 6);
+    if (interval < 1 || interval > 12) return { error: "Intervalle invalide — entre 1 et 12 semaines." };
+    if (isNaN(new Date(args.premier_slot_iso).getTime())) return { error: "premier_slot_iso invalide." };
+    if (coiffeuses.length === 0) await loadCoiffeuses();
+    let uri = args.event_type_uri || null;
+    let coiffeuseNom = args.coiffeuse || null;
+    if (!uri && coiffeuseNom) {
+      const match = coiffeuses.find(c => c.name.toLowerCase().includes(coiffeuseNom.toLowerCase()));
+      uri = match?.eventTypes[args.service] || null;
+    }
+    if (!uri) return { error: "Coiffeuse ou event type manquant — une série se fait avec une coiffeuse précise." };
+    if (!coiffeuseNom) coiffeuseNom = coiffeuses.find(c => Object.values(c.eventTypes || {}).includes(uri))?.name || null;
+    try {
+      const proposal = await proposeSeries({ uri, firstIso: args.premier_slot_iso, intervalWeeks: interval, count });
+      if (session) session.seriesProposal = { uri, service: args.service, coiffeuse: coiffeuseNom, intervalWeeks: interval, proposal };
+      const manquantes = proposal.filter(p => !p.trouve);
+      return {
+        occurrences: proposal.map(p => ({
+          occurrence: p.occurrence,
+          trouve: p.trouve,
+          label: p.trouve ? slotToSpoken(p.iso, session?.langue) : `${slotToSpoken(p.cible, session?.langue)} (pas libre)`,
+          alternatives: p.alternatives.map(iso => ({ iso, label: slotToSpoken(iso, session?.langue) })),
+        })),
+        coiffeuse: coiffeuseNom,
+        message: manquantes.length
+          ? `${proposal.length - manquantes.length} RDV sur ${proposal.length} trouvés au même moment. Lis les dates trouvées, puis pour chaque occurrence non libre propose ses alternatives (ou de la sauter). Confirme la série complète avant book_recurring.`
+          : `Les ${proposal.length} RDV sont libres. Lis-les en regroupant ("aux ${interval} semaines, le [jour] à [heure] : [dates]") puis demande "Je réserve la série?" → OUI → book_recurring.`,
+      };
+    } catch (e) {
+      console.error("[SERIES]", e.message);
+      return { error: "Impossible de vérifier les disponibilités." };
+    }
+  }
+
+  if (name === "book_recurring") {
+    const plan = session?.seriesProposal;
+    if (!plan) return { error: "Aucune série proposée — appelle d'abord propose_recurring_series." };
+    const prefetch = session?.prefetchedClient;
+    const email = prefetch?.email || null;
+    const nom   = prefetch?.name  || null;
+    const phone = normalizePhone(session?.callerNumber || "");
+    if (!email || !nom) return { error: "Dossier client requis.", message: "Dis : \"Pour une série, il me faut ton dossier — je réserve le premier rendez-vous et on pourra planifier la suite la prochaine fois.\" → send_booking_link pour le premier créneau." };
+    // Seules les alternatives proposées pour cette occurrence (déjà vérifiées libres) sont acceptées
+    const choisies = args.alternatives_choisies || [];
+    const horsListe = choisies.filter(a => {
+      const p = plan.proposal.find(p => p.occurrence === Number(a.occurrence));
+      return !p || p.trouve || !p.alternatives.some(iso => sameInstant(iso, a.slot_iso));
+    });
+    if (horsListe.length) {
+      return { error: `Alternative non proposée pour l'occurrence ${horsListe.map(a => a.occurrence).join(", ")}.`, message: "Utilise seulement les alternatives retournées par propose_recurring_series pour cette occurrence (ou saute-la). Sinon rappelle propose_recurring_series." };
+    }
+    const choix = new Map(choisies.map(a => [Number(a.occurrence), plan.proposal.find(p => p.occurrence === Number(a.occurrence)).alternatives.find(iso => sameInstant(iso, a.slot_iso))]));
+    const aReserver = plan.proposal
+      .map(p => ({ occurrence: p.occurrence, iso: p.trouve ? p.iso : (choix.get(p.occurrence) || null) }))
+      .filter(p => p.iso);
+    if (!aReserver.length) return { error: "Aucune occurrence à réserver." };
+
+    const serie = {
+      id: crypto.randomBytes(6).toString("hex"),
+      phone, name: nom, email,
+      service: plan.service, coiffeuse: plan.coiffeuse, intervalWeeks: plan.intervalWeeks,
+      occurrences: [],
+      callSid: sid || null,
+      createdAt: new Date().toISOString(),
+    };
+    const echecs = [];
+    for (const occ of aReserver) {
+      try {
+        const result = await createInvitee({ uri: plan.uri, startTimeIso: occ.iso, name: nom, email });
+        serie.occurrences.push({ iso: occ.iso, eventUri: result?.resource?.event || null, cancelUrl: result?.resource?.cancel_url || "", status: "réservé" });
+        scheduleReminders({ eventUri: result?.resource?.event, slotIso: occ.iso, phone, name: nom, coiffeuse: plan.coiffeuse, service: plan.service, langue: session?.langue });
+      } catch (e) {
+        console.error(`[SERIES] ❌ Occurrence ${occ.occurrence}: ${e.message}`);
+        echecs.push(occ);
+      }
+    }
+    if (!serie.occurrences.length) return { error: "Aucun RDV n'a pu être réservé.", message: "Dis : \"Désolée, je ne peux pas t'aider davantage. Un instant, je te transfère.\" → transfer_to_agent raison=\"erreur\"." };
+    series.push(serie);
+    saveSeries();
+    if (session) session.seriesProposal = null;
+
+    const ok = serie.occurrences;
+    logEvent(sid, "booking", `Série de ${ok.length} RDV aux ${plan.intervalWeeks} sem. — ${ok.map(o => slotToShort(o.iso)).join(", ")}${echecs.length ? ` (${echecs.length} échec(s))` : ""}`);
+    if (cl) { cl.slot = ok[0].iso; cl.serie = serie.id; cl.clientNom = nom; }
+    if (phone) {
+      await sendSms(phone, smsTexte(session?.langue, "serieConfirmee", {
+        n: ok.length, avec: plan.coiffeuse ? (session?.langue === "en" ? " with " : " avec ") + plan.coiffeuse : "",
+        liste: ok.map(o => slotToShort(o.iso, session?.langue)).join("\n"),
+      })).catch(e => console.error(`[SERIES] ❌ SMS: ${e.message}`));
+    }
+    closeCallLog(session?.twilioCallSid, "réservation");
+    scheduleHangup(session, 12000, "post-série");
+    return {
+      success: true,
+      reserves: ok.map(o => slotToSpoken(o.iso, session?.langue)),
+      echecs: echecs.map(o => slotToSpoken(o.iso, session?.langue)),
+      message: `${ok.length} RDV réservés.${echecs.length ? ` ${echecs.length} n'ont pas pu l'être (créneau pris entre-temps) : mentionne-le brièvement.` : ""} Dis : "C'est réglé! Tu vas recevoir un texto avec toutes tes dates. Bonne journée!" Puis STOP absolu.`,
+    };
+  }
+
+  if (name === "find_group_slots") {
+    const personnes = (args.personnes || []).filter(p => p?.prenom && p?.service);
+    if (personnes.length < 2) return { error: "Il faut au moins deux personnes — sinon utilise get_available_slots." };
+    if (personnes.length > 4) return { error: "Maximum 4 personnes par appel — transfère pour un plus grand groupe." };
+    try {
+      let start = args.date_debut ? parseLocalDate(args.date_debut) : null;
+      if (!start || start < new Date()) start = new Date(Date.now() + 60 * 1000);
+      const end = shiftLocalDays(start, 7);
+      const options = await findGroupOptions(personnes, { start, end, jour: args.jour, periode: args.periode, mode: args.mode || "peu_importe" });
+      if (session) session.groupOptions = options;
+      if (!options.length) {
+        return { disponible: false, message: `Aucune combinaison trouvée pour ces ${personnes.length} personnes cette semaine-là. Dis : "Je n'ai pas de place pour tout le monde ${args.mode === "simultane" ? "en même temps" : "ensemble"} cette semaine. Veux-tu que je regarde la semaine suivante${args.mode === "simultane" ? ", ou l'un après l'autre" : ""}?"` };
+      }
+      return {
+        disponible: true,
+        options: options.map((o, i) => ({
+          option: i + 1,
+          mode: o.mode === "simultane" ? "en même temps" : "l'un après l'autre",
+          rendez_vous: o.rendezVous.map(rv => ({ prenom: rv.prenom, service: serviceLabel(rv.service), label: slotToSpoken(rv.startTimeIso, session?.langue), coiffeuse: rv.coiffeuse })),
+        })),
+        note: "Présente chaque option en UNE phrase : date complète une seule fois, puis chaque personne avec son heure et sa coiffeuse. Demande 'Quelle option te convient le mieux?'. Ensuite book_group avec le numéro d'option.",
+      };
+    } catch (e) {
+      console.error("[GROUP]", e.message);
+      return { error: "Impossible de vérifier les disponibilités." };
+    }
+  }
+
+  if (name === "book_group") {
+    const opt = session?.groupOptions?.[(Number(args.option) || 0) - 1];
+    if (!opt) return { error: "Option inconnue — appelle d'abord find_group_slots." };
+    const prefetch  = session?.prefetchedClient;
+    const titulaire = args.titulaire?.trim() || prefetch?.name || null;
+    const phone     = normalizePhone(args.phone || "") || normalizePhone(session?.callerNumber || "");
+    const email     = (args.email || prefetch?.email || "").trim().toLowerCase() || null;
+    if (!titulaire) return { error: "Nom du titulaire manquant — demande le prénom et le nom du client appelant." };
+    if (!phone)     return { error: "Numéro invalide." };
+    const conflit = opt.rendezVous.find(rv => findHold(rv.startTimeIso, rv.coiffeuse, rv.eventTypeUri, session?.holdToken));
+    if (conflit) return { error: "Créneau plus disponible.", message: "Dis : \"Oups, une des places vient d'être prise. Je regarde d'autres options.\" → find_group_slots." };
+    const nomFamille = titulaire.split(" ").slice(1).join(" ");
+    const premier    = opt.rendezVous[0];
+    if (cl) {
+      cl.service   = premier.service;
+      cl.coiffeuse = premier.coiffeuse;
+      cl.slot      = premier.startTimeIso;
+      cl.clientNom = titulaire;
+      cl.groupe    = opt.rendezVous.length;
+      if (!cl.clientType) cl.clientType = email ? "existant" : "nouveau";
+    }
+
+    // ── Client existant : tout réserver maintenant ──
+    if (email) {
+      try {
+        const booked = await bookGroup(opt.rendezVous, { email, nomFamille, phone, langue: session?.langue });
+        await saveContactToGoogle({ name: titulaire, email, phone, typeCoupe: premier.service, coiffeuse: premier.coiffeuse, ownerName: titulaire, langue: session?.langue });
+        await Promise.race([
+          sendSms(phone, groupSmsBody(booked, session?.langue)),
+          new Promise((_, rej) => setTimeout(() => rej(new Error("SMS timeout")), 15_000)),
+        ]).catch(e => console.error(`[GROUP] ❌ SMS: ${e.message}`));
+        logEvent(sid, "booking", `${booked.length} RDV créés — ${booked.map(b => `${b.prenom} ${slotToShort(b.startTimeIso)}`).join(", ")}`);
+        closeCallLog(session?.twilioCallSid, "réservation");
+        scheduleHangup(session, 11000, "post-booking groupe");
+        return { success: true, direct: true, rendez_vous: booked.length,
+          message: `Les ${booked.length} RDV sont confirmés. Dis EXACTEMENT : "C'est réglé pour tout le monde! Tu vas recevoir un seul texto avec tous les rendez-vous. Bonne journée!" Puis STOP absolu.` };
+      } catch (e) {
+        console.error(`[GROUP] ❌ ${e.message}`);
+        if (e.message?.includes("already_filled")) {
+          return { error: "Créneau plus disponible.", message: "Dis : \"Oups, une des places vient d'être prise. Je regarde d'autres options.\" → find_group_slots." };
+        }
+        return { error: `Impossible de créer les rendez-vous : ${e.message}` };
+      }
+    }
+
+    // ── Nouveau client : un seul lien courriel pour tout le groupe ──
+    const token = crypto.randomBytes(16).toString("hex");
+    const expiresAt = Date.now() + 20 * 60 * 1000;
+    const group = opt.rendezVous.map(rv => ({
+      name: [rv.prenom, rv.nom || nomFamille].filter(Boolean).join(" "),
+      prenom: rv.prenom, service: rv.service, eventTypeUri: rv.eventTypeUri, startTimeIso: rv.startTimeIso, coiffeuse: rv.coiffeuse,
+    }));
+    pending.set(token, {
+      expiresAt,
+      payload: { phone, name: titulaire, ownerName: titulaire, service: premier.service, eventTypeUri: premier.eventTypeUri,
+        startTimeIso: premier.startTimeIso, coiffeuse: premier.coiffeuse, callSid: sid || null, langue: session?.langue || "fr", group },
+    });
+    savePending();
+    group.forEach((g, i) => placeHold(`${token}#${i}`, { iso: g.startTimeIso, uri: g.eventTypeUri, coiffeuse: g.coiffeuse, expiresAt }));
+    if (cl) cl.emailConfirmation = "en attente";
+    try {
+      await Promise.race([
+        sendSms(phone, smsTexte(session?.langue, "lienGroupe", {
+          n: group.length,
+          liste: group.map(g => `${slotToShort(g.startTimeIso, session?.langue)} - ${g.prenom}`).join("\n"),
+          lien: `${base()}/confirm-email/${token}`,
+        })),
+        new Promise((_, rej) => setTimeout(() => rej(new Error("SMS timeout 15s")), 15_000)),
+      ]);
+    } catch (e) {
+      console.error(`[GROUP] ❌ Erreur SMS: ${e.message}`);
+    }
+    closeCallLog(session?.twilioCallSid, "réservation (lien courriel)");
+    scheduleHangup(session, 14000, "post-booking groupe");
+    return { success: true, phone_display: fmtPhone(phone),
+      message: `SMS envoyé. Dis EXACTEMENT : "C'est réglé! Tu vas recevoir un texto pour confirmer ton courriel. Une fois confirmé, tous les rendez-vous seront réservés. Bonne journée!" — puis SILENCE ABSOLU.` };
+  }
+
+  if (name === "join_waitlist") {
+    const prefetch = session?.prefetchedClient;
+    const nom   = args.name?.trim() || prefetch?.name || null;
+    const phone = normalizePhone(args.phone || "") || normalizePhone(session?.callerNumber || "");
+    if (!nom)   return { error: "Nom manquant — demande le prénom et le nom du client." };
+    if (!phone) return { error: "Numéro invalide — demande le cellulaire du client." };
+    const debut = parseLocalDate(args.date_debut);
+    const fin   = parseLocalDate(args.date_fin);
+    if (!debut || !fin || fin < debut) return { error: "Fenêtre de dates invalide (YYYY-MM-DD)." };
+    if (fin - debut > 60 * 24 * 3600 * 1000) return { error: "Fenêtre trop longue — maximum 60 jours." };
+    const dejaInscrit = waitlist.find(w => w.status === "actif" && samePhone(w.phone, phone) && w.service === args.service);
+    if (dejaInscrit) {
+      return { success: true, deja_inscrit: true, message: `Client déjà sur la liste d'attente pour ce service. Dis : "Tu es déjà sur la liste d'attente — je t'envoie un texto dès qu'une place se libère!"` };
+    }
+    addToWaitlist({
+      phone, name: nom, email: prefetch?.email || null,
+      service: args.service, coiffeuse: args.coiffeuse || null,
+      dateDebut: args.date_debut, dateFin: args.date_fin,
+      jour: args.jour || null, periode: args.periode || null,
+      callSid: sid || null, langue: session?.langue || "fr",
+    });
+    if (cl) cl.clientNom = cl.clientNom || nom;
+    return {
+      success: true,
+      message: `Inscrit sur la liste d'attente. Dis : "C'est noté! Tu es sur la liste d'attente${args.coiffeuse ? " pour " + args.coiffeuse : ""}. Dès qu'une place se libère, je t'envoie un texto avec un lien — le premier qui confirme l'obtient." Puis "Est-ce que je peux t'aider avec autre chose?" SEULEMENT si le client semble avoir une autre demande, sinon "Bonne journée!" → end_call.`,
+    };
+  }
+
+  if (name === "cancel_appointment" || name === "reschedule_appointment") {
+    // RDV ciblé : celui lu par get_existing_appointment, sinon nouvelle recherche
+    let appt = session?.upcomingAppointment || null;
+    if (!appt) {
+      const email = session?.prefetchedClient?.email || null;
+      if (!email) return { error: "Aucun rendez-vous identifié — appelle d'abord get_existing_appointment." };
+      appt = await lookupUpcomingAppointment(email);
+    }
+    if (!appt?.event_uri) {
+      return { found: false, message: "Aucun rendez-vous à venir trouvé. Dis : \"Je ne trouve pas de RDV actif. Je te transfère?\"" };
+    }
+    const phone   = normalizePhone(session?.callerNumber || "");
+    const oldDate = slotToFrench(appt.start_time);
+    const oldDateDite = slotToSpoken(appt.start_time, session?.langue);
+
+    if (name === "cancel_appointment") {
+      const serie = findSeriesByEventUri(appt.event_uri);
+      if (serie && args.portee === "serie") {
+        const aVenir = serie.occurrences.filter(o => o.status === "réservé" && new Date(o.iso) > new Date() && o.eventUri);
+        let annules = 0;
+        for (const o of aVenir) {
+          try {
+            await cancelScheduledEvent(o.eventUri, args.raison || `Série annulée par téléphone avec ${AGENT_NAME}`);
+            o.status = "annulé";
+            annules++;
+          } catch (e) { console.error(`[CANCEL] ❌ Occurrence ${o.iso}: ${e.message}`); }
+        }
+        saveSeries();
+        if (session) session.upcomingAppointment = null;
+        if (cl) cl.annulation = { slot: appt.start_time, serie: serie.id, raison: args.raison || null, at: new Date().toISOString() };
+        logEvent(sid, "booking", `Série annulée — ${annules}/${aVenir.length} RDV`);
+        runWaitlistMatcher("annulation série").catch(() => {});
+        if (phone) {
+          await sendSms(phone, smsTexte(session?.langue, "serieAnnulee", { n: annules, avec: serie.coiffeuse ? (session?.langue === "en" ? " with " : " avec ") + serie.coiffeuse : "" }))
+            .catch(e => console.error(`[CANCEL] ❌ SMS: ${e.message}`));
+        }
+        return {
+          success: annules === aVenir.length,
+          annules,
+          message: annules === aVenir.length
+            ? `Série annulée (${annules} RDV). Dis : "C'est annulé pour toute la série! Tu vas recevoir un texto de confirmation. Tu veux prendre un nouveau rendez-vous?"`
+            : `Seulement ${annules} RDV sur ${aVenir.length} ont pu être annulés. Dis : "J'ai annulé une partie de la série, mais je dois te transférer pour le reste." → transfer_to_agent raison="erreur".`,
+        };
+      }
+      try {
+        await cancelScheduledEvent(appt.event_uri, args.raison || `Annulé par téléphone avec ${AGENT_NAME}`);
+      } catch (e) {
+        console.error(`[CANCEL] ❌ ${e.message}`);
+        logEvent(sid, "error", `Échec annulation Calendly: ${e.message}`);
+        return { error: "Impossible d'annuler le rendez-vous.", message: "Dis : \"Désolée, je ne peux pas t'aider davantage. Un instant, je te transfère.\" → transfer_to_agent raison=\"erreur\"." };
+      }
+      if (session) session.upcomingAppointment = null;
+      if (serie) {
+        const occ = serie.occurrences.find(o => o.eventUri === appt.event_uri);
+        if (occ) { occ.status = "annulé"; saveSeries(); }
+      }
+      if (cl) {
+        cl.annulation = { slot: appt.start_time, raison: args.raison || null, at: new Date().toISOString() };
+        cl.slot = appt.start_time;
+        if (appt.coiffeuse) cl.coiffeuse = cl.coiffeuse || appt.coiffeuse;
+      }
+      logEvent(sid, "booking", `RDV annulé — ${oldDate}${args.raison ? " (" + args.raison + ")" : ""}`);
+      runWaitlistMatcher("annulation").catch(() => {}); // place libérée → prévenir la liste d'attente
+      offerFreedSlot({ iso: appt.start_time, uri: appt.event_type, coiffeuse: appt.coiffeuse, exceptPhone: phone, raison: "annulation" });
+      if (phone) {
+        await sendSms(phone, smsTexte(session?.langue, "annule", { quand: smsQuand(appt.start_time, appt.coiffeuse, session?.langue) }))
+          .catch(e => console.error(`[CANCEL] ❌ SMS: ${e.message}`));
+      }
+      return {
+        success: true,
+        date_annulee: oldDateDite,
+        message: `RDV du ${oldDateDite} annulé. Dis : "C'est annulé! Tu vas recevoir un texto de confirmation. Tu veux prendre un nouveau rendez-vous?" Puis attends la réponse. NON → "Bonne journée!" → end_call.`,
+      };
+    }
+
+    // ── Déplacement : réserver le nouveau créneau AVANT d'annuler l'ancien ──
+    if (!args.slot_iso) return { error: "Créneau manquant (slot_iso)." };
+    if (coiffeuses.length === 0) await loadCoiffeuses();
+    const svc = args.service || appt.service || cl?.service || null;
+    let uri = args.event_type_uri || null;
+    if (!uri && args.coiffeuse) {
+      const match = coiffeuses.find(c => c.name.toLowerCase().includes(args.coiffeuse.toLowerCase()));
+      if (match) uri = (svc && match.eventTypes[svc]) || null;
+    }
+    if (!uri) uri = appt.event_type || (svc ? serviceUri(svc) : null);
+    if (!uri) return { error: "Service non configuré — aucun event type trouvé." };
+
+    const invitee = await getEventInvitee(appt.event_uri);
+    const inviteeName  = invitee?.name  || session?.prefetchedClient?.name  || null;
+    const inviteeEmail = invitee?.email || session?.prefetchedClient?.email || null;
+    if (!inviteeName || !inviteeEmail) return { error: "Dossier incomplet — nom ou courriel introuvable pour ce RDV." };
+
+    const coiffeuseNom = args.coiffeuse
+      || coiffeuses.find(c => Object.values(c.eventTypes || {}).includes(uri))?.name
+      || appt.coiffeuse || null;
+
+    let result;
+    try {
+      result = await createInvitee({ uri, startTimeIso: args.slot_iso, name: inviteeName, email: inviteeEmail });
+    } catch (e) {
+      console.error(`[RESCHEDULE] ❌ Nouveau créneau: ${e.message}`);
+      logEvent(sid, "error", `Échec réservation nouveau créneau: ${e.message}`);
+      if (e.message?.includes("already_filled")) {
+        return { error: "Créneau plus disponible.", message: "Dis : \"Oups, ce créneau vient d'être pris. Je regarde d'autres disponibilités.\" → get_available_slots." };
+      }
+      return { error: `Impossible de déplacer le rendez-vous : ${e.message}` };
+    }
+
+    let ancienAnnule = true;
+    try {
+      await cancelScheduledEvent(appt.event_uri, args.raison || `Déplacé au ${slotToShort(args.slot_iso)} par téléphone`);
+    } catch (e) {
+      // Nouveau RDV créé mais ancien toujours actif — l'équipe doit nettoyer manuellement
+      ancienAnnule = false;
+      console.error(`[RESCHEDULE] ❌ Ancien RDV non annulé: ${e.message}`);
+      logEvent(sid, "error", `Ancien RDV du ${oldDate} NON annulé — à annuler manuellement`);
+    }
+    if (session) session.upcomingAppointment = null;
+    if (ancienAnnule) {
+      runWaitlistMatcher("déplacement").catch(() => {});
+      offerFreedSlot({ iso: appt.start_time, uri: appt.event_type, coiffeuse: appt.coiffeuse, exceptPhone: phone, raison: "déplacement" });
+    }
+    // RDV d'une série → l'occurrence pointe désormais vers le nouveau RDV
+    const serieDeplacee = findSeriesByEventUri(appt.event_uri);
+    if (serieDeplacee) {
+      const occ = serieDeplacee.occurrences.find(o => o.eventUri === appt.event_uri);
+      Object.assign(occ, { iso: args.slot_iso, eventUri: result?.resource?.event || null, cancelUrl: result?.resource?.cancel_url || "" });
+      saveSeries();
+    }
+
+    const cancelUrl     = result?.resource?.cancel_url     || "";
+    const rescheduleUrl = result?.resource?.reschedule_url || "";
+    scheduleReminders({ eventUri: result?.resource?.event, slotIso: args.slot_iso, phone, name: inviteeName, coiffeuse: coiffeuseNom, service: svc, langue: session?.langue });
+    if (cl) {
+      cl.service   = svc || cl.service;
+      cl.coiffeuse = coiffeuseNom || cl.coiffeuse;
+      cl.slot      = args.slot_iso;
+      cl.clientNom = cl.clientNom || inviteeName;
+    }
+    logEvent(sid, "booking", `RDV déplacé — ${oldDate} → ${slotToFrench(args.slot_iso)}${coiffeuseNom ? " avec " + coiffeuseNom : ""}`);
+
+    if (phone) {
+      const smsBody = smsTexte(session?.langue, "deplace", {
+        quand: smsQuand(args.slot_iso, coiffeuseNom, session?.langue), modifier: rescheduleUrl, annuler: cancelUrl,
+      });
+      await Promise.race([
+        sendSms(phone, smsBody),
+        new Promise((_, rej) => setTimeout(() => rej(new Error("SMS timeout")), 15_000)),
+      ]).catch(e => console.error(`[RESCHEDULE] ❌ SMS: ${e.message}`));
+    }
+    closeCallLog(session?.twilioCallSid, "modification");
+    scheduleHangup(session, 11000, "post-déplacement");
+    return {
+      success: true,
+      ancienne_date: oldDateDite,
+      nouvelle_date: slotToSpoken(args.slot_iso, session?.langue),
+      coiffeuse: coiffeuseNom,
+      ancien_rdv_annule: ancienAnnule,
+      message: `RDV déplacé. Dis EXACTEMENT : "C'est fait! Ton rendez-vous est maintenant le ${slotToSpoken(args.slot_iso, session?.langue)}${coiffeuseNom ? " avec " + coiffeuseNom : ""}. Tu vas recevoir un texto de confirmation. Bonne journée!" Puis STOP absolu — l'appel se ferme.`,
     };
   }
 
+  if (name === "fill_opt_out") {
+    const avant = fillSettings.clients.length;
+    fillSettings.clients = fillSettings.clients.filter(c => !samePhone(c.phone, session?.callerNumber || ""));
+    if (fillSettings.clients.length < avant) saveFillSettings();
+    logEvent(sid, "info", "Retiré de la liste des places libérées");
+    console.log(`[FILL] 🚫 Désinscription ${session?.callerNumber || "?"}`);
+    return { success: true };
+  }
+
   if (name === "transfer_to_agent") {
     session.shouldTransfer = true;
     // Résultat selon la raison du transfert
@@ -1635,10 +4448,10 @@ async function runTool(name, args, session) {
       setTimeout(async () => {
         try {
           // PAS de <Say> Twilio — Hélène a déjà dit la phrase de transfert vocalement
-          // Twilio se contente du <Dial> silencieux
+          // Twilio se contente du <Dial> silencieux; sans réponse → messagerie (/voicemail/dial-result)
           await twilioClient.calls(session.twilioCallSid)
             .update({
-              twiml: `<Response><Dial>${FALLBACK_NUMBER}</Dial></Response>`
+              twiml: `<Response><Dial action="${base()}/voicemail/dial-result" timeout="${VOICEMAIL_DIAL_TIMEOUT}">${FALLBACK_NUMBER}</Dial></Response>`
             });
           console.log(`[TRANSFER] ✅ Transfert vers ${FALLBACK_NUMBER}`);
         } catch (e) {
@@ -1651,7 +4464,612 @@ async function runTool(name, args, session) {
     return { transferring: true };
   }
 
-  return { error: `Outil inconnu : ${name}` };
+  return { error: `Outil inconnu : ${name}` };
+}
+
+// ─── Agent texte (texto et clavardage web) ────────────────────────────────────
+// Même réceptionniste que le téléphone, mais par écrit : mêmes TOOLS et runTool,
+// modèle texte (Chat Completions) au lieu de Realtime. Une conversation par numéro
+// (texto) ou par widget (web), oubliée après 30 min sans message — son log est
+// fermé à ce moment-là.
+const TEXT_CONVERSATION_TTL = 30 * 60 * 1000;
+const TEXT_MAX_TOOL_ROUNDS  = 6;   // appels d'outils enchaînés avant d'abandonner un tour
+const WEB_MAX_TURNS         = 40;  // messages par conversation web
+const WEB_MAX_CONVERSATIONS = 200; // conversations web ouvertes en même temps
+const WEB_MAX_LENGTH        = 500; // caractères par message web
+const WEB_CONVERSATIONS_IP  = 3;   // conversations ouvertes par adresse
+const WEB_MESSAGES_IP       = 20;  // messages par adresse et par fenêtre
+const WEB_FENETRE_IP        = 60 * 1000;
+const WEB_CODE_TTL          = 10 * 60 * 1000; // code texto de confirmation du cellulaire
+const WEB_CODE_ESSAIS       = 5;   // codes erronés avant d'en exiger un nouveau
+const WEB_CODES_MAX         = 3;   // codes envoyés par conversation
+// Outils web qui réservent ou textent le cellulaire saisi : code texto d'abord
+const WEB_OUTILS_CELLULAIRE = ["send_booking_link", "book_group", "join_waitlist"];
+const smsConversations = new Map(); // phone → conversation
+const webConversations = new Map(); // id widget → conversation
+const webMessagesIp    = new Map(); // ip → { n, debut }
+
+const TEXT_PROMPT_RULES = {
+  sms: `
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+CANAL TEXTO
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+- Tu échanges par texto, pas au téléphone : rien à épeler, pas de pause, rien à raccrocher.
+- Messages courts : 1 à 3 phrases, texte brut, pas d'emoji ni de mise en forme.
+- Quand un outil dit "Dis : ...", écris l'équivalent en texto.
+- Le numéro qui texte est celui du client : utilise-le pour la confirmation sans le redemander.
+- Créneaux : liste au plus 3 choix, un par ligne.
+- Si tu ne peux pas aider → transfer_to_agent (l'équipe rappellera).`,
+  web: `
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+CANAL CLAVARDAGE (site web du salon)
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+- Tu clavardes avec un visiteur du site web. Tu ne connais ni son nom ni son numéro.
+- Messages courts : 1 à 3 phrases, texte brut, pas de mise en forme.
+- Quand un outil dit "Dis : ...", écris l'équivalent par écrit.
+- Créneaux : liste au plus 3 choix, un par ligne.
+- Avant de réserver, le serveur texte un code au cellulaire donné : demande-le au visiteur puis appelle verify_phone_code.
+- Si tu ne peux pas aider → transfer_to_agent : le message retourné contient le numéro du salon à donner.`,
+};
+
+// Outils sans objet selon le canal. Web : identité non vérifiable → rien qui lit ou
+// modifie un dossier ou un RDV existant.
+const TEXT_TOOLS_EXCLUS = {
+  sms: ["end_call", "format_caller_number"],
+  web: ["end_call", "format_caller_number", "normalize_and_confirm_phone", "lookup_existing_client", "update_contact",
+        "get_existing_appointment", "cancel_appointment", "reschedule_appointment", "propose_recurring_series", "book_recurring"],
+};
+
+// Outil propre au clavardage web : le code texté au cellulaire saisi
+const WEB_TOOLS = [
+  {
+    type: "function",
+    name: "verify_phone_code",
+    description: "Vérifie le code à 6 chiffres texté au cellulaire du visiteur. Appelle dès que le visiteur l'écrit — la réservation (ou l'inscription) en attente se fait alors automatiquement.",
+    parameters: {
+      type: "object",
+      properties: {
+        code: { type: "string", description: "Code à 6 chiffres écrit par le visiteur." },
+      },
+      required: ["code"],
+    },
+  },
+];
+
+// Définitions Realtime → format Chat Completions
+function textTools(canal) {
+  return [...TOOLS, ...(canal === "web" ? WEB_TOOLS : [])].filter(t => !TEXT_TOOLS_EXCLUS[canal].includes(t.name)).map(({ name, description, parameters }) => ({
+    type: "function", function: { name, description, parameters },
+  }));
+}
+
+// Web : le visiteur prouve que le cellulaire saisi est le sien avant qu'on y réserve ou
+// texte quoi que ce soit — sinon n'importe qui ferait texter n'importe quel numéro.
+// L'outil demandé attend dans session.codeWeb jusqu'au bon code.
+async function envoyerCodeWeb(name, args, session, phone) {
+  const sid = session.twilioCallSid;
+  session.codesEnvoyes = (session.codesEnvoyes || 0) + 1;
+  if (session.codesEnvoyes > WEB_CODES_MAX) {
+    return { error: "Trop de codes envoyés.", message: `Dis au visiteur d'appeler le salon${TWILIO_CALLER_ID ? " au " + fmtPhone(TWILIO_CALLER_ID) : ""} pour réserver.` };
+  }
+  if (!twilioClient || !TWILIO_CALLER_ID) {
+    return { error: "Textos non configurés — cellulaire impossible à confirmer.", message: `Dis au visiteur d'appeler le salon${TWILIO_CALLER_ID ? " au " + fmtPhone(TWILIO_CALLER_ID) : ""} pour réserver.` };
+  }
+  const code = String(crypto.randomInt(100000, 1000000));
+  const texte = session.langue === "en" ? `${SALON_NAME}: your confirmation code is ${code}` : `${SALON_NAME}: ton code de confirmation est ${code}`;
+  try {
+    await sendSms(phone, texte);
+  } catch (e) {
+    console.error(`[WEB-CHAT] ❌ Code texto: ${e.message}`);
+    return { error: "Texto du code impossible.", message: "Demande au visiteur de vérifier son numéro de cellulaire." };
+  }
+  session.codeWeb = { code, phone, name, args, expire: Date.now() + WEB_CODE_TTL, essais: 0 };
+  logEvent(sid, "info", `Code de confirmation texté au ${fmtPhone(phone)}`);
+  return { code_envoye: true, message: `Rien n'est encore réservé. Dis : "Je viens de t'envoyer un code par texto au ${fmtPhone(phone)} — écris-le ici pour confirmer." Puis appelle verify_phone_code avec le code.` };
+}
+
+async function verifierCodeWeb(args, session) {
+  const attente = session.codeWeb;
+  if (!attente || attente.expire < Date.now()) {
+    session.codeWeb = null;
+    return { error: "Aucun code en attente ou code expiré.", message: "Rappelle l'outil de réservation avec le même cellulaire : un nouveau code sera envoyé." };
+  }
+  if (String(args.code || "").replace(/\D/g, "") !== attente.code) {
+    if (++attente.essais >= WEB_CODE_ESSAIS) session.codeWeb = null;
+    logEvent(session.twilioCallSid, "warn", "Code de confirmation erroné");
+    return { error: "Code erroné.", message: session.codeWeb ? "Dis que le code ne correspond pas et demande-le de nouveau." : "Trop d'essais : rappelle l'outil de réservation pour envoyer un nouveau code." };
+  }
+  session.codeWeb = null;
+  session.cellulaireVerifie = attente.phone;
+  logEvent(session.twilioCallSid, "info", `Cellulaire ${fmtPhone(attente.phone)} confirmé par code`);
+  return runTextTool(attente.name, attente.args, session);
+}
+
+async function openaiChat(messages, canal) {
+  const r = await fetch("https://api.openai.com/v1/chat/completions", {
+    method: "POST",
+    headers: { Authorization: `Bearer ${OPENAI_API_KEY}`, "Content-Type": "application/json" },
+    body: JSON.stringify({ model: OPENAI_TEXT_MODEL, messages, tools: textTools(canal), temperature: 0.4 }),
+  });
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error?.message || `OpenAI HTTP ${r.status}`);
+  return j.choices[0].message;
+}
+
+// runTool, sauf ce qui ne vaut qu'au téléphone (raccrochage, transfert d'appel)
+async function runTextTool(name, args, session) {
+  const sid = session.twilioCallSid;
+  if (TEXT_TOOLS_EXCLUS[session.canal].includes(name)) return { error: `Outil non disponible par ${session.canal === "web" ? "clavardage" : "texto"}.` };
+
+  if (name === "transfer_to_agent") {
+    const cl = callLogs.get(sid);
+    if (cl) cl.transfert = { raison: args.raison || null, at: new Date().toISOString() };
+    logEvent(sid, "warn", `Transfert demandé (${session.canal})${args.raison ? " — " + args.raison : ""}`);
+    closeCallLog(sid, args.raison === "erreur" ? "erreur" : "agent");
+    if (session.canal === "web") {
+      return { transferring: false, message: `Pas de transfert par clavardage. Écris au visiteur d'appeler le salon${TWILIO_CALLER_ID ? " au " + fmtPhone(TWILIO_CALLER_ID) : ""}.` };
+    }
+    console.log(`[SMS-AGENT] Rappel demandé par l'équipe${args.raison ? " — " + args.raison : ""}`);
+    if (FALLBACK_NUMBER) {
+      await sendSms(FALLBACK_NUMBER, `${SALON_NAME}: un client demande un rappel (conversation texto) ${fmtPhone(session.callerNumber)}`)
+        .catch(e => console.error(`[SMS-AGENT] ❌ Avis équipe: ${e.message}`));
+    }
+    return { transferring: false, message: "Pas de transfert par texto. Écris que quelqu'un de l'équipe va rappeler le client sous peu." };
+  }
+
+  // Web : coordonnées saisies dans le clavardage → RDV créé directement, sans le
+  // détour du lien /confirm-email par texto
+  if (session.canal === "web" && name === "send_booking_link") {
+    if (!normalizePhone(args.phone || "")) return { error: "Numéro de cellulaire manquant ou invalide — demande-le au visiteur." };
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(args.email?.trim() || "")) return { error: "Courriel manquant ou invalide — demande-le au visiteur." };
+  }
+  if (session.canal === "web" && name === "verify_phone_code") return verifierCodeWeb(args, session);
+  if (session.canal === "web" && WEB_OUTILS_CELLULAIRE.includes(name)) {
+    const phone = normalizePhone(args.phone || "");
+    if (!phone) return { error: "Numéro de cellulaire manquant ou invalide — demande-le au visiteur." };
+    if (phone !== session.cellulaireVerifie) return envoyerCodeWeb(name, args, session, phone);
+    const cl = callLogs.get(sid);
+    if (cl) cl.callerNumber = phone;
+  }
+
+  const result = await runTool(name, args, session);
+  // Les outils de réservation programment un raccrochage Twilio — sans objet ici
+  clearTimeout(session.hangupTimer);
+  session.shouldHangup = false;
+  return result;
+}
+
+// Un tour : message client → réponse (après 0 à n appels d'outils)
+async function runTextTurn(conv, text) {
+  const { session } = conv;
+  const sid = session.twilioCallSid;
+  callLogs.get(sid)?.resumeClient.push(text);
+  logEvent(sid, "client", text);
+  if (!session.langue && conv.turns < 3) {
+    const langue = detectLangue(text);
+    if (langue) setSessionLangue(session, langue, "détectée");
+  }
+  conv.messages.push({ role: "user", content: text });
+  conv.turns++;
+  for (let round = 0; round < TEXT_MAX_TOOL_ROUNDS; round++) {
+    // Langue changée (détection, set_language, dossier) → prompt dans la bonne langue
+    if (session.langue && conv.langue !== session.langue) {
+      conv.messages[0] = { role: "system", content: systemPrompt(session.callerNumber, session.canal, session.langue) + TEXT_PROMPT_RULES[session.canal] };
+      conv.langue = session.langue;
+    }
+    const msg = await openaiChat(conv.messages, session.canal);
+    conv.messages.push(msg);
+    if (!msg.tool_calls?.length) {
+      const reply = (msg.content || "").trim();
+      if (reply) logEvent(sid, "helene", reply);
+      return reply;
+    }
+    for (const call of msg.tool_calls) {
+      let args = {};
+      try { args = JSON.parse(call.function.arguments || "{}"); } catch {}
+      const result = await runTextTool(call.function.name, args, session);
+      console.log(`[TOOL RESULT] ${call.function.name}`, JSON.stringify(result).slice(0, 200));
+      conv.messages.push({ role: "tool", tool_call_id: call.id, content: JSON.stringify(result) });
+    }
+  }
+  throw new Error(`Plus de ${TEXT_MAX_TOOL_ROUNDS} appels d'outils sans réponse`);
+}
+
+// session a la même forme que celle d'un appel — runTool n'y voit pas de différence
+function startTextConversation({ sid, canal, phone = "" }) {
+  const session = {
+    twilioCallSid:  sid,
+    callerNumber:   phone,
+    canal,
+    shouldTransfer: false,
+    callStartTime:  Date.now(),
+  };
+  startCallLog(sid, phone || null).canal = canal;
+  logEvent(sid, "info", canal === "web" ? "Clavardage web" : "Conversation texto");
+  console.log(`[${canal === "web" ? "WEB-CHAT" : "SMS-AGENT"}] Nouvelle conversation ${sid}`);
+  return {
+    session,
+    messages: [{ role: "system", content: systemPrompt(phone, canal) + TEXT_PROMPT_RULES[canal] }],
+    lastAt:   Date.now(),
+    turns:    0,
+    queue:    Promise.resolve(),
+  };
+}
+
+// Les tours d'un même numéro passent l'un après l'autre; la réponse part par l'API
+// Twilio (un tour avec outils dépasse souvent le délai du webhook).
+function handleSmsConversation({ phone, body, messageSid }) {
+  let conv = smsConversations.get(phone);
+  if (!conv) {
+    conv = startTextConversation({ sid: `SMS-${messageSid || crypto.randomBytes(6).toString("hex")}`, canal: "sms", phone });
+    // Dossier client avant le premier tour — comme le prefetch de l'appel
+    conv.queue = lookupClientByPhone(phone)
+      .then(info => {
+        conv.session.prefetchedClient = info ?? false;
+        if (info?.langue) setSessionLangue(conv.session, info.langue, "dossier");
+      })
+      .catch(() => { conv.session.prefetchedClient = false; });
+    smsConversations.set(phone, conv);
+  }
+  conv.lastAt = Date.now();
+  conv.queue = conv.queue.then(async () => {
+    let reply;
+    try {
+      reply = await runTextTurn(conv, body);
+    } catch (e) {
+      console.error(`[SMS-AGENT] ❌ ${e.message}`);
+      logEvent(conv.session.twilioCallSid, "error", `Agent texto: ${e.message}`);
+      reply = "Oups, petit pepin de notre cote. Appelle-nous au salon svp.";
+    }
+    saveLogsToDisk();
+    if (!reply) return;
+    // Textos sans accents, comme les autres SMS du salon
+    await sendSms(phone, reply.normalize("NFD").replace(/[\u0300-\u036f]/g, ""))
+      .catch(e => console.error(`[SMS-AGENT] ❌ Envoi: ${e.message}`));
+  });
+}
+
+// Un message du widget → { id, reply } | { error } (id absent ou expiré = nouvelle conversation).
+// Par adresse : WEB_MESSAGES_IP messages par fenêtre et WEB_CONVERSATIONS_IP conversations
+// ouvertes — une seule adresse ne peut pas occuper toutes les places.
+async function handleWebChat({ id, message, ip }) {
+  const now = Date.now();
+  let compte = webMessagesIp.get(ip);
+  if (!compte || now - compte.debut >= WEB_FENETRE_IP) webMessagesIp.set(ip, compte = { n: 0, debut: now });
+  if (++compte.n > WEB_MESSAGES_IP) return { status: 429, error: "Trop de messages — attends une minute ou appelle-nous." };
+  let conv = id ? webConversations.get(id) : null;
+  if (conv && conv.ip !== ip) conv = null; // id d'une autre adresse : nouvelle conversation
+  if (!conv) {
+    if (webConversations.size >= WEB_MAX_CONVERSATIONS) return { status: 503, error: "Clavardage momentanément indisponible — appelle-nous!" };
+    if ([...webConversations.values()].filter(c => c.ip === ip).length >= WEB_CONVERSATIONS_IP) {
+      console.warn(`[WEB-CHAT] ⚠️ ${ip} — déjà ${WEB_CONVERSATIONS_IP} conversations ouvertes`);
+      return { status: 429, error: "Trop de conversations ouvertes — continue celle en cours ou appelle-nous." };
+    }
+    id = crypto.randomBytes(12).toString("hex");
+    conv = startTextConversation({ sid: `WEB-${id}`, canal: "web" });
+    conv.session.prefetchedClient = false; // visiteur anonyme : toujours le parcours nouveau client
+    conv.ip = ip;
+    webConversations.set(id, conv);
+  }
+  if (conv.turns >= WEB_MAX_TURNS) return { status: 429, error: "Conversation trop longue — appelle-nous pour continuer." };
+  conv.lastAt = Date.now();
+  const turn = conv.queue.then(async () => {
+    try {
+      return await runTextTurn(conv, message);
+    } catch (e) {
+      console.error(`[WEB-CHAT] ❌ ${e.message}`);
+      logEvent(conv.session.twilioCallSid, "error", `Clavardage: ${e.message}`);
+      return "Oups, petit pépin de notre côté. Réessaie dans un instant ou appelle-nous.";
+    } finally {
+      saveLogsToDisk();
+    }
+  });
+  conv.queue = turn;
+  return { id, reply: await turn };
+}
+
+function sweepTextConversations() {
+  const now = Date.now();
+  for (const [ip, compte] of webMessagesIp) if (now - compte.debut >= WEB_FENETRE_IP) webMessagesIp.delete(ip);
+  for (const conversations of [smsConversations, webConversations]) {
+    for (const [key, conv] of conversations) {
+      if (now - conv.lastAt < TEXT_CONVERSATION_TTL) continue;
+      conversations.delete(key);
+      const sid = conv.session.twilioCallSid;
+      const log = callLogs.get(sid);
+      if (log?.result === "en cours") closeCallLog(sid, log.annulation ? "annulation" : "fin normale");
+      console.log(`[${conv.session.canal === "web" ? "WEB-CHAT" : "SMS-AGENT"}] ⌛ Conversation ${sid} terminée (inactive)`);
+    }
+  }
+}
+setInterval(sweepTextConversations, 60_000).unref();
+
+// ─── Comptes, sessions et journal d'audit ─────────────────────────────────────
+// Le dashboard et l'admin exigent une connexion (courriel + mot de passe, haché scrypt)
+// qui ouvre une session par cookie HttpOnly. Trois rôles, chacun inclut le précédent :
+//   lecture       voir les appels, la config et les listes
+//   employe       + FAQ, rappels de la messagerie, comptoir et agent, places libérées
+//   proprietaire  + config du salon (heures, services, rappels texto), suppression des
+//                 logs, comptes, Google, debug et vue combinée des salons
+// Tant qu'aucun compte propriétaire n'existe, ADMIN_TOKEN sert de mot de passe (courriel
+// vide) ou d'en-tête x-admin-token (scripts) pour créer les comptes — jamais en query
+// string. Dès qu'un propriétaire existe, seules les sessions ouvrent l'accès.
+// Chaque action privilégiée (modifications, écoute des messages, debug…) est ajoutée à
+// /data/audit.jsonl, un objet JSON par ligne, jamais réécrit.
+const USERS_FILE        = path.join(LOGS_DIR, "users.json");
+const AUTH_SESSIONS_FILE = path.join(LOGS_DIR, "auth_sessions.json");
+const AUDIT_FILE        = path.join(LOGS_DIR, "audit.jsonl");
+const SESSION_TTL       = 12 * 60 * 60 * 1000; // prolongée à chaque visite
+const SESSION_COOKIE    = SALON_ID ? `salon_session_${SALON_ID}` : "salon_session"; // un cookie par salon
+const LOGIN_MAX_ECHECS  = 5;
+const LOGIN_BLOCAGE     = 15 * 60 * 1000;
+const MOT_DE_PASSE_MIN  = 10;
+const ROLES = { lecture: 1, employe: 2, proprietaire: 3 };
+const ROLE_LABELS = { lecture: "Lecture seule", employe: "Employé", proprietaire: "Propriétaire" };
+const JETON_ADMIN = { id: "jeton", email: "", nom: "Jeton admin", role: "proprietaire" };
+
+let users = [];                 // [{ id, email, nom, role, hash, createdAt, lastLoginAt }]
+const authSessions = new Map(); // sha256(cookie) → { userId, exp, createdAt, ip }
+const loginEchecs = new Map();  // ip → { n, jusqua }
+
+function loadUsers() {
+  try {
+    if (fs.existsSync(USERS_FILE)) users = JSON.parse(fs.readFileSync(USERS_FILE, "utf8"));
+    console.log(`[AUTH] ✅ ${users.length} compte(s) chargé(s)`);
+  } catch(e) { console.warn("[AUTH] ⚠️ Erreur chargement comptes:", e.message); }
+}
+function saveUsers() {
+  try { fs.writeFileSync(USERS_FILE, JSON.stringify(users, null, 2), "utf8"); }
+  catch(e) { console.error("[AUTH] ❌ Erreur sauvegarde comptes:", e.message); }
+}
+function loadAuthSessions() {
+  try {
+    if (!fs.existsSync(AUTH_SESSIONS_FILE)) return;
+    const now = Date.now();
+    for (const [k, s] of Object.entries(JSON.parse(fs.readFileSync(AUTH_SESSIONS_FILE, "utf8")))) if (s.exp > now) authSessions.set(k, s);
+  } catch(e) { console.warn("[AUTH] ⚠️ Erreur chargement sessions:", e.message); }
+}
+function saveAuthSessions() {
+  try { fs.writeFileSync(AUTH_SESSIONS_FILE, JSON.stringify(Object.fromEntries(authSessions)), "utf8"); }
+  catch(e) { console.error("[AUTH] ❌ Erreur sauvegarde sessions:", e.message); }
+}
+loadUsers();
+loadAuthSessions();
+if (!users.some(u => u.role === "proprietaire")) {
+  console.warn(`[AUTH] ⚠️ Aucun compte propriétaire — ${process.env.ADMIN_TOKEN ? "connexion avec ADMIN_TOKEN sur /login pour en créer un" : "ADMIN_TOKEN absent, dashboard inaccessible"}`);
+}
+
+function hashPassword(motDePasse) {
+  const sel = crypto.randomBytes(16).toString("hex");
+  return `scrypt$${sel}$${crypto.scryptSync(motDePasse, sel, 64).toString("hex")}`;
+}
+function checkPassword(motDePasse, hash) {
+  const [algo, sel, attendu] = String(hash || "").split("$");
+  if (algo !== "scrypt" || !sel || !attendu) return false;
+  const calcule = crypto.scryptSync(String(motDePasse), sel, 64);
+  const ref = Buffer.from(attendu, "hex");
+  return ref.length === calcule.length && crypto.timingSafeEqual(ref, calcule);
+}
+function egalConstant(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+const cleSession = jeton => crypto.createHash("sha256").update(jeton).digest("hex");
+const hasRole = (user, role) => (ROLES[user?.role] || 0) >= ROLES[role];
+const publicUser = ({ hash, ...u }) => u;
+
+function readCookie(req, nom) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i > 0 && part.slice(0, i).trim() === nom) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return null;
+}
+function sessionCookie(req, valeur, maxAge) {
+  const https = String(req.headers["x-forwarded-proto"] || req.protocol).startsWith("https");
+  return `${SESSION_COOKIE}=${encodeURIComponent(valeur)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${Math.floor(maxAge / 1000)}${https ? "; Secure" : ""}`;
+}
+
+// Utilisateur de la requête (cookie de session, ou en-tête x-admin-token à l'amorçage) → user | null
+function authUser(req) {
+  const jetonAdmin = req.headers["x-admin-token"];
+  if (jetonAdmin && process.env.ADMIN_TOKEN && !users.some(u => u.role === "proprietaire")
+      && egalConstant(jetonAdmin, process.env.ADMIN_TOKEN)) return JETON_ADMIN;
+  const cookie = readCookie(req, SESSION_COOKIE);
+  if (!cookie) return null;
+  const cle = cleSession(cookie);
+  const s = authSessions.get(cle);
+  if (!s) return null;
+  const now = Date.now();
+  const user = s.userId === JETON_ADMIN.id ? { ...JETON_ADMIN, nom: "Propriétaire (ADMIN_TOKEN)" } : users.find(u => u.id === s.userId);
+  if (s.exp < now || !user) { authSessions.delete(cle); saveAuthSessions(); return null; }
+  // Prolonger sans réécrire le fichier à chaque requête
+  if (s.exp - now < SESSION_TTL - 10 * 60 * 1000) { s.exp = now + SESSION_TTL; saveAuthSessions(); }
+  return user;
+}
+
+function audit(req, action, detail = "") {
+  const u = req.user || null;
+  const entree = {
+    at: new Date().toISOString(),
+    salon: SALON_ID || null,
+    user: u ? (u.email || u.nom) : null,
+    role: u?.role || null,
+    ip: clientIp(req) || null,
+    action,
+    ...(detail ? { detail } : {}),
+  };
+  try { fs.appendFileSync(AUDIT_FILE, JSON.stringify(entree) + "\n", "utf8"); }
+  catch(e) { console.error("[AUDIT] ❌ Erreur écriture:", e.message); }
+}
+
+// Dernières entrées du journal, plus récentes d'abord
+function readAudit(limit = 200) {
+  try {
+    if (!fs.existsSync(AUDIT_FILE)) return [];
+    return fs.readFileSync(AUDIT_FILE, "utf8").split("\n").filter(Boolean).slice(-limit).reverse()
+      .map(l => { try { return JSON.parse(l); } catch { return null; } }).filter(Boolean);
+  } catch(e) {
+    console.error("[AUDIT] ❌ Erreur lecture:", e.message);
+    return [];
+  }
+}
+
+// Middleware : connexion et rôle minimal. Pages HTML → redirection vers /login;
+// API → 401/403 JSON. Les modifications (et les routes propriétaire) sont journalisées
+// une fois la réponse envoyée, avec leur statut HTTP.
+function requireRole(role, { journal } = {}) {
+  return (req, res, next) => {
+    const page = req.method === "GET" && req.accepts(["json", "html"]) === "html";
+    const user = authUser(req);
+    if (!user) {
+      if (page) return res.redirect(`${BASE_PATH}/login?suite=${encodeURIComponent(BASE_PATH + req.originalUrl)}`);
+      return res.status(401).json({ error: "Connexion requise." });
+    }
+    req.user = user;
+    if (!hasRole(user, role)) {
+      audit(req, `${req.method} ${req.path}`, `refusé — rôle ${user.role}, ${role} requis`);
+      if (page) return res.status(403).type("text/html").send(loginLayout("Accès refusé", `<p class="msg">Ton compte (${ROLE_LABELS[user.role]}) n'a pas accès à cette page.</p><p><a href="${BASE_PATH}/dashboard">← Dashboard</a></p>`));
+      return res.status(403).json({ error: "Accès refusé — rôle insuffisant." });
+    }
+    if (journal ?? (req.method !== "GET" || role === "proprietaire")) {
+      res.on("finish", () => audit(req, `${req.method} ${req.path}`, `HTTP ${res.statusCode}`));
+    }
+    next();
+  };
+}
+
+// Bandeau « connecté en tant que » des pages admin
+function userBar(user) {
+  return `<form method="POST" action="${BASE_PATH}/logout" style="display:inline;margin:0">👤 ${escHtml(user.nom || user.email)} · ${ROLE_LABELS[user.role]} <button type="submit" style="border:none;background:none;color:#6c47ff;cursor:pointer;font-size:inherit;padding:0 0 0 4px">Déconnexion</button></form>`;
+}
+
+function escHtml(v) {
+  return String(v ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function loginLayout(titre, contenu) {
+  return `<!DOCTYPE html><html lang="fr"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${titre} — ${escHtml(SALON_NAME)}</title>
+<style>
+*{box-sizing:border-box;margin:0;padding:0}
+body{font-family:system-ui,sans-serif;background:#f5f6fa;color:#1a1a2e;min-height:100vh;display:flex;align-items:center;justify-content:center;padding:20px}
+.card{background:#fff;border:1.5px solid #e5e7eb;border-radius:14px;padding:30px 28px;max-width:380px;width:100%;box-shadow:0 4px 24px rgba(0,0,0,.06)}
+h1{font-size:1.1rem;font-weight:800;margin-bottom:16px}
+label{display:block;font-size:.82rem;font-weight:600;color:#374151;margin:12px 0 5px}
+input{width:100%;padding:10px 12px;border:1.5px solid #d1d5db;border-radius:8px;font-size:.92rem;outline:none}
+input:focus{border-color:#6c47ff}
+button{margin-top:18px;width:100%;padding:11px;background:#6c47ff;color:#fff;border:none;border-radius:8px;font-weight:700;font-size:.92rem;cursor:pointer}
+.msg{font-size:.85rem;color:#374151;line-height:1.6;margin-bottom:8px}
+.err{background:#fef2f2;border:1.5px solid #fca5a5;color:#991b1b;border-radius:8px;padding:10px 12px;font-size:.85rem;margin-bottom:8px}
+.note{background:#f5f3ff;border:1px solid #ddd6fe;color:#5b21b6;border-radius:8px;padding:10px 12px;font-size:.8rem;line-height:1.5;margin-bottom:8px}
+a{color:#6c47ff}
+</style></head><body><div class="card"><h1>${titre}</h1>${contenu}</div></body></html>`;
+}
+
+// Redirection après connexion : chemin local seulement
+function suiteSure(suite) {
+  const s = String(suite || "");
+  return s.startsWith("/") && !s.startsWith("//") && !s.startsWith("/\\") ? s : `${BASE_PATH}/dashboard`;
+}
+
+function loginPage(req, { erreur = "", email = "" } = {}) {
+  const amorcage = !users.some(u => u.role === "proprietaire");
+  return loginLayout(`✂️ ${escHtml(SALON_NAME)} — Connexion`, `
+${erreur ? `<div class="err">${escHtml(erreur)}</div>` : ""}
+${amorcage ? `<div class="note">Aucun compte propriétaire : laisse le courriel vide et entre <code>ADMIN_TOKEN</code> comme mot de passe, puis crée les comptes dans Configuration → Comptes.</div>` : ""}
+<form method="POST" action="${BASE_PATH}/login">
+  <input type="hidden" name="suite" value="${escHtml(suiteSure(req.query.suite || req.body?.suite))}">
+  <label>Courriel</label><input type="email" name="email" value="${escHtml(email)}" autocomplete="username"${amorcage ? "" : " required"} autofocus>
+  <label>Mot de passe</label><input type="password" name="motDePasse" autocomplete="current-password" required>
+  <button type="submit">Se connecter</button>
+</form>`);
+}
+
+function ouvrirSession(req, res, user) {
+  const jeton = crypto.randomBytes(32).toString("base64url");
+  authSessions.set(cleSession(jeton), { userId: user.id, exp: Date.now() + SESSION_TTL, createdAt: new Date().toISOString(), ip: clientIp(req) || null });
+  saveAuthSessions();
+  res.setHeader("Set-Cookie", sessionCookie(req, jeton, SESSION_TTL));
+}
+
+function fermerSessions(userId) {
+  let n = 0;
+  for (const [k, s] of authSessions) if (s.userId === userId) { authSessions.delete(k); n++; }
+  if (n) saveAuthSessions();
+}
+
+setInterval(() => {
+  const now = Date.now();
+  let n = 0;
+  for (const [k, s] of authSessions) if (s.exp < now) { authSessions.delete(k); n++; }
+  for (const [ip, e] of loginEchecs) if (e.jusqua < now) loginEchecs.delete(ip);
+  if (n) saveAuthSessions();
+}, 10 * 60_000).unref();
+
+app.get("/login", (req, res) => {
+  if (authUser(req)) return res.redirect(suiteSure(req.query.suite));
+  res.type("text/html").send(loginPage(req));
+});
+
+app.post("/login", (req, res) => {
+  const ip = clientIp(req);
+  const email = String(req.body?.email || "").trim().toLowerCase();
+  const motDePasse = String(req.body?.motDePasse || "");
+  const echecs = loginEchecs.get(ip);
+  if (echecs && echecs.n >= LOGIN_MAX_ECHECS && echecs.jusqua > Date.now()) {
+    return res.status(429).type("text/html").send(loginPage(req, { erreur: "Trop de tentatives — réessaie dans 15 minutes.", email }));
+  }
+  let user = null;
+  if (!email && !users.some(u => u.role === "proprietaire") && process.env.ADMIN_TOKEN && egalConstant(motDePasse, process.env.ADMIN_TOKEN)) {
+    user = JETON_ADMIN; // amorçage : création du premier compte
+  } else {
+    const u = users.find(x => x.email === email);
+    if (u && checkPassword(motDePasse, u.hash)) user = u;
+  }
+  if (!user) {
+    loginEchecs.set(ip, { n: (echecs?.jusqua > Date.now() ? echecs.n : 0) + 1, jusqua: Date.now() + LOGIN_BLOCAGE });
+    audit(req, "connexion", `échec${email ? ` — ${email}` : ""}`);
+    console.warn(`[AUTH] 🚫 Connexion refusée${email ? ` — ${email}` : ""} (${ip})`);
+    return res.status(401).type("text/html").send(loginPage(req, { erreur: "Courriel ou mot de passe invalide.", email }));
+  }
+  loginEchecs.delete(ip);
+  if (user !== JETON_ADMIN) { user.lastLoginAt = new Date().toISOString(); saveUsers(); }
+  ouvrirSession(req, res, user);
+  req.user = user;
+  audit(req, "connexion", "réussie");
+  console.log(`[AUTH] ✅ Connexion — ${user.email || user.nom} (${user.role})`);
+  res.redirect(suiteSure(req.body?.suite));
+});
+
+app.post("/logout", (req, res) => {
+  const cookie = readCookie(req, SESSION_COOKIE);
+  req.user = authUser(req);
+  if (cookie && authSessions.delete(cleSession(cookie))) saveAuthSessions();
+  if (req.user) audit(req, "déconnexion");
+  res.setHeader("Set-Cookie", sessionCookie(req, "", 0));
+  res.redirect(`${BASE_PATH}/login`);
+});
+
+// Valide un compte (création si existant absent) → { user } | { error }
+function validateUser(input, existant = null) {
+  const email = String(input?.email ?? existant?.email ?? "").trim().toLowerCase();
+  const nom = String(input?.nom ?? existant?.nom ?? "").trim().slice(0, 80);
+  const role = String(input?.role ?? existant?.role ?? "");
+  const motDePasse = input?.motDePasse ? String(input.motDePasse) : "";
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { error: "Courriel invalide." };
+  if (users.some(u => u.email === email && u.id !== existant?.id)) return { error: "Ce courriel a déjà un compte." };
+  if (!ROLES[role]) return { error: `Rôle invalide (${Object.keys(ROLES).join(", ")}).` };
+  if (!existant && !motDePasse) return { error: "Mot de passe requis." };
+  if (motDePasse && motDePasse.length < MOT_DE_PASSE_MIN) return { error: `Mot de passe : ${MOT_DE_PASSE_MIN} caractères minimum.` };
+  if (existant?.role === "proprietaire" && role !== "proprietaire" && users.filter(u => u.role === "proprietaire").length === 1) {
+    return { error: "Il doit rester au moins un propriétaire." };
+  }
+  return { user: { email, nom: nom || email, role, ...(motDePasse ? { hash: hashPassword(motDePasse) } : {}) } };
 }
 
 // ─── Routes HTTP ──────────────────────────────────────────────────────────────
@@ -1659,7 +5077,7 @@ app.get("/", (req, res) => res.json({ ok: true, google_connected: !!googleTokens
 
 // ─── OAuth Google ─────────────────────────────────────────────────────────────
 // ─── Route info Calendly ──────────────────────────────────────────────────────
-app.get("/calendly-info", async (req, res) => {
+app.get("/calendly-info", requireRole("proprietaire"), async (req, res) => {
   try {
     const meR = await fetch("https://api.calendly.com/users/me", {
       headers: { Authorization: `Bearer ${CALENDLY_API_TOKEN}` }
@@ -1706,12 +5124,83 @@ app.get("/calendly-info", async (req, res) => {
 });
 
 // ─── Dashboard logs par appel ─────────────────────────────────────────────────
-app.get("/dashboard", (req, res) => {
-  const logs = [...callLogs.values()].reverse();
+// Anonymiser tous les numéros de téléphone dans un texte
+// Couvre: numérique formaté, E.164, 10 chiffres collés, chiffres épelés en mots français
+function anonymizePhone(text) {
+  if (!text) return text;
+  let s = text;
+
+  // 1. E.164 : +15148945221
+  s = s.replace(/\+1?\d{10,11}/g, "###-###-####");
+  // 2. 10 chiffres collés : 5148945221
+  s = s.replace(/\b\d{10}\b/g, "###-###-####");
+  // 3. Groupes numériques séparés : "514, 894, 5221" / "(514) 894-5221" / "514-894-5221"
+  s = s.replace(/\(?\d{3}\)?[,\s\.\-]+\d{3}[,\s\.\-]+\d{2,4}(?:[,\s\.\-]+\d{2,4})?/g, "###-###-####");
+
+  // 4. Chiffres épelés en mots français — approche par tokenisation
+  //    Détecte 7+ mots-chiffres consécutifs (séparés par tirets, virgules, espaces, points)
+  const WORDS = new Set(["zéro","zero","un","une","deux","trois","quatre","cinq","six","sept","huit","neuf"]);
+  const parts = s.split(/([-,\.…\s]+)/);
+  let run = 0, runStart = -1;
+  for (let i = 0; i < parts.length; i++) {
+    const p = parts[i].toLowerCase().trim();
+    if (WORDS.has(p)) {
+      if (runStart === -1) runStart = i;
+      run++;
+    } else if (run > 0 && /^[-,\.…\s]+$/.test(parts[i])) {
+      // séparateur entre mots-chiffres — continuer
+    } else {
+      if (run >= 7) {
+        for (let j = runStart; j < i; j++) parts[j] = j === runStart ? "###-###-####" : "";
+      }
+      run = 0; runStart = -1;
+    }
+  }
+  if (run >= 7) {
+    for (let j = runStart; j < parts.length; j++) parts[j] = j === runStart ? "###-###-####" : "";
+  }
+  s = parts.join("");
+  // Nettoyer les séparateurs orphelins autour du masque
+  s = s.replace(/[-,\.…\s]+###-###-####/g, " ###-###-####");
+  s = s.replace(/###-###-####[-,\.…\s]+/g, "###-###-#### ");
+  return s.replace(/\s{2,}/g, " ").trim();
+}
+
+const DASHBOARD_PAR_PAGE = 100;
+// Tuiles : compteurs sur tout le journal (index en mémoire); un clic filtre la liste (?filtre=)
+const DASHBOARD_FILTRES = {
+  "réservation":  e => String(e.result).startsWith("réservation"),
+  "modification": e => e.result === "modification",
+  "annulation":   e => e.result === "annulation",
+  "texto":        e => e.canal === "sms",
+  "web":          e => e.canal === "web",
+  "agent":        e => e.result === "agent",
+  "en cours":     e => e.result === "en cours",
+  "fin normale":  e => e.result === "fin normale",
+  "erreur":       e => e.result === "erreur",
+  "existant":     e => e.clientType === "existant",
+  "nouveau":      e => e.clientType === "nouveau",
+  "email-expiré": e => e.emailConfirmation === "expiré",
+};
+
+app.get("/dashboard", requireRole("lecture"), (req, res) => {
+  const user = req.user;
+  const vueCombinee = SALONS.length > 1 && req.query.salon === "tous" && hasRole(user, "proprietaire");
+  const index = queryCallIndex({}, { tous: vueCombinee });
+  const filtre = DASHBOARD_FILTRES[req.query.filtre] ? req.query.filtre : "all";
+  const journal = pageDeResumes(filtre === "all" ? index : index.filter(DASHBOARD_FILTRES[filtre]), { page: parseInt(req.query.page) || 1, parPage: DASHBOARD_PAR_PAGE });
+  const logs = journal.items;
+  const compte = f => index.filter(DASHBOARD_FILTRES[f]).length;
+  const dashboardUrl = (f, p = 1) => `${BASE_PATH}/dashboard?${new URLSearchParams({ ...(vueCombinee ? { salon: "tous" } : {}), ...(f !== "all" ? { filtre: f } : {}), ...(p > 1 ? { page: p } : {}) })}`;
+  const filtreUrl = f => dashboardUrl(f);
+  const pageUrl = p => dashboardUrl(filtre, p);
+  const routage = routeIncomingCall();
+  const routeLabel = { comptoir: "🛎️ Sonne au comptoir", agent: `🤖 ${AGENT_NAME}`, messagerie: "📨 Messagerie", "fermé": "🔒 Message de fermeture" }[routage.route];
 
   const badgeColor = r => ({
     "réservation": "#16a34a", "réservation (lien courriel)": "#15803d",
-    "agent": "#b45309", "fin normale": "#4f46e5",
+    "modification": "#0d9488", "annulation": "#9333ea", "confirmation": "#0891b2",
+    "sms": "#64748b", "agent": "#b45309", "messagerie": "#be185d", "comptoir": "#0f766e", "fermé": "#475569", "fin normale": "#4f46e5",
     "erreur": "#dc2626", "en cours": "#2563eb",
   }[r] || "#6b7280");
 
@@ -1729,62 +5218,24 @@ app.get("/dashboard", (req, res) => {
 
   const eventIcon = t => ({ tool:"🔧", booking:"✅", warn:"⚠️", info:"ℹ️", error:"❌", client:"🙋", helene:"🤖" }[t] || "•");
 
-  // Anonymiser tous les numéros de téléphone dans un texte
-  // Couvre: numérique formaté, E.164, 10 chiffres collés, chiffres épelés en mots français
-  function anonymizePhone(text) {
-    if (!text) return text;
-    let s = text;
-
-    // 1. E.164 : +15148945221
-    s = s.replace(/\+1?\d{10,11}/g, "###-###-####");
-    // 2. 10 chiffres collés : 5148945221
-    s = s.replace(/\b\d{10}\b/g, "###-###-####");
-    // 3. Groupes numériques séparés : "514, 894, 5221" / "(514) 894-5221" / "514-894-5221"
-    s = s.replace(/\(?\d{3}\)?[,\s\.\-]+\d{3}[,\s\.\-]+\d{2,4}(?:[,\s\.\-]+\d{2,4})?/g, "###-###-####");
-
-    // 4. Chiffres épelés en mots français — approche par tokenisation
-    //    Détecte 7+ mots-chiffres consécutifs (séparés par tirets, virgules, espaces, points)
-    const WORDS = new Set(["zéro","zero","un","une","deux","trois","quatre","cinq","six","sept","huit","neuf"]);
-    const parts = s.split(/([-,\.…\s]+)/);
-    let run = 0, runStart = -1;
-    for (let i = 0; i < parts.length; i++) {
-      const p = parts[i].toLowerCase().trim();
-      if (WORDS.has(p)) {
-        if (runStart === -1) runStart = i;
-        run++;
-      } else if (run > 0 && /^[-,\.…\s]+$/.test(parts[i])) {
-        // séparateur entre mots-chiffres — continuer
-      } else {
-        if (run >= 7) {
-          for (let j = runStart; j < i; j++) parts[j] = j === runStart ? "###-###-####" : "";
-        }
-        run = 0; runStart = -1;
-      }
-    }
-    if (run >= 7) {
-      for (let j = runStart; j < parts.length; j++) parts[j] = j === runStart ? "###-###-####" : "";
-    }
-    s = parts.join("");
-    // Nettoyer les séparateurs orphelins autour du masque
-    s = s.replace(/[-,\.…\s]+###-###-####/g, " ###-###-####");
-    s = s.replace(/###-###-####[-,\.…\s]+/g, "###-###-#### ");
-    return s.replace(/\s{2,}/g, " ").trim();
-  }
-
   // Agréger domaines et questions non répondues de tous les appels
   const allDomains = [...new Set(logs.flatMap(l => l.domains || []))];
   const allUnanswered = [...new Set(logs.flatMap(l => l.unanswered_questions || []))];
   const allEmailDomains = [...new Set(logs.flatMap(l => l.emailDomains || []))];
 
   const rows = logs.map(log => `
-    <details class="call-card">
+    <details class="call-card"${log.salon ? ` data-salon="${log.salon.id}"` : ""}>
       <summary>
         <span class="badge" style="background:${badgeColor(log.result)}">${log.result}</span>
+        ${log.salon ? `<span class="tag tag-salon">🏠 ${log.salon.nom}</span>` : ""}
 
         <span class="time">${fmtTime(log.startedAt)}</span>
-        <span class="dur">${duration(log)}</span>
+        ${log.canal === "sms" ? `<span class="tag tag-sms">📱 Texto</span>` : log.canal === "web" ? `<span class="tag tag-web">💬 Clavardage web</span>` : `<span class="dur">${duration(log)}</span>`}
+        ${log.canal === "sortant" ? `<span class="tag tag-sortant">📞 Appel sortant</span>` : ""}
+        ${log.langue === "en" ? `<span class="tag tag-en">EN</span>` : ""}
         ${log.clientNom ? `<span class="tag tag-nom">👤 ${log.clientNom}</span>` : ""}
         ${log.clientType === "existant" ? `<span class="tag tag-existant">⭐ Client existant</span>` : log.clientType === "nouveau" ? `<span class="tag tag-nouveau">🆕 Nouveau client</span>` : ""}
+        ${log.emailConfirmation ? `<span class="tag tag-email-${log.emailConfirmation === "confirmé" ? "ok" : log.emailConfirmation === "expiré" ? "ko" : "wait"}">📧 Courriel ${log.emailConfirmation}</span>` : ""}
         ${log.service ? `<span class="tag tag-svc">✂️ ${log.service}${log.coiffeuse ? " · "+log.coiffeuse : ""}</span>` : ""}
         ${log.slot ? `<span class="tag tag-slot">📅 ${log.slot.replace("T"," ").slice(0,16)}</span>` : ""}
         ${log.demandes?.length ? `<span class="tag tag-dem" title="Mots-clés détectés dans la conversation — aide à identifier les besoins récurrents">🔍 ${log.demandes.join(", ")}</span>` : ""}
@@ -1794,6 +5245,11 @@ app.get("/dashboard", (req, res) => {
         <div class="resume-title">🗣️ Transcription client <span style="font-size:.68rem;color:#9ca3af;font-weight:400">(reconnaissance vocale Whisper — peut contenir des erreurs)</span></div>
         ${log.resumeClient.map((t,i) => { const safe = t.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/[^\x00-\x7F\u00C0-\u024F\u0080-\u00FF ]/g,""); return `<div class="resume-line"><span class="rnum">${i+1}</span>${anonymizePhone(safe)}</div>`; }).join("")}
       </div>` : ""}
+      ${log.messagerie ? `
+      <div class="resume resume-pink">
+        <div class="resume-title">📨 Message vocal (${log.messagerie.duree}s · ${log.messagerie.raison})</div>
+        <div class="resume-line">${log.messagerie.transcription ? anonymizePhone(log.messagerie.transcription.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;")) : "<em>Transcription en cours…</em>"}</div>
+      </div>` : ""}
       ${log.unanswered_questions?.length ? `
       <div class="resume resume-warn">
         <div class="resume-title">❓ Questions non répondues</div>
@@ -1849,8 +5305,17 @@ app.get("/dashboard", (req, res) => {
   .tile-questions .tile-n{color:#b45309}
   .tile-domains{border-color:#10b981}
   .tile-domains .tile-n{color:#059669}
+  .tile-waitlist{border-color:#0ea5e9}
+  .tile-waitlist .tile-n{color:#0369a1}
   .tile-email{border-color:#6366f1}
   .tile-email .tile-n{color:#4338ca}
+  .tile-routage{border-color:#0f766e}
+  .tile-routage .tile-n{color:#0f766e;font-size:1.1rem;padding:5px 0}
+  .tile-callbacks{border-color:#db2777}
+  .tile-callbacks .tile-n{color:#be185d}
+  .tile-agent-off{background:#fdf2f8}
+  .tile-securite{border-color:#dc2626}
+  .tile-securite .tile-n{color:#b91c1c}
 
   /* Panneaux globaux */
   .panel{background:#fff;border:1.5px solid #e5e7eb;border-radius:12px;padding:18px 20px;margin-bottom:16px;display:none}
@@ -1862,6 +5327,12 @@ app.get("/dashboard", (req, res) => {
   .panel-tag.green{background:#ecfdf5;color:#059669;border-color:#a7f3d0}
   .panel-tag.indigo{background:#eef2ff;color:#4338ca;border-color:#c7d2fe}
   .panel-empty{color:#9ca3af;font-size:.85rem}
+  .cb{border:1px solid #f3f4f6;border-radius:10px;padding:10px 12px;margin-bottom:8px;font-size:.84rem}
+  .cb-head{display:flex;gap:8px;align-items:center;flex-wrap:wrap;margin-bottom:4px}
+  .cb-msg{color:#374151;font-style:italic;margin:4px 0 8px}
+  .cb button{border:1px solid #e5e7eb;background:#fff;border-radius:7px;padding:4px 10px;font-size:.78rem;cursor:pointer;margin-right:4px}
+  .cb button:hover{border-color:#6c47ff}
+  .cb-fait{opacity:.55}
 
   /* Stats filtres */
   .stats{display:flex;gap:10px;margin-bottom:16px;flex-wrap:wrap}
@@ -1881,11 +5352,22 @@ app.get("/dashboard", (req, res) => {
   .dur{color:#6b7280;font-size:.78rem;background:#f3f4f6;padding:1px 7px;border-radius:10px}
   .tag{font-size:.78rem;background:#f3f4f6;color:#374151;padding:2px 8px;border-radius:8px}
   .tag-nom{background:#f5f3ff;color:#6c47ff}
+  .tag-sms{background:#ecfeff;color:#0e7490}
+  .tag-web{background:#fdf4ff;color:#a21caf}
+  .tag-sortant{background:#fff7ed;color:#c2410c}
+  .tag-en{background:#eff6ff;color:#1d4ed8}
+  .tag-salon{background:#f1f5f9;color:#334155;font-weight:600}
+  .salons{display:flex;gap:6px;flex-wrap:wrap;align-items:center;margin-bottom:14px;font-size:.8rem}
+  .salons a{padding:5px 12px;border-radius:20px;background:#fff;border:1.5px solid #e5e7eb;color:#374151;text-decoration:none}
+  .salons a.actif{background:#6c47ff;border-color:#6c47ff;color:#fff}
   .tag-existant{background:#fef9c3;color:#854d0e;border:1px solid #fde047}
   .tag-nouveau{background:#ecfdf5;color:#065f46;border:1px solid #6ee7b7}
   .tag-svc{background:#f0fdf4;color:#059669}
   .tag-slot{background:#eff6ff;color:#2563eb}
   .tag-dem{background:#fff7ed;color:#c2410c}
+  .tag-email-ok{background:#ecfdf5;color:#065f46}
+  .tag-email-ko{background:#fef2f2;color:#b91c1c}
+  .tag-email-wait{background:#eff6ff;color:#1d4ed8}
 
   /* Events */
   .events{padding:10px 14px;border-top:1px solid #f3f4f6;display:flex;flex-direction:column;gap:5px;background:#fafafa}
@@ -1905,10 +5387,12 @@ app.get("/dashboard", (req, res) => {
   .resume-warn{background:#fffbeb;border-top:2px solid #f59e0b}
   .resume-green{background:#ecfdf5;border-top:2px solid #10b981}
   .resume-indigo{background:#eef2ff;border-top:2px solid #6366f1}
+  .resume-pink{background:#fdf2f8;border-top:2px solid #db2777}
   .resume-title{font-size:.72rem;color:#6c47ff;font-weight:700;margin-bottom:5px;text-transform:uppercase;letter-spacing:.05em}
   .resume-warn .resume-title{color:#b45309}
   .resume-green .resume-title{color:#059669}
   .resume-indigo .resume-title{color:#4338ca}
+  .resume-pink .resume-title{color:#be185d}
   .resume-line{display:flex;gap:8px;font-size:.80rem;color:#374151;padding:2px 0}
   .rnum{color:#9ca3af;min-width:18px;font-size:.72rem}
   .empty{color:#9ca3af;text-align:center;padding:40px;background:#fff;border-radius:10px;border:1.5px dashed #e5e7eb}
@@ -1921,12 +5405,17 @@ ${SALON_LOGO_URL
   <div style="font-size:.72rem;color:#9ca3af;margin-top:-8px;margin-bottom:4px">v23 · 1 Mar 2026</div>
 <div style="display:flex;align-items:flex-start;justify-content:space-between;flex-wrap:wrap;gap:10px;margin-bottom:4px">
   <p class="sub" style="margin-bottom:0">
-    Les ${logs.length} derniers appels (max ${MAX_LOGS})
-    &nbsp;·&nbsp;<a href="/dashboard">Rafraîchir</a>
-    &nbsp;·&nbsp;<a href="#" onclick="openDangerModal('clear')">🗑 Vider</a>
-    &nbsp;·&nbsp;<a class="danger" href="#" onclick="openDangerModal('delete')">❌ Supprimer fichier</a>
+    ${journal.total ? `Appels ${(journal.page - 1) * journal.parPage + 1}–${(journal.page - 1) * journal.parPage + logs.length} sur ${journal.total}` : "Aucun appel"}
+    ${journal.page > 1 ? `&nbsp;·&nbsp;<a href="${pageUrl(journal.page - 1)}">← Plus récents</a>` : ""}
+    ${journal.page < journal.pages ? `&nbsp;·&nbsp;<a href="${pageUrl(journal.page + 1)}">Plus anciens →</a>` : ""}
+    &nbsp;·&nbsp;<a href="${pageUrl(journal.page)}">Rafraîchir</a>
+    &nbsp;·&nbsp;<a href="${BASE_PATH}/analytics${vueCombinee ? "?salon=tous" : ""}">📈 Statistiques</a>
+    &nbsp;·&nbsp;<a href="${BASE_PATH}/api/calls/export?format=csv${vueCombinee ? "&salon=tous" : ""}">⬇️ Export CSV</a>
+    ${hasRole(user, "proprietaire") ? `&nbsp;·&nbsp;<a href="#" onclick="openDangerModal('clear')">🗑 Vider</a>
+    &nbsp;·&nbsp;<a class="danger" href="#" onclick="openDangerModal('delete')">❌ Supprimer fichier</a>` : ""}
+    <br><span style="font-size:.78rem;color:#6b7280">${userBar(user)}</span>
   </p>
-  <a href="/admin/config" style="display:inline-flex;align-items:center;gap:7px;background:#6c47ff;color:#fff;padding:9px 20px;border-radius:9px;font-size:.87rem;font-weight:700;text-decoration:none;white-space:nowrap;box-shadow:0 2px 8px rgba(108,71,255,.18)">⚙️ Config</a>
+  <a href="${BASE_PATH}/admin/config" style="display:inline-flex;align-items:center;gap:7px;background:#6c47ff;color:#fff;padding:9px 20px;border-radius:9px;font-size:.87rem;font-weight:700;text-decoration:none;white-space:nowrap;box-shadow:0 2px 8px rgba(108,71,255,.18)">⚙️ Config</a>
 </div>
 
 <!-- Modal sécurisé pour actions dangereuses -->
@@ -1934,9 +5423,6 @@ ${SALON_LOGO_URL
   <div style="background:#fff;border-radius:14px;padding:28px 24px;max-width:380px;width:90%;box-shadow:0 8px 40px rgba(0,0,0,.2)">
     <h3 id="dangerTitle" style="font-size:1rem;font-weight:700;color:#dc2626;margin-bottom:8px"></h3>
     <p id="dangerDesc" style="font-size:.84rem;color:#6b7280;margin-bottom:16px"></p>
-    <input type="password" id="dangerToken" placeholder="ADMIN_TOKEN" autocomplete="new-password"
-      style="width:100%;padding:10px 12px;border:1.5px solid #d1d5db;border-radius:8px;font-size:.9rem;margin-bottom:14px;box-sizing:border-box"
-      onkeydown="if(event.key==='Enter')confirmDanger()">
     <div style="display:flex;gap:10px;justify-content:flex-end">
       <button onclick="closeDangerModal()" style="padding:8px 18px;border:1.5px solid #d1d5db;border-radius:8px;background:#fff;cursor:pointer;font-size:.85rem">Annuler</button>
       <button onclick="confirmDanger()" style="padding:8px 20px;background:#dc2626;color:#fff;border:none;border-radius:8px;font-weight:600;cursor:pointer;font-size:.85rem">Confirmer</button>
@@ -1947,54 +5433,85 @@ ${SALON_LOGO_URL
 var _dangerAction = null;
 function openDangerModal(action) {
   _dangerAction = action;
-  document.getElementById('dangerTitle').textContent = action === 'clear' ? '🗑 Vider tous les logs?' : '❌ Supprimer le fichier JSON?';
-  document.getElementById('dangerDesc').textContent = action === 'clear' ? 'Cette action efface tous les appels en mémoire.' : 'Cette action supprime définitivement le fichier call_logs.json.';
-  document.getElementById('dangerToken').value = '';
+  document.getElementById('dangerTitle').textContent = action === 'clear' ? '🗑 Vider tous les logs?' : '❌ Supprimer aussi l\\'ancien fichier JSON?';
+  document.getElementById('dangerDesc').textContent = action === 'clear' ? 'Cette action efface définitivement tous les appels du journal.' : 'Cette action efface le journal et l\\'ancien fichier call_logs.json (copie de la migration).';
   var m = document.getElementById('dangerModal'); m.style.display = 'flex';
-  setTimeout(function(){ document.getElementById('dangerToken').focus(); }, 50);
 }
 function closeDangerModal() {
   document.getElementById('dangerModal').style.display = 'none';
   _dangerAction = null;
 }
 function confirmDanger() {
-  var tok = document.getElementById('dangerToken').value.trim();
-  if (!tok) { document.getElementById('dangerToken').style.borderColor = '#dc2626'; return; }
-  var url = _dangerAction === 'clear' ? '/admin/logs/clear' : '/admin/logs/delete-file';
-  fetch(url + '?token=' + encodeURIComponent(tok), { method: 'POST' })
+  var url = _dangerAction === 'clear' ? '${BASE_PATH}/admin/logs/clear' : '${BASE_PATH}/admin/logs/delete-file';
+  fetch(url, { method: 'POST' })
     .then(function(r) { return r.json(); })
     .then(function(j) {
       if (j.ok) { closeDangerModal(); location.reload(); }
-      else { document.getElementById('dangerToken').style.borderColor = '#dc2626'; document.getElementById('dangerToken').value = ''; document.getElementById('dangerToken').placeholder = 'Token incorrect'; }
+      else document.getElementById('dangerDesc').textContent = '❌ ' + (j.error || 'Erreur');
     }).catch(function() { closeDangerModal(); location.reload(); });
 }
 document.getElementById('dangerModal').addEventListener('click', function(e){ if(e.target===this)closeDangerModal(); });
 </script>
+${SALONS.length > 1 ? `<!-- Salons : chacun son dashboard, ou la vue combinée du propriétaire -->
+<div class="salons">
+  ${SALONS.map(s => `<a href="/salon/${s.id}/dashboard" class="${!vueCombinee && s.id === SALON_ID ? "actif" : ""}">🏠 ${s.nom}</a>`).join("")}
+  ${hasRole(user, "proprietaire") ? `<a href="${BASE_PATH}/dashboard?salon=tous" class="${vueCombinee ? "actif" : ""}">🏢 Tous les salons</a>` : ""}
+  ${vueCombinee ? `<select onchange="filterSalon(this.value)" style="padding:5px 8px;border:1.5px solid #e5e7eb;border-radius:8px;font-size:.8rem">
+    <option value="">Filtrer : tous</option>${SALONS.map(s => `<option value="${s.id}">${s.nom}</option>`).join("")}
+  </select><span style="color:#9ca3af">Rappels, routage et listes ci-dessous : ${SALON_NAME} seulement.</span>` : ""}
+</div>` : ""}
 <!-- Tuiles principales -->
 <div class="tiles">
-  <div class="tile active" data-filter="all" onclick="filterCalls(this,'all')">
-    <div class="tile-n" style="color:#6c47ff">${logs.length}</div><div class="tile-l">Tous les appels</div>
-  </div>
-  <div class="tile" data-filter="réservation" onclick="filterCalls(this,'réservation')">
-    <div class="tile-n" style="color:#16a34a">${logs.filter(l=>l.result.startsWith("réservation")).length}</div><div class="tile-l">Réservations</div>
-  </div>
-  <div class="tile" data-filter="agent" onclick="filterCalls(this,'agent')">
-    <div class="tile-n" style="color:#b45309">${logs.filter(l=>l.result==="agent").length}</div><div class="tile-l">Agents</div>
-  </div>
-  <div class="tile" data-filter="en cours" onclick="filterCalls(this,'en cours')">
-    <div class="tile-n" style="color:#2563eb">${logs.filter(l=>l.result==="en cours").length}</div><div class="tile-l">En cours</div>
+  <a class="tile${filtre === "all" ? " active" : ""}" href="${filtreUrl("all")}">
+    <div class="tile-n" style="color:#6c47ff">${index.length}</div><div class="tile-l">Tous les appels</div>
+  </a>
+  <a class="tile${filtre === "réservation" ? " active" : ""}" href="${filtreUrl("réservation")}">
+    <div class="tile-n" style="color:#16a34a">${compte("réservation")}</div><div class="tile-l">Réservations</div>
+  </a>
+  <a class="tile${filtre === "modification" ? " active" : ""}" href="${filtreUrl("modification")}">
+    <div class="tile-n" style="color:#0d9488">${compte("modification")}</div><div class="tile-l">📆 Déplacements</div>
+  </a>
+  <a class="tile${filtre === "annulation" ? " active" : ""}" href="${filtreUrl("annulation")}">
+    <div class="tile-n" style="color:#9333ea">${compte("annulation")}</div><div class="tile-l">🚫 Annulations</div>
+  </a>
+  <a class="tile${filtre === "texto" ? " active" : ""}" href="${filtreUrl("texto")}" title="Réponses des clients par texto (CONFIRMER / ANNULER / DÉPLACER)">
+    <div class="tile-n" style="color:#0891b2">${index.filter(e => e.result === "confirmation").length} / ${compte("texto")}</div><div class="tile-l">📱 Confirmés / textos reçus</div>
+  </a>
+  <a class="tile${filtre === "web" ? " active" : ""}" href="${filtreUrl("web")}" title="Conversations du widget de clavardage du site web">
+    <div class="tile-n" style="color:#a21caf">${compte("web")}</div><div class="tile-l">💬 Clavardage web</div>
+  </a>
+  <a class="tile${filtre === "agent" ? " active" : ""}" href="${filtreUrl("agent")}">
+    <div class="tile-n" style="color:#b45309">${compte("agent")}</div><div class="tile-l">Agents</div>
+  </a>
+  <a class="tile${filtre === "en cours" ? " active" : ""}" href="${filtreUrl("en cours")}">
+    <div class="tile-n" style="color:#2563eb">${compte("en cours")}</div><div class="tile-l">En cours</div>
+  </a>
+  <a class="tile${filtre === "fin normale" ? " active" : ""}" href="${filtreUrl("fin normale")}">
+    <div class="tile-n" style="color:#4f46e5">${compte("fin normale")}</div><div class="tile-l">Fin normale</div>
+  </a>
+  <a class="tile${filtre === "erreur" ? " active" : ""}" href="${filtreUrl("erreur")}">
+    <div class="tile-n" style="color:#dc2626">${compte("erreur")}</div><div class="tile-l">Erreurs</div>
+  </a>
+  <a class="tile${filtre === "existant" ? " active" : ""}" href="${filtreUrl("existant")}">
+    <div class="tile-n" style="color:#854d0e">${compte("existant")}</div><div class="tile-l">⭐ Clients existants</div>
+  </a>
+  <a class="tile${filtre === "nouveau" ? " active" : ""}" href="${filtreUrl("nouveau")}">
+    <div class="tile-n" style="color:#065f46">${compte("nouveau")}</div><div class="tile-l">🆕 Nouveaux clients</div>
+  </a>
+  <a class="tile${filtre === "email-expiré" ? " active" : ""}" href="${filtreUrl("email-expiré")}" title="Nouveaux clients qui n'ont jamais confirmé leur courriel">
+    <div class="tile-n" style="color:#b91c1c">${compte("email-expiré")} / ${index.filter(e => e.emailConfirmation).length}</div><div class="tile-l">📧 Courriels non confirmés</div>
+  </a>
+  <div class="tile tile-waitlist" onclick="togglePanel('panel-waitlist', this)">
+    <div class="tile-n">${waitlist.filter(w=>w.status==="actif").length}</div><div class="tile-l">⏳ Liste d'attente</div>
   </div>
-  <div class="tile" data-filter="fin normale" onclick="filterCalls(this,'fin normale')">
-    <div class="tile-n" style="color:#4f46e5">${logs.filter(l=>l.result==="fin normale").length}</div><div class="tile-l">Fin normale</div>
+  <div class="tile tile-routage" onclick="togglePanel('panel-routage', this)" title="Où vont les appels entrants en ce moment">
+    <div class="tile-n">${routeLabel}</div><div class="tile-l">${salonHours.configure ? routage.motif : "Horaire non configuré"}</div>
   </div>
-  <div class="tile" data-filter="erreur" onclick="filterCalls(this,'erreur')">
-    <div class="tile-n" style="color:#dc2626">${logs.filter(l=>l.result==="erreur").length}</div><div class="tile-l">Erreurs</div>
+  <div class="tile tile-callbacks${agentActif ? "" : " tile-agent-off"}" onclick="togglePanel('panel-callbacks', this)" title="Messages vocaux laissés quand l'agent est désactivé ou qu'un transfert reste sans réponse">
+    <div class="tile-n">${callbacks.filter(c=>c.status==="à faire").length}</div><div class="tile-l">📞 Rappels à faire${agentActif ? "" : " · agent désactivé"}</div>
   </div>
-  <div class="tile" data-filter="existant" onclick="filterCalls(this,'existant')">
-    <div class="tile-n" style="color:#854d0e">${logs.filter(l=>l.clientType==="existant").length}</div><div class="tile-l">⭐ Clients existants</div>
-  </div>
-  <div class="tile" data-filter="nouveau" onclick="filterCalls(this,'nouveau')">
-    <div class="tile-n" style="color:#065f46">${logs.filter(l=>l.clientType==="nouveau").length}</div><div class="tile-l">🆕 Nouveaux clients</div>
+  <div class="tile tile-securite" onclick="togglePanel('panel-securite', this)" title="Requêtes refusées : webhooks sans signature Twilio valide, streams sans jeton">
+    <div class="tile-n">${securite.refus.signature + securite.refus.stream}</div><div class="tile-l">🛡️ Refus sécurité</div>
   </div>
   <div class="tile tile-questions" onclick="togglePanel('panel-questions', this)">
     <div class="tile-n">${allUnanswered.length}</div><div class="tile-l">❓ Questions sans réponse</div>
@@ -2009,37 +5526,102 @@ document.getElementById('dangerModal').addEventListener('click', function(e){ if
 
 <!-- Panneaux dépliables -->
 <div class="panel" id="panel-questions">
-  <div class="panel-title">❓ Questions auxquelles Hélène n'a pas su répondre (tous appels)</div>
+  <div class="panel-title">❓ Questions auxquelles Hélène n'a pas su répondre (appels affichés)</div>
   ${allUnanswered.length ? `<div class="panel-grid">${allUnanswered.map(q=>`<span class="panel-tag warn">${q.replace(/&/g,"&amp;").replace(/</g,"&lt;")}</span>`).join("")}</div>` : `<p class="panel-empty">Aucune question non répondue pour le moment.</p>`}
 </div>
+<div class="panel" id="panel-routage">
+  <div class="panel-title">🛎️ Routage des appels entrants</div>
+  <p class="panel-empty" style="margin-bottom:10px">
+    En ce moment : <strong style="color:#0f766e">${routeLabel}</strong> (${routage.motif})
+    · Comptoir : <strong style="color:${salonHours.comptoirOccupe ? "#b45309" : "#16a34a"}">${salonHours.comptoirOccupe ? "occupé — les appels vont directement à " + AGENT_NAME : "libre"}</strong>
+  </p>
+  <p class="panel-empty">
+    ${hasRole(user, "employe") ? `<button onclick="toggleComptoir(${salonHours.comptoirOccupe ? "false" : "true"})" style="border:1px solid #e5e7eb;background:#fff;border-radius:7px;padding:4px 10px;font-size:.78rem;cursor:pointer">${salonHours.comptoirOccupe ? "✅ Comptoir libre" : "⏸ Comptoir occupé"}</button>
+    <span id="rtMsg" style="margin-left:6px"></span>
+    &nbsp;·&nbsp;` : ""}<a href="${BASE_PATH}/admin/config?tab=heures" style="color:#6c47ff">Modifier l'horaire et les congés</a>
+  </p>
+</div>
+<div class="panel" id="panel-securite">
+  <div class="panel-title">🛡️ Requêtes refusées</div>
+  <p class="panel-empty" style="margin-bottom:10px">
+    Signature Twilio : <strong>${securite.refus.signature}</strong> · Stream sans jeton valide : <strong>${securite.refus.stream}</strong>
+    ${TWILIO_AUTH_TOKEN ? "" : ` · <strong style="color:#b91c1c">TWILIO_AUTH_TOKEN absent — signatures non vérifiées</strong>`}
+  </p>
+  ${securite.derniers.length ? securite.derniers.slice().reverse().slice(0, 30).map(r => `
+  <div class="resume-line"><span class="time">${fmtTime(r.at)}</span><span class="tag">${r.type}</span> ${r.route} — ${r.raison}${r.ip ? ` <span style="color:#9ca3af">(${r.ip})</span>` : ""}</div>`).join("") : `<p class="panel-empty">Aucun refus.</p>`}
+</div>
+<div class="panel" id="panel-callbacks">
+  <div class="panel-title">📞 Rappels à faire (messagerie vocale)</div>
+  <p class="panel-empty" style="margin-bottom:10px">
+    Agent : <strong style="color:${agentActif ? "#16a34a" : "#be185d"}">${agentActif ? "actif" : "désactivé — tous les appels vont à la messagerie"}</strong>
+    ${hasRole(user, "employe") ? `&nbsp;<button onclick="toggleAgent(${agentActif ? "false" : "true"})" style="border:1px solid #e5e7eb;background:#fff;border-radius:7px;padding:4px 10px;font-size:.78rem;cursor:pointer">${agentActif ? "⏸ Désactiver l'agent" : "▶️ Réactiver l'agent"}</button>` : ""}
+    <span id="cbMsg" style="margin-left:6px"></span>
+  </p>
+  ${callbacks.length ? callbacks.slice().reverse().slice(0, 50).map(c => `
+  <div class="cb${c.status === "fait" ? " cb-fait" : ""}">
+    <div class="cb-head">
+      <strong>${(c.nom || "Client inconnu").replace(/&/g,"&amp;").replace(/</g,"&lt;")}</strong>
+      <span class="tag">${c.phone ? "###-###-" + c.phone.slice(-4) : "numéro masqué"}</span>
+      ${c.email ? `<span class="tag">${c.email.replace(/&/g,"&amp;").replace(/</g,"&lt;")}</span>` : ""}
+      <span class="time">${fmtTime(c.createdAt)} · ${c.duree}s · ${c.raison || "messagerie"}</span>
+      ${c.status === "fait" ? `<span class="tag tag-email-ok">✅ Fait ${fmtTime(c.doneAt)}</span>` : ""}
+      ${c.appels ? `<span class="tag">📞 ${c.appels} rappel(s)</span>` : ""}
+    </div>
+    <div class="cb-msg">${c.transcription ? anonymizePhone(c.transcription.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;")) : "Transcription en cours…"}</div>
+    ${hasRole(user, "employe") ? `<button onclick="cbAudio('${c.id}', this)">▶️ Écouter</button>
+    <button onclick="cbAction('${c.id}','call')">📞 Rappeler</button>
+    ${c.status === "fait" ? "" : `<button onclick="cbAction('${c.id}','done')">✅ Marquer fait</button>`}` : ""}
+  </div>`).join("") : `<p class="panel-empty">Aucun message vocal pour le moment.</p>`}
+</div>
+<div class="panel" id="panel-waitlist">
+  <div class="panel-title">⏳ Liste d'attente (inscriptions actives)</div>
+  ${waitlist.some(w=>w.status==="actif") ? `<div class="panel-grid">${waitlist.filter(w=>w.status==="actif").map(w=>`<span class="panel-tag">${(w.name||"").replace(/&/g,"&amp;").replace(/</g,"&lt;")} · ${w.service}${w.coiffeuse ? " · "+w.coiffeuse : ""} · ${w.dateDebut} → ${w.dateFin}${w.jour ? " · "+w.jour : ""}${w.periode ? " · "+w.periode : ""}${w.notifiedSlots.length ? " · "+w.notifiedSlots.length+" offre(s)" : ""}</span>`).join("")}</div>` : `<p class="panel-empty">Personne sur la liste d'attente.</p>`}
+  <p class="panel-empty" style="margin-top:10px">${waitlist.filter(w=>w.status==="réservé").length} place(s) comblée(s) via la liste d'attente.</p>
+</div>
 <div class="panel" id="panel-domains">
-  <div class="panel-title">🏷️ Thèmes abordés par les clients (tous appels)</div>
+  <div class="panel-title">🏷️ Thèmes abordés par les clients (appels affichés)</div>
   ${allDomains.length ? `<div class="panel-grid">${allDomains.map(d=>`<span class="panel-tag green">${d}</span>`).join("")}</div>` : `<p class="panel-empty">Aucun thème détecté pour le moment.</p>`}
 </div>
 <div class="panel" id="panel-email">
-  <div class="panel-title">📧 Domaines email utilisés (tous appels)</div>
+  <div class="panel-title">📧 Domaines email utilisés (appels affichés)</div>
   ${allEmailDomains.length ? `<div class="panel-grid">${allEmailDomains.map(d=>`<span class="panel-tag indigo">@${d}</span>`).join("")}</div>` : `<p class="panel-empty">Aucun domaine email détecté pour le moment.</p>`}
 </div>
 
 <div id="list">${rows}</div>
 
 <script>
-function filterCalls(el, val) {
-  document.querySelectorAll('.tile[data-filter]').forEach(t => t.classList.remove('active'));
-  el.classList.add('active');
+// Vue combinée : n'afficher qu'un salon parmi les appels de la page
+function filterSalon(id) {
   document.querySelectorAll('.call-card').forEach(card => {
-    if (val === 'all') { card.style.display = ''; return; }
-    const badge  = card.querySelector('.badge');
-    const result = badge ? badge.textContent.trim() : '';
-    if (val === 'existant') {
-      card.style.display = card.querySelector('.tag-existant') ? '' : 'none';
-    } else if (val === 'nouveau') {
-      card.style.display = card.querySelector('.tag-nouveau') ? '' : 'none';
-    } else {
-      card.style.display = (val === 'réservation' ? result.startsWith('réservation') : result === val) ? '' : 'none';
-    }
+    card.style.display = !id || card.dataset.salon === id ? '' : 'none';
   });
 }
+function cbAction(id, action) {
+  if (action === 'call' && !confirm('Le téléphone du salon va sonner, puis le client sera appelé. Continuer?')) return;
+  fetch('${BASE_PATH}/admin/callbacks/' + encodeURIComponent(id) + '/' + action, { method: 'POST' })
+    .then(function(r) { return r.json(); })
+    .then(function(j) {
+      if (!j.ok) { document.getElementById('cbMsg').textContent = '❌ ' + (j.error || 'Erreur'); return; }
+      if (action === 'done') location.reload();
+      else document.getElementById('cbMsg').textContent = '📞 ' + j.message;
+    });
+}
+function cbAudio(id, btn) {
+  var a = document.createElement('audio');
+  a.controls = true; a.autoplay = true;
+  a.src = '${BASE_PATH}/admin/callbacks/' + encodeURIComponent(id) + '/audio';
+  btn.replaceWith(a);
+}
+function toggleComptoir(occupe) {
+  fetch('${BASE_PATH}/admin/hours/comptoir', { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ occupe: occupe }) })
+    .then(function(r) { return r.json(); })
+    .then(function(j) { if (j.ok) location.reload(); else document.getElementById('rtMsg').textContent = '❌ ' + (j.error || 'Erreur'); });
+}
+function toggleAgent(actif) {
+  fetch('${BASE_PATH}/admin/agent', { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ actif: actif }) })
+    .then(function(r) { return r.json(); })
+    .then(function(j) { if (j.ok) location.reload(); else document.getElementById('cbMsg').textContent = '❌ ' + (j.error || 'Erreur'); });
+}
 function togglePanel(id, tile) {
   const panel = document.getElementById(id);
   const isVisible = panel.classList.contains('visible');
@@ -2055,25 +5637,265 @@ function togglePanel(id, tile) {
 </html>`);
 });
 
-// ─── Page admin/config (salon + FAQ en 2 onglets) ───────────────────────────
-app.get("/admin/salon", (req, res) => res.redirect("/admin/config?tab=salon"));
-app.get("/admin/faq/page", (req, res) => res.redirect("/admin/config?tab=faq"));
-
-app.get("/admin/config", (req, res) => {
-  const activeTab = req.query.tab === "faq" ? "faq" : "salon";
-  const SALON_VARS = [
-    { key: "AGENT_NAME",       label: "Nom de l'agent vocal",  val: AGENT_NAME,       multi: false },
-    { key: "SALON_NAME",       label: "Nom du salon",          val: SALON_NAME,       multi: false },
-    { key: "SALON_CITY",       label: "Ville",                 val: SALON_CITY,       multi: false },
-    { key: "SALON_ADDRESS",    label: "Adresse",               val: SALON_ADDRESS,    multi: false },
-    { key: "SALON_HOURS",      label: "Heures d'ouverture",    val: SALON_HOURS,      multi: true  },
-    { key: "SALON_PRICE_LIST", label: "Liste de prix",         val: SALON_PRICE_LIST, multi: true  },
-    { key: "SALON_PAYMENT",    label: "Modes de paiement",     val: SALON_PAYMENT,    multi: true  },
-    { key: "SALON_PARKING",    label: "Stationnement",         val: SALON_PARKING,    multi: true  },
-    { key: "SALON_ACCESS",     label: "Accessibilité",         val: SALON_ACCESS,     multi: true  },
-    { key: "SALON_LOGO_URL",   label: "URL du logo",           val: SALON_LOGO_URL,   multi: false },
-  ];
-  const hasRailwayAPI = !!(RAILWAY_API_TOKEN && RAILWAY_SERVICE_ID && RAILWAY_ENVIRONMENT_ID);
+// ─── Analytique ───────────────────────────────────────────────────────────────
+// Calculée sur l'index du journal (résumés — aucune lecture disque), pour une période
+// du → au (jours locaux) découpée par jour, semaine ou mois.
+const RAISONS_TRANSFERT = {
+  client: "Demande du client", erreur: "Erreur système", incomprehension: "Incompréhension",
+  service_non_supporte: "Service non pris en charge", "non précisée": "Non précisée",
+};
+const JOURS_SEMAINE = ["Dim", "Lun", "Mar", "Mer", "Jeu", "Ven", "Sam"];
+const ANALYTIQUE_PERIODES_MAX = 400;
+
+// Paramètres (query string) → { filtres, du, au, par, tous } | { status, error } — 30 derniers jours par défaut
+function validateAnalyticsQuery(q = {}, user = null) {
+  const au = q.au || localYmd(new Date());
+  const du = q.du || addLocalDays(au, -29);
+  if (![du, au].every(d => /^\d{4}-\d{2}-\d{2}$/.test(d) && parseLocalDate(d))) return { status: 400, error: "Dates invalides : AAAA-MM-JJ." };
+  if (du > au) return { status: 400, error: "La date de début doit précéder la date de fin." };
+  const { filtres, error } = validateCallFilters({ ...q, du, au });
+  if (error) return { status: 400, error };
+  const jours = Math.round((Date.parse(au) - Date.parse(du)) / 86400000) + 1;
+  const par = ["jour", "semaine", "mois"].includes(q.par) ? q.par : jours <= 45 ? "jour" : jours <= 200 ? "semaine" : "mois";
+  if (periodesAnalytique(du, au, par).length > ANALYTIQUE_PERIODES_MAX) return { status: 400, error: `Trop de périodes (max ${ANALYTIQUE_PERIODES_MAX}) — regrouper par semaine ou par mois.` };
+  const tous = q.salon === "tous";
+  if (tous && !hasRole(user, "proprietaire")) return { status: 403, error: "Vue de tous les salons : propriétaire seulement." };
+  return { filtres, du, au, par, tous };
+}
+
+// Clé de période d'un jour local : le jour, le lundi de sa semaine ou le mois
+function clePeriode(ymd, par) {
+  if (par === "mois") return ymd.slice(0, 7);
+  if (par === "semaine") return addLocalDays(ymd, -((new Date(ymd + "T12:00:00Z").getUTCDay() + 6) % 7));
+  return ymd;
+}
+
+function periodesAnalytique(du, au, par) {
+  const cles = [];
+  for (let d = du; d <= au && cles.length <= ANALYTIQUE_PERIODES_MAX; d = addLocalDays(d, 1)) {
+    const c = clePeriode(d, par);
+    if (cles[cles.length - 1] !== c) cles.push(c);
+  }
+  return cles;
+}
+
+// Résumés du journal → indicateurs de la période
+function analyserAppels(resumes, { du, au, par }) {
+  const appels = resumes.filter(e => e.result !== "en cours");
+  const estResa = e => String(e.result).startsWith("réservation");
+  const compter = (liste, cle) => {
+    const n = new Map();
+    for (const e of liste) { const k = cle(e); if (k) n.set(k, (n.get(k) || 0) + 1); }
+    return [...n].map(([cle, n]) => ({ cle, n })).sort((a, b) => b.n - a.n);
+  };
+  const taux = (n, sur) => sur ? n / sur : 0;
+
+  const reservations = appels.filter(estResa);
+  const transferts   = appels.filter(e => e.transfert);
+  const telephone    = appels.filter(e => (e.canal === "voix" || e.canal === "sortant") && e.endedAt);
+  const parHeure     = Array(24).fill(0);
+  const parJour      = Array(7).fill(0);
+  const serie        = new Map(periodesAnalytique(du, au, par).map(p => [p, { periode: p, appels: 0, reservations: 0, transferts: 0 }]));
+  for (const e of appels) {
+    const p = zonedParts(e.startedAt);
+    parHeure[p.hour]++;
+    parJour[p.weekday]++;
+    const s = serie.get(clePeriode(p.ymd, par));
+    if (!s) continue;
+    s.appels++;
+    if (estResa(e)) s.reservations++;
+    if (e.transfert) s.transferts++;
+  }
+  const clients = Object.fromEntries(CLIENT_TYPES.map(t => [t, appels.filter(e => (e.clientType || "inconnu") === t).length]));
+  const rang = Object.fromEntries(ETAPES_APPEL.map((x, i) => [x.id, i]));
+
+  return {
+    periode:        { du, au, par },
+    total:          appels.length,
+    enCours:        resumes.length - appels.length,
+    reservations:   reservations.length,
+    conversion:     taux(reservations.length, appels.length),
+    transferts:     { total: transferts.length, taux: taux(transferts.length, appels.length),
+                      parRaison: compter(transferts, e => e.transfert) },
+    dureeMoyenneS:  telephone.length ? Math.round(telephone.reduce((s, e) => s + (new Date(e.endedAt) - new Date(e.startedAt)) / 1000, 0) / telephone.length) : null,
+    parCanal:       compter(appels, e => e.canal || "voix"),
+    parHeure, parJour,
+    parService:     compter(reservations, e => e.service || "non précisé"),
+    parCoiffeuse:   compter(reservations, e => e.coiffeuse || "sans préférence"),
+    clients:        { ...clients, partNouveaux: taux(clients.nouveau, clients.nouveau + clients.existant) },
+    entonnoir:      ETAPES_APPEL.map((x, i) => ({
+      ...x,
+      atteint:  appels.filter(e => rang[e.etape || "accueil"] >= i).length,
+      arrets:   appels.filter(e => (e.etape || "accueil") === x.id).length,
+    })),
+    serie:          [...serie.values()],
+  };
+}
+
+app.get("/api/analytics", requireRole("lecture"), (req, res) => {
+  const q = validateAnalyticsQuery(req.query, req.user);
+  if (q.error) return res.status(q.status).json({ error: q.error });
+  res.json({ ok: true, ...analyserAppels(queryCallIndex(q.filtres, { tous: q.tous }), q) });
+});
+
+app.get("/analytics", requireRole("lecture"), (req, res) => {
+  const user = req.user;
+  const q = validateAnalyticsQuery(req.query, user);
+  const a = q.error ? null : analyserAppels(queryCallIndex(q.filtres, { tous: q.tous }), q);
+  const vueCombinee = SALONS.length > 1 && !q.error && q.tous;
+  const pct = n => `${(n * 100).toLocaleString("fr-CA", { maximumFractionDigits: 1 })} %`;
+  const duree = s => s == null ? "—" : `${Math.floor(s / 60)} min ${String(s % 60).padStart(2, "0")} s`;
+  const aujourdhui = localYmd(new Date());
+  const lien = (du, au) => `${BASE_PATH}/analytics?du=${du}&au=${au}${vueCombinee ? "&salon=tous" : ""}`;
+  const raccourcis = [["7 jours", 6], ["30 jours", 29], ["90 jours", 89], ["12 mois", 364]]
+    .map(([l, n]) => `<a href="${lien(addLocalDays(aujourdhui, -n), aujourdhui)}">${l}</a>`).join(" · ");
+
+  // Barres horizontales [{ cle, n }] — largeur relative au plus grand
+  const barres = (items, { couleur = "#6c47ff", libelle = x => x, total = null } = {}) => {
+    if (!items.length) return `<p class="vide">Aucune donnée sur la période.</p>`;
+    const max = Math.max(...items.map(x => x.n), 1);
+    return items.map(x => `<div class="barre">
+      <span class="barre-l">${escHtml(libelle(x.cle))}</span>
+      <span class="barre-f"><span style="width:${(x.n / max * 100).toFixed(1)}%;background:${couleur}"></span></span>
+      <span class="barre-n">${x.n}${total ? ` <small>${pct(x.n / total)}</small>` : ""}</span>
+    </div>`).join("");
+  };
+  // Colonnes verticales [{ l, n, n2 }] — n2 (réservations) en surimpression
+  const colonnes = (items, titre) => {
+    const max = Math.max(...items.map(x => x.n), 1);
+    return `<div class="cols">${items.map(x => `<div class="col" title="${escHtml(titre(x))}">
+      <span class="col-b" style="height:${(x.n / max * 100).toFixed(1)}%">${x.n2 ? `<span class="col-r" style="height:${(x.n2 / Math.max(x.n, 1) * 100).toFixed(1)}%"></span>` : ""}</span>
+      <span class="col-l">${escHtml(x.l)}</span>
+    </div>`).join("")}</div>`;
+  };
+  const libellePeriode = p => a.periode.par === "mois" ? p : a.periode.par === "semaine" ? `sem. ${p.slice(5)}` : p.slice(5);
+
+  const contenu = !a ? `<p class="erreur">⚠️ ${escHtml(q.error)}</p>` : `
+<div class="tiles">
+  <div class="tile"><div class="tile-n">${a.total}</div><div class="tile-l">Appels et conversations</div></div>
+  <div class="tile"><div class="tile-n" style="color:#16a34a">${pct(a.conversion)}</div><div class="tile-l">Conversion · ${a.reservations} réservation(s)</div></div>
+  <div class="tile"><div class="tile-n" style="color:#b45309">${pct(a.transferts.taux)}</div><div class="tile-l">Transferts · ${a.transferts.total}</div></div>
+  <div class="tile"><div class="tile-n" style="color:#0f766e;font-size:1.2rem;padding:4px 0">${duree(a.dureeMoyenneS)}</div><div class="tile-l">Durée moyenne au téléphone</div></div>
+  <div class="tile"><div class="tile-n" style="color:#065f46">${pct(a.clients.partNouveaux)}</div><div class="tile-l">Nouveaux clients · ${a.clients.nouveau} / ${a.clients.nouveau + a.clients.existant} identifiés</div></div>
+</div>
+
+<div class="card large">
+  <div class="card-t">📈 Appels et réservations par ${a.periode.par}</div>
+  ${colonnes(a.serie.map(s => ({ l: libellePeriode(s.periode), n: s.appels, n2: s.reservations })),
+    x => `${x.l} : ${x.n} appel(s), ${x.n2} réservation(s)`)}
+  <div class="legende"><span class="pastille" style="background:#c4b5fd"></span>Appels <span class="pastille" style="background:#16a34a"></span>Réservations</div>
+</div>
+
+<div class="grille">
+  <div class="card">
+    <div class="card-t">🔻 Entonnoir — où les appels s'arrêtent</div>
+    ${a.entonnoir.map(e => `<div class="barre">
+      <span class="barre-l">${e.label}</span>
+      <span class="barre-f"><span style="width:${(e.atteint / Math.max(a.total, 1) * 100).toFixed(1)}%;background:#6c47ff"></span></span>
+      <span class="barre-n">${e.atteint} <small>${e.id === "reservation" ? "" : `${e.arrets} arrêt(s)`}</small></span>
+    </div>`).join("")}
+  </div>
+  <div class="card">
+    <div class="card-t">🛎️ Transferts par raison</div>
+    ${barres(a.transferts.parRaison, { couleur: "#f59e0b", libelle: r => RAISONS_TRANSFERT[r] || r, total: a.transferts.total })}
+  </div>
+  <div class="card">
+    <div class="card-t">🕘 Appels par heure</div>
+    ${colonnes(a.parHeure.map((n, h) => ({ l: String(h), n })).filter((x, h) => x.n || (h >= 8 && h <= 20)), x => `${x.l} h : ${x.n} appel(s)`)}
+  </div>
+  <div class="card">
+    <div class="card-t">📅 Appels par jour de la semaine</div>
+    ${barres([1, 2, 3, 4, 5, 6, 0].map(j => ({ cle: JOURS_SEMAINE[j], n: a.parJour[j] })), { total: a.total })}
+  </div>
+  <div class="card">
+    <div class="card-t">✂️ Réservations par service</div>
+    ${barres(a.parService, { couleur: "#16a34a", total: a.reservations })}
+  </div>
+  <div class="card">
+    <div class="card-t">💇 Réservations par coiffeuse</div>
+    ${barres(a.parCoiffeuse, { couleur: "#0d9488", total: a.reservations })}
+  </div>
+  <div class="card">
+    <div class="card-t">⭐ Nouveaux et clients existants</div>
+    ${barres([{ cle: "🆕 Nouveaux", n: a.clients.nouveau }, { cle: "⭐ Existants", n: a.clients.existant }, { cle: "Non identifiés", n: a.clients.inconnu }], { couleur: "#854d0e", total: a.total })}
+  </div>
+  <div class="card">
+    <div class="card-t">📱 Par canal</div>
+    ${barres(a.parCanal, { couleur: "#0891b2", libelle: c => ({ voix: "📞 Téléphone", sms: "📱 Texto", web: "💬 Clavardage", sortant: "📤 Appels sortants" })[c] || c, total: a.total })}
+  </div>
+</div>
+${a.enCours ? `<p class="note">${a.enCours} appel(s) en cours non comptés.</p>` : ""}`;
+
+  res.type("text/html").send(`<!DOCTYPE html>
+<html lang="fr">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<title>Statistiques — ${SALON_NAME}</title>
+<style>
+  *{box-sizing:border-box;margin:0;padding:0}
+  body{font-family:system-ui,sans-serif;background:#f5f6fa;color:#1a1a2e;min-height:100vh;padding:24px}
+  h1{font-size:1.4rem;font-weight:700;color:#6c47ff;margin-bottom:4px}
+  .sub{color:#6b7280;font-size:.85rem;margin-bottom:16px;display:flex;gap:12px;align-items:center;flex-wrap:wrap;justify-content:space-between}
+  a{color:#6c47ff;text-decoration:none;font-weight:500}
+  a:hover{text-decoration:underline}
+  form.periode{display:flex;gap:8px;align-items:center;flex-wrap:wrap;background:#fff;border:1.5px solid #e5e7eb;border-radius:12px;padding:10px 14px;margin-bottom:16px;font-size:.82rem}
+  form.periode input,form.periode select{padding:5px 8px;border:1.5px solid #e5e7eb;border-radius:8px;font-size:.82rem}
+  form.periode button{background:#6c47ff;color:#fff;border:none;border-radius:8px;padding:6px 14px;font-weight:600;cursor:pointer}
+  .tiles{display:flex;gap:12px;margin-bottom:16px;flex-wrap:wrap}
+  .tile{background:#fff;border:1.5px solid #e5e7eb;border-radius:12px;padding:14px 20px;display:flex;flex-direction:column;gap:4px;min-width:150px}
+  .tile-n{font-size:1.6rem;font-weight:700;color:#6c47ff}
+  .tile-l{font-size:.75rem;color:#6b7280}
+  .grille{display:grid;grid-template-columns:repeat(auto-fill,minmax(340px,1fr));gap:16px}
+  .card{background:#fff;border:1.5px solid #e5e7eb;border-radius:12px;padding:16px 18px}
+  .card.large{margin-bottom:16px}
+  .card-t{font-size:.8rem;font-weight:700;color:#6c47ff;text-transform:uppercase;letter-spacing:.05em;margin-bottom:12px}
+  .barre{display:grid;grid-template-columns:140px 1fr 90px;gap:8px;align-items:center;font-size:.8rem;margin-bottom:6px}
+  .barre-l{overflow:hidden;text-overflow:ellipsis;white-space:nowrap;color:#374151}
+  .barre-f{background:#f3f4f6;border-radius:6px;height:14px;overflow:hidden}
+  .barre-f span{display:block;height:100%;border-radius:6px}
+  .barre-n{font-weight:600;text-align:right}
+  .barre-n small{color:#9ca3af;font-weight:400}
+  .cols{display:flex;align-items:flex-end;gap:3px;height:160px;padding-top:6px}
+  .col{flex:1;display:flex;flex-direction:column;align-items:center;height:100%;justify-content:flex-end;min-width:0}
+  .col-b{width:100%;max-width:34px;background:#c4b5fd;border-radius:4px 4px 0 0;display:flex;align-items:flex-end;min-height:1px}
+  .col-r{width:100%;background:#16a34a;border-radius:4px 4px 0 0}
+  .col-l{font-size:.62rem;color:#9ca3af;margin-top:4px;white-space:nowrap;overflow:hidden;max-width:100%}
+  .legende{display:flex;gap:8px;align-items:center;font-size:.75rem;color:#6b7280;margin-top:10px}
+  .pastille{display:inline-block;width:10px;height:10px;border-radius:3px;margin-left:6px}
+  .vide,.note{color:#9ca3af;font-size:.82rem}
+  .note{margin-top:14px}
+  .erreur{background:#fef2f2;color:#b91c1c;border:1.5px solid #fecaca;border-radius:10px;padding:12px 16px}
+</style>
+</head>
+<body>
+<h1>📈 ${SALON_NAME} — Statistiques${vueCombinee ? " · tous les salons" : ""}</h1>
+<div class="sub">
+  <span><a href="${BASE_PATH}/dashboard">← Dashboard</a> · ${raccourcis}${a ? ` · <a href="${BASE_PATH}/api/calls/export?format=csv&du=${a.periode.du}&au=${a.periode.au}${vueCombinee ? "&salon=tous" : ""}">⬇️ Export CSV</a>` : ""}</span>
+  <span>${userBar(user)}</span>
+</div>
+<form class="periode" method="GET" action="${BASE_PATH}/analytics">
+  Du <input type="date" name="du" value="${escHtml(req.query.du || a?.periode.du || "")}">
+  au <input type="date" name="au" value="${escHtml(req.query.au || a?.periode.au || "")}">
+  par <select name="par">${["", "jour", "semaine", "mois"].map(p => `<option value="${p}"${(req.query.par || "") === p ? " selected" : ""}>${p || "auto"}</option>`).join("")}</select>
+  Canal <select name="canal">${["", "voix", "sms", "web", "sortant"].map(c => `<option value="${c}"${(req.query.canal || "") === c ? " selected" : ""}>${c || "tous"}</option>`).join("")}</select>
+  ${SALONS.length > 1 && hasRole(user, "proprietaire") ? `<label><input type="checkbox" name="salon" value="tous"${vueCombinee ? " checked" : ""}> Tous les salons</label>` : ""}
+  <button type="submit">Afficher</button>
+</form>
+${contenu}
+</body>
+</html>`);
+});
+
+// ─── Page admin/config (salon, services, rappels, FAQ) ───────────────────────
+app.get("/admin/salon", (req, res) => res.redirect(`${BASE_PATH}/admin/config?tab=salon`));
+app.get("/admin/faq/page", (req, res) => res.redirect(`${BASE_PATH}/admin/config?tab=faq`));
+
+app.get("/admin/config", requireRole("lecture"), (req, res) => {
+  const user = req.user;
+  const proprio = hasRole(user, "proprietaire");
+  const activeTab = ["heures", "faq", "services", "rappels", "places", ...(proprio ? ["comptes"] : [])].includes(req.query.tab) ? req.query.tab : "salon";
+  const SALON_VARS = SALON_SETTINGS.map(d => ({ key: d.key, label: d.label, val: salonSettingValues()[d.key], multi: !!d.multi }));
 
   const salonFields = SALON_VARS.map(v => {
     const safe = (v.val || "").replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;");
@@ -2122,8 +5944,6 @@ input:focus,textarea:focus{border-color:#6c47ff}
 hr{border:none;border-top:1.5px solid #f3f4f6;margin:20px 0}
 .logo-preview{max-height:44px;max-width:150px;object-fit:contain;margin-top:7px;border-radius:5px;display:none}
 .faq-toolbar{display:flex;justify-content:space-between;align-items:center;margin-bottom:14px;gap:12px;flex-wrap:wrap}
-.tok-input{padding:8px 12px;border:1.5px solid #d1d5db;border-radius:8px;font-size:.83rem;outline:none;width:200px}
-.tok-input:focus{border-color:#6c47ff}
 .faq-row{background:#fff;border:1.5px solid #e5e7eb;border-radius:11px;margin-bottom:8px;overflow:hidden}
 .faq-head{display:flex;align-items:center;gap:10px;padding:13px 16px;cursor:pointer;user-select:none}
 .faq-head:hover{background:#f9f8ff}
@@ -2144,27 +5964,30 @@ hr{border:none;border-top:1.5px solid #f3f4f6;margin:20px 0}
 .modal input,.modal textarea{width:100%;padding:9px 12px;border:1.5px solid #d1d5db;border-radius:8px;font-size:.88rem;outline:none;font-family:inherit}
 .modal input:focus,.modal textarea:focus{border-color:#6c47ff}
 .modal-actions{display:flex;gap:10px;justify-content:flex-end;margin-top:18px}
-.tok-modal{display:none;position:fixed;inset:0;background:rgba(0,0,0,.45);z-index:300;align-items:center;justify-content:center}
-.tok-modal.open{display:flex}
-.tok-inner{background:#fff;border-radius:14px;padding:28px 26px;max-width:380px;width:90%;box-shadow:0 8px 40px rgba(0,0,0,.2)}
 </style>
 </head>
 <body>
 <div class="page">
   <div class="topbar">
     ${SALON_LOGO_URL ? `<img src="${SALON_LOGO_URL}" alt="${SALON_NAME}" style="max-height:40px;object-fit:contain">` : `<strong>${SALON_NAME}</strong>`}
-    <a href="/dashboard" class="back-link">← Dashboard</a>
+    <span style="display:flex;align-items:center;gap:14px;font-size:.8rem;color:#6b7280">${userBar(user)}<a href="${BASE_PATH}/dashboard" class="back-link">← Dashboard</a></span>
   </div>
   <h1>⚙️ Configuration</h1>
+  ${proprio ? "" : `<div class="note">Connecté en tant que ${ROLE_LABELS[user.role].toLowerCase()} : ${user.role === "employe" ? "tu peux modifier la FAQ et les clients des places libérées; le reste est réservé au propriétaire." : "consultation seulement."}</div>`}
   <div class="tabs">
-    <button class="tab ${activeTab==="salon"?"active":""}" onclick="switchTab('salon')">🏢 Entreprise</button>
-    <button class="tab ${activeTab==="faq"?"active":""}" onclick="switchTab('faq')">❓ FAQ</button>
+    <button class="tab ${activeTab==="salon"?"active":""}" data-tab="salon" onclick="switchTab('salon')">🏢 Entreprise</button>
+    <button class="tab ${activeTab==="heures"?"active":""}" data-tab="heures" onclick="switchTab('heures')">🕘 Heures</button>
+    <button class="tab ${activeTab==="services"?"active":""}" data-tab="services" onclick="switchTab('services')">✂️ Services</button>
+    <button class="tab ${activeTab==="rappels"?"active":""}" data-tab="rappels" onclick="switchTab('rappels')">⏰ Rappels</button>
+    <button class="tab ${activeTab==="places"?"active":""}" data-tab="places" onclick="switchTab('places')">📞 Places libérées</button>
+    <button class="tab ${activeTab==="faq"?"active":""}" data-tab="faq" onclick="switchTab('faq')">❓ FAQ</button>
+    ${proprio ? `<button class="tab ${activeTab==="comptes"?"active":""}" data-tab="comptes" onclick="switchTab('comptes')">🔐 Comptes</button>` : ""}
   </div>
 
   <!-- Onglet Entreprise -->
   <div class="tab-panel ${activeTab==="salon"?"active":""}" id="tab-salon">
     <div class="card">
-      ${hasRailwayAPI ? "" : `<div class="note warn">⚠️ <strong>Sauvegarde Railway non configurée.</strong><br>Ajoute <code>RAILWAY_API_TOKEN</code>, <code>RAILWAY_SERVICE_ID</code>, <code>RAILWAY_ENVIRONMENT_ID</code>.</div>`}
+      <div class="note">Enregistré dans <code>settings.json</code> (remplace les variables Railway) et appliqué au prochain appel — sans redémarrage.</div>
       <div id="alertOk" class="alert alert-ok"></div>
       <div id="alertErr" class="alert alert-err"></div>
       <div id="alertInfo" class="alert alert-info"></div>
@@ -2172,7 +5995,101 @@ hr{border:none;border-top:1.5px solid #f3f4f6;margin:20px 0}
         <img id="logoPreview" class="logo-preview" alt="Aperçu logo">
       </form>
       <hr>
-      ${hasRailwayAPI ? `<button class="btn btn-save" id="btnSave" onclick="saveToRailway()"><span class="spinner" id="spinner"></span>💾 Sauvegarder &amp; redéployer</button>` : ""}
+      ${proprio ? `<div style="display:flex;align-items:center;gap:16px;flex-wrap:wrap">
+        <button class="btn btn-save" id="btnSave" onclick="saveSalon()"><span class="spinner" id="spinner"></span>💾 Sauvegarder</button>
+        ${RAILWAY_EXPORT ? `<label style="display:flex;align-items:center;gap:6px;margin:0;font-weight:400"><input type="checkbox" id="exportRailway"> Exporter aussi vers les variables Railway (sans redéploiement)</label>` : ""}
+      </div>` : ""}
+      <hr>
+      <label>Historique des modifications</label>
+      <div id="salonHist" style="font-size:.8rem;color:#374151;line-height:1.7;max-height:260px;overflow:auto">Chargement...</div>
+    </div>
+  </div>
+
+  <!-- Onglet Heures -->
+  <div class="tab-panel ${activeTab==="heures"?"active":""}" id="tab-heures">
+    <div class="card">
+      <div class="note">Horaire utilisé par ${AGENT_NAME} (remplace <code>SALON_HOURS</code>) et pour router les appels : pendant les heures, le téléphone du comptoir (<code>FALLBACK_NUMBER</code>) sonne d'abord et ${AGENT_NAME} prend l'appel si personne ne répond. Plages au format <code>09:00-12:00, 13:00-17:00</code>; vide = fermé.</div>
+      <div class="faq-toolbar">
+        <span id="hrsStatut" style="font-size:.85rem;color:#374151">Chargement...</span>
+      </div>
+      <div id="alertHrsOk" class="alert alert-ok"></div>
+      <div id="alertHrsErr" class="alert alert-err"></div>
+      ${JOURS_NOMS.slice(1).concat(JOURS_NOMS[0]).map(j => `<div class="field" style="display:flex;align-items:center;gap:10px"><label style="width:90px;margin:0">${j[0].toUpperCase() + j.slice(1)}</label><input type="text" id="hrs-${j}" placeholder="fermé"></div>`).join("")}
+      <div class="field"><label>Congés <span class="badge-multi">une date par ligne</span></label><textarea id="hrsConges" rows="5" placeholder="2026-12-25 Noël"></textarea></div>
+      <div style="display:flex;gap:10px;flex-wrap:wrap">
+        <div class="field" style="width:220px"><label>Pendant les heures</label><select id="hrsOuvert" style="width:100%;padding:9px;border:1.5px solid #d1d5db;border-radius:8px"><option value="comptoir">Sonner au comptoir d'abord</option><option value="agent">${AGENT_NAME} directement</option></select></div>
+        <div class="field" style="width:150px"><label>Sonnerie (secondes)</label><input type="text" id="hrsSonnerie"></div>
+        <div class="field" style="width:240px"><label>Hors des heures et congés</label><select id="hrsFerme" style="width:100%;padding:9px;border:1.5px solid #d1d5db;border-radius:8px"><option value="message">Message de fermeture</option><option value="messagerie">Messagerie vocale</option><option value="agent">${AGENT_NAME} répond</option></select></div>
+      </div>
+      <button class="btn btn-save" onclick="saveHrs()">💾 Sauvegarder</button>
+      <hr>
+      <label>Texte lu par ${AGENT_NAME}</label>
+      <pre id="hrsTexte" style="font-size:.82rem;color:#374151;line-height:1.6;white-space:pre-wrap;font-family:inherit"></pre>
+    </div>
+  </div>
+
+  <!-- Onglet Services -->
+  <div class="tab-panel ${activeTab==="services"?"active":""}" id="tab-services">
+    <div class="card">
+      <div class="note">Chaque service est offert à l'agent (outils + prompt) et associé aux event types Calendly dont le nom contient un des <strong>mots-clés</strong>. Pour forcer l'event type d'une coiffeuse, ajoute une ligne <code>Prénom = https://api.calendly.com/event_types/...</code>. Appliqué au prochain appel.</div>
+      <div class="faq-toolbar">
+        <button class="btn-add" onclick="openSvcModal()">➕ Ajouter</button>
+      </div>
+      <div id="alertSvcOk" class="alert alert-ok"></div>
+      <div id="alertSvcErr" class="alert alert-err"></div>
+      <div id="svcList"><p class="empty-faq">Chargement...</p></div>
+    </div>
+  </div>
+
+  <!-- Onglet Rappels -->
+  <div class="tab-panel ${activeTab==="rappels"?"active":""}" id="tab-rappels">
+    <div class="card">
+      <div class="note">Texto envoyé automatiquement avant chaque RDV réservé. Variables : ${REMINDER_VARS.map(v => "<code>{" + v + "}</code>").join(" ")}. Les délais modifiés s'appliquent aux prochaines réservations; les modèles, à tous les rappels pas encore envoyés.</div>
+      <div class="faq-toolbar">
+        <label style="display:flex;align-items:center;gap:8px;margin:0"><input type="checkbox" id="remActif"> Rappels actifs</label>
+      </div>
+      <div id="alertRemOk" class="alert alert-ok"></div>
+      <div id="alertRemErr" class="alert alert-err"></div>
+      <div id="remList"></div>
+      <div style="display:flex;gap:10px;margin-top:12px">
+        <button class="btn btn-sec" onclick="addRem()">➕ Ajouter un rappel</button>
+        <button class="btn btn-save" onclick="saveRem()">💾 Sauvegarder</button>
+      </div>
+      <hr>
+      <label>Prochains rappels planifiés</label>
+      <div id="remQueue" style="font-size:.82rem;color:#374151;line-height:1.7">Chargement...</div>
+    </div>
+  </div>
+
+  <!-- Onglet Places libérées -->
+  <div class="tab-panel ${activeTab==="places"?"active":""}" id="tab-places">
+    <div class="card">
+      <div class="note">Quand un RDV est annulé ou déplacé moins de 24h à l'avance, ${AGENT_NAME} appelle un à un les clients inscrits ci-dessous qui préfèrent cette coiffeuse ou ce service, et s'arrête dès que la place est prise. Les répondeurs sont ignorés; aucun appel hors des heures permises.</div>
+      <div class="faq-toolbar">
+        <label style="display:flex;align-items:center;gap:8px;margin:0"><input type="checkbox" id="fillActif"> Appels sortants actifs</label>
+      </div>
+      <div id="alertFillOk" class="alert alert-ok"></div>
+      <div id="alertFillErr" class="alert alert-err"></div>
+      <div style="display:flex;gap:10px;flex-wrap:wrap">
+        <div class="field" style="width:130px"><label>Appeler dès</label><input type="text" id="fillDebut" placeholder="09:00"></div>
+        <div class="field" style="width:130px"><label>Jusqu'à</label><input type="text" id="fillFin" placeholder="20:00"></div>
+        <div class="field" style="width:150px"><label>Appels par place</label><input type="text" id="fillMax"></div>
+        <div class="field" style="width:190px"><label>Plus d'appel à moins de (min)</label><input type="text" id="fillDelai"></div>
+      </div>
+      <button class="btn btn-save" onclick="saveFill()">💾 Sauvegarder</button>
+      <hr>
+      <label>Clients inscrits</label>
+      <div id="fillClients" style="font-size:.85rem;line-height:1.8">Chargement...</div>
+      <div style="display:flex;gap:10px;flex-wrap:wrap;align-items:flex-end;margin-top:10px">
+        <div class="field" style="width:170px"><label>Nom</label><input type="text" id="fcNom"></div>
+        <div class="field" style="width:150px"><label>Cellulaire</label><input type="text" id="fcPhone" placeholder="514 555-1234"></div>
+        <div class="field" style="width:150px"><label>Coiffeuse préférée</label><input type="text" id="fcCoiffeuse" list="fcCoiffeuses"><datalist id="fcCoiffeuses">${coiffeuses.map(c => `<option value="${c.name}">`).join("")}</datalist></div>
+      </div>
+      <div class="field"><label>Services</label>${serviceCatalog.map(sv => `<label style="display:inline-flex;align-items:center;gap:4px;margin-right:12px;font-weight:400"><input type="checkbox" class="fcSvc" value="${sv.key}"> ${sv.label}</label>`).join("")}</div>
+      <button class="btn btn-sec" onclick="addFillClient()">➕ Inscrire</button>
+      <hr>
+      <label>Campagnes récentes</label>
+      <div id="fillCampaigns" style="font-size:.82rem;color:#374151;line-height:1.7">Chargement...</div>
     </div>
   </div>
 
@@ -2180,10 +6097,6 @@ hr{border:none;border-top:1.5px solid #f3f4f6;margin:20px 0}
   <div class="tab-panel ${activeTab==="faq"?"active":""}" id="tab-faq">
     <div class="card">
       <div class="faq-toolbar">
-        <div style="display:flex;align-items:center;gap:8px">
-          <span style="font-size:.82rem;color:#6b7280;white-space:nowrap">Token admin :</span>
-          <input type="password" id="tok" class="tok-input" placeholder="ADMIN_TOKEN">
-        </div>
         <button class="btn-add" onclick="openAddModal()">➕ Ajouter</button>
       </div>
       <div id="alertFaqOk" class="alert alert-ok"></div>
@@ -2191,6 +6104,26 @@ hr{border:none;border-top:1.5px solid #f3f4f6;margin:20px 0}
       <div id="faqList"><p class="empty-faq">Chargement...</p></div>
     </div>
   </div>
+
+  ${proprio ? `<!-- Onglet Comptes -->
+  <div class="tab-panel ${activeTab==="comptes"?"active":""}" id="tab-comptes">
+    <div class="card">
+      <div class="note"><strong>Propriétaire</strong> : tout. <strong>Employé</strong> : appels, FAQ, messages vocaux, comptoir, clients des places libérées. <strong>Lecture seule</strong> : consultation. Changer le rôle ou le mot de passe d'un compte le déconnecte.</div>
+      <div id="alertUsrOk" class="alert alert-ok"></div>
+      <div id="alertUsrErr" class="alert alert-err"></div>
+      <div id="usrList"><p class="empty-faq">Chargement...</p></div>
+      <div style="display:flex;gap:10px;flex-wrap:wrap;align-items:flex-end;margin-top:10px">
+        <div class="field" style="width:200px"><label>Courriel</label><input type="text" id="usrEmail"></div>
+        <div class="field" style="width:150px"><label>Nom</label><input type="text" id="usrNom"></div>
+        <div class="field" style="width:150px"><label>Rôle</label><select id="usrRole" style="width:100%;padding:9px;border:1.5px solid #d1d5db;border-radius:8px">${Object.entries(ROLE_LABELS).map(([k, l]) => `<option value="${k}">${l}</option>`).join("")}</select></div>
+        <div class="field" style="width:170px"><label>Mot de passe</label><input type="password" id="usrMdp" autocomplete="new-password"></div>
+      </div>
+      <button class="btn btn-sec" onclick="addUser()">➕ Créer le compte</button>
+      <hr>
+      <label>Journal d'audit (200 dernières actions)</label>
+      <div id="auditList" style="font-size:.8rem;color:#374151;line-height:1.7;max-height:420px;overflow:auto">Chargement...</div>
+    </div>
+  </div>` : ""}
 </div>
 
 <!-- Modal FAQ ajout/modif -->
@@ -2209,26 +6142,39 @@ hr{border:none;border-top:1.5px solid #f3f4f6;margin:20px 0}
   </div>
 </div>
 
-<!-- Modal token Railway -->
-<div class="tok-modal" id="tokModal">
-  <div class="tok-inner">
-    <h2 style="font-size:1rem;font-weight:700;margin-bottom:8px">🔐 Token administrateur</h2>
-    <p style="font-size:.84rem;color:#6b7280;margin-bottom:14px">Entre ton ADMIN_TOKEN pour sauvegarder.</p>
-    <input type="password" id="railwayToken" placeholder="ADMIN_TOKEN" autocomplete="off"
-      style="width:100%;padding:10px 12px;border:1.5px solid #d1d5db;border-radius:8px;font-size:.92rem;margin-bottom:14px;box-sizing:border-box"
-      onkeydown="if(event.key==='Enter')confirmRailwaySave()">
-    <div style="display:flex;gap:10px;justify-content:flex-end">
-      <button onclick="closeTokModal()" style="padding:8px 18px;border:1.5px solid #d1d5db;border-radius:8px;background:#fff;cursor:pointer">Annuler</button>
-      <button onclick="confirmRailwaySave()" style="padding:8px 20px;background:#059669;color:#fff;border:none;border-radius:8px;font-weight:600;cursor:pointer">Confirmer</button>
+<!-- Modal service ajout/modif -->
+<div class="modal-bg" id="svcModal">
+  <div class="modal">
+    <h3 id="svcModalTitle">Ajouter un service</h3>
+    <label>Clé (a-z, 0-9, _)</label>
+    <input type="text" id="svcKey" placeholder="Ex: barbe">
+    <label>Libellé dit au client</label>
+    <input type="text" id="svcLabel" placeholder="Ex: taille de barbe">
+    <label>Précision pour l'agent (optionnel)</label>
+    <input type="text" id="svcPrompt" placeholder="Ex: garçon ou fille">
+    <label>Mots-clés Calendly (séparés par des virgules)</label>
+    <input type="text" id="svcKeywords" placeholder="Ex: barbe, beard">
+    <div style="display:flex;gap:10px">
+      <div style="flex:1"><label>Durée (minutes)</label><input type="text" id="svcDuration" placeholder="30"></div>
+      <div style="flex:2"><label>Prix (optionnel)</label><input type="text" id="svcPrice" placeholder="Ex: 25 $"></div>
+    </div>
+    <label>Event type par défaut (optionnel)</label>
+    <input type="text" id="svcUri" placeholder="https://api.calendly.com/event_types/...">
+    <label>Event type par coiffeuse (une ligne : Prénom = uri)</label>
+    <textarea id="svcStaff" rows="3"></textarea>
+    <input type="hidden" id="svcEditKey">
+    <div class="modal-actions">
+      <button class="btn btn-sec" onclick="closeSvcModal()">Annuler</button>
+      <button class="btn btn-save" onclick="saveSvcModal()">💾 Sauvegarder</button>
     </div>
   </div>
 </div>
 
 <script>
 function switchTab(t){
-  document.querySelectorAll(".tab").forEach(b=>b.classList.toggle("active",b.textContent.toLowerCase().includes(t==="salon"?"entreprise":"faq")));
+  document.querySelectorAll(".tab").forEach(b=>b.classList.toggle("active",b.dataset.tab===t));
   document.querySelectorAll(".tab-panel").forEach(p=>p.classList.toggle("active",p.id==="tab-"+t));
-  history.replaceState(null,"","/admin/config?tab="+t);
+  history.replaceState(null,"","${BASE_PATH}/admin/config?tab="+t);
 }
 
 // Aperçu logo
@@ -2243,32 +6189,217 @@ function switchTab(t){
 var KEYS=${JSON.stringify(SALON_VARS.map(v=>v.key))};
 function getValues(){var o={};KEYS.forEach(k=>{var e=document.getElementById(k);if(e)o[k]=e.value;});return o;}
 function showAlert(id,msg){["alertOk","alertErr","alertInfo"].forEach(i=>{var e=document.getElementById(i);if(e){e.style.display="none";e.textContent="";}});var e=document.getElementById(id);if(e){e.textContent=msg;e.style.display="block";e.scrollIntoView({behavior:"smooth",block:"nearest"});}}
-function saveToRailway(){document.getElementById("tokModal").classList.add("open");setTimeout(()=>document.getElementById("railwayToken").focus(),50);}
-function closeTokModal(){document.getElementById("tokModal").classList.remove("open");document.getElementById("railwayToken").value="";}
-document.getElementById("tokModal").addEventListener("click",function(e){if(e.target===this)closeTokModal();});
-async function confirmRailwaySave(){
-  var token=document.getElementById("railwayToken").value.trim();
-  if(!token){document.getElementById("railwayToken").style.borderColor="#dc2626";return;}
-  closeTokModal();
-  var btn=document.getElementById("btnSave"),sp=document.getElementById("spinner");
+function court(v){v=String(v==null?"":v).replace(/\s+/g," ");return v.length>60?v.slice(0,60)+"…":v;}
+function renderHist(items){
+  document.getElementById("salonHist").innerHTML=items.length?items.map(function(h){
+    return "• "+esc(h.at.slice(0,16).replace("T"," "))+" — <b>"+esc(h.user||"?")+"</b> : "+Object.keys(h.changements).map(function(k){
+      var c=h.changements[k];return esc(k)+" <span style='color:#9ca3af'>(« "+esc(court(c.avant))+" » → « "+esc(court(c.apres))+" »)</span>";
+    }).join(", ");
+  }).join("<br>"):"<span style='color:#9ca3af'>Aucune modification — valeurs des variables Railway.</span>";
+}
+async function loadSalon(){
+  try{var r=await fetch("${BASE_PATH}/admin/salon/settings");var j=await r.json();renderHist(j.historique||[]);}
+  catch(e){document.getElementById("salonHist").textContent="Erreur chargement historique : "+e.message;}
+}
+loadSalon();
+async function saveSalon(){
+  var btn=document.getElementById("btnSave"),sp=document.getElementById("spinner"),ex=document.getElementById("exportRailway");
   if(btn)btn.disabled=true;if(sp)sp.style.display="inline-block";
   showAlert("alertInfo","⏳ Sauvegarde en cours...");
   try{
-    var r=await fetch("/admin/salon/save?token="+encodeURIComponent(token),{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({variables:getValues()})});
+    var r=await fetch("${BASE_PATH}/admin/salon/save",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({variables:getValues(),railway:!!(ex&&ex.checked)})});
     var j;try{j=await r.json();}catch(pe){throw new Error("Réponse invalide ("+r.status+")");}
     if(!r.ok||!j.ok)throw new Error(j.error||"Erreur HTTP "+r.status);
-    if(j.redeployed){
-      var sec=60,el=document.getElementById("alertOk");
-      showAlert("alertOk","✅ Sauvegardé! Redémarrage...");
-      var iv=setInterval(function(){sec--;el.textContent="✅ Rafraîchir dans "+sec+"s...";if(sec<=0){clearInterval(iv);el.textContent="✅ Prêt — rafraîchis la page.";}},1000);
-    }else{showAlert("alertOk","✅ Variables sauvegardées."+(j.warning?" Note: "+j.warning:""));}
+    renderHist(j.historique);
+    var msg=j.changements.length?"✅ "+j.changements.length+" réglage(s) sauvegardé(s) — appliqué au prochain appel.":"Aucun changement.";
+    if(j.railway)msg+=" Variables Railway mises à jour.";
+    if(j.warning)showAlert("alertErr","⚠️ "+j.warning);else showAlert("alertOk",msg);
   }catch(e){showAlert("alertErr","❌ "+e.message);}
   finally{if(btn)btn.disabled=false;if(sp)sp.style.display="none";}
 }
 
+// Services
+var svcData=[];
+function esc(v){return String(v==null?"":v).replace(/&/g,"&amp;").replace(/</g,"&lt;");}
+function showSvcOk(m){var e=document.getElementById("alertSvcOk");e.textContent=m;e.style.display="block";document.getElementById("alertSvcErr").style.display="none";setTimeout(function(){e.style.display="none";},4000);}
+function showSvcErr(m){var e=document.getElementById("alertSvcErr");e.textContent=m;e.style.display="block";document.getElementById("alertSvcOk").style.display="none";}
+function renderSvc(){
+  var list=document.getElementById("svcList");
+  if(!svcData.length){list.innerHTML="<p class='empty-faq'>Aucun service. Cliquez sur Ajouter.</p>";return;}
+  list.innerHTML=svcData.map(function(s){
+    return "<div class='faq-row'><div class='faq-head' style='cursor:default'>"
+      +"<span class='faq-num'>"+esc(s.key)+"</span>"
+      +"<span class='faq-q'>"+esc(s.label)+" <span style='color:#9ca3af;font-weight:400'>· "+s.duration+" min"+(s.price?" · "+esc(s.price):"")+" · "+esc(s.keywords.join(", "))+"</span></span>"
+      +"<button class='btn-edit' data-edit='"+esc(s.key)+"'>✏️</button> "
+      +"<button class='btn-del' data-del='"+esc(s.key)+"'>🗑</button>"
+      +"</div></div>";
+  }).join("");
+  list.querySelectorAll("[data-edit]").forEach(function(b){b.addEventListener("click",function(){openSvcModal(b.dataset.edit);});});
+  list.querySelectorAll("[data-del]").forEach(function(b){b.addEventListener("click",function(){deleteSvc(b.dataset.del);});});
+}
+async function loadSvc(){
+  try{
+    var r=await fetch("${BASE_PATH}/admin/services");
+    if(!r.ok)throw new Error("HTTP "+r.status);
+    svcData=(await r.json()).items||[];renderSvc();
+  }catch(e){document.getElementById("svcList").innerHTML="<p class='empty-faq'>Erreur chargement services : "+e.message+"</p>";}
+}
+loadSvc();
+function openSvcModal(key){
+  var s=svcData.find(function(x){return x.key===key;})||{key:"",label:"",prompt:"",keywords:[],duration:"",price:"",eventTypeUri:"",staff:{}};
+  document.getElementById("svcModalTitle").textContent=key?"Modifier le service":"Ajouter un service";
+  document.getElementById("svcKey").value=s.key;document.getElementById("svcLabel").value=s.label;
+  document.getElementById("svcPrompt").value=s.prompt||"";document.getElementById("svcKeywords").value=s.keywords.join(", ");
+  document.getElementById("svcDuration").value=s.duration;document.getElementById("svcPrice").value=s.price||"";
+  document.getElementById("svcUri").value=s.eventTypeUri||"";
+  document.getElementById("svcStaff").value=Object.entries(s.staff||{}).map(function(e){return e[0]+" = "+e[1];}).join("\\n");
+  document.getElementById("svcEditKey").value=key||"";
+  document.getElementById("svcModal").classList.add("open");
+}
+function closeSvcModal(){document.getElementById("svcModal").classList.remove("open");}
+document.getElementById("svcModal").addEventListener("click",function(e){if(e.target===this)closeSvcModal();});
+async function saveSvcModal(){
+  var staff={};
+  document.getElementById("svcStaff").value.split("\\n").forEach(function(l){var i=l.indexOf("=");if(i>0)staff[l.slice(0,i).trim()]=l.slice(i+1).trim();});
+  var body={key:document.getElementById("svcKey").value,label:document.getElementById("svcLabel").value,prompt:document.getElementById("svcPrompt").value,
+    keywords:document.getElementById("svcKeywords").value,duration:document.getElementById("svcDuration").value,price:document.getElementById("svcPrice").value,
+    eventTypeUri:document.getElementById("svcUri").value,staff:staff};
+  var editKey=document.getElementById("svcEditKey").value;
+  try{
+    var r=await fetch(editKey?"${BASE_PATH}/admin/services/"+encodeURIComponent(editKey):"${BASE_PATH}/admin/services",{method:editKey?"PUT":"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(body)});
+    var j=await r.json();if(!r.ok||!j.ok){showSvcErr("❌ "+(j.error||"Erreur"));return;}
+    closeSvcModal();svcData=j.items;renderSvc();showSvcOk(editKey?"✅ Service modifié.":"✅ Service ajouté.");
+  }catch(e){showSvcErr("❌ "+e.message);}
+}
+async function deleteSvc(key){
+  if(!confirm("Supprimer le service « "+key+" »?"))return;
+  try{
+    var r=await fetch("${BASE_PATH}/admin/services/"+encodeURIComponent(key),{method:"DELETE"});
+    var j=await r.json();if(!r.ok||!j.ok){showSvcErr("❌ "+(j.error||"Erreur"));return;}
+    svcData=j.items;renderSvc();showSvcOk("🗑 Service supprimé.");
+  }catch(e){showSvcErr("❌ "+e.message);}
+}
+
+// Rappels
+var remData={actif:true,rappels:[]};
+function showRem(id,m){["alertRemOk","alertRemErr"].forEach(function(i){document.getElementById(i).style.display="none";});var e=document.getElementById(id);e.textContent=m;e.style.display="block";}
+function renderRem(){
+  document.getElementById("remActif").checked=!!remData.actif;
+  document.getElementById("remList").innerHTML=remData.rappels.map(function(r,i){
+    return "<div class='field' style='display:flex;gap:10px;align-items:flex-start'>"
+      +"<div style='width:110px'><label>Heures avant</label><input type='text' id='remH"+i+"' value='"+r.heures+"'></div>"
+      +"<div style='flex:1'><label>Modèle</label><textarea id='remM"+i+"' rows='3'>"+esc(r.modele)+"</textarea>"
+      +"<label style='margin-top:6px'>Modèle anglais (clients anglophones)</label><textarea id='remE"+i+"' rows='3'>"+esc(r.modeleEn||"")+"</textarea></div>"
+      +"<button class='btn-del' style='margin-top:22px' data-rm='"+i+"'>🗑</button></div>";
+  }).join("")||"<p class='empty-faq'>Aucun rappel configuré.</p>";
+  document.querySelectorAll("[data-rm]").forEach(function(b){b.addEventListener("click",function(){readRem();remData.rappels.splice(+b.dataset.rm,1);renderRem();});});
+}
+function readRem(){
+  remData.actif=document.getElementById("remActif").checked;
+  remData.rappels=remData.rappels.map(function(r,i){return{heures:document.getElementById("remH"+i).value,modele:document.getElementById("remM"+i).value,modeleEn:document.getElementById("remE"+i).value};});
+}
+function addRem(){readRem();remData.rappels.push({heures:24,modele:"{salon}: rappel - RDV {date}{avec}",modeleEn:"{salon}: reminder - appointment {date}{avec}"});renderRem();}
+async function loadRem(){
+  try{
+    var r=await fetch("${BASE_PATH}/admin/reminders");if(!r.ok)throw new Error("HTTP "+r.status);
+    var j=await r.json();remData=j.settings;renderRem();
+    document.getElementById("remQueue").innerHTML=j.prochains.length
+      ?j.prochains.map(function(q){return "• "+esc(q.envoi)+" — "+esc(q.name||"")+" ("+esc(q.phone)+") pour le RDV "+esc(q.rdv)+" ["+q.heures+"h]";}).join("<br>")
+      :"<span style='color:#9ca3af'>Aucun rappel en file.</span>";
+  }catch(e){showRem("alertRemErr","Erreur chargement rappels : "+e.message);}
+}
+loadRem();
+async function saveRem(){
+  readRem();
+  try{
+    var r=await fetch("${BASE_PATH}/admin/reminders/settings",{method:"PUT",headers:{"Content-Type":"application/json"},body:JSON.stringify(remData)});
+    var j=await r.json();if(!r.ok||!j.ok){showRem("alertRemErr","❌ "+(j.error||"Erreur"));return;}
+    remData=j.settings;renderRem();showRem("alertRemOk","✅ Rappels sauvegardés.");
+  }catch(e){showRem("alertRemErr","❌ "+e.message);}
+}
+
+// Heures d'ouverture
+var HRS_JOURS=${JSON.stringify(JOURS_NOMS)};
+function showHrs(id,m){["alertHrsOk","alertHrsErr"].forEach(function(i){document.getElementById(i).style.display="none";});var e=document.getElementById(id);e.textContent=m;e.style.display="block";}
+function renderHrs(j){
+  var s=j.settings;
+  HRS_JOURS.forEach(function(d){document.getElementById("hrs-"+d).value=(s.heures[d]||[]).map(function(p){return p[0]+"-"+p[1];}).join(", ");});
+  document.getElementById("hrsConges").value=s.conges.map(function(c){return c.date+(c.nom?" "+c.nom:"");}).join("\\n");
+  document.getElementById("hrsOuvert").value=s.siOuvert;document.getElementById("hrsFerme").value=s.siFerme;
+  document.getElementById("hrsSonnerie").value=s.sonnerie;
+  document.getElementById("hrsStatut").innerHTML=s.configure
+    ?(j.statut.ouvert?"🟢 Ouvert":"🔴 Fermé"+(j.statut.prochaine?" — réouverture "+esc(j.statut.prochaine):""))+(s.comptoirOccupe?" · comptoir occupé":"")
+    :"⚠️ Horaire non configuré — tous les appels vont à l'agent.";
+  document.getElementById("hrsTexte").textContent=j.texte;
+}
+async function loadHrs(){
+  try{var r=await fetch("${BASE_PATH}/admin/hours");var j=await r.json();renderHrs(j);}
+  catch(e){showHrs("alertHrsErr","Erreur chargement horaire : "+e.message);}
+}
+loadHrs();
+async function saveHrs(){
+  var heures={};
+  HRS_JOURS.forEach(function(d){
+    var v=document.getElementById("hrs-"+d).value.trim();
+    if(v)heures[d]=v.split(",").map(function(p){return p.trim().split("-").map(function(x){return x.trim();});});
+  });
+  var conges=document.getElementById("hrsConges").value.split("\\n").map(function(l){return l.trim();}).filter(Boolean).map(function(l){
+    var i=l.indexOf(" ");return i<0?{date:l,nom:""}:{date:l.slice(0,i),nom:l.slice(i+1).trim()};
+  });
+  try{
+    var r=await fetch("${BASE_PATH}/admin/hours",{method:"PUT",headers:{"Content-Type":"application/json"},body:JSON.stringify({
+      heures:heures,conges:conges,sonnerie:document.getElementById("hrsSonnerie").value,
+      siOuvert:document.getElementById("hrsOuvert").value,siFerme:document.getElementById("hrsFerme").value})});
+    var j=await r.json();if(!r.ok||!j.ok){showHrs("alertHrsErr","❌ "+(j.error||"Erreur"));return;}
+    renderHrs(j);showHrs("alertHrsOk","✅ Horaire sauvegardé — appliqué au prochain appel.");
+  }catch(e){showHrs("alertHrsErr","❌ "+e.message);}
+}
+
+// Places libérées
+function showFill(id,m){["alertFillOk","alertFillErr"].forEach(function(i){document.getElementById(i).style.display="none";});var e=document.getElementById(id);e.textContent=m;e.style.display="block";}
+function renderFill(j){
+  var s=j.settings;
+  document.getElementById("fillActif").checked=!!s.actif;
+  document.getElementById("fillDebut").value=s.heureDebut;document.getElementById("fillFin").value=s.heureFin;
+  document.getElementById("fillMax").value=s.maxAppels;document.getElementById("fillDelai").value=s.delaiMinimum;
+  document.getElementById("fillClients").innerHTML=j.clients.length
+    ?j.clients.map(function(c){return "• "+esc(c.nom||"(sans nom)")+" — "+esc(c.phone)+(c.coiffeuse?" · "+esc(c.coiffeuse):"")+(c.services.length?" · "+esc(c.services.join(", ")):"")+" <button class='btn-del' data-fc='"+c.id+"'>🗑</button>";}).join("<br>")
+    :"<span style='color:#9ca3af'>Aucun client inscrit.</span>";
+  document.querySelectorAll("[data-fc]").forEach(function(b){b.addEventListener("click",function(){delFillClient(b.dataset.fc);});});
+  document.getElementById("fillCampaigns").innerHTML=j.campagnes.length
+    ?j.campagnes.map(function(c){return "• "+esc(c.rdv)+(c.coiffeuse?" avec "+esc(c.coiffeuse):"")+" — <b>"+esc(c.status)+"</b>"+(c.appels.length?" ("+c.appels.map(function(a){return esc(a.nom||a.phone)+" : "+esc(a.statut);}).join(", ")+")":"")+(c.status==="active"?" <button class='btn-del' data-stop='"+c.id+"'>⏹ Arrêter</button>":"");}).join("<br>")
+    :"<span style='color:#9ca3af'>Aucune place libérée récemment.</span>";
+  document.querySelectorAll("[data-stop]").forEach(function(b){b.addEventListener("click",function(){stopFill(b.dataset.stop);});});
+}
+async function fillCall(url,opts,ok){
+  try{
+    var r=await fetch(url,opts);var j=await r.json();
+    if(!r.ok||!j.ok){showFill("alertFillErr","❌ "+(j.error||"Erreur"));return;}
+    renderFill(j);if(ok)showFill("alertFillOk",ok);
+  }catch(e){showFill("alertFillErr","❌ "+e.message);}
+}
+function loadFill(){fillCall("${BASE_PATH}/admin/fill",{});}
+loadFill();
+function saveFill(){
+  fillCall("${BASE_PATH}/admin/fill/settings",{method:"PUT",headers:{"Content-Type":"application/json"},body:JSON.stringify({
+    actif:document.getElementById("fillActif").checked,heureDebut:document.getElementById("fillDebut").value,heureFin:document.getElementById("fillFin").value,
+    maxAppels:document.getElementById("fillMax").value,delaiMinimum:document.getElementById("fillDelai").value})},"✅ Réglages sauvegardés.");
+}
+function addFillClient(){
+  var services=[].slice.call(document.querySelectorAll(".fcSvc:checked")).map(function(c){return c.value;});
+  fillCall("${BASE_PATH}/admin/fill/clients",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({
+    nom:document.getElementById("fcNom").value,phone:document.getElementById("fcPhone").value,coiffeuse:document.getElementById("fcCoiffeuse").value,services:services})},"✅ Client inscrit.");
+}
+function delFillClient(id){
+  if(!confirm("Retirer ce client de la liste?"))return;
+  fillCall("${BASE_PATH}/admin/fill/clients/"+encodeURIComponent(id),{method:"DELETE"},"🗑 Client retiré.");
+}
+function stopFill(id){
+  fillCall("${BASE_PATH}/admin/fill/campaigns/"+encodeURIComponent(id)+"/stop",{method:"POST"},"⏹ Campagne arrêtée.");
+}
+
 // FAQ
 var faqData=[];
-function gettok(){return document.getElementById("tok").value.trim();}
 function showFaqOk(m){var e=document.getElementById("alertFaqOk");e.textContent=m;e.style.display="block";document.getElementById("alertFaqErr").style.display="none";setTimeout(function(){e.style.display="none";},4000);}
 function showFaqErr(m){var e=document.getElementById("alertFaqErr");e.textContent=m;e.style.display="block";document.getElementById("alertFaqOk").style.display="none";}
 
@@ -2296,7 +6427,7 @@ function renderFaq(){
 
 async function loadFaq(){
   try{
-    var r=await fetch("/admin/faq");
+    var r=await fetch("${BASE_PATH}/admin/faq");
     if(!r.ok){throw new Error("HTTP "+r.status+" — "+r.statusText);}
     var j=await r.json();
     faqData=j.items||[];
@@ -2327,12 +6458,11 @@ function closeFaqModal(){document.getElementById("faqModal").classList.remove("o
 document.getElementById("faqModal").addEventListener("click",function(e){if(e.target===this)closeFaqModal();});
 
 async function saveModal(){
-  var tok=gettok();if(!tok){showFaqErr("⚠️ Entre ton token admin d'abord.");return;}
   var q=document.getElementById("modalQ").value.trim(),a=document.getElementById("modalA").value.trim(),id=document.getElementById("modalId").value;
   if(!q||!a){showFaqErr("Question et réponse obligatoires.");return;}
-  var isEdit=!!id,url=isEdit?"/admin/faq/"+id:"/admin/faq",method=isEdit?"PUT":"POST";
+  var isEdit=!!id,url=isEdit?"${BASE_PATH}/admin/faq/"+id:"${BASE_PATH}/admin/faq",method=isEdit?"PUT":"POST";
   try{
-    var r=await fetch(url,{method:method,headers:{"Content-Type":"application/json","x-admin-token":tok},body:JSON.stringify({question:q,reponse:a})});
+    var r=await fetch(url,{method:method,headers:{"Content-Type":"application/json"},body:JSON.stringify({question:q,reponse:a})});
     var j=await r.json();if(!r.ok||!j.ok){showFaqErr("❌ "+(j.error||"Erreur"));return;}
     closeFaqModal();
     if(isEdit){var idx=faqData.findIndex(function(f){return f.id==id;});if(idx>=0)faqData[idx]={id:id,question:q,reponse:a};}
@@ -2342,14 +6472,55 @@ async function saveModal(){
 }
 
 async function deleteFaq(id){
-  var tok=gettok();if(!tok){showFaqErr("⚠️ Token admin requis.");return;}
   if(!confirm("Supprimer cette question?"))return;
   try{
-    var r=await fetch("/admin/faq/"+id,{method:"DELETE",headers:{"x-admin-token":tok}});
+    var r=await fetch("${BASE_PATH}/admin/faq/"+id,{method:"DELETE"});
     var j=await r.json();if(!r.ok||!j.ok){showFaqErr("❌ "+(j.error||"Erreur"));return;}
     faqData=faqData.filter(function(f){return f.id!=id;});renderFaq();showFaqOk("🗑 Question supprimée.");
   }catch(e){showFaqErr("❌ "+e.message);}
 }
+${proprio ? `
+// Comptes
+var ROLE_LABELS=${JSON.stringify(ROLE_LABELS)};
+function showUsr(id,m){["alertUsrOk","alertUsrErr"].forEach(function(i){document.getElementById(i).style.display="none";});var e=document.getElementById(id);e.textContent=m;e.style.display="block";}
+function renderUsers(items){
+  document.getElementById("usrList").innerHTML=items.length?items.map(function(u){
+    return "<div class='faq-row'><div class='faq-head' style='cursor:default'>"
+      +"<span class='faq-q'>"+esc(u.nom)+" <span style='color:#9ca3af;font-weight:400'>· "+esc(u.email)+(u.lastLoginAt?" · vu "+esc(u.lastLoginAt.slice(0,16).replace("T"," ")):"")+"</span></span>"
+      +"<select data-role='"+u.id+"' style='padding:5px;border:1.5px solid #d1d5db;border-radius:7px'>"+Object.keys(ROLE_LABELS).map(function(k){return "<option value='"+k+"'"+(k===u.role?" selected":"")+">"+ROLE_LABELS[k]+"</option>";}).join("")+"</select> "
+      +"<button class='btn-edit' data-mdp='"+u.id+"'>🔑</button> "
+      +"<button class='btn-del' data-deluser='"+u.id+"'>🗑</button>"
+      +"</div></div>";
+  }).join(""):"<p class='empty-faq'>Aucun compte — tu es connecté avec ADMIN_TOKEN. Crée le compte du propriétaire.</p>";
+  document.querySelectorAll("[data-role]").forEach(function(el){el.addEventListener("change",function(){userCall("PUT",el.dataset.role,{role:el.value},"✅ Rôle modifié.");});});
+  document.querySelectorAll("[data-mdp]").forEach(function(b){b.addEventListener("click",function(){var m=prompt("Nouveau mot de passe (10 caractères minimum)");if(m)userCall("PUT",b.dataset.mdp,{motDePasse:m},"✅ Mot de passe changé.");});});
+  document.querySelectorAll("[data-deluser]").forEach(function(b){b.addEventListener("click",function(){if(confirm("Supprimer ce compte?"))userCall("DELETE",b.dataset.deluser,null,"🗑 Compte supprimé.");});});
+}
+async function userCall(method,id,body,ok){
+  try{
+    var r=await fetch("${BASE_PATH}/admin/users"+(id?"/"+encodeURIComponent(id):""),{method:method,headers:{"Content-Type":"application/json"},body:body?JSON.stringify(body):undefined});
+    var j=await r.json();if(!r.ok||!j.ok){showUsr("alertUsrErr","❌ "+(j.error||"Erreur"));return false;}
+    renderUsers(j.items);showUsr("alertUsrOk",ok);loadAudit();return true;
+  }catch(e){showUsr("alertUsrErr","❌ "+e.message);return false;}
+}
+async function addUser(){
+  var ok=await userCall("POST",null,{email:document.getElementById("usrEmail").value,nom:document.getElementById("usrNom").value,
+    role:document.getElementById("usrRole").value,motDePasse:document.getElementById("usrMdp").value},"✅ Compte créé.");
+  if(ok)["usrEmail","usrNom","usrMdp"].forEach(function(i){document.getElementById(i).value="";});
+}
+async function loadUsers(){
+  try{var r=await fetch("${BASE_PATH}/admin/users");var j=await r.json();renderUsers(j.items||[]);}
+  catch(e){showUsr("alertUsrErr","Erreur chargement comptes : "+e.message);}
+}
+async function loadAudit(){
+  try{
+    var r=await fetch("${BASE_PATH}/admin/audit");var j=await r.json();
+    document.getElementById("auditList").innerHTML=(j.items||[]).length?j.items.map(function(a){
+      return "• "+esc(a.at.slice(0,19).replace("T"," "))+" — <b>"+esc(a.user||"anonyme")+"</b> "+esc(a.action)+(a.detail?" <span style='color:#9ca3af'>("+esc(a.detail)+")</span>":"")+(a.ip?" <span style='color:#9ca3af'>"+esc(a.ip)+"</span>":"");
+    }).join("<br>"):"<span style='color:#9ca3af'>Aucune action journalisée.</span>";
+  }catch(e){document.getElementById("auditList").textContent="Erreur chargement journal : "+e.message;}
+}
+loadUsers();loadAudit();` : ""}
 </script>
 </body>
 </html>`);
@@ -2358,22 +6529,83 @@ async function deleteFaq(id){
 
 
 
-// ─── Routes FAQ (CRUD) ───────────────────────────────────────────────────────
-const checkAdminToken = (req, res) => {
-  const token = req.headers["x-admin-token"] || req.query.token;
-  if (!token || token !== (process.env.ADMIN_TOKEN || "")) {
-    res.status(401).json({ error: "Non autorisé" });
-    return false;
+// ─── Routes comptes et audit ─────────────────────────────────────────────────
+app.get("/admin/users", requireRole("proprietaire", { journal: false }), (req, res) => {
+  res.json({ ok: true, items: users.map(publicUser) });
+});
+
+app.post("/admin/users", requireRole("proprietaire"), (req, res) => {
+  const { user, error } = validateUser(req.body);
+  if (error) return res.status(400).json({ error });
+  const item = { id: crypto.randomBytes(8).toString("hex"), ...user, createdAt: new Date().toISOString(), lastLoginAt: null };
+  users.push(item);
+  saveUsers();
+  console.log(`[AUTH] ✅ Compte créé — ${item.email} (${item.role})`);
+  res.json({ ok: true, items: users.map(publicUser) });
+});
+
+app.put("/admin/users/:id", requireRole("proprietaire"), (req, res) => {
+  const existant = users.find(u => u.id === req.params.id);
+  if (!existant) return res.status(404).json({ error: "Compte introuvable." });
+  const { user, error } = validateUser(req.body, existant);
+  if (error) return res.status(400).json({ error });
+  const changeAcces = user.role !== existant.role || !!user.hash;
+  Object.assign(existant, user, { updatedAt: new Date().toISOString() });
+  saveUsers();
+  if (changeAcces) fermerSessions(existant.id); // nouveau rôle ou mot de passe : reconnexion
+  console.log(`[AUTH] ✅ Compte modifié — ${existant.email} (${existant.role})`);
+  res.json({ ok: true, items: users.map(publicUser) });
+});
+
+app.delete("/admin/users/:id", requireRole("proprietaire"), (req, res) => {
+  const existant = users.find(u => u.id === req.params.id);
+  if (!existant) return res.status(404).json({ error: "Compte introuvable." });
+  if (existant.role === "proprietaire" && users.filter(u => u.role === "proprietaire").length === 1) {
+    return res.status(400).json({ error: "Il doit rester au moins un propriétaire." });
   }
-  return true;
-};
+  users = users.filter(u => u.id !== existant.id);
+  saveUsers();
+  fermerSessions(existant.id);
+  console.log(`[AUTH] 🗑 Compte supprimé — ${existant.email}`);
+  res.json({ ok: true, items: users.map(publicUser) });
+});
+
+app.get("/admin/audit", requireRole("proprietaire", { journal: false }), (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 200, 1), 2000);
+  res.json({ ok: true, items: readAudit(limit) });
+});
+
+// ─── Routes réglages du salon ────────────────────────────────────────────────
+app.get("/admin/salon/settings", requireRole("lecture"), (req, res) => res.json(salonSettingsState()));
+
+app.post("/admin/salon/save", requireRole("proprietaire"), async (req, res) => {
+  const { valeurs, error } = validateSalonSettings(req.body?.variables);
+  if (error) return res.status(400).json({ error });
+  const changements = updateSalonSettings(valeurs, req.user);
+  let railway = false, warning = null;
+  if (req.body?.railway) {
+    if (!RAILWAY_EXPORT) warning = "Export Railway non configuré.";
+    else {
+      try {
+        await exportSettingsToRailway(salonSettingValues());
+        railway = true;
+        console.log("[SETTINGS] ✅ Exporté vers les variables Railway (sans redéploiement)");
+      } catch(e) {
+        console.error("[SETTINGS] ❌ Export Railway:", e.message);
+        warning = `Sauvegardé, mais l'export Railway a échoué : ${e.message}`;
+      }
+    }
+  }
+  res.json({ ...salonSettingsState(), changements: Object.keys(changements), railway, warning });
+});
+
+// ─── Routes FAQ (CRUD) ───────────────────────────────────────────────────────
 
-app.get("/admin/faq", (req, res) => {
+app.get("/admin/faq", requireRole("lecture"), (req, res) => {
   res.json({ ok: true, items: faqItems });
 });
 
-app.post("/admin/faq", (req, res) => {
-  if (!checkAdminToken(req, res)) return;
+app.post("/admin/faq", requireRole("employe"), (req, res) => {
   const { question, reponse } = req.body;
   if (!question?.trim() || !reponse?.trim()) return res.status(400).json({ error: "question et reponse requis" });
   const item = { id: Date.now().toString(), question: question.trim(), reponse: reponse.trim(), createdAt: new Date().toISOString() };
@@ -2383,8 +6615,7 @@ app.post("/admin/faq", (req, res) => {
   res.json({ ok: true, item });
 });
 
-app.put("/admin/faq/:id", (req, res) => {
-  if (!checkAdminToken(req, res)) return;
+app.put("/admin/faq/:id", requireRole("employe"), (req, res) => {
   const { question, reponse } = req.body;
   const idx = faqItems.findIndex(f => f.id === req.params.id);
   if (idx < 0) return res.status(404).json({ error: "Introuvable" });
@@ -2395,42 +6626,393 @@ app.put("/admin/faq/:id", (req, res) => {
   res.json({ ok: true, item: faqItems[idx] });
 });
 
-app.delete("/admin/faq/:id", (req, res) => {
-  if (!checkAdminToken(req, res)) return;
-  const idx = faqItems.findIndex(f => f.id === req.params.id);
-  if (idx < 0) return res.status(404).json({ error: "Introuvable" });
-  const [removed] = faqItems.splice(idx, 1);
-  saveFaq();
-  console.log(`[FAQ] 🗑 Supprimé: ${removed.question.substring(0,50)}`);
+app.delete("/admin/faq/:id", requireRole("employe"), (req, res) => {
+  const idx = faqItems.findIndex(f => f.id === req.params.id);
+  if (idx < 0) return res.status(404).json({ error: "Introuvable" });
+  const [removed] = faqItems.splice(idx, 1);
+  saveFaq();
+  console.log(`[FAQ] 🗑 Supprimé: ${removed.question.substring(0,50)}`);
+  res.json({ ok: true });
+});
+
+// ─── Routes catalogue des services (CRUD) ─────────────────────────────────────
+// Après chaque modification : recharger les coiffeuses pour refaire la correspondance des event types
+function servicesChanged() {
+  saveServices();
+  loadCoiffeuses().catch(e => console.error("[SERVICES] ❌ Rechargement coiffeuses:", e.message));
+}
+
+app.get("/admin/services", requireRole("lecture"), (req, res) => {
+  res.json({ ok: true, items: serviceCatalog });
+});
+
+app.post("/admin/services", requireRole("proprietaire"), (req, res) => {
+  const { service, error } = validateService(req.body || {});
+  if (error) return res.status(400).json({ error });
+  serviceCatalog.push(service);
+  servicesChanged();
+  console.log(`[SERVICES] ✅ Ajout: ${service.key} (${service.label})`);
+  res.json({ ok: true, item: service, items: serviceCatalog });
+});
+
+app.put("/admin/services/:key", requireRole("proprietaire"), (req, res) => {
+  const idx = serviceCatalog.findIndex(s => s.key === req.params.key);
+  if (idx < 0) return res.status(404).json({ error: "Introuvable" });
+  const { service, error } = validateService(req.body || {}, req.params.key);
+  if (error) return res.status(400).json({ error });
+  serviceCatalog[idx] = service;
+  servicesChanged();
+  console.log(`[SERVICES] ✅ Modifié: ${service.key}`);
+  res.json({ ok: true, item: service, items: serviceCatalog });
+});
+
+app.delete("/admin/services/:key", requireRole("proprietaire"), (req, res) => {
+  const idx = serviceCatalog.findIndex(s => s.key === req.params.key);
+  if (idx < 0) return res.status(404).json({ error: "Introuvable" });
+  if (serviceCatalog.length === 1) return res.status(400).json({ error: "Le catalogue doit contenir au moins un service." });
+  const [removed] = serviceCatalog.splice(idx, 1);
+  servicesChanged();
+  console.log(`[SERVICES] 🗑 Supprimé: ${removed.key}`);
+  res.json({ ok: true, items: serviceCatalog });
+});
+
+// ─── Routes rappels texto ────────────────────────────────────────────────────
+app.get("/admin/reminders", requireRole("lecture"), (req, res) => {
+  const prochains = reminders
+    .filter(r => r.status === "planifié")
+    .sort((a, b) => new Date(a.sendAt) - new Date(b.sendAt))
+    .slice(0, 20)
+    .map(r => ({ envoi: slotToShort(r.sendAt), rdv: slotToShort(r.slotIso), name: r.name, phone: "###-###-" + (r.phone || "").slice(-4), heures: r.heures }));
+  res.json({ ok: true, settings: reminderSettings, prochains });
+});
+
+app.put("/admin/reminders/settings", requireRole("proprietaire"), (req, res) => {
+  const { settings, error } = validateReminderSettings(req.body || {});
+  if (error) return res.status(400).json({ error });
+  reminderSettings = settings;
+  saveReminderSettings();
+  console.log(`[REMINDER] ✅ Réglages: ${settings.actif ? "actifs" : "désactivés"} — ${settings.rappels.map(r => r.heures + "h").join(", ")}`);
+  res.json({ ok: true, settings });
+});
+
+// ─── Routes places libérées (appels sortants) ─────────────────────────────────
+function fillAdminState() {
+  const { clients, ...settings } = fillSettings;
+  return {
+    ok: true,
+    settings,
+    clients: clients.map(c => ({ ...c, phone: "###-###-" + c.phone.slice(-4) })),
+    campagnes: fillCampaigns.slice(-10).reverse().map(c => ({
+      id: c.id, rdv: slotToShort(c.iso), coiffeuse: c.coiffeuse, status: c.status,
+      appels: c.appels.map(a => ({ nom: a.nom, phone: "###-###-" + a.phone.slice(-4), statut: a.statut })),
+    })),
+  };
+}
+
+app.get("/admin/fill", requireRole("lecture"), (req, res) => res.json(fillAdminState()));
+
+app.put("/admin/fill/settings", requireRole("proprietaire"), (req, res) => {
+  const { settings, error } = validateFillSettings(req.body || {});
+  if (error) return res.status(400).json({ error });
+  Object.assign(fillSettings, settings);
+  saveFillSettings();
+  console.log(`[FILL] ✅ Réglages: ${settings.actif ? "actifs" : "désactivés"} — ${settings.heureDebut}-${settings.heureFin}, ${settings.maxAppels} appels max`);
+  res.json(fillAdminState());
+});
+
+app.post("/admin/fill/clients", requireRole("employe"), (req, res) => {
+  const { client, error } = validateFillClient(req.body || {});
+  if (error) return res.status(400).json({ error });
+  fillSettings.clients = fillSettings.clients.filter(c => !samePhone(c.phone, client.phone));
+  fillSettings.clients.push({ id: crypto.randomBytes(4).toString("hex"), ...client });
+  saveFillSettings();
+  res.json(fillAdminState());
+});
+
+app.delete("/admin/fill/clients/:id", requireRole("employe"), (req, res) => {
+  const avant = fillSettings.clients.length;
+  fillSettings.clients = fillSettings.clients.filter(c => c.id !== req.params.id);
+  if (fillSettings.clients.length === avant) return res.status(404).json({ error: "Client introuvable." });
+  saveFillSettings();
+  res.json(fillAdminState());
+});
+
+app.post("/admin/fill/campaigns/:id/stop", requireRole("employe"), (req, res) => {
+  const c = fillCampaigns.find(x => x.id === req.params.id && x.status === "active");
+  if (!c) return res.status(404).json({ error: "Campagne introuvable ou terminée." });
+  closeFillCampaign(c, "arrêté");
+  saveFillCampaigns();
+  res.json(fillAdminState());
+});
+
+// Webhook Calendly invitee.canceled — RDV annulé ou déplacé par le lien Calendly du texto
+// ou par une coiffeuse dans Calendly : rappels annulés et place offerte comme les autres.
+// Abonnement (une fois) : POST https://api.calendly.com/webhook_subscriptions avec
+// url = PUBLIC_BASE_URL/calendly/webhook, events ["invitee.canceled"], scope "organization"
+// et signing_key = CALENDLY_WEBHOOK_SIGNING_KEY. Sans clé : 503, comme les webhooks Twilio.
+if (scheduler.name === "Calendly" && !CALENDLY_WEBHOOK_SIGNING_KEY) console.warn("[CALENDLY] ⚠️ CALENDLY_WEBHOOK_SIGNING_KEY absent — annulations faites dans Calendly non reçues");
+
+// En-tête Calendly-Webhook-Signature : "t=<secondes>,v1=<HMAC-SHA256 de "t.corps">"
+function calendlySignatureValide(req) {
+  const sig = Object.fromEntries(String(req.headers["calendly-webhook-signature"] || "").split(",").map(p => p.trim().split("=")));
+  if (!sig.t || !sig.v1 || !req.rawBody) return false;
+  if (Math.abs(Date.now() / 1000 - Number(sig.t)) > 3 * 60) return false; // rejeu
+  const attendu = crypto.createHmac("sha256", CALENDLY_WEBHOOK_SIGNING_KEY).update(`${sig.t}.${req.rawBody}`).digest("hex");
+  return attendu.length === sig.v1.length && crypto.timingSafeEqual(Buffer.from(attendu), Buffer.from(sig.v1));
+}
+
+app.post("/calendly/webhook", (req, res) => {
+  if (!CALENDLY_WEBHOOK_SIGNING_KEY) return res.status(503).send("CALENDLY_WEBHOOK_SIGNING_KEY non configuré");
+  if (!calendlySignatureValide(req)) {
+    recordRejection("signature", "/calendly/webhook", clientIp(req), "signature Calendly invalide");
+    return res.sendStatus(403);
+  }
+  res.sendStatus(200);
+  const { event, payload } = req.body || {};
+  const rdv = payload?.scheduled_event;
+  if (event !== "invitee.canceled" || !rdv?.uri || !rdv.start_time) return;
+  const phone = reminders.find(r => r.eventUri === rdv.uri)?.phone || normalizePhone(payload.text_reminder_number || "") || null;
+  console.log(`[CALENDLY] 🗑 RDV ${payload.rescheduled ? "déplacé" : "annulé"} dans Calendly — ${slotToShort(rdv.start_time)}`);
+  cancelReminders(rdv.uri);
+  offerFreedSlot({ iso: rdv.start_time, uri: rdv.event_type, exceptPhone: phone, raison: payload.rescheduled ? "déplacement Calendly" : "annulation Calendly" });
+});
+
+// ─── Routes heures d'ouverture ────────────────────────────────────────────────
+function hoursAdminState() {
+  const { ouvert, conge, prochaine } = salonStatus();
+  return {
+    ok: true,
+    settings: salonHours,
+    statut: { ouvert, conge, prochaine: prochaine ? slotToShort(prochaine.toISOString()) : null, ...routeIncomingCall() },
+    texte: salonHoursText(),
+  };
+}
+
+app.get("/admin/hours", requireRole("lecture"), (req, res) => res.json(hoursAdminState()));
+
+app.put("/admin/hours", requireRole("proprietaire"), (req, res) => {
+  const { settings, error } = validateHours(req.body || {});
+  if (error) return res.status(400).json({ error });
+  Object.assign(salonHours, settings);
+  saveHours();
+  console.log(`[HOURS] ✅ Horaire sauvegardé — ${Object.keys(settings.heures).length} jour(s) ouvert(s), ${settings.conges.length} congé(s)`);
+  res.json(hoursAdminState());
+});
+
+// Bouton « comptoir occupé » du dashboard
+app.put("/admin/hours/comptoir", requireRole("employe"), (req, res) => {
+  salonHours.comptoirOccupe = !!req.body?.occupe;
+  saveHours();
+  console.log(`[HOURS] Comptoir ${salonHours.comptoirOccupe ? "occupé — appels directement à l'agent" : "libre"}`);
+  res.json(hoursAdminState());
+});
+
+// ─── Routes rappels (messagerie vocale) ───────────────────────────────────────
+app.get("/admin/callbacks", requireRole("lecture"), (req, res) => {
+  res.json({
+    ok: true,
+    agentActif,
+    rappels: callbacks.slice().reverse().map(({ recordingUrl, ...c }) => ({ ...c, phone: c.phone ? "###-###-" + c.phone.slice(-4) : "" })),
+  });
+});
+
+app.put("/admin/agent", requireRole("employe"), (req, res) => {
+  agentActif = !!req.body?.actif;
+  saveAgentState();
+  console.log(`[VOICEMAIL] ${agentActif ? "✅ Agent activé" : "⚠️ Agent désactivé — appels vers la messagerie"}`);
+  res.json({ ok: true, agentActif });
+});
+
+app.post("/admin/callbacks/:id/done", requireRole("employe"), (req, res) => {
+  const cb = callbacks.find(c => c.id === req.params.id);
+  if (!cb) return res.status(404).json({ error: "Rappel introuvable." });
+  cb.status = "fait";
+  cb.doneAt = new Date().toISOString();
+  saveCallbacks();
   res.json({ ok: true });
 });
 
+app.post("/admin/callbacks/:id/call", requireRole("employe"), async (req, res) => {
+  const cb = callbacks.find(c => c.id === req.params.id);
+  if (!cb) return res.status(404).json({ error: "Rappel introuvable." });
+  try {
+    await callbackCall(cb);
+    res.json({ ok: true, message: `Le salon (${fmtPhone(FALLBACK_NUMBER)}) va sonner, puis le client sera appelé.` });
+  } catch(e) {
+    console.error("[VOICEMAIL] ❌ Rappel:", e.message);
+    res.status(502).json({ error: e.message });
+  }
+});
+
+// Écouter le message (proxy — le navigateur n'a pas les identifiants Twilio)
+app.get("/admin/callbacks/:id/audio", requireRole("employe", { journal: true }), async (req, res) => {
+  const cb = callbacks.find(c => c.id === req.params.id);
+  if (!cb?.recordingUrl) return res.status(404).json({ error: "Enregistrement introuvable." });
+  try {
+    const r = await fetchRecording(cb);
+    if (!r.ok) return res.status(502).json({ error: `Twilio ${r.status}` });
+    res.type("audio/mpeg").send(Buffer.from(await r.arrayBuffer()));
+  } catch(e) {
+    res.status(502).json({ error: e.message });
+  }
+});
+
 // ─── Routes admin logs ────────────────────────────────────────────────────────
-// Vider tous les logs (garde le fichier vide)
-app.post("/admin/logs/clear", (req, res) => {
-  const token = req.headers["x-admin-token"] || req.query.token;
-  if (token !== (process.env.ADMIN_TOKEN || "")) return res.status(401).json({ error: "Non autorisé" });
-  callLogs.clear();
-  saveLogsToDisk();
-  console.log("[LOGS] ✅ Tous les logs vidés par admin");
-  res.json({ ok: true, message: "Logs vidés" });
+// Vider tout le journal des appels
+app.post("/admin/logs/clear", requireRole("proprietaire"), (req, res) => {
+  try {
+    viderJournal();
+    console.log("[LOGS] ✅ Journal des appels vidé par admin");
+    res.json({ ok: true, message: "Logs vidés" });
+  } catch(e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
-// Supprimer le fichier JSON complètement
-app.post("/admin/logs/delete-file", (req, res) => {
-  const token = req.headers["x-admin-token"] || req.query.token;
-  if (token !== (process.env.ADMIN_TOKEN || "")) return res.status(401).json({ error: "Non autorisé" });
+// Supprimer aussi l'ancien call_logs.json (copie gardée après la migration)
+app.post("/admin/logs/delete-file", requireRole("proprietaire"), (req, res) => {
   try {
-    if (fs.existsSync(LOGS_FILE)) fs.unlinkSync(LOGS_FILE);
-    callLogs.clear();
-    console.log("[LOGS] ✅ Fichier call_logs.json supprimé par admin");
+    viderJournal();
+    for (const f of [LOGS_FILE, `${LOGS_FILE}.migre`]) if (fs.existsSync(f)) fs.unlinkSync(f);
+    console.log("[LOGS] ✅ Journal et ancien call_logs.json supprimés par admin");
     res.json({ ok: true, message: "Fichier supprimé" });
   } catch(e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.get("/oauth/start", (req, res) => {
+// ─── API appels (JSON et export) ──────────────────────────────────────────────
+// GET /api/calls             page de logs — filtres de validateCallFilters, page, parPage (max 200)
+// GET /api/calls/:sid        un log complet (serverLog : propriétaire seulement)
+// GET /api/calls/export      tous les résultats, écrits au fil de la lecture du journal :
+//     format=csv|json, contenu=appels|evenements|transcriptions (+ mêmes filtres)
+// Session (ou x-admin-token à l'amorçage). Numéros masqués (anonymizePhone) sauf pour le propriétaire;
+// ?salon=tous (propriétaire) interroge tous les salons.
+const API_PAR_PAGE_MAX = 200;
+const CHAMPS_NON_MASQUES = new Set(["sid", "startedAt", "endedAt", "ts", "at", "slot", "createdAt", "doneAt"]);
+
+function masquerNumeros(v, cle = null) {
+  if (typeof v === "string") return CHAMPS_NON_MASQUES.has(cle) ? v : anonymizePhone(v);
+  if (Array.isArray(v)) return v.map(x => masquerNumeros(x));
+  if (v && typeof v === "object") return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, masquerNumeros(x, k)]));
+  return v;
+}
+
+function logPourApi(log, user, { complet = false } = {}) {
+  const { serverLog, ...reste } = log;
+  const proprio = hasRole(user, "proprietaire");
+  const copie = complet && proprio ? { ...reste, serverLog: serverLog || [] } : reste;
+  return proprio ? copie : masquerNumeros(copie);
+}
+
+function apiQuery(req, res) {
+  const { filtres, error } = validateCallFilters(req.query);
+  if (error) { res.status(400).json({ error }); return null; }
+  const tous = req.query.salon === "tous";
+  if (tous && !hasRole(req.user, "proprietaire")) { res.status(403).json({ error: "Vue de tous les salons : propriétaire seulement." }); return null; }
+  return { filtres, tous };
+}
+
+// Jour et heure locaux du salon, lisibles par un tableur — "2026-10-19 14:03:27"
+function localDateTime(iso) {
+  if (!iso) return "";
+  const p = zonedParts(iso);
+  return `${p.ymd} ${[p.hour, p.minute, p.second].map(n => String(n).padStart(2, "0")).join(":")}`;
+}
+
+// Lignes d'export par contenu : colonnes + lignes d'un log
+const EXPORTS = {
+  appels: {
+    colonnes: ["salon", "sid", "debut", "fin", "duree_s", "canal", "langue", "resultat", "service", "coiffeuse", "client_type", "client_nom", "telephone", "courriel", "rdv", "demandes", "questions_sans_reponse"],
+    lignes: l => [{
+      salon: l.salon?.id || SALON_ID || "", sid: l.sid, debut: localDateTime(l.startedAt), fin: localDateTime(l.endedAt),
+      duree_s: l.endedAt ? Math.round((new Date(l.endedAt) - new Date(l.startedAt)) / 1000) : "",
+      canal: l.canal || "voix", langue: l.langue || "fr", resultat: l.result, service: l.service || "", coiffeuse: l.coiffeuse || "",
+      client_type: l.clientType || "", client_nom: l.clientNom || "", telephone: l.callerNumber || "", courriel: l.emailConfirmation || "",
+      rdv: l.slot ? localDateTime(l.slot) : "", demandes: (l.demandes || []).join(", "), questions_sans_reponse: (l.unanswered_questions || []).join(" | "),
+    }],
+  },
+  evenements: {
+    colonnes: ["salon", "sid", "debut_appel", "moment", "type", "message"],
+    lignes: l => (l.events || []).map(e => ({ salon: l.salon?.id || SALON_ID || "", sid: l.sid, debut_appel: localDateTime(l.startedAt), moment: localDateTime(e.ts), type: e.type, message: e.msg })),
+  },
+  // Conversation complète dans l'ordre : répliques du client et de l'agent, puis le message vocal
+  transcriptions: {
+    colonnes: ["salon", "sid", "debut_appel", "n", "moment", "source", "texte"],
+    lignes: l => [
+      ...(l.events || []).filter(e => e.type === "client" || e.type === "helene")
+        .map(e => ({ moment: localDateTime(e.ts), source: e.type === "client" ? "client" : "agent", texte: e.msg })),
+      ...(l.messagerie?.transcription ? [{ moment: "", source: "messagerie", texte: l.messagerie.transcription }] : []),
+    ].map((x, i) => ({ salon: l.salon?.id || SALON_ID || "", sid: l.sid, debut_appel: localDateTime(l.startedAt), n: i + 1, ...x })),
+  },
+};
+
+// Cellule CSV — guillemets au besoin; =, +, -, @ en tête neutralisés (formules de tableur)
+function csvCell(v) {
+  let s = String(v ?? "");
+  if (/^[=+\-@\t\r]/.test(s)) s = "'" + s;
+  return /[",\n\r;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+app.get("/api/calls", requireRole("lecture"), (req, res) => {
+  const q = apiQuery(req, res);
+  if (!q) return;
+  const parPage = Math.min(Math.max(parseInt(req.query.parPage) || 50, 1), API_PAR_PAGE_MAX);
+  const page = queryCallLogs(q.filtres, { page: parseInt(req.query.page) || 1, parPage, tous: q.tous });
+  res.json({ ok: true, ...page, items: page.items.map(l => logPourApi(l, req.user)) });
+});
+
+app.get("/api/calls/export", requireRole("lecture", { journal: true }), async (req, res) => {
+  const q = apiQuery(req, res);
+  if (!q) return;
+  const format = req.query.format === "json" ? "json" : "csv";
+  const contenu = EXPORTS[req.query.contenu] ? req.query.contenu : "appels";
+  const { colonnes, lignes } = EXPORTS[contenu];
+  const resumes = queryCallIndex(q.filtres, { tous: q.tous }).reverse(); // chronologique
+  const periode = [req.query.du, req.query.au].filter(Boolean).join("_au_") || localYmd(new Date());
+  res.setHeader("Content-Type", format === "csv" ? "text/csv; charset=utf-8" : "application/json; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${contenu}_${periode.replace(/[^0-9A-Za-z_-]/g, "")}.${format}"`);
+
+  let ferme = false;
+  res.on("close", () => { ferme = true; });
+  // Attendre que le client lise — ou qu'il parte (close), sinon "drain" n'arrive jamais
+  const ecrire = async chunk => {
+    if (ferme || res.write(chunk)) return;
+    await new Promise(r => {
+      const fin = () => { res.off("drain", fin); res.off("close", fin); r(); };
+      res.on("drain", fin);
+      res.on("close", fin);
+    });
+  };
+  let n = 0;
+  try {
+    await ecrire(format === "csv" ? "﻿" + colonnes.join(",") + "\r\n" : "[\n");
+    for (const e of resumes) {
+      if (ferme) return console.warn(`[API] ⚠️ Export ${contenu} interrompu — client déconnecté après ${n} ligne(s)`);
+      const log = logDuResume(e);
+      if (!log) continue;
+      for (const ligne of lignes(logPourApi(log, req.user))) {
+        await ecrire(format === "csv"
+          ? colonnes.map(c => csvCell(ligne[c])).join(",") + "\r\n"
+          : (n ? ",\n" : "") + JSON.stringify(ligne));
+        n++;
+      }
+    }
+    res.end(format === "csv" ? "" : "\n]\n");
+    console.log(`[API] ✅ Export ${contenu} ${format} — ${n} ligne(s), ${resumes.length} appel(s)`);
+  } catch(e) {
+    console.error("[API] ❌ Export:", e.message);
+    res.destroy(e);
+  }
+});
+
+app.get("/api/calls/:sid", requireRole("lecture"), (req, res) => {
+  const log = getCallLog(req.params.sid);
+  if (!log) return res.status(404).json({ error: "Appel introuvable." });
+  res.json({ ok: true, item: logPourApi(log, req.user, { complet: true }) });
+});
+
+app.get("/oauth/start", requireRole("proprietaire"), (req, res) => {
   if (!GOOGLE_CLIENT_ID || !GOOGLE_CLIENT_SECRET) {
     return res.status(500).send("GOOGLE_CLIENT_ID ou GOOGLE_CLIENT_SECRET manquant dans Railway.");
   }
@@ -2445,7 +7027,7 @@ app.get("/oauth/start", (req, res) => {
   res.redirect(`https://accounts.google.com/o/oauth2/v2/auth?${params}`);
 });
 
-app.get("/oauth/callback", async (req, res) => {
+app.get("/oauth/callback", requireRole("proprietaire"), async (req, res) => {
   const { code, error } = req.query;
   if (error) return res.status(400).send(`Erreur OAuth: ${error}`);
   if (!code)  return res.status(400).send("Code manquant");
@@ -2480,7 +7062,7 @@ app.get("/oauth/callback", async (req, res) => {
       <pre style="background:#f0f0f0;padding:12px;border-radius:8px;word-break:break-all">GOOGLE_REFRESH_TOKEN = ${j.refresh_token}</pre>
       <p>Une fois ajoutée, tu n'auras plus jamais à refaire cette étape.</p>
       ` : '<p>✅ Refresh token déjà configuré dans Railway.</p>'}
-      <p><a href="/">← Retour</a></p>
+      <p><a href="${BASE_PATH}/">← Retour</a></p>
     `);
   } catch (e) {
     console.error("[GOOGLE] OAuth erreur:", e.message);
@@ -2489,12 +7071,12 @@ app.get("/oauth/callback", async (req, res) => {
 });
 
 // ─── Route diagnostic Google Contacts ────────────────────────────────────────
-app.get("/debug-google", async (req, res) => {
+app.get("/debug-google", requireRole("proprietaire"), async (req, res) => {
   const phone = req.query.phone || "+15148945221";
-  return res.redirect(`/debug-google/${encodeURIComponent(phone)}`);
+  return res.redirect(`${BASE_PATH}/debug-google/${encodeURIComponent(phone)}`);
 });
 
-app.get("/debug-google/:phone", async (req, res) => {
+app.get("/debug-google/:phone", requireRole("proprietaire"), async (req, res) => {
   const phone = decodeURIComponent(req.params.phone);
   const token = await getGoogleAccessToken();
   if (!token) return res.json({ error: "Pas de token Google — visite /oauth/start" });
@@ -2575,7 +7157,7 @@ app.get("/debug-google/:phone", async (req, res) => {
   res.json({ phone, results });
 });
 
-app.get("/debug-railway", (req, res) => {
+app.get("/debug-railway", requireRole("proprietaire"), (req, res) => {
   // Affiche toutes les variables Railway auto-injectées pour debug
   const railwayVars = Object.entries(process.env)
     .filter(([k]) => k.startsWith("RAILWAY_"))
@@ -2583,20 +7165,17 @@ app.get("/debug-railway", (req, res) => {
   res.json({ railway_vars: railwayVars, count: Object.keys(railwayVars).length });
 });
 
-app.get("/debug-env", async (req, res) => {
+app.get("/debug-env", requireRole("proprietaire"), async (req, res) => {
   const base = {
-    SALON_NAME, SALON_CITY, SALON_ADDRESS, SALON_HOURS, SALON_PRICE_LIST,
+    SALON_NAME, SALON_CITY, SALON_ADDRESS, SALON_HOURS: salonHoursText(), SALON_PRICE_LIST,
     TWILIO_CALLER_ID:     TWILIO_CALLER_ID     ? "✅" : "❌",
     GOOGLE_CLIENT_ID:     GOOGLE_CLIENT_ID     ? "✅" : "❌",
     GOOGLE_CLIENT_SECRET: GOOGLE_CLIENT_SECRET ? "✅" : "❌",
     GOOGLE_CONNECTED:     googleTokens         ? "✅ token actif" : "❌ visiter /oauth/start",
     OPENAI_API_KEY:     OPENAI_API_KEY     ? "✅" : "❌",
+    SCHEDULING_PROVIDER: scheduler.name,
     CALENDLY_API_TOKEN: CALENDLY_API_TOKEN ? "✅" : "❌",
-    URIs: {
-      homme:      CALENDLY_EVENT_TYPE_URI_HOMME      ? "✅" : "❌",
-      femme:      CALENDLY_EVENT_TYPE_URI_FEMME      ? "✅" : "❌",
-      nonbinaire: CALENDLY_EVENT_TYPE_URI_NONBINAIRE ? "✅" : "❌",
-    },
+    URIs: Object.fromEntries(serviceCatalog.map(s => [s.key, s.eventTypeUri ? "✅" : "❌"])),
   };
 
   // Test Google si ?phone= fourni
@@ -2644,62 +7223,317 @@ app.get("/debug-env", async (req, res) => {
   res.json(base);
 });
 
-app.post("/voice", (req, res) => {
+// ─── Sécurité des webhooks Twilio ─────────────────────────────────────────────
+// Chaque webhook Twilio porte X-Twilio-Signature (HMAC-SHA1 de l'URL appelée et des
+// paramètres POST, clé TWILIO_AUTH_TOKEN) — sans signature valide : 403. Le WebSocket
+// /media-stream n'est pas signé : le TwiML y glisse un jeton court (callSid + expiration,
+// HMAC) que l'événement "start" doit présenter avant qu'une session OpenAI s'ouvre.
+// Sans TWILIO_AUTH_TOKEN, rien ne peut être vérifié : les webhooks répondent 503.
+// Les refus sont comptés dans /data/security.json et affichés sur /dashboard.
+const SECURITY_FILE      = path.join(LOGS_DIR, "security.json");
+const STREAM_TOKEN_TTL   = 2 * 60 * 1000;       // entre le TwiML et le "start" : quelques secondes
+const STREAM_START_DELAI = 10 * 1000;           // WebSocket sans "start" valide → fermé
+const STREAM_SECRET      = crypto.randomBytes(32); // propre au processus — TwiML et stream passent par le même
+const SECURITY_MAX_REFUS = 100;
+const SECURITY_SAVE_DELAI = 5000;               // refus en rafale → une seule écriture
+
+let securite = { refus: { signature: 0, stream: 0 }, derniers: [] }; // derniers : [{ at, type, route, ip, raison }]
+let securiteSaveTimer = null;
+const streamTokensUtilises = new Map(); // jeton → expiration (usage unique)
+
+function loadSecurite() {
+  try {
+    if (fs.existsSync(SECURITY_FILE)) securite = { ...securite, ...JSON.parse(fs.readFileSync(SECURITY_FILE, "utf8")) };
+  } catch(e) { console.warn("[SECURITY] ⚠️ Erreur chargement:", e.message); }
+}
+function saveSecurite() {
+  try { fs.writeFileSync(SECURITY_FILE, JSON.stringify(securite, null, 2), "utf8"); }
+  catch(e) { console.error("[SECURITY] ❌ Erreur sauvegarde:", e.message); }
+}
+loadSecurite();
+if (!TWILIO_AUTH_TOKEN) console.error("[SECURITY] ❌ TWILIO_AUTH_TOKEN absent — webhooks Twilio refusés (503) tant qu'il n'est pas configuré");
+
+function recordRejection(type, route, ip, raison) {
+  securite.refus[type] = (securite.refus[type] || 0) + 1;
+  securite.derniers.push({ at: new Date().toISOString(), type, route, ip: ip || null, raison });
+  securite.derniers = securite.derniers.slice(-SECURITY_MAX_REFUS);
+  if (!securiteSaveTimer) {
+    securiteSaveTimer = setTimeout(() => { securiteSaveTimer = null; saveSecurite(); }, SECURITY_SAVE_DELAI);
+  }
+  console.warn(`[SECURITY] 🚫 Refus ${type} — ${route} — ${raison}${ip ? ` (${ip})` : ""}`);
+}
+
+// Adresse du client : la DERNIÈRE entrée de X-Forwarded-For, ajoutée par le proxy de Railway
+// (le routeur multi-salons relaie l'en-tête sans y toucher). Les entrées précédentes
+// viennent du client lui-même et peuvent être inventées.
+function clientIp(req) {
+  const relais = String(req.headers["x-forwarded-for"] || "").split(",").map(ip => ip.trim()).filter(Boolean);
+  return relais[relais.length - 1] || req.socket?.remoteAddress || "";
+}
+
+// URL telle que Twilio l'a appelée : derrière Railway et le routeur multi-salons
+// (préfixe /salon/<id> retiré), reconstruite depuis les en-têtes X-Forwarded-*
+function twilioWebhookUrls(req) {
+  const proto = String(req.headers["x-forwarded-proto"] || req.protocol).split(",")[0].trim();
+  const host  = String(req.headers["x-forwarded-host"]  || req.headers.host || "").split(",")[0].trim();
+  const chemin = (req.headers["x-forwarded-prefix"] || "") + req.originalUrl;
+  return [...new Set([`${proto}://${host}${chemin}`, `${base()}${req.originalUrl}`])];
+}
+
+function requireTwilioSignature(req, res, next) {
+  if (!TWILIO_AUTH_TOKEN) return res.status(503).type("text/plain").send("Webhooks Twilio désactivés : TWILIO_AUTH_TOKEN manquant.");
+  const signature = req.get("X-Twilio-Signature");
+  if (signature && twilioWebhookUrls(req).some(url => twilio.validateRequest(TWILIO_AUTH_TOKEN, signature, url, req.body || {}))) return next();
+  recordRejection("signature", req.path, clientIp(req), signature ? "signature invalide" : "signature absente");
+  res.status(403).type("text/plain").send("Signature Twilio invalide.");
+}
+
+// Jeton "exp.hmac" lié au CallSid, glissé en <Parameter> du <Stream>
+function streamToken(callSid) {
+  const exp = Date.now() + STREAM_TOKEN_TTL;
+  const mac = crypto.createHmac("sha256", STREAM_SECRET).update(`${callSid}.${exp}`).digest("base64url");
+  return `${exp}.${mac}`;
+}
+
+// → null si valide, sinon la raison du refus
+function verifyStreamToken(callSid, jeton) {
+  if (!callSid || !jeton) return "jeton absent";
+  const [exp, mac] = String(jeton).split(".");
+  if (!(Number(exp) > Date.now())) return "jeton expiré";
+  const attendu = crypto.createHmac("sha256", STREAM_SECRET).update(`${callSid}.${exp}`).digest("base64url");
+  if (!mac || mac.length !== attendu.length || !crypto.timingSafeEqual(Buffer.from(mac), Buffer.from(attendu))) return "jeton invalide";
+  if (streamTokensUtilises.has(jeton)) return "jeton déjà utilisé";
+  const now = Date.now();
+  for (const [j, e] of streamTokensUtilises) if (e < now) streamTokensUtilises.delete(j);
+  streamTokensUtilises.set(jeton, Number(exp));
+  return null;
+}
+
+// Réponse d'un client à un texto (rappel, confirmation) — webhook "A message comes in" du numéro Twilio
+app.post("/sms", requireTwilioSignature, async (req, res) => {
+  const { From, Body = "", MessageSid } = req.body;
+  const phone = normalizePhone(From || "") || From || "";
+  console.log(`[SMS-IN] ${MessageSid} — ######${phone.replace(/\D/g,"").slice(-4)}: ${Body.slice(0, 40)}`);
+  // Mot-clé (ou chiffre d'un DÉPLACER en attente) hors conversation → action directe;
+  // tout le reste va à l'agent texto, qui répond par l'API
+  const { action } = smsKeyword(Body);
+  const motCle = ["confirmer", "annuler", "deplacer"].includes(action) || (action === "choix" && smsReschedules.has(phone));
+  if (OPENAI_API_KEY && phone && (smsConversations.has(phone) || !motCle)) {
+    handleSmsConversation({ phone, body: Body.trim(), messageSid: MessageSid });
+    return res.type("text/xml").send(new twilio.twiml.MessagingResponse().toString());
+  }
+  let out;
+  try {
+    out = await handleInboundSms({ phone, body: Body.trim() });
+  } catch (e) {
+    console.error(`[SMS-IN] ❌ ${e.message}`);
+    out = { result: "erreur", reply: smsTexte(smsKeyword(Body).langue, "erreur") };
+  }
+  logSmsExchange({ messageSid: MessageSid, phone, body: Body.trim(), ...out });
+  const twiml = new twilio.twiml.MessagingResponse();
+  twiml.message(out.reply);
+  res.type("text/xml").send(twiml.toString());
+});
+
+// Widget de clavardage (/static/chat-widget.js) — appelé depuis le site du salon, d'où le CORS
+app.options("/chat", (req, res) => {
+  res.set({ "Access-Control-Allow-Origin": "*", "Access-Control-Allow-Methods": "POST", "Access-Control-Allow-Headers": "Content-Type" });
+  res.sendStatus(204);
+});
+
+app.post("/chat", async (req, res) => {
+  res.set("Access-Control-Allow-Origin", "*");
+  const message = String(req.body?.message || "").trim().slice(0, WEB_MAX_LENGTH);
+  if (!message) return res.status(400).json({ error: "Message vide." });
+  if (!OPENAI_API_KEY) return res.status(503).json({ error: "Clavardage non configuré — appelle-nous!" });
+  let out;
+  try {
+    out = await handleWebChat({ id: String(req.body?.id || ""), message, ip: clientIp(req) });
+  } catch (e) {
+    console.error(`[WEB-CHAT] ❌ ${e.message}`);
+    return res.status(500).json({ error: "Oups, une erreur est survenue — réessaie ou appelle-nous." });
+  }
+  if (out.error) return res.status(out.status).json({ error: out.error });
+  res.json(out);
+});
+
+app.post("/voice", requireTwilioSignature, async (req, res) => {
   const { CallSid, From } = req.body;
   console.log(`[VOICE] CallSid: ${CallSid} — From: ${From}`);
 
   const callerNorm = normalizePhone(From || "") || From || "";
+  startCallLog(CallSid, callerNorm);
+  const { route, motif } = routeIncomingCall();
+  logEvent(CallSid, "info", `Appel entrant — ${motif}`);
+  console.log(`[HOURS] Routage ${route} (${motif})`);
+
+  const twiml = new twilio.twiml.VoiceResponse();
+  if (route === "comptoir") {
+    twiml.dial({ action: `${base()}/voice/desk-result`, timeout: salonHours.sonnerie }, FALLBACK_NUMBER);
+  } else if (route === "fermé") {
+    closedTwiml(twiml);
+    closeCallLog(CallSid, "fermé");
+  } else if (route === "messagerie") {
+    voicemailTwiml(twiml, "salon fermé", await langueAppelant(CallSid, callerNorm));
+  } else if (!agentActif) {
+    logEvent(CallSid, "info", "Agent désactivé — messagerie vocale");
+    voicemailTwiml(twiml, "agent désactivé", await langueAppelant(CallSid, callerNorm));
+  } else {
+    connectAgent(twiml, CallSid, From);
+  }
+  res.type("text/xml").send(twiml.toString());
+});
+
+// Fin de la sonnerie au comptoir : répondu → terminé; sinon l'agent prend l'appel
+app.post("/voice/desk-result", requireTwilioSignature, async (req, res) => {
+  const { CallSid, From, DialCallStatus } = req.body;
+  const twiml = new twilio.twiml.VoiceResponse();
+  if (DialCallStatus === "completed" || DialCallStatus === "answered") {
+    closeCallLog(CallSid, "comptoir");
+    twiml.hangup();
+  } else if (!agentActif) {
+    logEvent(CallSid, "warn", `Comptoir sans réponse (${DialCallStatus}) — messagerie vocale`);
+    voicemailTwiml(twiml, "transfert sans réponse", await langueAppelant(CallSid, normalizePhone(From || "")));
+  } else {
+    logEvent(CallSid, "info", `Comptoir sans réponse (${DialCallStatus}) — ${AGENT_NAME} prend l'appel`);
+    connectAgent(twiml, CallSid, From);
+  }
+  res.type("text/xml").send(twiml.toString());
+});
+
+// Session + <Connect><Stream> vers /media-stream (le log de l'appel existe déjà)
+function connectAgent(twiml, CallSid, From) {
   sessions.set(CallSid, {
     twilioCallSid:  CallSid,
-    callerNumber:   callerNorm,
+    callerNumber:   normalizePhone(From || "") || From || "",
     openaiWs:       null,
     streamSid:      null,
     shouldTransfer: false,
     callStartTime:  Date.now(),
   });
-  startCallLog(CallSid, callerNorm);
-  logEvent(CallSid, "info", "Appel entrant");
-  const callerMasked = callerNorm ? "######" + callerNorm.replace(/\D/g,"").slice(-4) : "inconnu";
-
-  const twiml   = new twilio.twiml.VoiceResponse();
   const connect = twiml.connect();
   const stream  = connect.stream({ url: `${wsBase()}/media-stream` });
   stream.parameter({ name: "twilioCallSid", value: CallSid });
   stream.parameter({ name: "callerNumber",  value: From || "" });
+  stream.parameter({ name: "jeton",         value: streamToken(CallSid) });
+  return twiml;
+}
 
+// ─── Messagerie vocale ────────────────────────────────────────────────────────
+// Fin du <Dial> de transfer_to_agent : personne n'a répondu → messagerie
+app.post("/voicemail/dial-result", requireTwilioSignature, async (req, res) => {
+  const { CallSid, DialCallStatus } = req.body;
+  const twiml = new twilio.twiml.VoiceResponse();
+  if (DialCallStatus === "completed" || DialCallStatus === "answered") {
+    twiml.hangup();
+    return res.type("text/xml").send(twiml.toString());
+  }
+  console.log(`[VOICEMAIL] Transfert sans réponse (${DialCallStatus}) — messagerie vocale`);
+  logEvent(CallSid, "warn", `Transfert sans réponse (${DialCallStatus}) — messagerie vocale`);
+  const langue = await langueAppelant(CallSid, callLogs.get(CallSid)?.callerNumber || normalizePhone(req.body.From || ""));
+  res.type("text/xml").send(voicemailTwiml(twiml, "transfert sans réponse", langue).toString());
+});
+
+// Fin du <Record> — l'appelant a terminé (#, silence ou raccroché)
+app.post("/voicemail/done", requireTwilioSignature, async (req, res) => {
+  const { CallSid, From, RecordingUrl, RecordingSid, RecordingDuration } = req.body;
+  const twiml = new twilio.twiml.VoiceResponse();
+  const duree = parseInt(RecordingDuration) || 0;
+  if (!RecordingUrl || duree < 1) {
+    twiml.hangup();
+    res.type("text/xml").send(twiml.toString());
+    logEvent(CallSid, "info", "Aucun message laissé");
+    return closeCallLog(CallSid, callLogs.get(CallSid)?.result === "agent" ? "agent" : "fin normale");
+  }
+  const langue = LANGUES.includes(req.query.langue) ? req.query.langue : "fr";
+  twiml.say(VOICEMAIL_VOICES[langue], VOICEMAIL_TEXTES[langue].recu);
+  twiml.hangup();
+  res.type("text/xml").send(twiml.toString());
+
+  const phone = normalizePhone(From || "") || callLogs.get(CallSid)?.callerNumber || From || "";
+  const raison = VOICEMAIL_INTROS[req.query.raison] ? req.query.raison : "transfert sans réponse";
+  const cb = upsertCallback(CallSid, { phone, langue, raison, recordingSid: RecordingSid, recordingUrl: RecordingUrl, duree });
+  logEvent(CallSid, "warn", `📨 Message vocal (${duree}s) — rappel à faire`);
+  closeCallLog(CallSid, "messagerie");
+  console.log(`[VOICEMAIL] ✅ Message de ${duree}s — rappel ${cb.id} créé`);
+
+  // Réponse déjà envoyée à Twilio : une erreur ici ne doit pas remonter
+  try {
+    const client = phone ? await lookupClientByPhone(phone) : null;
+    if (client) upsertCallback(CallSid, { nom: client.name, email: client.email });
+  } catch(e) {
+    console.error("[VOICEMAIL] ❌ Recherche client:", e.message);
+  }
+  attachVoicemailToLog(cb);
+});
+
+// Enregistrement prêt chez Twilio → transcription
+app.post("/voicemail/recording", requireTwilioSignature, (req, res) => {
+  res.sendStatus(204);
+  const { CallSid, RecordingUrl, RecordingSid, RecordingDuration, RecordingStatus } = req.body;
+  const duree = parseInt(RecordingDuration) || 0;
+  if ((RecordingStatus && RecordingStatus !== "completed") || !RecordingUrl || duree < 1) return;
+  const cb = upsertCallback(CallSid, { recordingSid: RecordingSid, recordingUrl: RecordingUrl, duree });
+  if (!cb.transcription) transcribeVoicemail(cb);
+});
+
+// Appel sortant d'une campagne "place libérée" — décroché par un humain → même pont /media-stream
+app.post("/fill/voice", requireTwilioSignature, (req, res) => {
+  const { CallSid, To, AnsweredBy } = req.body;
+  const campagne = fillCampaigns.find(c => c.id === req.query.campagne);
+  const twiml = new twilio.twiml.VoiceResponse();
+  if (!campagne || campagne.status !== "active" || /^machine|^fax/.test(AnsweredBy || "")) {
+    console.log(`[FILL] Raccroché sans offre — ${!campagne || campagne.status !== "active" ? "campagne terminée" : "répondeur"}`);
+    twiml.hangup();
+    return res.type("text/xml").send(twiml.toString());
+  }
+  const phone = normalizePhone(To || "") || To || "";
+  sessions.set(CallSid, {
+    twilioCallSid:  CallSid,
+    callerNumber:   phone,
+    openaiWs:       null,
+    streamSid:      null,
+    shouldTransfer: false,
+    callStartTime:  Date.now(),
+    fillCampaignId: campagne.id,
+    introPlayed:    true, // l'offre remplace l'accueil et son followUp
+  });
+  startCallLog(CallSid, phone).canal = "sortant";
+  logEvent(CallSid, "info", `Appel sortant — place libérée ${slotToFrench(campagne.iso)}${campagne.coiffeuse ? " avec " + campagne.coiffeuse : ""}`);
+
+  const connect = twiml.connect();
+  const stream  = connect.stream({ url: `${wsBase()}/media-stream` });
+  stream.parameter({ name: "twilioCallSid", value: CallSid });
+  stream.parameter({ name: "callerNumber",  value: phone });
+  stream.parameter({ name: "campagne",      value: campagne.id });
+  stream.parameter({ name: "jeton",         value: streamToken(CallSid) });
   res.type("text/xml").send(twiml.toString());
 });
 
+app.post("/fill/status", requireTwilioSignature, (req, res) => {
+  fillCallEnded(String(req.query.campagne || ""), req.body);
+  res.sendStatus(204);
+});
+
 // ─── WebSocket ────────────────────────────────────────────────────────────────
-wss.on("connection", (twilioWs) => {
+const GREETING_LOOKUP_DELAI = 1500; // attente max du dossier (langue) avant la phrase d'accueil
+
+// Phrase d'accueil dite mot pour mot — anglais si le dossier du client le demande
+function accueil(langue) {
+  if (langue === "en") return `Welcome to ${SALON_NAME} in ${SALON_CITY}, my name is ${AGENT_NAME}, your virtual assistant! I can help you book an appointment, give you our opening hours, our price list or our address. At any time, if you'd like to speak with a member of the team, just say Team and I'll transfer you.`;
+  return `Bienvenu au ${SALON_NAME} à ${SALON_CITY}, je m'appelle ${AGENT_NAME} votre assistante virtuelle! Je peux t'aider à prendre un rendez-vous, te donner nos heures d'ouverture, notre liste de prix ou notre adresse. En tout temps, si tu veux parler à un membre de l'équipe, dis simplement Équipe et je te transfère.`;
+}
+
+wss.on("connection", (twilioWs, req) => {
   let oaiWs     = null;
   let session   = null;
   let streamSid = null;
   let heartbeat = null;
   let pendingTools = new Map();
 
-  oaiWs = new WebSocket(
-    `wss://api.openai.com/v1/realtime?model=${OPENAI_REALTIME_MODEL}`,
-    { headers: { Authorization: `Bearer ${OPENAI_API_KEY}`, "OpenAI-Beta": "realtime=v1" } }
-  );
-
   // Silence G.711 µ-law (160 octets = 20ms à 8000Hz) encodé base64
   const SILENCE_PAYLOAD = Buffer.alloc(160, 0xFF).toString("base64");
 
-  oaiWs.on("open", () => {
-    console.log("[OAI] Connecté");
-    // Ping OpenAI toutes les 10s pour garder le WS vivant
-    heartbeat = setInterval(() => {
-      if (oaiWs.readyState === WebSocket.OPEN) {
-        oaiWs.ping();
-        // Envoyer silence audio pour garder le stream actif
-        oaiWs.send(JSON.stringify({ type: "input_audio_buffer.append", audio: Buffer.alloc(160, 0xFF).toString("base64") }));
-      } else {
-        clearInterval(heartbeat);
-      }
-    }, 8_000);
-  });
-
   // Keepalive audio vers Twilio toutes les 10s pour éviter le timeout de stream
   let twilioKeepalive = null;
   function startTwilioKeepalive() {
@@ -2716,9 +7550,14 @@ wss.on("connection", (twilioWs) => {
     }, 10_000);
   }
 
-  function initOAI() {
+  async function initOAI() {
     if (!oaiWs || oaiWs.readyState !== WebSocket.OPEN) return;
-    console.log(`[OAI] Init — caller: ${session?.callerNumber}`);
+    // Langue au dossier → accueil, prompt et transcription dans cette langue dès la première phrase
+    if (session?.prefetch && session.prefetchedClient === undefined && !session.fillCampaignId) {
+      await Promise.race([session.prefetch, new Promise(r => setTimeout(r, GREETING_LOOKUP_DELAI))]);
+      if (oaiWs.readyState !== WebSocket.OPEN) return;
+    }
+    console.log(`[OAI] Init — caller: ${session?.callerNumber}${session?.langue ? ` — ${session.langue}` : ""}`);
 
     oaiWs.send(JSON.stringify({
       type: "session.update",
@@ -2733,16 +7572,12 @@ wss.on("connection", (twilioWs) => {
         input_audio_format:  "g711_ulaw",
         output_audio_format: "g711_ulaw",
         voice:               OPENAI_TTS_VOICE,
-        instructions:        systemPrompt(session?.callerNumber),
-        tools:               TOOLS,
+        instructions:        session?.fillCampaignId ? fillCallPrompt(session) : systemPrompt(session?.callerNumber, "voix", session?.langue),
+        tools:               session?.fillCampaignId ? [...TOOLS, FILL_OPT_OUT_TOOL] : TOOLS,
         tool_choice:         "auto",
         modalities:          ["text", "audio"],
         temperature:         0.6,
-        input_audio_transcription: {
-          model: "gpt-4o-mini-transcribe",
-          language: "fr",
-          prompt: "Conversation téléphonique en français québécois avec une réceptionniste de salon de coiffure. Vocabulaire fréquent : coupe homme, coupe femme, coloration, mise en plis, coiffeuse, rendez-vous, Calendly, cellulaire. Prénoms possibles : Ariane, Laurie, Sophie, Alexandre, Marie. Numéros de téléphone 10 chiffres format québécois ex: 514 894 5221. Mots typiques : 'c\'est beau', 'correct', 'ouais', 'tantôt', 'tout suite', 'la semaine passée', 'à matin'. Noms de villes : Magog, Sherbrooke, Québec. Le client peut épeler son numéro chiffre par chiffre.",
-        },
+        input_audio_transcription: transcriptionConfig(session?.fillCampaignId ? "fr" : session?.langue),
       },
     }));
 
@@ -2753,200 +7588,256 @@ wss.on("connection", (twilioWs) => {
         type: "message", role: "user",
         content: [{
           type: "input_text",
-          text: "PHRASE OBLIGATOIRE — dis mot pour mot, sans rien ajouter ni retrancher : 'Bienvenu au " + SALON_NAME + " à " + SALON_CITY + ", je m\'appelle " + AGENT_NAME + " votre assistante virtuelle! Je peux t\'aider à prendre un rendez-vous, te donner nos heures d\'ouverture, notre liste de prix ou notre adresse. En tout temps, si tu veux parler à un membre de l\'équipe, dis simplement Équipe et je te transfère.' — Dis cette phrase EN ENTIER, mot pour mot, puis SILENCE ABSOLU. Le système va t\'envoyer un message immédiatement après pour te dire quoi dire ensuite selon le dossier du client.",
+          text: session?.fillCampaignId ? fillCallIntro(session) : `PHRASE OBLIGATOIRE — dis mot pour mot, sans rien ajouter ni retrancher : '${accueil(session?.langue)}' — Dis cette phrase EN ENTIER, mot pour mot, puis SILENCE ABSOLU. Le système va t'envoyer un message immédiatement après pour te dire quoi dire ensuite selon le dossier du client.`,
         }],
       },
     }));
     oaiWs.send(JSON.stringify({ type: "response.create" }));
   }
 
-  oaiWs.on("message", async (raw) => {
-    let ev;
-    try { ev = JSON.parse(raw); } catch { return; }
-
-    switch (ev.type) {
-
-      // Transcription de ce que le CLIENT dit (entrée audio)
-      case "conversation.item.input_audio_transcription.completed": {
-        const txt = ev.transcript?.trim();
-        // Logger UNIQUEMENT les vraies transcriptions — ignorer artefacts/bruits courts
-        const isArtefact = !txt || txt.length < 2 || /^[.!?,\s]+$/.test(txt);
-        if (txt && !isArtefact && session?.twilioCallSid) {
-          logEvent(session.twilioCallSid, "client", txt);
-          // transcription client loguée dans events — pas dans serverLog (doublon)
-          // Détection de sujets libres dans le texte
-          const cl = callLogs.get(session.twilioCallSid);
-          if (cl) {
-            const t = txt.toLowerCase();
-            if ((t.includes("prix") || t.includes("coût") || t.includes("combien") || t.includes("tarif")) && !cl.demandes.includes("prix")) cl.demandes.push("prix");
-            if ((t.includes("adresse") || t.includes("situé") || t.includes("où êtes") || t.includes("localisation")) && !cl.demandes.includes("adresse")) cl.demandes.push("adresse");
-            if ((t.includes("heure") || t.includes("horaire") || t.includes("ouvert") || t.includes("fermé") || t.includes("quelle heure")) && !cl.demandes.includes("heures")) cl.demandes.push("heures");
-            if ((t.includes("annuler") || t.includes("annulation")) && !cl.demandes.includes("annulation")) cl.demandes.push("annulation");
-            if ((t.includes("coloration") || t.includes("teinture") || t.includes("balayage") || t.includes("mise en plis")) && !cl.demandes.includes("service spécialisé")) cl.demandes.push("service spécialisé");
-            if (!cl.resumeClient) cl.resumeClient = [];
-            cl.resumeClient.push(txt);
-            // Capturer domaines email mentionnés par le client
-            const emailMatch = txt.match(/[a-zA-Z0-9._+-]+@([a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/);
-            if (emailMatch) {
-              const domain = emailMatch[1].toLowerCase();
-              if (!cl.emailDomains) cl.emailDomains = [];
-              if (!cl.emailDomains.includes(domain)) cl.emailDomains.push(domain);
-            }
-            // Capturer domaines thématiques (A2)
-            if (!cl.domains) cl.domains = [];
-            const domainMap = [
-              ["paiement","carte","débit","virement","argent","cash","comptant"],
-              ["stationnement","parking","stationner","auto","voiture"],
-              ["accessibilité","mobilité réduite","fauteuil","handicap","wheelchair"],
-              ["durée","temps","combien de temps","long"],
-              ["mariage","mariée","graduation","événement","bal"],
-              ["enfant","garçon","fille","mon kid","kid"],
-              ["annulation","annuler","modifier","changer","repousser"],
-              ["coiffeuse","styliste","changer de","autre coiffeuse"],
-            ];
-            for (const [theme, ...kws] of domainMap) {
-              if (kws.some(k => t.includes(k)) && !cl.domains.includes(theme)) cl.domains.push(theme);
-            }
-          }
+  // Pas de "start" valide à temps → fermé sans jamais ouvrir OpenAI
+  const startTimer = setTimeout(() => {
+    recordRejection("stream", "/media-stream", clientIp(req), "aucun start");
+    twilioWs.close(1008, "start manquant");
+  }, STREAM_START_DELAI);
+
+  // OpenAI Realtime — ouvert seulement au "start" Twilio vérifié (voir verifyStreamToken)
+  function connectOAI() {
+    oaiWs = new WebSocket(
+      `wss://api.openai.com/v1/realtime?model=${OPENAI_REALTIME_MODEL}`,
+      { headers: { Authorization: `Bearer ${OPENAI_API_KEY}`, "OpenAI-Beta": "realtime=v1" } }
+    );
+
+    oaiWs.on("open", () => {
+      console.log("[OAI] Connecté");
+      // Ping OpenAI toutes les 10s pour garder le WS vivant
+      heartbeat = setInterval(() => {
+        if (oaiWs.readyState === WebSocket.OPEN) {
+          oaiWs.ping();
+          // Envoyer silence audio pour garder le stream actif
+          oaiWs.send(JSON.stringify({ type: "input_audio_buffer.append", audio: Buffer.alloc(160, 0xFF).toString("base64") }));
+        } else {
+          clearInterval(heartbeat);
         }
-        break;
-      }
+      }, 8_000);
+    });
 
-      // Transcription de ce qu'HÉLÈNE dit (sortie audio)
-      case "response.audio_transcript.done": {
-        const txt = ev.transcript?.trim();
-        if (txt && session?.twilioCallSid) {
-          logEvent(session.twilioCallSid, "helene", txt);
-          // transcription Hélène loguée dans events — pas dans serverLog (doublon)
-          // Détecter si Hélène dit qu'elle ne peut pas répondre → unanswered_questions (A1)
-          const tl = txt.toLowerCase();
-          if (tl.includes("je ne peux pas répondre") || tl.includes("je ne sais pas") || tl.includes("je peux pas répondre à ça") || tl.includes("je suis désolée, je ne")) {
+    oaiWs.on("message", async (raw) => {
+      let ev;
+      try { ev = JSON.parse(raw); } catch { return; }
+
+      switch (ev.type) {
+
+        // Transcription de ce que le CLIENT dit (entrée audio)
+        case "conversation.item.input_audio_transcription.completed": {
+          const txt = ev.transcript?.trim();
+          // Logger UNIQUEMENT les vraies transcriptions — ignorer artefacts/bruits courts
+          const isArtefact = !txt || txt.length < 2 || /^[.!?,\s]+$/.test(txt);
+          if (txt && !isArtefact && session?.twilioCallSid) {
+            logEvent(session.twilioCallSid, "client", txt);
+            // Langue reconnue sur les premières phrases du client (sauf langue déjà connue au dossier)
+            if (!session.langue && !session.fillCampaignId && (session.phrasesClient = (session.phrasesClient || 0) + 1) <= 3) {
+              const langue = detectLangue(txt);
+              if (langue) setSessionLangue(session, langue, "détectée");
+            }
+            // transcription client loguée dans events — pas dans serverLog (doublon)
+            // Détection de sujets libres dans le texte
             const cl = callLogs.get(session.twilioCallSid);
             if (cl) {
-              const lastClient = [...(cl.resumeClient || [])].pop() || "?";
-              if (!cl.unanswered_questions) cl.unanswered_questions = [];
-              if (!cl.unanswered_questions.includes(lastClient)) cl.unanswered_questions.push(lastClient);
+              const t = txt.toLowerCase();
+              if ((t.includes("prix") || t.includes("coût") || t.includes("combien") || t.includes("tarif")) && !cl.demandes.includes("prix")) cl.demandes.push("prix");
+              if ((t.includes("adresse") || t.includes("situé") || t.includes("où êtes") || t.includes("localisation")) && !cl.demandes.includes("adresse")) cl.demandes.push("adresse");
+              if ((t.includes("heure") || t.includes("horaire") || t.includes("ouvert") || t.includes("fermé") || t.includes("quelle heure")) && !cl.demandes.includes("heures")) cl.demandes.push("heures");
+              if ((t.includes("annuler") || t.includes("annulation")) && !cl.demandes.includes("annulation")) cl.demandes.push("annulation");
+              if ((t.includes("coloration") || t.includes("teinture") || t.includes("balayage") || t.includes("mise en plis")) && !cl.demandes.includes("service spécialisé")) cl.demandes.push("service spécialisé");
+              if (!cl.resumeClient) cl.resumeClient = [];
+              cl.resumeClient.push(txt);
+              // Capturer domaines email mentionnés par le client
+              const emailMatch = txt.match(/[a-zA-Z0-9._+-]+@([a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/);
+              if (emailMatch) {
+                const domain = emailMatch[1].toLowerCase();
+                if (!cl.emailDomains) cl.emailDomains = [];
+                if (!cl.emailDomains.includes(domain)) cl.emailDomains.push(domain);
+              }
+              // Capturer domaines thématiques (A2)
+              if (!cl.domains) cl.domains = [];
+              const domainMap = [
+                ["paiement","carte","débit","virement","argent","cash","comptant"],
+                ["stationnement","parking","stationner","auto","voiture"],
+                ["accessibilité","mobilité réduite","fauteuil","handicap","wheelchair"],
+                ["durée","temps","combien de temps","long"],
+                ["mariage","mariée","graduation","événement","bal"],
+                ["enfant","garçon","fille","mon kid","kid"],
+                ["annulation","annuler","modifier","changer","repousser"],
+                ["coiffeuse","styliste","changer de","autre coiffeuse"],
+              ];
+              for (const [theme, ...kws] of domainMap) {
+                if (kws.some(k => t.includes(k)) && !cl.domains.includes(theme)) cl.domains.push(theme);
+              }
             }
           }
+          break;
         }
-        break;
-      }
 
-      case "response.done": {
-        // Détecter la fin de l'intro (première réponse seulement) et injecter le suivi client
-        if (!session?.introPlayed && ev.response?.status === "completed") {
-          // MARQUER immédiatement — avant tout async/setTimeout — pour éviter double intro
-          if (session) session.introPlayed = true;
-          // Ne cancel que si une réponse est potentiellement active (évite l'erreur response_cancel_not_active)
-          // On tente le cancel mais on ignore l'erreur côté serveur
-
-          const prefetched = session?.prefetchedClient;
-
-          let followUp = null;
-
-          // Construit le message de suivi selon le profil client
-          const buildFollowUp = (p) => {
-            if (!p || !p.name) return "Dis EXACTEMENT cette phrase : \"Comment je peux t\'aider?\" puis SILENCE ABSOLU. Attends que le client parle.";
-            const prenom = p.name.split(" ")[0];
-            if (p.typeCoupe && p.coiffeuse) {
-              return `Dis EXACTEMENT : "Salut ${prenom}! Super de t'entendre. Désires-tu prendre rendez-vous pour une ${p.typeCoupe} avec ${p.coiffeuse}?" puis SILENCE ABSOLU — attends la réponse. Si OUI → get_available_slots service="${p.typeCoupe}" coiffeuse="${p.coiffeuse}". Si NON → adapte-toi.`;
-            } else if (p.typeCoupe) {
-              return `Dis EXACTEMENT : "Salut ${prenom}! Super de t'entendre. Désires-tu prendre rendez-vous pour une ${p.typeCoupe}?" puis SILENCE ABSOLU — attends la réponse. Si OUI → get_available_slots service="${p.typeCoupe}". Si NON → adapte-toi.`;
-            } else {
-              return `Dis EXACTEMENT : "Salut ${prenom}! Super de t'entendre. Comment je peux t'aider aujourd'hui?" puis SILENCE ABSOLU — attends la réponse.`;
+        // Transcription de ce qu'HÉLÈNE dit (sortie audio)
+        case "response.audio_transcript.done": {
+          const txt = ev.transcript?.trim();
+          if (txt && session?.twilioCallSid) {
+            logEvent(session.twilioCallSid, "helene", txt);
+            // transcription Hélène loguée dans events — pas dans serverLog (doublon)
+            // Détecter si Hélène dit qu'elle ne peut pas répondre → unanswered_questions (A1)
+            const tl = txt.toLowerCase();
+            if (tl.includes("je ne peux pas répondre") || tl.includes("je ne sais pas") || tl.includes("je peux pas répondre à ça") || tl.includes("je suis désolée, je ne")) {
+              const cl = callLogs.get(session.twilioCallSid);
+              if (cl) {
+                const lastClient = [...(cl.resumeClient || [])].pop() || "?";
+                if (!cl.unanswered_questions) cl.unanswered_questions = [];
+                if (!cl.unanswered_questions.includes(lastClient)) cl.unanswered_questions.push(lastClient);
+              }
             }
-          };
-
-          // Fonction d'envoi du followUp — centralisée pour éviter la race condition
-          const sendFollowUp = (p) => {
-            // p = null/false → nouveau client ou inconnu → SILENCE après intro, attendre le client
-            // p = objet avec name → client existant → phrase personnalisée
-            if (!oaiWs || oaiWs.readyState !== WebSocket.OPEN) return;
+          }
+          break;
+        }
 
-            if (p && p.name) {
-              // Client existant — phrase personnalisée
-              if (cl) cl.clientType = "existant";
-              const fu = buildFollowUp(p);
-              oaiWs.send(JSON.stringify({
-                type: "conversation.item.create",
-                item: { type: "message", role: "user", content: [{ type: "input_text", text: fu }] }
-              }));
-              oaiWs.send(JSON.stringify({
-                type: "response.create",
-                response: { max_output_tokens: 60, instructions: "Dis UNIQUEMENT la phrase ci-dessus, mot pour mot. Ensuite SILENCE ABSOLU — attends que le client réponde." }
-              }));
+        case "response.done": {
+          // Détecter la fin de l'intro (première réponse seulement) et injecter le suivi client
+          if (!session?.introPlayed && ev.response?.status === "completed") {
+            // MARQUER immédiatement — avant tout async/setTimeout — pour éviter double intro
+            if (session) session.introPlayed = true;
+            // Ne cancel que si une réponse est potentiellement active (évite l'erreur response_cancel_not_active)
+            // On tente le cancel mais on ignore l'erreur côté serveur
+
+            const prefetched = session?.prefetchedClient;
+
+            let followUp = null;
+
+            // Construit le message de suivi selon le profil client
+            const buildFollowUp = (p) => {
+              if (!p || !p.name) return "Dis EXACTEMENT cette phrase : \"Comment je peux t\'aider?\" puis SILENCE ABSOLU. Attends que le client parle.";
+              const prenom = p.name.split(" ")[0];
+              if (session?.langue === "en") {
+                return `Dis EXACTEMENT : "Hi ${prenom}! Great to hear from you. How can I help you today?" puis SILENCE ABSOLU — attends la réponse.${p.typeCoupe ? ` S'il veut un rendez-vous, propose son service habituel (${p.typeCoupe}${p.coiffeuse ? " avec " + p.coiffeuse : ""}).` : ""}`;
+              }
+              if (p.typeCoupe && p.coiffeuse) {
+                return `Dis EXACTEMENT : "Salut ${prenom}! Super de t'entendre. Désires-tu prendre rendez-vous pour une ${p.typeCoupe} avec ${p.coiffeuse}?" puis SILENCE ABSOLU — attends la réponse. Si OUI → get_available_slots service="${p.typeCoupe}" coiffeuse="${p.coiffeuse}". Si NON → adapte-toi.`;
+              } else if (p.typeCoupe) {
+                return `Dis EXACTEMENT : "Salut ${prenom}! Super de t'entendre. Désires-tu prendre rendez-vous pour une ${p.typeCoupe}?" puis SILENCE ABSOLU — attends la réponse. Si OUI → get_available_slots service="${p.typeCoupe}". Si NON → adapte-toi.`;
+              } else {
+                return `Dis EXACTEMENT : "Salut ${prenom}! Super de t'entendre. Comment je peux t'aider aujourd'hui?" puis SILENCE ABSOLU — attends la réponse.`;
+              }
+            };
+
+            // Fonction d'envoi du followUp — centralisée pour éviter la race condition
+            const sendFollowUp = (p) => {
+              // p = null/false → nouveau client ou inconnu → SILENCE après intro, attendre le client
+              // p = objet avec name → client existant → phrase personnalisée
+              if (!oaiWs || oaiWs.readyState !== WebSocket.OPEN) return;
+
+              if (p && p.name) {
+                // Client existant — phrase personnalisée
+                if (cl) cl.clientType = "existant";
+                const fu = buildFollowUp(p);
+                oaiWs.send(JSON.stringify({
+                  type: "conversation.item.create",
+                  item: { type: "message", role: "user", content: [{ type: "input_text", text: fu }] }
+                }));
+                oaiWs.send(JSON.stringify({
+                  type: "response.create",
+                  response: { max_output_tokens: 60, instructions: "Dis UNIQUEMENT la phrase ci-dessus, mot pour mot. Ensuite SILENCE ABSOLU — attends que le client réponde." }
+                }));
+              } else {
+                // Nouveau client ou inconnu — NE PAS générer de phrase
+                // Le modèle vient de dire l'intro → il attend le client → SILENCE
+                // On injecte juste une instruction contexte sans déclencher de réponse audio
+                oaiWs.send(JSON.stringify({
+                  type: "conversation.item.create",
+                  item: { type: "message", role: "user", content: [{ type: "input_text",
+                    text: "Le client n'a pas encore parlé. Attends qu'il prenne la parole. Quand il parle, aide-le normalement."
+                  }] }
+                }));
+                // PAS de response.create ici — on laisse le VAD détecter la voix du client
+              }
+            };
+
+            if (prefetched && prefetched.name) {
+              // Client existant — réponse immédiate
+              await new Promise(r => setTimeout(r, 200));
+              sendFollowUp(prefetched);
+            } else if (prefetched === false || prefetched === null) {
+              // Nouveau client confirmé — silence, on attend le client
+              await new Promise(r => setTimeout(r, 200));
+              sendFollowUp(null);
             } else {
-              // Nouveau client ou inconnu — NE PAS générer de phrase
-              // Le modèle vient de dire l'intro → il attend le client → SILENCE
-              // On injecte juste une instruction contexte sans déclencher de réponse audio
-              oaiWs.send(JSON.stringify({
-                type: "conversation.item.create",
-                item: { type: "message", role: "user", content: [{ type: "input_text",
-                  text: "Le client n'a pas encore parlé. Attends qu'il prenne la parole. Quand il parle, aide-le normalement."
-                }] }
-              }));
-              // PAS de response.create ici — on laisse le VAD détecter la voix du client
+              // Lookup pas encore terminé — attendre max 2s puis décider
+              setTimeout(() => {
+                const p2 = session?.prefetchedClient;
+                // Utiliser la valeur capturée maintenant (lookup peut être terminé)
+                sendFollowUp(p2 && p2.name ? p2 : null);
+              }, 1800);
+              break; // sortir — setTimeout gère la suite
             }
-          };
-
-          if (prefetched && prefetched.name) {
-            // Client existant — réponse immédiate
-            await new Promise(r => setTimeout(r, 200));
-            sendFollowUp(prefetched);
-          } else if (prefetched === false || prefetched === null) {
-            // Nouveau client confirmé — silence, on attend le client
-            await new Promise(r => setTimeout(r, 200));
-            sendFollowUp(null);
-          } else {
-            // Lookup pas encore terminé — attendre max 2s puis décider
-            setTimeout(() => {
-              const p2 = session?.prefetchedClient;
-              // Utiliser la valeur capturée maintenant (lookup peut être terminé)
-              sendFollowUp(p2 && p2.name ? p2 : null);
-            }, 1800);
-            break; // sortir — setTimeout gère la suite
           }
+          break;
         }
-        break;
-      }
 
-      case "response.audio.delta":
-        if (ev.delta && twilioWs.readyState === WebSocket.OPEN && streamSid) {
-          twilioWs.send(JSON.stringify({
-            event: "media", streamSid,
-            media: { payload: ev.delta },
-          }));
-        }
-        break;
+        case "response.audio.delta":
+          if (ev.delta && twilioWs.readyState === WebSocket.OPEN && streamSid) {
+            twilioWs.send(JSON.stringify({
+              event: "media", streamSid,
+              media: { payload: ev.delta },
+            }));
+          }
+          break;
 
-      case "response.output_item.added":
-        if (ev.item?.type === "function_call") {
-          pendingTools.set(ev.item.call_id, { name: ev.item.name, args: "" });
-          console.log(`[OAI] Function call: ${ev.item.name}`);
+        case "response.output_item.added":
+          if (ev.item?.type === "function_call") {
+            pendingTools.set(ev.item.call_id, { name: ev.item.name, args: "" });
+            console.log(`[OAI] Function call: ${ev.item.name}`);
+          }
+          break;
+
+        case "response.function_call_arguments.delta": {
+          const t = pendingTools.get(ev.call_id);
+          if (t) t.args += (ev.delta || "");
+          break;
         }
-        break;
 
-      case "response.function_call_arguments.delta": {
-        const t = pendingTools.get(ev.call_id);
-        if (t) t.args += (ev.delta || "");
-        break;
-      }
+        case "response.function_call_arguments.done": {
+          const tool = pendingTools.get(ev.call_id);
+          if (!tool) break;
+
+          let args = {};
+          try { args = JSON.parse(ev.arguments || tool.args || "{}"); } catch {}
 
-      case "response.function_call_arguments.done": {
-        const tool = pendingTools.get(ev.call_id);
-        if (!tool) break;
+          const result = await runTool(tool.name, args, session || {})
+            .catch(e => ({ error: e.message }));
 
-        let args = {};
-        try { args = JSON.parse(ev.arguments || tool.args || "{}"); } catch {}
+          console.log(`[TOOL RESULT] ${tool.name}:`, JSON.stringify(result));
 
-        const result = await runTool(tool.name, args, session || {})
-          .catch(e => ({ error: e.message }));
+          if (session?.shouldHangup) {
+            // Le timer est déjà posé dans runTool — on envoie quand même la réponse à OpenAI
+            // pour qu'il puisse dire "Bonne journée" avant que Twilio raccroche
+            if (oaiWs.readyState === WebSocket.OPEN) {
+              oaiWs.send(JSON.stringify({
+                type: "conversation.item.create",
+                item: { type: "function_call_output", call_id: ev.call_id, output: JSON.stringify(result) },
+              }));
+              oaiWs.send(JSON.stringify({ type: "response.create" }));
+            }
+            pendingTools.delete(ev.call_id);
+            break;
+          }
 
-        console.log(`[TOOL RESULT] ${tool.name}:`, JSON.stringify(result));
+          if (session?.shouldTransfer) {
+            // Attendre 4s pour laisser Hélène terminer sa phrase avant de transférer
+            setTimeout(() => {
+              if (twilioWs.readyState === WebSocket.OPEN)
+                twilioWs.send(JSON.stringify({ event: "stop", streamSid }));
+            }, 4000);
+            pendingTools.delete(ev.call_id);
+            break;
+          }
 
-        if (session?.shouldHangup) {
-          // Le timer est déjà posé dans runTool — on envoie quand même la réponse à OpenAI
-          // pour qu'il puisse dire "Bonne journée" avant que Twilio raccroche
           if (oaiWs.readyState === WebSocket.OPEN) {
             oaiWs.send(JSON.stringify({
               type: "conversation.item.create",
@@ -2958,124 +7849,101 @@ wss.on("connection", (twilioWs) => {
           break;
         }
 
-        if (session?.shouldTransfer) {
-          // Attendre 4s pour laisser Hélène terminer sa phrase avant de transférer
-          setTimeout(() => {
-            if (twilioWs.readyState === WebSocket.OPEN)
-              twilioWs.send(JSON.stringify({ event: "stop", streamSid }));
-          }, 4000);
-          pendingTools.delete(ev.call_id);
+        case "error":
+          // Ignorer response_cancel_not_active — inoffensif, survient si intro terminée avant le cancel
+          if (ev.error?.code === "response_cancel_not_active") {
+            console.log("[OAI] Cancel ignoré — aucune réponse active (normal)");
+            break;
+          }
+          console.error("[OAI ERROR]", JSON.stringify(ev.error));
           break;
-        }
-
-        if (oaiWs.readyState === WebSocket.OPEN) {
-          oaiWs.send(JSON.stringify({
-            type: "conversation.item.create",
-            item: { type: "function_call_output", call_id: ev.call_id, output: JSON.stringify(result) },
-          }));
-          oaiWs.send(JSON.stringify({ type: "response.create" }));
-        }
-        pendingTools.delete(ev.call_id);
-        break;
       }
+    });
 
-      case "error":
-        // Ignorer response_cancel_not_active — inoffensif, survient si intro terminée avant le cancel
-        if (ev.error?.code === "response_cancel_not_active") {
-          console.log("[OAI] Cancel ignoré — aucune réponse active (normal)");
-          break;
-        }
-        console.error("[OAI ERROR]", JSON.stringify(ev.error));
-        break;
-    }
-  });
-
-  oaiWs.on("close", (code) => {
-    console.log(`[OAI] Fermé (${code})`);
-    clearInterval(heartbeat);
-    clearInterval(twilioKeepalive);
-
-    // Code 1005 = fermeture inattendue — tenter une reconnexion si Twilio est encore actif
-    if (code === 1005 && twilioWs.readyState === WebSocket.OPEN && streamSid) {
-      console.log("[OAI] Reconnexion automatique dans 500ms...");
-      setTimeout(() => {
-        if (twilioWs.readyState !== WebSocket.OPEN) return;
-        console.log("[OAI] Reconnexion en cours...");
+    oaiWs.on("close", (code) => {
+      console.log(`[OAI] Fermé (${code})`);
+      clearInterval(heartbeat);
+      clearInterval(twilioKeepalive);
+
+      // Code 1005 = fermeture inattendue — tenter une reconnexion si Twilio est encore actif
+      if (code === 1005 && twilioWs.readyState === WebSocket.OPEN && streamSid) {
+        console.log("[OAI] Reconnexion automatique dans 500ms...");
+        setTimeout(() => {
+          if (twilioWs.readyState !== WebSocket.OPEN) return;
+          console.log("[OAI] Reconnexion en cours...");
+
+          oaiWs = new WebSocket(
+            `wss://api.openai.com/v1/realtime?model=${OPENAI_REALTIME_MODEL}`,
+            { headers: { Authorization: `Bearer ${OPENAI_API_KEY}`, "OpenAI-Beta": "realtime=v1" } }
+          );
 
-        oaiWs = new WebSocket(
-          `wss://api.openai.com/v1/realtime?model=${OPENAI_REALTIME_MODEL}`,
-          { headers: { Authorization: `Bearer ${OPENAI_API_KEY}`, "OpenAI-Beta": "realtime=v1" } }
-        );
+          oaiWs.on("open", () => {
+            console.log("[OAI] ✅ Reconnecté");
+            // Mettre à jour la référence dans la session
+            if (session) session.openaiWs = oaiWs;
 
-        oaiWs.on("open", () => {
-          console.log("[OAI] ✅ Reconnecté");
-          // Mettre à jour la référence dans la session
-          if (session) session.openaiWs = oaiWs;
+            heartbeat = setInterval(() => {
+              if (oaiWs.readyState === WebSocket.OPEN) oaiWs.ping();
+              else clearInterval(heartbeat);
+            }, 10_000);
 
-          heartbeat = setInterval(() => {
-            if (oaiWs.readyState === WebSocket.OPEN) oaiWs.ping();
-            else clearInterval(heartbeat);
-          }, 10_000);
+            startTwilioKeepalive();
 
-          startTwilioKeepalive();
+            // Réinitialiser la session avec contexte de reprise
+            oaiWs.send(JSON.stringify({
+              type: "session.update",
+              session: {
+                turn_detection: {
+                  type: "server_vad",
+                  threshold: 0.4,
+                  prefix_padding_ms: 300,
+                  silence_duration_ms: 800,
+                  create_response: true,
+                },
+                input_audio_format:  "g711_ulaw",
+                output_audio_format: "g711_ulaw",
+                voice:       OPENAI_TTS_VOICE,
+                instructions: session?.fillCampaignId ? fillCallPrompt(session) : systemPrompt(session?.callerNumber, "voix", session?.langue),
+                tools:        session?.fillCampaignId ? [...TOOLS, FILL_OPT_OUT_TOOL] : TOOLS,
+                tool_choice:  "auto",
+                modalities:   ["text", "audio"],
+                temperature:  0.6,
+                input_audio_transcription: transcriptionConfig(session?.fillCampaignId ? "fr" : session?.langue),
+              },
+            }));
 
-          // Réinitialiser la session avec contexte de reprise
-          oaiWs.send(JSON.stringify({
-            type: "session.update",
-            session: {
-              turn_detection: {
-                type: "server_vad",
-                threshold: 0.4,
-                prefix_padding_ms: 300,
-                silence_duration_ms: 800,
-                create_response: true,
+            // Dire au client qu'on est de retour
+            oaiWs.send(JSON.stringify({
+              type: "conversation.item.create",
+              item: {
+                type: "message", role: "user",
+                content: [{ type: "input_text", text: "La connexion a été brièvement interrompue. Reprends la conversation naturellement là où tu en étais, avec la même énergie. Ne mentionne pas l'interruption technique." }],
               },
-              input_audio_format:  "g711_ulaw",
-              output_audio_format: "g711_ulaw",
-              voice:       OPENAI_TTS_VOICE,
-              instructions: systemPrompt(session?.callerNumber),
-              tools:        TOOLS,
-              tool_choice:  "auto",
-              modalities:   ["text", "audio"],
-              temperature:  0.6,
-              input_audio_transcription: {
-          model: "gpt-4o-mini-transcribe",
-          language: "fr",
-          prompt: "Conversation téléphonique en français québécois avec une réceptionniste de salon de coiffure. Vocabulaire fréquent : coupe homme, coupe femme, coloration, mise en plis, coiffeuse, rendez-vous, Calendly, cellulaire. Prénoms possibles : Ariane, Laurie, Sophie, Alexandre, Marie. Numéros de téléphone 10 chiffres format québécois ex: 514 894 5221. Mots typiques : 'c\'est beau', 'correct', 'ouais', 'tantôt', 'tout suite', 'la semaine passée', 'à matin'. Noms de villes : Magog, Sherbrooke, Québec. Le client peut épeler son numéro chiffre par chiffre.",
-        },
-            },
-          }));
+            }));
+            oaiWs.send(JSON.stringify({ type: "response.create" }));
+          });
 
-          // Dire au client qu'on est de retour
-          oaiWs.send(JSON.stringify({
-            type: "conversation.item.create",
-            item: {
-              type: "message", role: "user",
-              content: [{ type: "input_text", text: "La connexion a été brièvement interrompue. Reprends la conversation naturellement là où tu en étais, avec la même énergie. Ne mentionne pas l'interruption technique." }],
-            },
-          }));
-          oaiWs.send(JSON.stringify({ type: "response.create" }));
-        });
+          // Rebrancher les handlers sur le nouveau oaiWs
+          oaiWs.on("message", async (raw) => {
+            // Réutiliser le même handler — pointer vers la fonction existante
+            // En pratique on doit re-attacher tous les handlers
+            // Simple : rediriger l'audio vers Twilio
+            let ev;
+            try { ev = JSON.parse(raw); } catch { return; }
+            if (ev.type === "response.audio.delta" && ev.delta && twilioWs.readyState === WebSocket.OPEN) {
+              twilioWs.send(JSON.stringify({ event: "media", streamSid, media: { payload: ev.delta } }));
+            }
+            if (ev.type === "error") console.error("[OAI RECONNECT ERROR]", JSON.stringify(ev.error));
+          });
 
-        // Rebrancher les handlers sur le nouveau oaiWs
-        oaiWs.on("message", async (raw) => {
-          // Réutiliser le même handler — pointer vers la fonction existante
-          // En pratique on doit re-attacher tous les handlers
-          // Simple : rediriger l'audio vers Twilio
-          let ev;
-          try { ev = JSON.parse(raw); } catch { return; }
-          if (ev.type === "response.audio.delta" && ev.delta && twilioWs.readyState === WebSocket.OPEN) {
-            twilioWs.send(JSON.stringify({ event: "media", streamSid, media: { payload: ev.delta } }));
-          }
-          if (ev.type === "error") console.error("[OAI RECONNECT ERROR]", JSON.stringify(ev.error));
-        });
+          oaiWs.on("close",  (c) => { console.log(`[OAI] Reconnexion fermée (${c})`); clearInterval(heartbeat); });
+          oaiWs.on("error",  (e) => console.error("[OAI WS reconnect]", e.message));
+        }, 500);
+      }
+    });
+    oaiWs.on("error",  (e) => console.error("[OAI WS]", e.message));
+  }
 
-        oaiWs.on("close",  (c) => { console.log(`[OAI] Reconnexion fermée (${c})`); clearInterval(heartbeat); });
-        oaiWs.on("error",  (e) => console.error("[OAI WS reconnect]", e.message));
-      }, 500);
-    }
-  });
-  oaiWs.on("error",  (e) => console.error("[OAI WS]", e.message));
 
   twilioWs.on("message", (raw) => {
     let msg;
@@ -3084,9 +7952,18 @@ wss.on("connection", (twilioWs) => {
     switch (msg.event) {
 
       case "start": {
-        streamSid      = msg.start.streamSid;
-        const p        = msg.start.customParameters || {};
+        if (oaiWs) return; // un seul start par stream
+        const p        = msg.start?.customParameters || {};
         const sid      = p.twilioCallSid || "";
+        const refus    = msg.start?.callSid && msg.start.callSid !== sid ? "CallSid différent" : verifyStreamToken(sid, p.jeton);
+        clearTimeout(startTimer);
+        if (refus) {
+          recordRejection("stream", "/media-stream", clientIp(req), refus);
+          twilioWs.close(1008, "jeton invalide");
+          return;
+        }
+        streamSid      = msg.start.streamSid;
+        connectOAI();
 
         session = sessions.get(sid);
         if (!session) {
@@ -3097,6 +7974,7 @@ wss.on("connection", (twilioWs) => {
             streamSid,
             shouldTransfer: false,
             callStartTime:  Date.now(),
+            ...(p.campagne ? { fillCampaignId: p.campagne, introPlayed: true } : {}),
           };
           sessions.set(sid, session);
         }
@@ -3108,8 +7986,9 @@ wss.on("connection", (twilioWs) => {
         // ⚡ Lookup Google immédiat dès réception du stream — avant même que OAI soit prêt
         const _callerNum = session.callerNumber;
         if (_callerNum) {
-          lookupClientByPhone(_callerNum).then(info => {
+          session.prefetch = lookupClientByPhone(_callerNum).then(info => {
             if (session) session.prefetchedClient = info ?? false; // false = nouveau client confirmé
+            if (info?.langue && !session?.fillCampaignId) setSessionLangue(session, info.langue, "dossier");
             console.log(`[LOOKUP] Prefetch terminé: ${info ? info.name : "nouveau client"}`);
           }).catch(() => { if (session) session.prefetchedClient = false; });
         }
@@ -3148,6 +8027,7 @@ wss.on("connection", (twilioWs) => {
   });
 
   twilioWs.on("close", () => {
+    clearTimeout(startTimer);
     clearInterval(heartbeat);
     clearInterval(twilioKeepalive);
     oaiWs?.close();
@@ -3166,58 +8046,87 @@ wss.on("connection", (twilioWs) => {
 app.get("/confirm-email/:token", (req, res) => {
   const entry = pending.get(req.params.token);
   if (!entry || entry.expiresAt < Date.now())
-    return res.status(410).type("text/html").send(html410());
-  res.type("text/html").send(htmlForm(entry.payload.name));
+    return res.status(410).type("text/html").send(html410(entry?.payload?.langue));
+  const minutes = Math.max(1, Math.ceil((entry.expiresAt - Date.now()) / 60_000));
+  res.type("text/html").send(htmlForm(entry.payload.name, "", entry.payload.email || "", minutes, entry.payload.langue));
 });
 
 app.post("/confirm-email/:token", async (req, res) => {
   const entry = pending.get(req.params.token);
   if (!entry || entry.expiresAt < Date.now())
-    return res.status(410).type("text/html").send(html410());
+    return res.status(410).type("text/html").send(html410(entry?.payload?.langue));
 
   const { phone, name, service, eventTypeUri, startTimeIso, coiffeuse } = entry.payload;
+  const langue = entry.payload.langue || "fr";
   const email = (req.body.email || "").trim().toLowerCase();
 
   if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email))
-    return res.status(400).type("text/html").send(htmlForm(name, "Courriel invalide."));
+    return res.status(400).type("text/html").send(htmlForm(name, langue === "en" ? "Invalid email." : "Courriel invalide.", entry.payload.email || "", 20, langue));
+
+  // ── Réservation de groupe : tout ou rien ──
+  if (entry.payload.group) {
+    const group = entry.payload.group;
+    const slotsTxt = group.map(g => escHtml(`${g.prenom} — ${slotToSpoken(g.startTimeIso, langue)}`)).join("<br>");
+    try {
+      for (const g of group) {
+        if (!(await isSlotStillAvailable(g.eventTypeUri, g.startTimeIso))) {
+          console.warn(`[EMAIL] ❌ Créneau groupe plus dispo: ${g.startTimeIso}`);
+          releaseHold(req.params.token, "créneau pris");
+          return res.status(409).type("text/html").send(htmlSlotTaken(name, slotToSpoken(g.startTimeIso, langue), langue));
+        }
+      }
+      const booked = await bookGroup(group, { email, phone, langue });
+      consumePending(req.params.token);
+      releaseHold(req.params.token, "réservé");
+      await saveContactToGoogle({ name, email, phone, typeCoupe: service || null, coiffeuse: coiffeuse || null, ownerName: entry.payload.ownerName || name, langue });
+      // Les RDV existent déjà : un texto en échec ne doit pas afficher une page d'erreur
+      try { await sendSms(phone, groupSmsBody(booked, langue)); }
+      catch (e) { console.error("[EMAIL] ❌ Texto groupe:", e.message); }
+      return res.type("text/html").send(htmlSuccess(name, slotsTxt, "", "", langue));
+    } catch (e) {
+      console.error("[EMAIL] groupe", e);
+      if (e.message?.includes("already_filled")) {
+        releaseHold(req.params.token, "créneau pris");
+        return res.status(409).type("text/html").send(htmlSlotTaken(name, slotsTxt, langue));
+      }
+      return res.status(500).type("text/html").send(htmlError(e.message, langue));
+    }
+  }
 
   try {
     // Vérifier que le créneau est encore disponible avant de tenter la réservation
-    const checkSlots = await getSlots(eventTypeUri, new Date(startTimeIso), new Date(new Date(startTimeIso).getTime() + 60_000));
-    const stillAvailable = checkSlots.some(s => s === startTimeIso || Math.abs(new Date(s) - new Date(startTimeIso)) < 60_000);
+    const stillAvailable = await isSlotStillAvailable(eventTypeUri, startTimeIso);
     if (!stillAvailable) {
       console.warn(`[EMAIL] ❌ Créneau plus dispo: ${startTimeIso}`);
-      return res.status(409).type("text/html").send(htmlSlotTaken(name, slotToFrench(startTimeIso)));
+      releaseHold(req.params.token, "créneau pris");
+      return res.status(409).type("text/html").send(htmlSlotTaken(name, slotToSpoken(startTimeIso, langue), langue));
     }
-    const result = await createInvitee({ uri: eventTypeUri, startTimeIso, name, email });
-    pending.delete(req.params.token);
+    const result = await createInvitee({ uri: eventTypeUri, startTimeIso, name, email }, entry.payload.callSid);
+    consumePending(req.params.token);
+    releaseHold(req.params.token, "réservé");
+    if (entry.payload.waitlistId) markWaitlistBooked(entry.payload.waitlistId, startTimeIso);
 
     const cancelUrl     = result?.resource?.cancel_url     || "";
     const rescheduleUrl = result?.resource?.reschedule_url || "";
+    scheduleReminders({ eventUri: result?.resource?.event, slotIso: startTimeIso, phone, name, coiffeuse, service, langue });
 
-    // Sauvegarder dans Google Contacts si nouveau client
-    // Si format "Prénom / NomParent" (enfant/conjoint), extraire le nom du titulaire
-    const ownerNameCB = name.includes(" / ") ? name.split(" / ").slice(1).join(" ").trim() : null;
-    await saveContactToGoogle({ name, email, phone, typeCoupe: entry.payload.service || null, coiffeuse: entry.payload.coiffeuse || null, ownerName: ownerNameCB });
-
-    await sendSms(phone,
-      `${SALON_NAME}: RDV confirme
-` +
-      `${slotToShort(startTimeIso)}${coiffeuse ? " avec " + coiffeuse : ""}
-` +
-      (rescheduleUrl ? `Modifier: ${rescheduleUrl}
-` : "") +
-      (cancelUrl     ? `Annuler: ${cancelUrl}`        : "")
-    );
+    // Sauvegarder dans Google Contacts si nouveau client — au nom du titulaire (parent, conjoint)
+    // Les anciens liens "Prénom / NomParent" (avant le champ ownerName) restent supportés
+    const ownerNameCB = entry.payload.ownerName
+      || (name.includes(" / ") ? name.split(" / ").slice(1).join(" ").trim() : null);
+    await saveContactToGoogle({ name, email, phone, typeCoupe: entry.payload.service || null, coiffeuse: entry.payload.coiffeuse || null, ownerName: ownerNameCB, langue });
+
+    await sendSms(phone, smsTexte(langue, "confirme", { quand: smsQuand(startTimeIso, coiffeuse, langue), modifier: rescheduleUrl, annuler: cancelUrl }));
 
-    res.type("text/html").send(htmlSuccess(name, slotToFrench(startTimeIso), rescheduleUrl, cancelUrl));
+    res.type("text/html").send(htmlSuccess(name, slotToSpoken(startTimeIso, langue), rescheduleUrl, cancelUrl, langue));
   } catch (e) {
     console.error("[EMAIL]", e);
     // Créneau entre-temps pris par quelqu'un d'autre
     if (e.message?.includes("already_filled")) {
-      res.status(409).type("text/html").send(htmlSlotTaken(name, slotToFrench(startTimeIso)));
+      releaseHold(req.params.token, "créneau pris");
+      res.status(409).type("text/html").send(htmlSlotTaken(name, slotToSpoken(startTimeIso, langue), langue));
     } else {
-      res.status(500).type("text/html").send(htmlError(e.message));
+      res.status(500).type("text/html").send(htmlError(e.message, langue));
     }
   }
 });
@@ -3225,27 +8134,46 @@ app.post("/confirm-email/:token", async (req, res) => {
 // ─── HTML ─────────────────────────────────────────────────────────────────────
 const css = `*{box-sizing:border-box;margin:0;padding:0}body{font-family:system-ui,sans-serif;background:#f5f4ff;min-height:100vh;display:flex;align-items:center;justify-content:center;padding:20px}.card{background:#fff;border-radius:16px;padding:36px 32px;max-width:460px;width:100%;box-shadow:0 4px 24px rgba(108,71,255,.12)}.logo{font-size:1.6rem;font-weight:700;color:#6c47ff;margin-bottom:4px}.sub{color:#888;font-size:.9rem;margin-bottom:28px}h1{font-size:1.25rem;color:#1a1a1a;margin-bottom:10px}p{color:#555;font-size:.95rem;line-height:1.5;margin-bottom:20px}label{display:block;font-size:.85rem;font-weight:600;color:#333;margin-bottom:6px}input[type=email]{width:100%;padding:13px 14px;font-size:1rem;border:1.5px solid #ddd;border-radius:10px;outline:none}input[type=email]:focus{border-color:#6c47ff}.btn{display:block;width:100%;margin-top:16px;padding:14px;background:#6c47ff;color:#fff;border:none;border-radius:10px;font-size:1rem;font-weight:600;cursor:pointer}.btn:hover{background:#5538d4}.err{color:#c0392b;font-size:.88rem;margin-top:8px}.box{background:#f5f4ff;border-radius:10px;padding:16px 18px;margin:20px 0;font-size:.92rem;line-height:1.8}a.lnk{display:block;margin-top:12px;color:#6c47ff;font-size:.9rem;text-decoration:none}.muted{color:#aaa;font-size:.8rem;margin-top:24px}`;
 
-function layout(title, body) {
+function layout(title, body, langue = "fr") {
   const logoHtml = SALON_LOGO_URL
     ? `<img src="${SALON_LOGO_URL}" alt="${SALON_NAME}" style="max-height:60px;max-width:200px;object-fit:contain;margin-bottom:8px">`
     : `<div class="logo">✂️ ${SALON_NAME}</div>`;
-  return `<!DOCTYPE html><html lang="fr"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>${title} — ${SALON_NAME}</title><style>${css}</style></head><body><div class="card">${logoHtml}<div class="sub">Confirmation de rendez-vous</div>${body}</div></body></html>`;
+  const en = langue === "en";
+  return `<!DOCTYPE html><html lang="${en ? "en" : "fr"}"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>${title} — ${SALON_NAME}</title><style>${css}</style></head><body><div class="card">${logoHtml}<div class="sub">${en ? "Appointment confirmation" : "Confirmation de rendez-vous"}</div>${body}</div></body></html>`;
 }
 
-function htmlForm(name, err = "") {
+function htmlForm(name, err = "", email = "", minutes = 20, langue = "fr") {
+  if (langue === "en") return layout("Confirm your email", `
+    <h1>Hi ${name}!</h1>
+    <p>Enter your email address to complete your booking. You'll get all the details by text.</p>
+    <form method="POST">
+      <label for="e">Email address</label>
+      <input id="e" name="email" type="email" required placeholder="you@example.com" autocomplete="email" inputmode="email" value="${email.replace(/"/g, "&quot;")}"/>
+      ${err ? `<p class="err">⚠️ ${err}</p>` : ""}
+      <button class="btn" type="submit">Confirm my booking</button>
+    </form>
+    <p class="muted">Link valid for ${minutes} minutes.</p>`, "en");
   return layout("Confirmer ton courriel", `
     <h1>Bonjour ${name}!</h1>
     <p>Entre ton adresse courriel pour finaliser ta réservation. Tu recevras tous les détails par texto.</p>
     <form method="POST">
       <label for="e">Adresse courriel</label>
-      <input id="e" name="email" type="email" required placeholder="toi@exemple.com" autocomplete="email" inputmode="email"/>
+      <input id="e" name="email" type="email" required placeholder="toi@exemple.com" autocomplete="email" inputmode="email" value="${email.replace(/"/g, "&quot;")}"/>
       ${err ? `<p class="err">⚠️ ${err}</p>` : ""}
       <button class="btn" type="submit">Confirmer ma réservation</button>
     </form>
-    <p class="muted">Lien valide 20 minutes.</p>`);
+    <p class="muted">Lien valide ${minutes} minutes.</p>`);
 }
 
-function htmlSuccess(name, slot, reschedule, cancel) {
+function htmlSuccess(name, slot, reschedule, cancel, langue = "fr") {
+  if (langue === "en") return layout("Booking confirmed", `
+    <h1>✅ Booking confirmed!</h1>
+    <p>Thank you <strong>${name}</strong>! Your appointment is booked.</p>
+    <div class="box">📅 <strong>${slot}</strong><br>📍 ${SALON_ADDRESS}</div>
+    <p>A confirmation text was sent to your cell phone.</p>
+    ${reschedule ? `<a class="lnk" href="${reschedule}">📆 Change</a>` : ""}
+    ${cancel     ? `<a class="lnk" href="${cancel}">❌ Cancel</a>`     : ""}
+    <p class="muted">You can close this page.</p>`, "en");
   return layout("Réservation confirmée", `
     <h1>✅ Réservation confirmée!</h1>
     <p>Merci <strong>${name}</strong>! Ton rendez-vous est enregistré.</p>
@@ -3256,7 +8184,14 @@ function htmlSuccess(name, slot, reschedule, cancel) {
     <p class="muted">Tu peux fermer cette page.</p>`);
 }
 
-function htmlSlotTaken(name, slot) {
+function htmlSlotTaken(name, slot, langue = "fr") {
+  if (langue === "en") return layout("Time no longer available", `
+    <h1>😕 This time was just taken</h1>
+    <p>Sorry ${name ? name.split(" ")[0] : ""}, <strong>${slot}</strong> was booked by someone else while you were confirming your email.</p>
+    <p style="margin-top:16px">Call us back to pick another available time — it takes less than a minute!</p>
+    <a href="tel:${TWILIO_CALLER_ID || ""}" class="btn" style="margin-top:20px;text-decoration:none;display:block;text-align:center">📞 Call the salon</a>
+    <p class="muted" style="margin-top:20px">Your information was saved — we'll recognize you automatically next time you call.</p>
+  `, "en");
   return layout("Créneau non disponible", `
     <h1>😕 Ce créneau vient d'être pris</h1>
     <p>Désolé ${name ? name.split(" ")[0] : ""}, le créneau <strong>${slot}</strong> a été réservé par quelqu'un d'autre pendant que tu confirmais ton courriel.</p>
@@ -3266,21 +8201,23 @@ function htmlSlotTaken(name, slot) {
   `);
 }
 
-function htmlError(msg) {
+function htmlError(msg, langue = "fr") {
+  const en = langue === "en";
   // Masquer le JSON technique — afficher un message clair
   const isCalendly = msg?.includes("Calendly") || msg?.includes("400") || msg?.includes("500");
   const display = isCalendly
-    ? "Une erreur technique est survenue lors de la création du rendez-vous."
-    : (msg || "Erreur inconnue");
-  return layout("Erreur", `
-    <h1>⚠️ Erreur</h1>
-    <p>Impossible de créer le rendez-vous. Rappelle le salon pour finaliser ta réservation.</p>
+    ? (en ? "A technical error occurred while creating the appointment." : "Une erreur technique est survenue lors de la création du rendez-vous.")
+    : (msg || (en ? "Unknown error" : "Erreur inconnue"));
+  return layout(en ? "Error" : "Erreur", `
+    <h1>⚠️ ${en ? "Error" : "Erreur"}</h1>
+    <p>${en ? "We couldn't create the appointment. Call the salon to complete your booking." : "Impossible de créer le rendez-vous. Rappelle le salon pour finaliser ta réservation."}</p>
     <p style="font-size:.82rem;color:#999;margin-top:12px">${display}</p>
-    <a href="tel:${TWILIO_CALLER_ID || ""}" class="btn" style="margin-top:20px;text-decoration:none;display:block;text-align:center">📞 Rappeler le salon</a>
-  `);
+    <a href="tel:${TWILIO_CALLER_ID || ""}" class="btn" style="margin-top:20px;text-decoration:none;display:block;text-align:center">📞 ${en ? "Call the salon" : "Rappeler le salon"}</a>
+  `, langue);
 }
 
-function html410() {
+function html410(langue = "fr") {
+  if (langue === "en") return layout("Link expired", `<h1>⏰ Link expired</h1><p>This link is no longer valid. Call the salon for a new link.</p>`, "en");
   return layout("Lien expiré", `<h1>⏰ Lien expiré</h1><p>Ce lien n'est plus valide. Rappelle le salon pour un nouveau lien.</p>`);
 }
 
@@ -3291,7 +8228,7 @@ const _origError = console.error.bind(console);
 const _origWarn  = console.warn.bind(console);
 
 // Capturer les logs Railway dans le serverLog de l'appel actif
-const CALL_LOG_PREFIXES = ["[OAI]","[TOOL]","[SLOTS]","[LOOKUP]","[BOOKING]","[GOOGLE]","[SMS]","[Twilio]","[CALENDLY]","[VOICE]","[TOOL RESULT]"];
+const CALL_LOG_PREFIXES = ["[OAI]","[TOOL]","[SLOTS]","[LOOKUP]","[BOOKING]","[GOOGLE]","[SMS]","[Twilio]","[CALENDLY]","[VOICE]","[TOOL RESULT]","[CANCEL]","[RESCHEDULE]","[HOLD]","[PENDING]","[WAITLIST]","[GROUP]","[SERIES]","[LOCALCAL]","[SCHEDULER]","[SERVICES]","[REMINDER]","[FILL]","[VOICEMAIL]","[HOURS]"];
 function captureToCallLog(line) {
   try {
     if (!CALL_LOG_PREFIXES.some(p => line.includes(p))) return;
@@ -3315,5 +8252,6 @@ const PORT = process.env.PORT || 3000;
 httpServer.listen(PORT, async () => {
   console.log(G + `✅ ${SALON_NAME} — port ${PORT}` + X);
   loadLogsFromDisk();
+  loadPending();
   await loadCoiffeuses();
 });
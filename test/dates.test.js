@@ -0,0 +1,65 @@
+// src/dates.js — dates dans le fuseau du salon et expressions de date du client
+import { test } from "node:test";
+import assert   from "node:assert/strict";
+
+process.env.CALENDLY_TIMEZONE = "America/Toronto";
+const {
+  zonedParts, zonedToUtc, localYmd, addLocalDays, shiftLocalDays, localHour, parseLocalDate,
+  slotToFrench, slotToEnglish, parseDateExpression,
+} = await import("../src/dates.js");
+
+// Cas limites de changement d'heure (America/Toronto)
+// 2026 : printemps le 8 mars (2h → 3h, 07:00Z), automne le 1er novembre (2h → 1h, 06:00Z)
+const ZONED_DST_CASES = [
+  { cas: "minuit le jour du saut de printemps",      got: () => parseLocalDate("2026-03-08").toISOString(),               want: "2026-03-08T05:00:00.000Z" },
+  { cas: "minuit le lendemain du saut",              got: () => parseLocalDate("2026-03-09").toISOString(),               want: "2026-03-09T04:00:00.000Z" },
+  { cas: "minuit le jour du retour à l'heure normale", got: () => parseLocalDate("2026-11-01").toISOString(),             want: "2026-11-01T04:00:00.000Z" },
+  { cas: "minuit le lendemain du retour",            got: () => parseLocalDate("2026-11-02").toISOString(),               want: "2026-11-02T05:00:00.000Z" },
+  { cas: "2h30 inexistante → 3h30",                  got: () => zonedToUtc("2026-03-08", "02:30").toISOString(),         want: "2026-03-08T07:30:00.000Z" },
+  { cas: "1h30 ambiguë → première occurrence",       got: () => zonedToUtc("2026-11-01", "01:30").toISOString(),         want: "2026-11-01T05:30:00.000Z" },
+  { cas: "9h avant / après le saut",                 got: () => [zonedToUtc("2026-03-07", "09:00"), zonedToUtc("2026-03-09", "09:00")].map(d => d.toISOString()).join(" "), want: "2026-03-07T14:00:00.000Z 2026-03-09T13:00:00.000Z" },
+  { cas: "1h59 juste avant le saut",                 got: () => localHour("2026-03-08T06:59:00Z"),                         want: 1 + 59 / 60 },
+  { cas: "3h00 juste après le saut",                 got: () => localHour("2026-03-08T07:00:00Z"),                         want: 3 },
+  { cas: "1h00 après le retour (deuxième 1h)",       got: () => localHour("2026-11-01T06:00:00Z"),                         want: 1 },
+  { cas: "23h30 dimanche soir après le retour (pas lundi)", got: () => zonedParts("2026-11-02T04:30:00Z").weekday + " " + localYmd("2026-11-02T04:30:00Z"), want: "0 2026-11-01" },
+  { cas: "23h30 dimanche soir après le saut (pas lundi)",   got: () => zonedParts("2026-03-09T03:30:00Z").weekday + " " + localYmd("2026-03-09T03:30:00Z"), want: "0 2026-03-08" },
+  { cas: "samedi 9h + 7 jours à travers le retour",  got: () => shiftLocalDays("2026-10-31T13:00:00Z", 7).toISOString(),  want: "2026-11-07T14:00:00.000Z" },
+  { cas: "samedi 9h + 7 jours à travers le saut",    got: () => shiftLocalDays("2026-03-07T14:00:00Z", 7).toISOString(),  want: "2026-03-14T13:00:00.000Z" },
+  { cas: "jour civil + 1 à travers le saut",         got: () => addLocalDays("2026-03-07", 1),                             want: "2026-03-08" },
+  { cas: "libellé d'un créneau après le retour",     got: () => slotToFrench("2026-11-03T14:00:00Z"),                      want: "mardi le 3 novembre à 9h" },
+  { cas: "libellé d'un créneau avant le retour",     got: () => slotToFrench("2026-10-27T13:30:00Z"),                      want: "mardi le 27 octobre à 9h30" },
+  { cas: "libellé anglais après le retour",          got: () => slotToEnglish("2026-11-03T19:30:00Z"),                     want: "Tuesday, November 3 at 2:30 PM" },
+];
+
+for (const { cas, got, want } of ZONED_DST_CASES) {
+  test(cas, () => assert.equal(got(), want));
+}
+
+// Expressions de date — « aujourd'hui » = lundi 19 octobre 2026, 10h
+const MAINTENANT = new Date("2026-10-19T14:00:00Z");
+const NOVEMBRE   = new Date("2026-11-20T15:00:00Z"); // vendredi 20 novembre 2026 — pas de 31
+const DATE_EXPRESSION_CASES = [
+  { cas: "jour de la semaine et jour du mois concordants", expression: "lundi le 26",      want: { debut: "2026-10-26", fin: "2026-10-26", heureMin: null, heureMax: null } },
+  { cas: "jour du mois qui contredit le jour de la semaine", expression: "lundi le 27",    want: { conflit: "le 27 octobre est un mardi, pas un lundi" } },
+  { cas: "jour du mois en anglais",                      expression: "friday the 23rd",    want: { debut: "2026-10-23", fin: "2026-10-23", heureMin: null, heureMax: null } },
+  { cas: "heure après un jour de la semaine (anglais)",  expression: "this friday at 3",   want: { debut: "2026-10-23", fin: "2026-10-23", heureMin: 14, heureMax: 16 } },
+  { cas: "heure après un jour de la semaine (français)", expression: "vendredi à 3",       want: { debut: "2026-10-23", fin: "2026-10-23", heureMin: 14, heureMax: 16 } },
+  { cas: "« à 2 » suivi d'autre chose qu'une date ≠ heure", expression: "à 2 personnes samedi", want: { debut: "2026-10-24", fin: "2026-10-24", heureMin: null, heureMax: null } },
+  { cas: "jour du mois seul déjà passé → mois prochain", expression: "le 5",               want: { debut: "2026-11-05", fin: "2026-11-05", heureMin: null, heureMax: null } },
+  // Dates qui n'existent pas : jamais reportées au mois suivant
+  { cas: "le 31 seul en novembre → prochain mois qui a un 31", expression: "le 31",        now: NOVEMBRE, want: { debut: "2026-12-31", fin: "2026-12-31" } },
+  { cas: "jour de la semaine et le 31 en novembre",       expression: "lundi le 31",       now: NOVEMBRE, want: { conflit: "le 31 décembre est un jeudi, pas un lundi" } },
+  { cas: "31 février",                                    expression: "31 février",        now: NOVEMBRE, want: { conflit: "le 31 février n'existe pas" } },
+  { cas: "jour/mois impossible",                          expression: "30/02",             now: NOVEMBRE, want: { conflit: "le 30 février n'existe pas" } },
+  { cas: "date ISO impossible",                           expression: "2026-02-30",        want: { conflit: "le 30 février n'existe pas" } },
+  { cas: "mois impossible",                               expression: "12/13",             want: { conflit: "le mois 13 n'existe pas" } },
+  { cas: "31 novembre",                                   expression: "november 31",       want: { conflit: "le 31 novembre n'existe pas" } },
+  { cas: "29 février → prochaine année bissextile",       expression: "29 fevrier",        want: { debut: "2028-02-29", fin: "2028-02-29" } },
+];
+
+for (const { cas, expression, now = MAINTENANT, want } of DATE_EXPRESSION_CASES) {
+  test(`${cas} — "${expression}"`, () => {
+    const r = parseDateExpression(expression, now);
+    assert.deepEqual(Object.fromEntries(Object.keys(want).map(k => [k, r?.[k]])), want);
+  });
+}
@@ -0,0 +1,140 @@
+// Journal des appels — migration de call_logs.json, compaction, index relu au redémarrage
+// et filtres de /api/calls (validateCallFilters), contre un vrai serveur dans un dossier temporaire
+import { test, after } from "node:test";
+import assert   from "node:assert/strict";
+import fs       from "fs";
+import os       from "os";
+import path     from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+
+const SERVER = fileURLToPath(new URL("../src/server.js", import.meta.url));
+const DOSSIER = fs.mkdtempSync(path.join(os.tmpdir(), "journal-"));
+const CALLS = path.join(DOSSIER, "calls");
+const ADMIN_TOKEN = "jeton-test";
+const PORT = 40000 + Math.floor(Math.random() * 20000);
+
+after(() => fs.rmSync(DOSSIER, { recursive: true, force: true }));
+
+// Démarre le serveur sur le dossier de test et attend le chargement du journal → { journal (sortie), arreter() }
+async function demarrer() {
+  const enfant = spawn(process.execPath, [SERVER], {
+    cwd: DOSSIER,
+    env: { PATH: process.env.PATH, PORT: String(PORT), SALON_DATA_DIR: DOSSIER, ADMIN_TOKEN,
+      SCHEDULING_PROVIDER: "local", CALENDLY_TIMEZONE: "America/Toronto" },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let sortie = "";
+  enfant.stdout.on("data", d => { sortie += d; });
+  enfant.stderr.on("data", d => { sortie += d; });
+  await new Promise((ok, ko) => {
+    const delai = setTimeout(() => ko(new Error(`Serveur non démarré :\n${sortie}`)), 15_000);
+    const verifier = () => { if (sortie.includes(`port ${PORT}`) && /\[LOGS\] (✅ \d+ appels au journal|❌)/.test(sortie)) { clearTimeout(delai); ok(); } };
+    enfant.stdout.on("data", verifier);
+    enfant.stderr.on("data", verifier);
+    enfant.once("exit", code => { clearTimeout(delai); ko(new Error(`Serveur arrêté (${code}) :\n${sortie}`)); });
+  });
+  return {
+    journal: () => sortie,
+    arreter: () => new Promise(ok => { enfant.removeAllListeners("exit"); enfant.once("exit", ok); enfant.kill(); }),
+  };
+}
+
+async function api(chemin) {
+  const res = await fetch(`http://127.0.0.1:${PORT}${chemin}`, { headers: { "x-admin-token": ADMIN_TOKEN } });
+  return { status: res.status, body: await res.json() };
+}
+
+const lignes = seg => fs.readFileSync(path.join(CALLS, seg), "utf8").split("\n").filter(Boolean).map(l => JSON.parse(l));
+
+const appel = (sid, startedAt, extra = {}) => ({
+  sid, startedAt, endedAt: startedAt, result: "fin normale", canal: "voix", callerNumber: "+15145550000",
+  events: [{ ts: startedAt, type: "info", msg: "Appel" }, { ts: startedAt, type: "client", msg: "Bonjour" }], ...extra,
+});
+
+// Ancien fichier (octobre) : 23h30 le 4 et 0h10 le 5 en heure locale, un appel resté « en cours » sans échange
+const ANCIEN = [
+  appel("CA-soir",   "2026-10-05T03:30:00.000Z", { result: "réservation (lien courriel)", clientType: "nouveau" }),
+  appel("CA-minuit", "2026-10-05T04:10:00.000Z", { clientType: "existant" }),
+  appel("CA-fantome", "2026-10-06T15:00:00.000Z", { result: "en cours", events: [{ ts: "2026-10-06T15:00:00.000Z", type: "info", msg: "Appel" }] }),
+];
+
+// Segment de septembre fait surtout de versions périmées (> 256 Ko), plus une ligne coupée en fin de fichier
+function ecrireSegmentSeptembre() {
+  fs.mkdirSync(CALLS, { recursive: true });
+  const remplissage = "x".repeat(1500);
+  const versions = [];
+  for (let v = 1; v <= 80; v++) {
+    for (const sid of ["CA-sep-1", "CA-sep-2"]) versions.push(appel(sid, "2026-09-10T14:00:00.000Z", { version: v, note: remplissage }));
+  }
+  versions.push(appel("CA-sep-efface", "2026-09-11T14:00:00.000Z"), { sid: "CA-sep-efface", supprime: true, at: "2026-09-12T00:00:00.000Z" });
+  fs.writeFileSync(path.join(CALLS, "calls-2026-09.jsonl"), versions.map(l => JSON.stringify(l) + "\n").join("") + '{"sid":"CA-coupe","startedAt":"2026-09');
+}
+
+fs.writeFileSync(path.join(DOSSIER, "call_logs.json"), JSON.stringify(ANCIEN));
+ecrireSegmentSeptembre();
+
+test("migration, compaction et index relu au redémarrage", async () => {
+  let serveur = await demarrer();
+  try {
+    assert.ok(!fs.existsSync(path.join(DOSSIER, "call_logs.json")), "call_logs.json renommé");
+    assert.ok(fs.existsSync(path.join(DOSSIER, "call_logs.json.migre")));
+    assert.match(serveur.journal(), /ligne incomplète retirée/);
+    assert.match(serveur.journal(), /calls-2026-09\.jsonl compacté/);
+
+    // Septembre : une seule ligne par appel encore présent, la dernière version
+    const sep = lignes("calls-2026-09.jsonl");
+    assert.deepEqual(sep.map(l => [l.sid, l.version]), [["CA-sep-1", 80], ["CA-sep-2", 80]]);
+
+    // Octobre : les appels migrés, le fantôme effacé par une ligne « supprime »
+    const oct = lignes("calls-2026-10.jsonl");
+    assert.deepEqual(oct.slice(0, 3).map(l => l.sid), ["CA-soir", "CA-minuit", "CA-fantome"]);
+    assert.deepEqual(oct.at(-1), { ...oct.at(-1), sid: "CA-fantome", supprime: true });
+
+    const { status, body } = await api("/api/calls?parPage=200");
+    assert.equal(status, 200);
+    assert.deepEqual(body.items.map(l => l.sid), ["CA-minuit", "CA-soir", "CA-sep-1", "CA-sep-2"]);
+    assert.equal((await api("/api/calls/CA-sep-1")).body.item.version, 80);
+    assert.equal((await api("/api/calls/CA-fantome")).status, 404);
+  } finally { await serveur.arreter(); }
+
+  const taillesAvant = ["calls-2026-09.jsonl", "calls-2026-10.jsonl"].map(s => fs.statSync(path.join(CALLS, s)).size);
+  serveur = await demarrer();
+  try {
+    // Rien à migrer ni à compacter : l'index est reconstruit tel quel depuis les segments
+    assert.doesNotMatch(serveur.journal(), /Migration|compacté|incomplète/);
+    assert.deepEqual(["calls-2026-09.jsonl", "calls-2026-10.jsonl"].map(s => fs.statSync(path.join(CALLS, s)).size), taillesAvant);
+    const { body } = await api("/api/calls?parPage=200");
+    assert.deepEqual(body.items.map(l => l.sid), ["CA-minuit", "CA-soir", "CA-sep-1", "CA-sep-2"]);
+    assert.equal(body.items.find(l => l.sid === "CA-soir").result, "réservation (lien courriel)");
+  } finally { await serveur.arreter(); }
+});
+
+test("filtres de /api/calls (validateCallFilters)", async () => {
+  const serveur = await demarrer();
+  try {
+    const sids = async q => {
+      const { status, body } = await api(`/api/calls?${q}`);
+      assert.equal(status, 200, JSON.stringify(body));
+      return body.items.map(l => l.sid);
+    };
+    // Jours locaux inclus : 23h30 le 4 appartient au 4, 0h10 le 5 au 5
+    assert.deepEqual(await sids("du=2026-10-04&au=2026-10-04"), ["CA-soir"]);
+    assert.deepEqual(await sids("du=2026-10-05&au=2026-10-05"), ["CA-minuit"]);
+    assert.deepEqual(await sids("du=2026-10-01"), ["CA-minuit", "CA-soir"]);
+    assert.deepEqual(await sids("au=2026-09-30"), ["CA-sep-1", "CA-sep-2"]);
+    // Instant ISO : l'appel exactement à la borne « au » est inclus
+    assert.deepEqual(await sids("du=2026-10-05T03:30:00Z&au=2026-10-05T03:30:00Z"), ["CA-soir"]);
+    // « réservation » couvre « réservation (lien courriel) »; plusieurs résultats séparés par des virgules
+    assert.deepEqual(await sids("result=réservation"), ["CA-soir"]);
+    assert.deepEqual(await sids("result=réservation,fin normale&du=2026-10-01"), ["CA-minuit", "CA-soir"]);
+    assert.deepEqual(await sids("clientType=existant"), ["CA-minuit"]);
+    assert.deepEqual(await sids("clientType=inconnu"), ["CA-sep-1", "CA-sep-2"]);
+
+    for (const q of ["du=2026-13-45", "au=demain", "clientType=vip"]) {
+      const { status, body } = await api(`/api/calls?${q}`);
+      assert.equal(status, 400, q);
+      assert.ok(body.error, q);
+    }
+  } finally { await serveur.arreter(); }
+});